@@ -2,7 +2,9 @@ module.exports = {
   apps: [{
     name: 'zloer-app',
     script: 'server.js',
-    instances: 1,
+    // More than one instance requires REDIS_URL (shared state + Socket.IO Redis adapter)
+    instances: process.env.REDIS_URL ? (process.env.WEB_CONCURRENCY || 'max') : 1,
+    exec_mode: process.env.REDIS_URL ? 'cluster' : 'fork',
     autorestart: true,
     watch: false,
     max_memory_restart: '1G',
@@ -13,11 +15,16 @@ module.exports = {
     env_production: {
       NODE_ENV: 'production',
       PORT: 3000,
-      DOMAIN: 'your-domain.com'
+      DOMAIN: 'your-domain.com',
+      LOG_FORMAT: 'json',
+      LOG_LEVEL: 'info'
     },
     error_file: './logs/err.log',
     out_file: './logs/out.log',
     log_file: './logs/combined.log',
-    time: true
+    // The server writes one JSON object per line with its own timestamp (LOG_FORMAT=json);
+    // a PM2 prefix would make the lines unparseable
+    time: false,
+    merge_logs: true
   }]
 };
\ No newline at end of file
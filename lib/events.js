@@ -0,0 +1,515 @@
+// Schemas for every client -> server socket event, checked in one place (a socket.use()
+// middleware) before any handler runs. Each event declares:
+//   payload    schema of its single argument, or null for events sent without one
+//   maxBytes   size limit of that argument (strings count in UTF-8, buffers by length)
+//   rate       { limit, windowMs }: per-socket token bucket, see lib/rate-limiter.js
+//   ack        true if the client passes an acknowledgement callback after the payload
+//
+// Schemas are plain objects: { type, nullable?, ...constraints }
+//   string   minLength, maxLength, pattern, enum
+//   number   min, max, integer
+//   boolean, buffer, any
+//   object   properties (name -> schema), required ([names]), values (schema for every value,
+//            for maps), maxKeys, variants ({ key, schemas: { tag -> object schema } } for tagged
+//            unions). Keys that are not declared are rejected
+// Handlers keep their own checks of what the values mean (room exists, role may act, ...)
+
+const SOCKET_ID = { type: 'string', minLength: 1, maxLength: 64 }; // or 'sfu' for the media server
+const MESSAGE_ID = { type: 'string', minLength: 1, maxLength: 64 };
+const TIMESTAMP = { type: 'number', min: 0 };
+const QUALITY = { type: 'string', maxLength: 20 };
+const METRIC = { type: 'number', nullable: true };
+
+const SDP_MAX_LENGTH = 64 * 1024;
+const SIGNAL_MAX_BYTES = 80 * 1024;
+
+const description = type => ({
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: [type] },
+    sdp: { type: 'string', maxLength: SDP_MAX_LENGTH }
+  },
+  required: ['type', 'sdp']
+});
+
+const offerSignal = type => ({
+  properties: {
+    type: { type: 'string', enum: [type] },
+    offer: description('offer'),
+    screen: { type: 'string', maxLength: 100, nullable: true } // mesh: the sender's screen share stream id
+  },
+  required: ['type', 'offer']
+});
+
+const answerSignal = type => ({
+  properties: {
+    type: { type: 'string', enum: [type] },
+    answer: description('answer')
+  },
+  required: ['type', 'answer']
+});
+
+const SIGNAL = {
+  type: 'object',
+  variants: {
+    key: 'type',
+    schemas: {
+      offer: offerSignal('offer'),
+      'renegotiate-offer': offerSignal('renegotiate-offer'),
+      answer: answerSignal('answer'),
+      'renegotiate-answer': answerSignal('renegotiate-answer'),
+      'ice-candidate': {
+        properties: {
+          type: { type: 'string', enum: ['ice-candidate'] },
+          candidate: {
+            type: 'object',
+            properties: {
+              candidate: { type: 'string', maxLength: 1024 },
+              sdpMid: { type: 'string', maxLength: 64, nullable: true },
+              sdpMLineIndex: { type: 'number', integer: true, min: 0, max: 1024, nullable: true },
+              usernameFragment: { type: 'string', maxLength: 256, nullable: true }
+            },
+            required: ['candidate']
+          }
+        },
+        required: ['type', 'candidate']
+      },
+      'layer-request': {
+        properties: {
+          type: { type: 'string', enum: ['layer-request'] },
+          layer: { type: 'string', enum: ['high', 'medium', 'low', 'off'] },
+          publisherId: SOCKET_ID // SFU only: whose video the layer is for
+        },
+        required: ['type', 'layer']
+      }
+    }
+  }
+};
+
+const TARGET = {
+  type: 'object',
+  properties: { targetSocketId: SOCKET_ID },
+  required: ['targetSocketId']
+};
+
+const second = 1000;
+const minute = 60 * second;
+
+const EVENTS = {
+  'join-room': {
+    payload: {
+      type: 'object',
+      properties: {
+        roomId: { type: 'string', maxLength: 50 },
+        nickname: { type: 'string', maxLength: 20 },
+        password: { type: 'string', maxLength: 64, nullable: true }
+      },
+      required: ['roomId', 'nickname']
+    },
+    maxBytes: 512,
+    rate: { limit: 5, windowMs: 10 * second }
+  },
+  'resume-session': {
+    payload: {
+      type: 'object',
+      properties: { token: { type: 'string', minLength: 1, maxLength: 128 } },
+      required: ['token']
+    },
+    maxBytes: 256,
+    rate: { limit: 5, windowMs: 10 * second }
+  },
+  'ice-servers-refresh': {
+    payload: null,
+    rate: { limit: 5, windowMs: minute }
+  },
+  signal: {
+    payload: {
+      type: 'object',
+      properties: { to: SOCKET_ID, signal: SIGNAL },
+      required: ['to', 'signal']
+    },
+    maxBytes: SIGNAL_MAX_BYTES,
+    // Candidates come in bursts: a few per connection, again after every ICE restart
+    rate: { limit: 300, windowMs: 10 * second }
+  },
+  'chat-message': {
+    payload: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' }, // length and characters: validateChatText()
+        replyTo: { ...MESSAGE_ID, nullable: true },
+        to: { ...SOCKET_ID, nullable: true }
+      },
+      required: ['message']
+    },
+    maxBytes: 4096,
+    rate: { limit: 10, windowMs: 10 * second }
+  },
+  'chat-edit': {
+    payload: {
+      type: 'object',
+      properties: { messageId: MESSAGE_ID, message: { type: 'string' } },
+      required: ['messageId', 'message']
+    },
+    maxBytes: 4096,
+    rate: { limit: 10, windowMs: 10 * second }
+  },
+  'chat-delete': {
+    payload: {
+      type: 'object',
+      properties: { messageId: MESSAGE_ID },
+      required: ['messageId']
+    },
+    maxBytes: 256,
+    rate: { limit: 20, windowMs: 10 * second }
+  },
+  'chat-react': {
+    payload: {
+      type: 'object',
+      properties: { messageId: MESSAGE_ID, emoji: { type: 'string', maxLength: 16 } },
+      required: ['messageId', 'emoji']
+    },
+    maxBytes: 256,
+    rate: { limit: 30, windowMs: 10 * second }
+  },
+  'chat-history': {
+    payload: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        before: { ...TIMESTAMP, nullable: true },
+        limit: { type: 'number', integer: true, min: 1, nullable: true }
+      }
+    },
+    maxBytes: 256,
+    rate: { limit: 10, windowMs: 10 * second }
+  },
+  'connection-diagnostic': {
+    payload: {
+      type: 'object',
+      properties: {
+        userAgent: { type: 'string', maxLength: 512 },
+        language: { type: 'string', maxLength: 35 },
+        platform: { type: 'string', maxLength: 64 },
+        cookieEnabled: { type: 'boolean' },
+        onLine: { type: 'boolean' },
+        connection: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            effectiveType: { type: 'string', maxLength: 16, nullable: true },
+            downlink: METRIC,
+            rtt: METRIC
+          }
+        },
+        timestamp: TIMESTAMP
+      }
+    },
+    maxBytes: 2048,
+    rate: { limit: 10, windowMs: minute }
+  },
+  'webrtc-stats': {
+    payload: {
+      type: 'object',
+      properties: {
+        peersCount: { type: 'number', integer: true, min: 0 },
+        avgBitrate: METRIC,
+        avgPacketLoss: METRIC,
+        avgRTT: METRIC,
+        timestamp: TIMESTAMP
+      }
+    },
+    maxBytes: 1024,
+    rate: { limit: 20, windowMs: minute }
+  },
+  'turn-verification': {
+    payload: {
+      type: 'object',
+      properties: {
+        usingTurn: { type: 'boolean' },
+        connectionType: { type: 'string', maxLength: 16, nullable: true },
+        peerId: { ...SOCKET_ID, nullable: true }, // the link reported on: a peer, or 'sfu'
+        timestamp: TIMESTAMP
+      }
+    },
+    maxBytes: 512,
+    rate: { limit: 20, windowMs: minute }
+  },
+  'connection-quality': {
+    payload: {
+      type: 'object',
+      properties: {
+        quality: QUALITY,
+        packetLoss: METRIC,
+        rtt: METRIC,
+        bitrate: METRIC,
+        latency: METRIC,
+        peers: { type: 'object', values: QUALITY, maxKeys: 64 }, // socketId -> worst label
+        webrtcStats: { type: 'any' }, // periodic summary from SocketManager
+        timestamp: TIMESTAMP
+      }
+    },
+    maxBytes: 16 * 1024,
+    rate: { limit: 20, windowMs: minute }
+  },
+  'kick-user': {
+    payload: {
+      type: 'object',
+      properties: { targetSocketId: SOCKET_ID, reason: { type: 'string', maxLength: 200, nullable: true } },
+      required: ['targetSocketId']
+    },
+    maxBytes: 1024,
+    rate: { limit: 20, windowMs: 10 * second }
+  },
+  'ban-user': {
+    payload: {
+      type: 'object',
+      properties: {
+        targetSocketId: SOCKET_ID,
+        duration: { type: 'number', nullable: true }, // range: validateBanOptions()
+        reason: { type: 'string', nullable: true },
+        ipBan: { type: 'boolean', nullable: true }
+      },
+      required: ['targetSocketId']
+    },
+    maxBytes: 1024,
+    rate: { limit: 20, windowMs: 10 * second }
+  },
+  'list-bans': {
+    payload: null,
+    rate: { limit: 10, windowMs: 10 * second }
+  },
+  'lift-ban': {
+    payload: {
+      type: 'object',
+      properties: { banId: { type: 'string', minLength: 1, maxLength: 64 } },
+      required: ['banId']
+    },
+    maxBytes: 256,
+    rate: { limit: 20, windowMs: 10 * second }
+  },
+  'set-room-password': {
+    payload: {
+      type: 'object',
+      properties: { password: { type: 'string', maxLength: 64, nullable: true } }
+    },
+    maxBytes: 256,
+    rate: { limit: 10, windowMs: 10 * second }
+  },
+  'set-room-lock': {
+    payload: {
+      type: 'object',
+      properties: { locked: { type: 'boolean' } },
+      required: ['locked']
+    },
+    maxBytes: 128,
+    rate: { limit: 10, windowMs: 10 * second }
+  },
+  'set-room-lobby': {
+    payload: {
+      type: 'object',
+      properties: { enabled: { type: 'boolean' } },
+      required: ['enabled']
+    },
+    maxBytes: 128,
+    rate: { limit: 10, windowMs: 10 * second }
+  },
+  'lobby-decision': {
+    payload: {
+      type: 'object',
+      properties: { targetSocketId: SOCKET_ID, admit: { type: 'boolean' } },
+      required: ['targetSocketId', 'admit']
+    },
+    maxBytes: 256,
+    rate: { limit: 30, windowMs: 10 * second }
+  },
+  'start-recording': {
+    payload: null,
+    rate: { limit: 5, windowMs: 10 * second }
+  },
+  'recording-chunk': {
+    payload: {
+      type: 'object',
+      properties: {
+        recordingId: { type: 'string', maxLength: 100 },
+        chunk: { type: 'buffer' }
+      },
+      required: ['recordingId', 'chunk']
+    },
+    maxBytes: 1000000, // Socket.IO's own message limit (maxHttpBufferSize)
+    // One per RECORDING_TIMESLICE, but chunks queued during an outage go out back to back
+    rate: { limit: 100, windowMs: 10 * second },
+    ack: true
+  },
+  'stop-recording': {
+    payload: null,
+    rate: { limit: 5, windowMs: 10 * second }
+  },
+  'set-role': {
+    payload: {
+      type: 'object',
+      properties: { targetSocketId: SOCKET_ID, role: { type: 'string', maxLength: 20 } },
+      required: ['targetSocketId', 'role']
+    },
+    maxBytes: 256,
+    rate: { limit: 20, windowMs: 10 * second }
+  },
+  'mute-user': {
+    payload: TARGET,
+    maxBytes: 256,
+    rate: { limit: 20, windowMs: 10 * second }
+  },
+  ping: {
+    payload: {
+      type: 'object',
+      properties: { timestamp: TIMESTAMP },
+      required: ['timestamp']
+    },
+    maxBytes: 128,
+    rate: { limit: 30, windowMs: 10 * second }
+  }
+};
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Buffer.isBuffer(value) || value instanceof ArrayBuffer) return 'buffer';
+  return typeof value;
+};
+
+// Errors for `value` against `schema`, as readable strings prefixed with the path
+function validate(value, schema, path = 'payload', errors = []) {
+  if (value === null || value === undefined) {
+    if (!schema.nullable && schema.type !== 'any') errors.push(`${path} is required`);
+    return errors;
+  }
+
+  const actual = typeOf(value);
+
+  switch (schema.type) {
+    case 'any':
+      break;
+    case 'string':
+      if (actual !== 'string') {
+        errors.push(`${path} must be a string`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+      } else if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path} must be at least ${schema.minLength} characters`);
+      } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path} must be at most ${schema.maxLength} characters`);
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${path} has an invalid format`);
+      }
+      break;
+    case 'number':
+      if (actual !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path} must be a number`);
+      } else if (schema.integer && !Number.isInteger(value)) {
+        errors.push(`${path} must be a whole number`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${path} must be at least ${schema.min}`);
+      } else if (schema.max !== undefined && value > schema.max) {
+        errors.push(`${path} must be at most ${schema.max}`);
+      }
+      break;
+    case 'boolean':
+    case 'buffer':
+      if (actual !== schema.type) errors.push(`${path} must be a ${schema.type}`);
+      break;
+    case 'object':
+      if (actual !== 'object') {
+        errors.push(`${path} must be an object`);
+      } else {
+        validateObject(value, schema, path, errors);
+      }
+      break;
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+
+  return errors;
+}
+
+function validateObject(value, schema, path, errors) {
+  let shape = schema;
+  if (schema.variants) {
+    const { key, schemas } = schema.variants;
+    shape = Object.prototype.hasOwnProperty.call(schemas, value[key]) ? schemas[value[key]] : null;
+    if (!shape) {
+      errors.push(`${path}.${key} must be one of: ${Object.keys(schemas).join(', ')}`);
+      return;
+    }
+  }
+
+  const keys = Object.keys(value);
+  if (shape.maxKeys !== undefined && keys.length > shape.maxKeys) {
+    errors.push(`${path} must have at most ${shape.maxKeys} entries`);
+    return;
+  }
+
+  const required = shape.required || [];
+  required.forEach(name => validate(value[name], { ...shape.properties[name], nullable: false }, `${path}.${name}`, errors));
+
+  for (const name of keys.filter(key => !required.includes(key))) {
+    const property = shape.values ||
+      (Object.prototype.hasOwnProperty.call(shape.properties || {}, name) ? shape.properties[name] : null);
+    if (property) {
+      validate(value[name], property, `${path}.${name}`, errors);
+    } else {
+      errors.push(`${path}.${name} is not allowed`);
+    }
+  }
+}
+
+// Approximate wire size; stops counting once past `limit` so oversized payloads cost little
+function measure(value, limit, depth = 0) {
+  if (depth > 16) return Infinity; // deeper than any event needs
+
+  switch (typeOf(value)) {
+    case 'string':
+      return Buffer.byteLength(value) + 2;
+    case 'buffer':
+      return value.byteLength;
+    case 'array':
+    case 'object': {
+      let size = 2;
+      for (const [key, item] of Object.entries(value)) {
+        size += Buffer.byteLength(key) + 4 + measure(item, limit - size, depth + 1);
+        if (size > limit) return size;
+      }
+      return size;
+    }
+    default:
+      return 8;
+  }
+}
+
+// Check one incoming event. Returns null when it may be handled, or the problem:
+//   { unknown: true }        no schema (and so no handler) for this event
+//   { details: [messages] }  payload does not match
+function checkEvent(event, args) {
+  const spec = Object.prototype.hasOwnProperty.call(EVENTS, event) ? EVENTS[event] : null;
+  if (!spec) return { unknown: true };
+
+  const values = spec.ack && typeof args[args.length - 1] === 'function' ? args.slice(0, -1) : args;
+  if (values.length > 1) {
+    return { details: ['Too many arguments'] };
+  }
+
+  const [payload] = values;
+  if (spec.payload === null) {
+    // Sent without data; socketManager.emit(event) delivers an explicit null
+    return payload === undefined || payload === null ? null : { details: ['payload is not allowed'] };
+  }
+
+  const size = measure(payload, spec.maxBytes);
+  if (size > spec.maxBytes) {
+    return { details: [`payload must be at most ${spec.maxBytes} bytes`] };
+  }
+
+  const errors = validate(payload, spec.payload);
+  return errors.length ? { details: errors } : null;
+}
+
+module.exports = { EVENTS, validate, checkEvent };
@@ -0,0 +1,151 @@
+// Structured logging: one JSON object per line in production (PM2 log files stay machine-
+// parseable), a readable single line in development
+//
+//   LOG_LEVEL=info       error, warn, info or debug
+//   LOG_FORMAT=          json or pretty (default: json in production, pretty otherwise)
+//   LOG_SAMPLING=        comma-separated key=rate pairs for noisy entries, e.g.
+//                        "signal:ice-candidate=0.01,connection-quality=0.1"
+//
+// Entries carry { time, level, msg } plus the context fields socketId, roomId and event.
+// Sampling keys are "event:type" (when the entry has a type) or just "event"
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const DEFAULT_SAMPLING = 'signal:ice-candidate=0.01';
+const CONTEXT_FIELDS = ['event', 'socketId', 'roomId'];
+
+function parseSampling(value) {
+  const rates = new Map();
+  String(value || '').split(',').forEach(rule => {
+    const [key, rate] = rule.split('=').map(part => part.trim());
+    const parsed = parseFloat(rate);
+    if (key && parsed >= 0 && parsed <= 1) {
+      rates.set(key, parsed);
+    }
+  });
+  return rates;
+}
+
+// Errors do not survive JSON.stringify on their own
+function serializeError(error) {
+  return { message: error.message, name: error.name, code: error.code, stack: error.stack };
+}
+
+function normalizeFields(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    result[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return result;
+}
+
+function formatJson(entry) {
+  try {
+    return JSON.stringify(entry);
+  } catch {
+    // Circular or otherwise unserializable fields: keep the message and context
+    const { time, level, msg } = entry;
+    return JSON.stringify({ time, level, msg, ...Object.fromEntries(CONTEXT_FIELDS.map(key => [key, entry[key]])) });
+  }
+}
+
+// 12:34:56.789 INFO  [join-room] socket=abc room=lobby Join room request nickname="bob"
+function formatPretty(entry) {
+  const { time, level, msg, event, socketId, roomId, ...rest } = entry;
+  const parts = [time.substring(11, 23), level.toUpperCase().padEnd(5)];
+  if (event) parts.push(`[${event}]`);
+  if (socketId) parts.push(`socket=${socketId}`);
+  if (roomId) parts.push(`room=${roomId}`);
+  parts.push(msg);
+
+  for (const [key, value] of Object.entries(rest)) {
+    if (value && value.stack) {
+      parts.push(`\n${value.stack}`);
+    } else {
+      let text;
+      try {
+        text = JSON.stringify(value) ?? String(value);
+      } catch {
+        text = String(value);
+      }
+      parts.push(`${key}=${text}`);
+    }
+  }
+  return parts.join(' ');
+}
+
+class Logger {
+  constructor({ level = 'info', format = 'pretty', sampling = new Map(), context = {}, write = null }) {
+    this.level = level in LEVELS ? level : 'info';
+    this.format = format === 'json' ? 'json' : 'pretty';
+    this.sampling = sampling;
+    this.context = context;
+    this.write = write || ((levelName, line) => {
+      (LEVELS[levelName] <= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+    });
+  }
+
+  // Same output and settings, with fields (e.g. socketId) added to every entry
+  child(context) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      sampling: this.sampling,
+      context: { ...this.context, ...context },
+      write: this.write
+    });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  sampled(fields) {
+    if (this.sampling.size === 0 || !fields.event) return true;
+
+    const rate = fields.type && this.sampling.has(`${fields.event}:${fields.type}`) ?
+      this.sampling.get(`${fields.event}:${fields.type}`) :
+      this.sampling.get(fields.event);
+    return rate === undefined || Math.random() < rate;
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const merged = { ...this.context, ...fields };
+    if (!this.sampled(merged)) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...normalizeFields(merged) };
+    this.write(level, this.format === 'json' ? formatJson(entry) : formatPretty(entry));
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+}
+
+function createLogger(options = {}) {
+  return new Logger(options);
+}
+
+// Process-wide logger configured from the environment
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+  sampling: parseSampling(process.env.LOG_SAMPLING !== undefined ? process.env.LOG_SAMPLING : DEFAULT_SAMPLING)
+});
+
+module.exports = logger;
+module.exports.createLogger = createLogger;
+module.exports.parseSampling = parseSampling;
@@ -0,0 +1,93 @@
+// Prometheus metrics for /metrics/prometheus (prom-client)
+//
+// Counters and histograms live in this process: with several instances Prometheus scrapes
+// each one and sums them. The room/user gauges read the shared store, so every instance
+// reports the same totals for those (use max(), not sum(), across instances)
+const client = require('prom-client');
+
+// Known signal types; anything else is counted as 'other' to keep label cardinality bounded
+const SIGNAL_TYPES = new Set(['offer', 'answer', 'ice-candidate', 'renegotiate-offer', 'renegotiate-answer', 'layer-request']);
+const QUALITY_LABELS = ['excellent', 'good', 'fair', 'poor'];
+const RATE_LIMIT_KINDS = ['connection', 'event'];
+const FLOOD_PENALTIES = ['warn', 'mute', 'disconnect'];
+
+// Client reports outside these ranges are measurement glitches, not samples
+const SAMPLE_LIMITS = {
+  rtt: 60000, // ms
+  packetLoss: 100, // percent
+  bitrate: 1000000 // kbps
+};
+
+function createMetrics({ store, countLocalSockets }) {
+  const register = new client.Registry();
+  client.collectDefaultMetrics({ register, prefix: 'zloer_' });
+
+  const counter = (name, help, labelNames = []) => new client.Counter({ name, help, labelNames, registers: [register] });
+  const histogram = (name, help, buckets) => new client.Histogram({ name, help, buckets, registers: [register] });
+
+  new client.Gauge({
+    name: 'zloer_rooms',
+    help: 'Rooms that currently exist',
+    registers: [register],
+    async collect() {
+      this.set(await store.countRooms());
+    }
+  });
+
+  new client.Gauge({
+    name: 'zloer_users',
+    help: 'Users in a room, including dropped users whose seat is held',
+    registers: [register],
+    async collect() {
+      this.set(await store.countUsers());
+    }
+  });
+
+  new client.Gauge({
+    name: 'zloer_connected_sockets',
+    help: 'Socket.IO connections on this instance',
+    registers: [register],
+    collect() {
+      this.set(countLocalSockets());
+    }
+  });
+
+  const metrics = {
+    register,
+    joins: counter('zloer_room_joins_total', 'Users who joined a room (resumed sessions not included)'),
+    kicks: counter('zloer_kicks_total', 'Users removed from a room, by action (kick or ban) and who did it (room staff or admin API)', ['action', 'by']),
+    rateLimitRejections: counter('zloer_rate_limit_rejections_total', 'Requests refused by a rate limiter', ['kind']),
+    floodPenalties: counter('zloer_flood_penalties_total', 'Penalties for sockets that keep exceeding their event rate limits, by penalty', ['penalty']),
+    invalidEvents: counter('zloer_invalid_events_total', 'Socket events rejected by schema validation, by event (unknown events not included)', ['event']),
+    signals: counter('zloer_signals_total', 'WebRTC signaling messages relayed, by type', ['type']),
+    chatMessages: counter('zloer_chat_messages_total', 'Chat messages sent'),
+    qualityReports: counter('zloer_quality_reports_total', 'Client connection-quality reports, by worst label', ['quality']),
+    turnVerifications: counter('zloer_turn_verifications_total', 'Client TURN checks, by whether the relay was used', ['relay']),
+    rtt: histogram('zloer_client_rtt_milliseconds', 'Client-reported round-trip time to peers', [25, 50, 100, 150, 200, 300, 400, 600, 1000, 2000]),
+    packetLoss: histogram('zloer_client_packet_loss_percent', 'Client-reported packet loss', [0.1, 0.5, 1, 2, 3, 5, 10, 20, 50]),
+    bitrate: histogram('zloer_client_bitrate_kbps', 'Client-reported receive bitrate', [50, 150, 300, 600, 1000, 1500, 2500, 4000, 8000])
+  };
+
+  // Export zeroes before the first event so rate() works from the start
+  QUALITY_LABELS.forEach(quality => metrics.qualityReports.inc({ quality }, 0));
+  RATE_LIMIT_KINDS.forEach(kind => metrics.rateLimitRejections.inc({ kind }, 0));
+  FLOOD_PENALTIES.forEach(penalty => metrics.floodPenalties.inc({ penalty }, 0));
+
+  metrics.countSignal = (type) => {
+    metrics.signals.inc({ type: SIGNAL_TYPES.has(type) ? type : 'other' });
+  };
+
+  // One client report: any of rtt, packetLoss, bitrate may be missing
+  metrics.observeQuality = (report) => {
+    Object.entries(SAMPLE_LIMITS).forEach(([key, max]) => {
+      const value = report[key];
+      if (Number.isFinite(value) && value >= 0 && value <= max) {
+        metrics[key].observe(value);
+      }
+    });
+  };
+
+  return metrics;
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,308 @@
+// Rolling time series of client WebRTC quality reports, per room and per peer, so a call can
+// be charted after it ended. Samples come from connection-quality and webrtc-stats reports;
+// turn-verification sets the candidate type (relay vs direct) carried on later samples. In a
+// mesh each peer link reports its own; a peer's type is its most indirect link's, so one
+// relayed link shows the peer as relayed whichever link reported last
+//
+// Kept in memory for the retention period. With a directory configured, every sample is also
+// appended to <dir>/<roomId>.jsonl (one JSON object per line) and queries stream that file, so
+// history survives restarts; prune() cuts expired lines off the front of files still in use.
+// History is per instance unless the directory is shared
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('./logger');
+
+const ROOM_ID_PATTERN = /^[a-zA-Z0-9_-]{1,50}$/;
+
+// Most indirect first
+const CANDIDATE_TYPE_ORDER = ['relay', 'prflx', 'srflx', 'direct', 'host'];
+
+class QualityHistory {
+  constructor({ dir = null, retentionMs, maxSamples }) {
+    this.dir = dir;
+    this.retentionMs = retentionMs;
+    this.maxSamples = maxSamples; // per peer
+    this.rooms = new Map(); // roomId -> { startedAt, lastAt, peers: Map(socketId -> { nickname, candidateType, links, samples }) }
+    this.writes = new Map(); // roomId -> pending append chain
+  }
+
+  async init() {
+    if (this.dir) {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+    }
+  }
+
+  isValidRoomId(roomId) {
+    return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId);
+  }
+
+  getPeer(roomId, socketId, nickname) {
+    let room = this.rooms.get(roomId);
+    if (!room) {
+      room = { startedAt: Date.now(), lastAt: Date.now(), peers: new Map() };
+      this.rooms.set(roomId, room);
+    }
+
+    let peer = room.peers.get(socketId);
+    if (!peer) {
+      peer = { nickname, candidateType: null, links: new Map(), samples: [] }; // links: linkId -> candidate type
+      room.peers.set(socketId, peer);
+    }
+    peer.nickname = nickname;
+    return { room, peer };
+  }
+
+  // sample: any of { bitrate (kbps), packetLoss (%), rtt (ms), quality }
+  record(roomId, socketId, nickname, sample) {
+    if (!this.isValidRoomId(roomId)) return;
+
+    const { room, peer } = this.getPeer(roomId, socketId, nickname);
+    const entry = { at: Date.now(), ...sample, candidateType: peer.candidateType };
+
+    peer.samples.push(entry);
+    if (peer.samples.length > this.maxSamples) {
+      peer.samples.splice(0, peer.samples.length - this.maxSamples);
+    }
+    room.lastAt = entry.at;
+
+    this.persist(roomId, { socketId, nickname, ...entry });
+  }
+
+  // 'relay' (TURN) or the ICE candidate type of a direct connection ('host', 'srflx', ...) of
+  // one of the peer's links (linkId: the other end's socket id, or 'sfu')
+  setCandidateType(roomId, socketId, nickname, candidateType, linkId = null) {
+    if (!this.isValidRoomId(roomId)) return;
+
+    const { peer } = this.getPeer(roomId, socketId, nickname);
+    peer.links.set(linkId, candidateType);
+    this.updateCandidateType(roomId, socketId, peer);
+  }
+
+  // The peer left the room: drop its links, and the other peers' links to it
+  removeLinks(roomId, socketId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    for (const [peerId, peer] of room.peers) {
+      if (peerId === socketId) {
+        peer.links.clear();
+      } else if (peer.links.delete(socketId)) {
+        this.updateCandidateType(roomId, peerId, peer);
+      }
+    }
+  }
+
+  // Record a sample when the peer's overall type changes
+  updateCandidateType(roomId, socketId, peer) {
+    const types = [...peer.links.values()];
+    const candidateType = CANDIDATE_TYPE_ORDER.find(type => types.includes(type)) || types[0] || null;
+    if (candidateType === null || candidateType === peer.candidateType) return;
+
+    peer.candidateType = candidateType;
+    this.record(roomId, socketId, peer.nickname, {});
+  }
+
+  getFile(roomId) {
+    return path.join(this.dir, `${roomId}.jsonl`);
+  }
+
+  // Appends are chained per room so lines land in order; a failed write only costs that line
+  persist(roomId, line) {
+    if (!this.dir) return;
+
+    this.enqueue(roomId, () => fs.promises.appendFile(this.getFile(roomId), JSON.stringify(line) + '\n'))
+      .catch(error => logger.error('Could not persist quality sample', { roomId, error }));
+  }
+
+  // Run a file operation after the room's earlier ones
+  enqueue(roomId, task) {
+    const previous = this.writes.get(roomId) || Promise.resolve();
+    const run = previous.then(task);
+    const write = run.catch(() => {});
+
+    this.writes.set(roomId, write);
+    write.then(() => {
+      if (this.writes.get(roomId) === write) {
+        this.writes.delete(roomId);
+      }
+    });
+    return run;
+  }
+
+  // Peers with samples in [from, to], optionally a single peer. The file, when there is one,
+  // also holds samples from before a restart, so it wins over memory
+  async query(roomId, { from = 0, to = Infinity, socketId = null } = {}) {
+    if (!this.isValidRoomId(roomId)) return null;
+
+    let peers;
+    if (this.dir) {
+      await this.writes.get(roomId);
+      peers = await this.readRoom(roomId, { from, to, socketId });
+    } else {
+      peers = this.rooms.get(roomId)?.peers;
+    }
+    if (!peers) return null;
+
+    const result = [];
+    for (const [peerId, peer] of peers) {
+      if (socketId && peerId !== socketId) continue;
+      const samples = peer.samples.filter(sample => sample.at >= from && sample.at <= to);
+      if (samples.length > 0) {
+        result.push({ socketId: peerId, nickname: peer.nickname, samples });
+      }
+    }
+
+    return { roomId, from, to: Number.isFinite(to) ? to : Date.now(), peers: result };
+  }
+
+  // Reads the room's file line by line, keeping only samples in range and, like memory, at most
+  // maxSamples (the latest) per peer
+  async readRoom(roomId, { from = 0, to = Infinity, socketId = null } = {}) {
+    if (!this.dir) return null;
+
+    let handle;
+    try {
+      handle = await fs.promises.open(this.getFile(roomId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const peers = new Map();
+    try {
+      for await (const line of this.readLines(handle)) {
+        if (!line.at || line.at < from || line.at > to || (socketId && line.socketId !== socketId)) continue;
+
+        const { socketId: peerId, nickname, ...sample } = line;
+        if (!peers.has(peerId)) {
+          peers.set(peerId, { nickname, samples: [] });
+        }
+        const samples = peers.get(peerId).samples;
+        samples.push(sample);
+        // Trim in batches rather than shifting one sample at a time
+        if (samples.length >= this.maxSamples * 2) {
+          samples.splice(0, samples.length - this.maxSamples);
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+
+    peers.forEach(peer => {
+      if (peer.samples.length > this.maxSamples) {
+        peer.samples.splice(0, peer.samples.length - this.maxSamples);
+      }
+    });
+    return peers;
+  }
+
+  async *readLines(handle) {
+    const lines = readline.createInterface({ input: handle.createReadStream({ autoClose: false }), crlfDelay: Infinity });
+    for await (const text of lines) {
+      if (!text) continue;
+      try {
+        yield JSON.parse(text);
+      } catch {
+        // Skip a line cut short by a crash
+      }
+    }
+  }
+
+  // Rewrite a room's file without samples from before the cutoff. Lines are appended in time
+  // order, so when the first one is still current there is nothing to cut
+  async trimFile(roomId, cutoff) {
+    const file = this.getFile(roomId);
+    const handle = await fs.promises.open(file);
+    const temp = `${file}.tmp`;
+    let output = null;
+
+    try {
+      for await (const line of this.readLines(handle)) {
+        if (!output) {
+          if (line.at >= cutoff) return;
+          output = fs.createWriteStream(temp);
+        }
+        if (line.at >= cutoff && !output.write(JSON.stringify(line) + '\n')) {
+          await new Promise(resolve => output.once('drain', resolve));
+        }
+      }
+    } catch (error) {
+      output?.destroy();
+      await fs.promises.rm(temp, { force: true });
+      throw error;
+    } finally {
+      await handle.close();
+    }
+
+    if (!output) return;
+    await new Promise((resolve, reject) => {
+      output.on('error', reject);
+      output.end(resolve);
+    });
+    await fs.promises.rename(temp, file);
+  }
+
+  // Rooms with history, newest first: in memory, plus files on disk for earlier ones
+  async list() {
+    const rooms = new Map();
+
+    if (this.dir) {
+      for (const file of await fs.promises.readdir(this.dir)) {
+        const roomId = file.replace(/\.jsonl$/, '');
+        if (file.endsWith('.jsonl') && this.isValidRoomId(roomId)) {
+          const { mtimeMs } = await fs.promises.stat(path.join(this.dir, file));
+          rooms.set(roomId, { roomId, lastAt: Math.round(mtimeMs), persisted: true });
+        }
+      }
+    }
+
+    for (const [roomId, room] of this.rooms) {
+      rooms.set(roomId, {
+        roomId,
+        startedAt: room.startedAt,
+        lastAt: room.lastAt,
+        peers: room.peers.size,
+        persisted: !!this.dir
+      });
+    }
+
+    return Array.from(rooms.values()).sort((a, b) => b.lastAt - a.lastAt);
+  }
+
+  // Drop samples (and rooms, and files) older than the retention period
+  async prune() {
+    const cutoff = Date.now() - this.retentionMs;
+
+    for (const [roomId, room] of this.rooms) {
+      for (const [socketId, peer] of room.peers) {
+        peer.samples = peer.samples.filter(sample => sample.at >= cutoff);
+        if (peer.samples.length === 0) {
+          room.peers.delete(socketId);
+        }
+      }
+      if (room.peers.size === 0) {
+        this.rooms.delete(roomId);
+      }
+    }
+
+    if (!this.dir) return;
+
+    for (const file of await fs.promises.readdir(this.dir)) {
+      const roomId = file.replace(/\.jsonl$/, '');
+      if (!file.endsWith('.jsonl') || !this.isValidRoomId(roomId)) continue;
+
+      // Nothing written since the cutoff: the whole file has expired
+      await this.enqueue(roomId, async () => {
+        const { mtimeMs } = await fs.promises.stat(this.getFile(roomId));
+        if (mtimeMs < cutoff) {
+          await fs.promises.rm(this.getFile(roomId), { force: true });
+        } else {
+          await this.trimFile(roomId, cutoff);
+        }
+      }).catch(error => logger.error('Could not prune quality history', { roomId, error }));
+    }
+  }
+}
+
+module.exports = QualityHistory;
@@ -0,0 +1,113 @@
+// Per-socket flood protection: a token bucket for each event type, and penalties that
+// escalate when a client keeps hitting them
+//
+// Each event's `rate` in lib/events.js sizes its bucket: `limit` tokens, refilled evenly
+// over `windowMs`, so bursts up to `limit` pass and the sustained rate is limit per window.
+//   EVENT_RATE_LIMITS=   comma-separated event=tokens/seconds overrides, e.g.
+//                        "chat-message=5/10,signal=600/10"
+//
+// Refused events count as a violation (strike) at most once a second per event type, so
+// penalties grow with how long a flood lasts, not with how many messages it drops. Strikes
+// older than RATE_LIMIT_STRIKE_WINDOW seconds are forgotten; while they add up the penalty grows:
+//   warn         below RATE_LIMIT_MUTE_AFTER strikes
+//   mute         chat refused for RATE_LIMIT_MUTE_SECONDS (extended by further strikes)
+//   disconnect   at RATE_LIMIT_DISCONNECT_AFTER strikes
+const { EVENTS } = require('./events');
+
+const CHAT_EVENTS = new Set(['chat-message', 'chat-edit', 'chat-react']);
+const STRIKE_INTERVAL = 1000;
+
+function parseRateLimits(value) {
+  const rates = new Map();
+  String(value || '').split(',').forEach(rule => {
+    const [event, rate] = rule.split('=').map(part => part.trim());
+    const [limit, seconds] = String(rate).split('/').map(Number);
+    if (Object.prototype.hasOwnProperty.call(EVENTS, event) && Number.isInteger(limit) && limit > 0 && seconds > 0) {
+      rates.set(event, { limit, windowMs: seconds * 1000 });
+    }
+  });
+  return rates;
+}
+
+// Bucket sizes for every event: lib/events.js defaults with the overrides applied
+function getEventRates(overrides = new Map()) {
+  const rates = new Map();
+  Object.entries(EVENTS).forEach(([event, spec]) => rates.set(event, overrides.get(event) || spec.rate));
+  return rates;
+}
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+}
+
+class EventRateLimiter {
+  constructor(rates, { muteAfter = 3, disconnectAfter = 6, muteMs = 60000, strikeWindowMs = 60000 } = {}) {
+    this.rates = rates; // event -> { limit, windowMs }
+    this.muteAfter = muteAfter;
+    this.disconnectAfter = disconnectAfter;
+    this.muteMs = muteMs;
+    this.strikeWindowMs = strikeWindowMs;
+
+    this.buckets = new Map(); // event -> { tokens, updatedAt, struckAt }
+    this.strikes = []; // timestamps
+    this.mutedUntil = 0;
+  }
+
+  // { allowed: true } or { allowed: false, retryAfter (s), penalty (null | 'warn' | 'mute' | 'disconnect'), strikes }
+  hit(event, now = Date.now()) {
+    const { limit, windowMs } = this.rates.get(event);
+    let bucket = this.buckets.get(event);
+    if (!bucket) {
+      bucket = { tokens: limit, updatedAt: now, struckAt: -Infinity };
+      this.buckets.set(event, bucket);
+    }
+
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * limit / windowMs);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens--;
+      return { allowed: true };
+    }
+
+    const retryAfter = Math.ceil((1 - bucket.tokens) * windowMs / limit / 1000);
+    if (now - bucket.struckAt < STRIKE_INTERVAL) {
+      return { allowed: false, retryAfter, penalty: null, strikes: this.strikes.length };
+    }
+
+    bucket.struckAt = now;
+    this.strikes = this.strikes.filter(time => now - time < this.strikeWindowMs);
+    this.strikes.push(now);
+
+    let penalty = 'warn';
+    if (this.strikes.length >= this.disconnectAfter) {
+      penalty = 'disconnect';
+    } else if (this.strikes.length >= this.muteAfter) {
+      penalty = 'mute';
+      this.mutedUntil = now + this.muteMs;
+    }
+
+    return { allowed: false, retryAfter, penalty, strikes: this.strikes.length };
+  }
+
+  // Milliseconds of chat mute left for this event, 0 when it may go through
+  chatMutedFor(event, now = Date.now()) {
+    return CHAT_EVENTS.has(event) ? Math.max(0, this.mutedUntil - now) : 0;
+  }
+}
+
+// Limits and penalties from the environment, shared by every socket of this process
+function createRateLimitConfig(env = process.env) {
+  return {
+    rates: getEventRates(parseRateLimits(env.EVENT_RATE_LIMITS)),
+    penalties: {
+      muteAfter: readPositiveInt(env.RATE_LIMIT_MUTE_AFTER, 3),
+      disconnectAfter: readPositiveInt(env.RATE_LIMIT_DISCONNECT_AFTER, 6),
+      muteMs: readPositiveInt(env.RATE_LIMIT_MUTE_SECONDS, 60) * 1000,
+      strikeWindowMs: readPositiveInt(env.RATE_LIMIT_STRIKE_WINDOW, 60) * 1000
+    }
+  };
+}
+
+module.exports = { EventRateLimiter, createRateLimitConfig, parseRateLimits };
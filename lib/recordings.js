@@ -0,0 +1,233 @@
+// Room recordings: the host's browser mixes every participant into one WebM stream
+// (MediaRecorder) and uploads it in chunks; the server appends them to disk and keeps
+// a JSON sidecar of join/leave/chat events
+//
+// Files in RECORDINGS_DIR:
+//   <id>.webm          the recording (made seekable when it is finished)
+//   <id>.events.jsonl  event log while recording, one JSON object per line
+//   <id>.json          sidecar written on finish: { id, roomId, startedAt, endedAt, ..., events }
+//
+// maxBytes and maxDurationMs cap a recording: the chunk that would cross either is refused and
+// the caller finishes the recording, so one uploader cannot fill the disk
+//
+// MediaRecorder output has no duration or cues, so players cannot seek in it. finish()
+// rewrites the header with both (ts-ebml), streaming the file so large recordings stay cheap
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Decoder, Reader, tools } = require('ts-ebml');
+const logger = require('./logger');
+
+const ID_PATTERN = /^[a-zA-Z0-9_-]{1,100}$/;
+
+// ts-ebml returns the ArrayBuffer behind a Buffer.concat result, which for small headers is
+// Node's shared 8 KB pool rather than the header alone. Disable pooling for the (synchronous) call
+function encodeSeekableMetadata(reader) {
+  const poolSize = Buffer.poolSize;
+  Buffer.poolSize = 0;
+  try {
+    return Buffer.from(tools.makeMetadataSeekable(reader.metadatas, reader.duration, reader.cues));
+  } finally {
+    Buffer.poolSize = poolSize;
+  }
+}
+
+class RecordingManager {
+  constructor({ dir, maxBytes = Infinity, maxDurationMs = Infinity }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.maxDurationMs = maxDurationMs;
+    this.active = new Map(); // id -> { roomId, uploaderId, startedAt, startedBy, bytes, chunks }
+  }
+
+  async init() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+  }
+
+  isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+  }
+
+  filePath(id, ext) {
+    if (!this.isValidId(id)) throw new Error('Invalid recording id');
+    return path.join(this.dir, `${id}.${ext}`);
+  }
+
+  async start(roomId, { uploaderId, startedBy, participants }) {
+    const startedAt = Date.now();
+    const id = `${roomId.replace(/[^a-zA-Z0-9_-]/g, '').substring(0, 60) || 'room'}-${startedAt}`;
+
+    await fs.promises.writeFile(this.filePath(id, 'webm'), Buffer.alloc(0));
+    this.active.set(id, { roomId, uploaderId, startedAt, startedBy, bytes: 0, chunks: 0, writes: Promise.resolve() });
+    await this.logEvent(id, { type: 'recording-started', startedBy, participants });
+
+    return { id, startedAt };
+  }
+
+  // Active recordings live in this process only, so lookups are by local socket id or room
+  findByRoom(roomId) {
+    for (const [id, recording] of this.active) {
+      if (recording.roomId === roomId) return { id, ...recording };
+    }
+    return null;
+  }
+
+  findByUploader(socketId) {
+    for (const [id, recording] of this.active) {
+      if (recording.uploaderId === socketId) return { id, ...recording };
+    }
+    return null;
+  }
+
+  // The uploader resumed its session under a new socket id
+  renameUploader(oldSocketId, socketId) {
+    for (const recording of this.active.values()) {
+      if (recording.uploaderId === oldSocketId) {
+        recording.uploaderId = socketId;
+      }
+    }
+  }
+
+  // Chunks come from a single uploader in order; appends are chained so they land in that order.
+  // Resolves to null once stored, or why the chunk was refused: 'not-active', or 'max-bytes' /
+  // 'max-duration' for the first chunk past a limit (the recording should then be finished)
+  async appendChunk(id, uploaderId, chunk, now = Date.now()) {
+    const recording = this.active.get(id);
+    if (!recording || recording.uploaderId !== uploaderId || recording.limitReached) return 'not-active';
+
+    // Counted before the write so chunks sent without waiting for their acks cannot overshoot
+    const limit = recording.bytes + chunk.length > this.maxBytes ? 'max-bytes'
+      : now - recording.startedAt > this.maxDurationMs ? 'max-duration'
+      : null;
+    if (limit) {
+      recording.limitReached = limit;
+      return limit;
+    }
+    recording.bytes += chunk.length;
+
+    const write = recording.writes.then(() => fs.promises.appendFile(this.filePath(id, 'webm'), chunk));
+    recording.writes = write.catch(() => {});
+    try {
+      await write;
+    } catch (error) {
+      recording.bytes -= chunk.length;
+      throw error;
+    }
+    recording.chunks++;
+    return null;
+  }
+
+  async logRoomEvent(roomId, event) {
+    const recording = this.findByRoom(roomId);
+    if (recording) {
+      await this.logEvent(recording.id, event);
+    }
+  }
+
+  async logEvent(id, event) {
+    if (!this.active.has(id)) return;
+    const line = JSON.stringify({ ...event, at: event.at || Date.now() }) + '\n';
+    await fs.promises.appendFile(this.filePath(id, 'events.jsonl'), line);
+  }
+
+  async finish(id, { stoppedBy } = {}) {
+    const recording = this.active.get(id);
+    if (!recording) return null;
+
+    await this.logEvent(id, { type: 'recording-stopped', stoppedBy });
+    this.active.delete(id);
+    await recording.writes;
+
+    const endedAt = Date.now();
+    const events = await this.readEvents(id);
+
+    let seekable = false;
+    if (recording.bytes > 0) {
+      try {
+        await this.makeSeekable(id);
+        seekable = true;
+      } catch (error) {
+        logger.error('Could not add cues to recording', { recordingId: id, error });
+      }
+    }
+
+    const sidecar = {
+      id,
+      roomId: recording.roomId,
+      startedAt: recording.startedAt,
+      endedAt,
+      durationMs: endedAt - recording.startedAt,
+      startedBy: recording.startedBy,
+      size: (await fs.promises.stat(this.filePath(id, 'webm'))).size,
+      seekable,
+      events
+    };
+
+    await fs.promises.writeFile(this.filePath(id, 'json'), JSON.stringify(sidecar, null, 2));
+    await fs.promises.rm(this.filePath(id, 'events.jsonl'), { force: true });
+
+    return sidecar;
+  }
+
+  async readEvents(id) {
+    try {
+      const log = await fs.promises.readFile(this.filePath(id, 'events.jsonl'), 'utf8');
+      return log.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Rewrite the WebM header with Duration and Cues, then copy the clusters behind it
+  async makeSeekable(id) {
+    const source = this.filePath(id, 'webm');
+    const target = this.filePath(id, 'webm.tmp');
+
+    const decoder = new Decoder();
+    const reader = new Reader();
+    reader.logging = false;
+    reader.drop_default_duration = false;
+
+    for await (const chunk of fs.createReadStream(source, { highWaterMark: 1024 * 1024 })) {
+      decoder.decode(chunk).forEach(element => reader.read(element));
+    }
+    reader.stop();
+
+    const metadata = encodeSeekableMetadata(reader);
+
+    const output = fs.createWriteStream(target);
+    output.write(metadata);
+    await pipeline(fs.createReadStream(source, { start: reader.metadataSize }), output);
+    await fs.promises.rename(target, source);
+  }
+
+  // Finished recordings (those with a sidecar), newest first
+  async list() {
+    const files = await fs.promises.readdir(this.dir);
+    const recordings = [];
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const { events, ...summary } = JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8'));
+        recordings.push({ ...summary, eventCount: events.length });
+      } catch (error) {
+        logger.warn('Skipping unreadable recording sidecar', { file, error: error.message });
+      }
+    }
+
+    return recordings.sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  async exists(id) {
+    if (!this.isValidId(id)) return false;
+    try {
+      await fs.promises.access(this.filePath(id, 'json'));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = RecordingManager;
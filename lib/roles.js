@@ -0,0 +1,45 @@
+// Room roles, highest first. The owner is always room.host; moderators and viewers are
+// kept in room.roles (socketId -> role) and everyone else is a member
+//
+//   owner      everything, including room settings, recording and assigning roles
+//   moderator  kick/ban/mute lower roles, delete their chat messages and admit lobby users
+//   member     talk, share video and chat
+//   viewer     watch only: no chat, microphone or camera
+const ROLES = ['owner', 'moderator', 'member', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  owner: new Set(['kick', 'ban', 'mute', 'moderate-chat', 'admit', 'manage-room', 'record', 'set-role', 'chat', 'publish']),
+  moderator: new Set(['kick', 'ban', 'mute', 'moderate-chat', 'admit', 'chat', 'publish']),
+  member: new Set(['chat', 'publish']),
+  viewer: new Set()
+};
+
+function getRole(room, socketId) {
+  if (room.host === socketId) return 'owner';
+  return (room.roles && room.roles[socketId]) || 'member';
+}
+
+function hasPermission(room, socketId, permission) {
+  return ROLE_PERMISSIONS[getRole(room, socketId)].has(permission);
+}
+
+// Acting on someone (kick, ban, mute, role change) needs a strictly higher role
+function outranks(room, actorId, targetId) {
+  return ROLES.indexOf(getRole(room, actorId)) < ROLES.indexOf(getRole(room, targetId));
+}
+
+// Role of every user in the room, as sent to clients
+function getRoomRoles(room) {
+  const roles = {};
+  for (const socketId of room.users) {
+    roles[socketId] = getRole(room, socketId);
+  }
+  return roles;
+}
+
+// Users allowed to do something, e.g. everyone who sees the lobby queue
+function getUsersWithPermission(room, permission) {
+  return Array.from(room.users).filter(socketId => hasPermission(room, socketId, permission));
+}
+
+module.exports = { ROLES, ROLE_PERMISSIONS, getRole, hasPermission, outranks, getRoomRoles, getUsersWithPermission };
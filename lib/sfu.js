@@ -0,0 +1,353 @@
+// Selective Forwarding Unit: the server joins an SFU room as one more WebRTC peer
+// Every client publishes its tracks to the server once and receives everyone else's
+// tracks over the same connection, instead of uploading one copy per peer (mesh)
+//
+// Negotiation reuses the regular `signal` event with `to: 'sfu'`:
+//   client -> offer               server -> answer       (client publishes)
+//   server -> renegotiate-offer   client -> renegotiate-answer (server adds/removes forwarded tracks)
+//   client -> renegotiate-offer   server -> renegotiate-answer (client tracks changed or ICE restart)
+// In a glare the client is the polite side (public/js/negotiation.js)
+// Server offers carry `tracks: { mid: publisherSocketId }` so clients know whose tile a track belongs to
+//
+// Publishers send simulcast video (rids q/h/f = quarter/half/full resolution). Each subscriber
+// picks a layer per publisher with `{ type: 'layer-request', publisherId, layer }`, so sidebar
+// thumbnails get the quarter layer and hidden tiles get nothing
+//
+// Media state lives in this process only: with several instances, all members of an
+// SFU room must be connected to the same one (sticky routing by room)
+const {
+  RTCPeerConnection,
+  useOPUS,
+  useVP8,
+  useNACK,
+  usePLI,
+  useREMB,
+  useSdesMid,
+  useSdesRTPStreamId,
+  useRepairedRtpStreamId
+} = require('werift');
+const logger = require('./logger');
+
+const SFU_PEER_ID = 'sfu';
+
+// Simulcast rids to try for each requested layer, best match first
+const LAYER_RIDS = {
+  high: ['f', 'h', 'q'],
+  medium: ['h', 'q', 'f'],
+  low: ['q', 'h', 'f']
+};
+
+class Sfu {
+  constructor({ sendSignal, iceServers = [], announcedIp, portRange } = {}) {
+    this.sendSignal = sendSignal; // (socketId, signal) => void
+    this.iceServers = iceServers;
+    this.announcedIp = announcedIp;
+    this.portRange = portRange;
+    this.peers = new Map(); // socketId -> { roomId, pc, published, forwarded, negotiating, renegotiate }
+    // published: [{ kind, transceiver, layers: Map(rid -> track) }], rid '' when not simulcast
+    // forwarded: Map(sendonly transceiver -> { publisherId, publication, layer, track })
+  }
+
+  createPeerConnection(socketId) {
+    // One codec per kind: forwarded RTP is never transcoded, so publisher and subscribers must agree
+    const pc = new RTCPeerConnection({
+      iceServers: this.iceServers,
+      iceAdditionalHostAddresses: this.announcedIp ? [this.announcedIp] : undefined,
+      icePortRange: this.portRange,
+      codecs: {
+        audio: [useOPUS()],
+        video: [useVP8({ rtcpFeedback: [useNACK(), usePLI(), useREMB()] })]
+      },
+      headerExtensions: {
+        audio: [useSdesMid()],
+        video: [useSdesMid(), useSdesRTPStreamId(), useRepairedRtpStreamId()]
+      }
+    });
+
+    pc.onIceCandidate.subscribe(candidate => {
+      if (candidate) {
+        this.sendSignal(socketId, { type: 'ice-candidate', candidate: candidate.toJSON() });
+      }
+    });
+
+    pc.ontrack = ({ track, transceiver }) => {
+      this.publish(socketId, track, transceiver);
+    };
+
+    pc.onconnectionstatechange = () => {
+      logger.info('📡 SFU connection state', { socketId, state: pc.connectionState });
+    };
+
+    return pc;
+  }
+
+  async handleSignal(socketId, roomId, signal) {
+    switch (signal.type) {
+      case 'offer':
+        await this.handleOffer(socketId, roomId, signal.offer);
+        break;
+      case 'renegotiate-offer':
+        await this.handleOffer(socketId, roomId, signal.offer, 'renegotiate-answer');
+        break;
+      case 'renegotiate-answer':
+        await this.handleAnswer(socketId, signal.answer);
+        break;
+      case 'layer-request':
+        this.setLayer(socketId, signal.publisherId, signal.layer);
+        break;
+      case 'ice-candidate': {
+        const peer = this.peers.get(socketId);
+        if (peer && signal.candidate) {
+          await peer.pc.addIceCandidate(signal.candidate);
+        }
+        break;
+      }
+      default:
+        logger.warn('SFU: unknown signal type', { event: 'signal', socketId, type: signal.type });
+    }
+  }
+
+  async handleOffer(socketId, roomId, offer, answerType = 'answer') {
+    let peer = this.peers.get(socketId);
+    const isNew = !peer || answerType === 'answer';
+
+    // A fresh offer replaces any previous connection (reload, resumed session)
+    if (peer && answerType === 'answer') {
+      this.removePeer(socketId);
+    }
+
+    // Both sides offered at once: the server is the impolite side and keeps its own offer, the
+    // client rolls back, answers it and offers again
+    if (!isNew && peer.pc.signalingState !== 'stable') {
+      logger.info('SFU: ignoring colliding client offer', { event: 'signal', socketId });
+      return;
+    }
+
+    if (isNew) {
+      peer = {
+        roomId,
+        pc: this.createPeerConnection(socketId),
+        published: [],
+        forwarded: new Map(),
+        idle: [], // forwarding transceivers whose publisher left, reused before adding m-lines
+        negotiating: false,
+        renegotiate: false
+      };
+      this.peers.set(socketId, peer);
+    }
+
+    // Reset on failure too (a bad SDP from the client), or every later renegotiate() would wait forever
+    peer.negotiating = true;
+    try {
+      await peer.pc.setRemoteDescription(offer);
+      const answer = await peer.pc.createAnswer();
+      await peer.pc.setLocalDescription(answer);
+    } finally {
+      peer.negotiating = false;
+    }
+
+    this.sendSignal(socketId, {
+      type: answerType,
+      answer: { type: 'answer', sdp: peer.pc.localDescription.sdp }
+    });
+
+    if (isNew) {
+      // Subscribe the newcomer to everyone already publishing in the room
+      for (const [publisherId, publisher] of this.peers) {
+        if (publisherId === socketId || publisher.roomId !== roomId) continue;
+        publisher.published.forEach(published => this.forward(socketId, publisherId, published));
+      }
+    }
+
+    if (peer.renegotiate || isNew) {
+      await this.renegotiate(socketId);
+    }
+  }
+
+  async handleAnswer(socketId, answer) {
+    const peer = this.peers.get(socketId);
+    if (!peer) return;
+
+    await peer.pc.setRemoteDescription(answer);
+    peer.negotiating = false;
+
+    // New subscriptions need a keyframe before anything can be decoded
+    for (const forwarder of peer.forwarded.values()) {
+      this.requestKeyframe(forwarder);
+    }
+
+    if (peer.renegotiate) {
+      await this.renegotiate(socketId);
+    }
+  }
+
+  // A client's track arrived: forward it to every other client in the room
+  publish(socketId, track, transceiver) {
+    const peer = this.peers.get(socketId);
+    if (!peer) return;
+
+    // Renegotiation re-fires track events; forwarded (sendonly) transceivers are not publications
+    if (peer.forwarded.has(transceiver)) return;
+
+    const rid = track.rid || '';
+    let publication = peer.published.find(p => p.transceiver === transceiver);
+
+    if (publication) {
+      if (publication.layers.get(rid) === track) return;
+
+      // Another simulcast layer of a known publication: subscribers waiting for it can switch
+      publication.layers.set(rid, track);
+      for (const subscriber of this.peers.values()) {
+        for (const [sender, forwarder] of subscriber.forwarded) {
+          if (forwarder.publication === publication) {
+            this.selectLayer(sender, forwarder);
+          }
+        }
+      }
+      return;
+    }
+
+    publication = { kind: track.kind, transceiver, layers: new Map([[rid, track]]) };
+    peer.published.push(publication);
+    logger.info('📡 SFU: track published', { socketId, kind: track.kind, rid: rid || undefined });
+
+    for (const [subscriberId, subscriber] of this.peers) {
+      if (subscriberId === socketId || subscriber.roomId !== peer.roomId) continue;
+      this.forward(subscriberId, socketId, publication);
+      this.renegotiate(subscriberId).catch(error => {
+        logger.error('SFU: renegotiation failed', { socketId: subscriberId, error });
+      });
+    }
+  }
+
+  forward(subscriberId, publisherId, publication) {
+    const subscriber = this.peers.get(subscriberId);
+    const forwarder = { publisherId, publication, layer: 'high', track: null };
+
+    // An idle transceiver of the same kind keeps the SDP from growing an m-line per publisher
+    const idle = subscriber.idle.findIndex(transceiver => transceiver.kind === publication.kind);
+    let sender;
+    if (idle !== -1) {
+      [sender] = subscriber.idle.splice(idle, 1);
+      sender.setDirection('sendonly');
+    } else {
+      sender = subscriber.pc.addTransceiver(publication.kind, { direction: 'sendonly' });
+    }
+
+    // Subscriber lost a picture: ask the publisher for a keyframe
+    forwarder.unsubscribe = sender.sender.onPictureLossIndication.subscribe(() => {
+      this.requestKeyframe(forwarder);
+    }).unSubscribe;
+
+    subscriber.forwarded.set(sender, forwarder);
+    this.selectLayer(sender, forwarder);
+  }
+
+  // Subscriber asked for another layer of one publisher's video ('high' | 'medium' | 'low' | 'off')
+  setLayer(subscriberId, publisherId, layer) {
+    const subscriber = this.peers.get(subscriberId);
+    if (!subscriber || (!LAYER_RIDS[layer] && layer !== 'off')) return;
+
+    for (const [sender, forwarder] of subscriber.forwarded) {
+      if (forwarder.publisherId === publisherId && forwarder.publication.kind === 'video') {
+        forwarder.layer = layer;
+        this.selectLayer(sender, forwarder);
+      }
+    }
+  }
+
+  // Point the forwarder at the best available layer; nothing is sent while 'off'
+  selectLayer(sender, forwarder) {
+    const { layers, kind } = forwarder.publication;
+    const rids = kind === 'video' && forwarder.layer !== 'off' ? [...LAYER_RIDS[forwarder.layer], ''] : [''];
+    const track = forwarder.layer === 'off' ? null : rids.map(rid => layers.get(rid)).find(Boolean) || null;
+
+    if (track === forwarder.track) return;
+
+    forwarder.track = track;
+    sender.sender.replaceTrack(track).catch(error => {
+      logger.error('SFU: layer switch failed', { error });
+    });
+    this.requestKeyframe(forwarder);
+  }
+
+  requestKeyframe({ publication, track }) {
+    if (!track || publication.kind !== 'video') return;
+    publication.transceiver.receiver.sendRtcpPLI(track.ssrc).catch(() => {});
+  }
+
+  // Server-initiated offer after forwarded tracks changed; coalesced while a negotiation is running
+  async renegotiate(socketId) {
+    const peer = this.peers.get(socketId);
+    if (!peer) return;
+
+    if (peer.negotiating || peer.pc.signalingState !== 'stable') {
+      peer.renegotiate = true;
+      return;
+    }
+
+    peer.renegotiate = false;
+    peer.negotiating = true;
+
+    // Cleared by handleAnswer() on success; on failure here no answer will ever come
+    try {
+      const offer = await peer.pc.createOffer();
+      await peer.pc.setLocalDescription(offer);
+    } catch (error) {
+      peer.negotiating = false;
+      throw error;
+    }
+
+    const tracks = {};
+    for (const [transceiver, { publisherId }] of peer.forwarded) {
+      if (transceiver.mid) {
+        tracks[transceiver.mid] = publisherId;
+      }
+    }
+
+    this.sendSignal(socketId, {
+      type: 'renegotiate-offer',
+      offer: { type: 'offer', sdp: peer.pc.localDescription.sdp },
+      tracks
+    });
+  }
+
+  // Client left the room (or the SFU): stop its connection and its forwarded tracks
+  removePeer(socketId) {
+    const peer = this.peers.get(socketId);
+    if (!peer) return;
+
+    this.peers.delete(socketId);
+    peer.pc.close().catch(() => {});
+
+    for (const [subscriberId, subscriber] of this.peers) {
+      if (subscriber.roomId !== peer.roomId) continue;
+
+      let changed = false;
+      // Parked rather than removed (removeTrack stops the sender for good) so forward() can reuse it
+      for (const [transceiver, forwarder] of subscriber.forwarded) {
+        if (forwarder.publisherId !== socketId) continue;
+        forwarder.unsubscribe();
+        transceiver.sender.replaceTrack(null).catch(() => {});
+        transceiver.setDirection('inactive');
+        subscriber.forwarded.delete(transceiver);
+        subscriber.idle.push(transceiver);
+        changed = true;
+      }
+
+      if (changed) {
+        this.renegotiate(subscriberId).catch(error => {
+          logger.error('SFU: renegotiation failed', { socketId: subscriberId, error });
+        });
+      }
+    }
+
+    logger.info('📡 SFU: peer removed', { socketId });
+  }
+
+  countPeers() {
+    return this.peers.size;
+  }
+}
+
+module.exports = { Sfu, SFU_PEER_ID };
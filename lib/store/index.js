@@ -0,0 +1,19 @@
+// State store selection: in-memory by default, Redis when REDIS_URL is configured
+const MemoryStore = require('./memory-store');
+const RedisStore = require('./redis-store');
+
+function createStore(options = {}) {
+  const url = options.url !== undefined ? options.url : process.env.REDIS_URL;
+
+  if (options.client || url) {
+    return new RedisStore({
+      client: options.client,
+      url,
+      keyPrefix: options.keyPrefix || process.env.REDIS_KEY_PREFIX || 'zloer:'
+    });
+  }
+
+  return new MemoryStore();
+}
+
+module.exports = { createStore, MemoryStore, RedisStore };
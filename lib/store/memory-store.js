@@ -0,0 +1,259 @@
+// In-process state store (default backend, single instance only)
+// Same async interface as RedisStore so server.js does not care which one it gets
+
+class MemoryStore {
+  constructor() {
+    this.rooms = new Map(); // roomId -> { host, created, maxUsers, ... }
+    this.roomUsers = new Map(); // roomId -> Set(socketId)
+    this.pendingUsers = new Map(); // roomId -> Map(socketId -> { nickname, requestedAt })
+    this.users = new Map(); // socketId -> { roomId, nickname, joinedAt }
+    this.connections = new Map(); // IP -> [timestamps]
+    this.chatHistory = new Map(); // roomId -> [messages], oldest first
+    this.sessions = new Map(); // reconnect token -> { session, expiresAt }
+    this.bans = new Map(); // roomId -> Map(banId -> ban)
+    this.quality = new Map(); // socketId -> { report, expiresAt }, latest connection-quality report
+  }
+
+  async connect() {}
+
+  async close() {}
+
+  // Rooms are returned as copies so callers cannot bypass the store by mutating them
+  toRoom(roomId) {
+    const meta = this.rooms.get(roomId);
+    if (!meta) return null;
+    return { ...meta, id: roomId, users: new Set(this.roomUsers.get(roomId)) };
+  }
+
+  async getRoom(roomId) {
+    return this.toRoom(roomId);
+  }
+
+  // Returns true only if the room did not exist yet
+  async createRoom(roomId, room) {
+    if (this.rooms.has(roomId)) return false;
+    const { users, id, ...meta } = room;
+    this.rooms.set(roomId, meta);
+    this.roomUsers.set(roomId, new Set());
+    return true;
+  }
+
+  async updateRoom(roomId, patch) {
+    const meta = this.rooms.get(roomId);
+    if (!meta) return null;
+    const { users, id, ...fields } = patch;
+    this.rooms.set(roomId, { ...meta, ...fields });
+    return this.toRoom(roomId);
+  }
+
+  async deleteRoom(roomId) {
+    this.rooms.delete(roomId);
+    this.roomUsers.delete(roomId);
+    this.pendingUsers.delete(roomId);
+  }
+
+  async listRooms() {
+    return Array.from(this.rooms.keys()).map(roomId => this.toRoom(roomId));
+  }
+
+  async countRooms() {
+    return this.rooms.size;
+  }
+
+  // Returns the number of users in the room after the change
+  async addRoomUser(roomId, socketId) {
+    const users = this.roomUsers.get(roomId);
+    if (!users) return 0;
+    users.add(socketId);
+    return users.size;
+  }
+
+  async removeRoomUser(roomId, socketId) {
+    const users = this.roomUsers.get(roomId);
+    if (!users) return 0;
+    users.delete(socketId);
+    return users.size;
+  }
+
+  // Lobby queue: users waiting for the host to admit them
+  async addPendingUser(roomId, socketId, entry) {
+    if (!this.pendingUsers.has(roomId)) {
+      this.pendingUsers.set(roomId, new Map());
+    }
+    this.pendingUsers.get(roomId).set(socketId, { ...entry });
+  }
+
+  // Returns the removed entry, or null if the user was no longer waiting
+  async removePendingUser(roomId, socketId) {
+    const pending = this.pendingUsers.get(roomId);
+    const entry = pending?.get(socketId);
+    if (!entry) return null;
+    pending.delete(socketId);
+    return { socketId, ...entry };
+  }
+
+  async getPendingUsers(roomId) {
+    const pending = this.pendingUsers.get(roomId) || new Map();
+    return Array.from(pending.entries())
+      .map(([socketId, entry]) => ({ socketId, ...entry }))
+      .sort((a, b) => a.requestedAt - b.requestedAt);
+  }
+
+  async getUser(socketId) {
+    const user = this.users.get(socketId);
+    return user ? { ...user } : null;
+  }
+
+  async setUser(socketId, user) {
+    this.users.set(socketId, { ...user });
+  }
+
+  async deleteUser(socketId) {
+    this.users.delete(socketId);
+    this.quality.delete(socketId);
+  }
+
+  async listUsers() {
+    return Array.from(this.users.entries()).map(([socketId, user]) => ({ socketId, ...user }));
+  }
+
+  async countUsers() {
+    return this.users.size;
+  }
+
+  // Chat history outlives the room so a lone user who reconnects still sees it
+  async appendChatMessage(roomId, message, { maxMessages, retentionMs }) {
+    const messages = this.chatHistory.get(roomId) || [];
+    messages.push({ ...message });
+    const cutoff = Date.now() - retentionMs;
+    const kept = messages.filter(m => m.timestamp >= cutoff).slice(-maxMessages);
+    this.chatHistory.set(roomId, kept);
+  }
+
+  // Up to `limit` messages between `after` and `before`, oldest first. With `visibleTo`,
+  // private messages (those with a `to`) are kept only if that socket sent or received them
+  async getChatMessages(roomId, { before = Infinity, after = 0, limit, visibleTo }) {
+    const older = (this.chatHistory.get(roomId) || [])
+      .filter(m => m.timestamp < before && m.timestamp >= after)
+      .filter(m => !visibleTo || !m.to || m.to === visibleTo || m.socketId === visibleTo);
+    return older.slice(-limit).map(m => ({ ...m }));
+  }
+
+  async getChatMessage(roomId, messageId) {
+    const message = (this.chatHistory.get(roomId) || []).find(m => m.id === messageId);
+    return message ? { ...message } : null;
+  }
+
+  // Edits, deletes and reactions replace fields of a stored message
+  async updateChatMessage(roomId, messageId, patch) {
+    const message = (this.chatHistory.get(roomId) || []).find(m => m.id === messageId);
+    if (!message) return null;
+    Object.assign(message, patch);
+    return { ...message };
+  }
+
+  async pruneChatHistory(retentionMs) {
+    const cutoff = Date.now() - retentionMs;
+    for (const [roomId, messages] of this.chatHistory.entries()) {
+      const kept = messages.filter(m => m.timestamp >= cutoff);
+      if (kept.length === 0) {
+        this.chatHistory.delete(roomId);
+      } else {
+        this.chatHistory.set(roomId, kept);
+      }
+    }
+  }
+
+  // Reconnect sessions; ttlMs is only set while the seat is held for a dropped socket
+  async setSession(token, session, ttlMs) {
+    this.sessions.set(token, { session: { ...session }, expiresAt: ttlMs ? Date.now() + ttlMs : Infinity });
+  }
+
+  async getSession(token) {
+    const entry = this.sessions.get(token);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return { ...entry.session };
+  }
+
+  // Removes and returns the session so only one socket can resume it
+  async takeSession(token) {
+    const session = await this.getSession(token);
+    this.sessions.delete(token);
+    return session;
+  }
+
+  async deleteSession(token) {
+    this.sessions.delete(token);
+  }
+
+  // Bans outlive the room: an empty room is deleted, but its id can be joined again
+  // ban.expiresAt is null for permanent bans; expired bans are dropped on read
+  async addBan(roomId, ban) {
+    if (!this.bans.has(roomId)) {
+      this.bans.set(roomId, new Map());
+    }
+    this.bans.get(roomId).set(ban.id, { ...ban });
+  }
+
+  async getBans(roomId) {
+    const bans = this.bans.get(roomId);
+    if (!bans) return [];
+    
+    const now = Date.now();
+    for (const [banId, ban] of bans) {
+      if (ban.expiresAt && ban.expiresAt <= now) {
+        bans.delete(banId);
+      }
+    }
+    if (bans.size === 0) {
+      this.bans.delete(roomId);
+    }
+    
+    return Array.from(bans.values()).map(ban => ({ ...ban }));
+  }
+
+  // Returns the removed ban, or null if there was none
+  async removeBan(roomId, banId) {
+    const ban = this.bans.get(roomId)?.get(banId);
+    if (!ban) return null;
+    this.bans.get(roomId).delete(banId);
+    return { ...ban };
+  }
+
+  // Latest quality report per user; old reports expire so only live stats are returned
+  async setQuality(socketId, report, ttlMs) {
+    this.quality.set(socketId, { report: { ...report }, expiresAt: Date.now() + ttlMs });
+  }
+
+  async getQuality(socketId) {
+    const entry = this.quality.get(socketId);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.quality.delete(socketId);
+      return null;
+    }
+    return { ...entry.report };
+  }
+
+  async getConnections(ip) {
+    return (this.connections.get(ip) || []).slice();
+  }
+
+  async setConnections(ip, timestamps, _ttlMs) { // TTL is enforced by the hourly cleanup
+    if (timestamps.length === 0) {
+      this.connections.delete(ip);
+    } else {
+      this.connections.set(ip, timestamps.slice());
+    }
+  }
+
+  async listConnections() {
+    return Array.from(this.connections.entries()).map(([ip, timestamps]) => ({ ip, timestamps }));
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,312 @@
+// Shared state store backed by Redis (or anything speaking the Redis protocol)
+// Lets several signaling instances (PM2 cluster workers, containers) see the same rooms
+
+// Key layout (all under keyPrefix):
+//   rooms               SET    of room ids
+//   room:<id>           STRING JSON room metadata (host, created, maxUsers, ...)
+//   room:<id>:users     SET    of socket ids
+//   room:<id>:pending   HASH   socketId -> JSON lobby entry
+//   users               HASH   socketId -> JSON user
+//   chat:<roomId>       LIST   JSON messages, oldest first, expires after the retention period
+//   connections:<ip>    STRING JSON [timestamps], expires with the rate-limit window
+//   session:<token>     STRING JSON reconnect session, expires with the grace period once disconnected
+//   bans:<roomId>       HASH   banId -> JSON ban, kept after the room is deleted
+//   quality:<socketId>  STRING JSON latest connection-quality report, expires when it goes stale
+
+// Swap one list entry for another by value, wherever it sits now: appends and trims shift
+// indexes between our read and this write. Returns 0 when the entry is gone or was changed
+const REPLACE_LIST_ENTRY = `
+local entries = redis.call('LRANGE', KEYS[1], 0, -1)
+for index, entry in ipairs(entries) do
+  if entry == ARGV[1] then
+    redis.call('LSET', KEYS[1], index - 1, ARGV[2])
+    return 1
+  end
+end
+return 0`;
+
+// Compare-and-set for a string key: writes ARGV[2] only if the value is still ARGV[1].
+// Returns 0 when another instance changed (or deleted) it since our read
+const REPLACE_IF_UNCHANGED = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[2])
+  return 1
+end
+return 0`;
+
+// Concurrent updates of the same message or room retry this often before giving up
+const UPDATE_ATTEMPTS = 5;
+
+class RedisStore {
+  constructor({ client, url, keyPrefix = 'zloer:' } = {}) {
+    // Accept an existing ioredis-compatible client so a local stand-in can be injected
+    if (client) {
+      this.client = client;
+    } else {
+      const Redis = require('ioredis');
+      this.client = new Redis(url, { lazyConnect: true, maxRetriesPerRequest: 3 });
+    }
+    this.prefix = keyPrefix;
+  }
+
+  key(...parts) {
+    return this.prefix + parts.join(':');
+  }
+
+  async connect() {
+    if (this.client.status === 'wait') {
+      await this.client.connect();
+    }
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+
+  async getRoom(roomId) {
+    const [meta, users] = await Promise.all([
+      this.client.get(this.key('room', roomId)),
+      this.client.smembers(this.key('room', roomId, 'users'))
+    ]);
+    if (!meta) return null;
+    return { ...JSON.parse(meta), id: roomId, users: new Set(users) };
+  }
+
+  // SET NX makes creation atomic across instances: only one worker becomes host
+  async createRoom(roomId, room) {
+    const { users, id, ...meta } = room;
+    const created = await this.client.set(this.key('room', roomId), JSON.stringify(meta), 'NX');
+    if (created !== 'OK') return false;
+    await this.client.sadd(this.key('rooms'), roomId);
+    return true;
+  }
+
+  // Merge and write back only if nobody else wrote in between, so a host change racing a
+  // lock or password change from another instance keeps both
+  async updateRoom(roomId, patch) {
+    const metaKey = this.key('room', roomId);
+    const { users, id, ...fields } = patch;
+    
+    for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt++) {
+      const meta = await this.client.get(metaKey);
+      if (!meta) return null;
+      
+      const updated = JSON.stringify({ ...JSON.parse(meta), ...fields });
+      if (await this.client.eval(REPLACE_IF_UNCHANGED, 1, metaKey, meta, updated)) {
+        return this.getRoom(roomId);
+      }
+    }
+    throw new Error(`Room ${roomId} kept changing while it was updated`);
+  }
+
+  async deleteRoom(roomId) {
+    await this.client.del(
+      this.key('room', roomId),
+      this.key('room', roomId, 'users'),
+      this.key('room', roomId, 'pending')
+    );
+    await this.client.srem(this.key('rooms'), roomId);
+  }
+
+  async listRooms() {
+    const roomIds = await this.client.smembers(this.key('rooms'));
+    const rooms = await Promise.all(roomIds.map(roomId => this.getRoom(roomId)));
+    return rooms.filter(Boolean);
+  }
+
+  async countRooms() {
+    return this.client.scard(this.key('rooms'));
+  }
+
+  async addRoomUser(roomId, socketId) {
+    const usersKey = this.key('room', roomId, 'users');
+    await this.client.sadd(usersKey, socketId);
+    return this.client.scard(usersKey);
+  }
+
+  async removeRoomUser(roomId, socketId) {
+    const usersKey = this.key('room', roomId, 'users');
+    await this.client.srem(usersKey, socketId);
+    return this.client.scard(usersKey);
+  }
+
+  async addPendingUser(roomId, socketId, entry) {
+    await this.client.hset(this.key('room', roomId, 'pending'), socketId, JSON.stringify(entry));
+  }
+
+  // HDEL's reply tells us whether this call won, so admit/deny/cancel cannot race
+  async removePendingUser(roomId, socketId) {
+    const pendingKey = this.key('room', roomId, 'pending');
+    const entry = await this.client.hget(pendingKey, socketId);
+    if (!entry) return null;
+    const removed = await this.client.hdel(pendingKey, socketId);
+    return removed ? { socketId, ...JSON.parse(entry) } : null;
+  }
+
+  async getPendingUsers(roomId) {
+    const pending = await this.client.hgetall(this.key('room', roomId, 'pending'));
+    return Object.entries(pending)
+      .map(([socketId, entry]) => ({ socketId, ...JSON.parse(entry) }))
+      .sort((a, b) => a.requestedAt - b.requestedAt);
+  }
+
+  async getUser(socketId) {
+    const user = await this.client.hget(this.key('users'), socketId);
+    return user ? JSON.parse(user) : null;
+  }
+
+  async setUser(socketId, user) {
+    await this.client.hset(this.key('users'), socketId, JSON.stringify(user));
+  }
+
+  async deleteUser(socketId) {
+    await this.client.hdel(this.key('users'), socketId);
+    await this.client.del(this.key('quality', socketId));
+  }
+
+  async listUsers() {
+    const users = await this.client.hgetall(this.key('users'));
+    return Object.entries(users).map(([socketId, user]) => ({ socketId, ...JSON.parse(user) }));
+  }
+
+  async countUsers() {
+    return this.client.hlen(this.key('users'));
+  }
+
+  async appendChatMessage(roomId, message, { maxMessages, retentionMs }) {
+    const chatKey = this.key('chat', roomId);
+    await this.client.rpush(chatKey, JSON.stringify(message));
+    await this.client.ltrim(chatKey, -maxMessages, -1);
+    await this.client.pexpire(chatKey, retentionMs);
+  }
+
+  // The list is capped at maxMessages, so reading it whole stays cheap
+  async getChatMessages(roomId, { before = Infinity, after = 0, limit, visibleTo }) {
+    const messages = (await this.client.lrange(this.key('chat', roomId), 0, -1)).map(m => JSON.parse(m));
+    return messages
+      .filter(m => m.timestamp < before && m.timestamp >= after)
+      .filter(m => !visibleTo || !m.to || m.to === visibleTo || m.socketId === visibleTo)
+      .slice(-limit);
+  }
+
+  async getChatMessage(roomId, messageId) {
+    const messages = await this.client.lrange(this.key('chat', roomId), 0, -1);
+    return messages.map(m => JSON.parse(m)).find(m => m.id === messageId) || null;
+  }
+
+  // Read-modify-write that only lands on the entry it read (the one with this id, unchanged since):
+  // an edit racing another edit of the same message reads again
+  async updateChatMessage(roomId, messageId, patch) {
+    const chatKey = this.key('chat', roomId);
+    
+    for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt++) {
+      const entry = (await this.client.lrange(chatKey, 0, -1)).find(m => JSON.parse(m).id === messageId);
+      if (!entry) return null;
+      
+      const updated = { ...JSON.parse(entry), ...patch };
+      if (await this.client.eval(REPLACE_LIST_ENTRY, 1, chatKey, entry, JSON.stringify(updated))) {
+        return updated;
+      }
+    }
+    throw new Error(`Chat message ${messageId} kept changing while it was updated`);
+  }
+
+  // Idle lists expire via PEXPIRE; stale entries in active rooms are filtered on read
+  async pruneChatHistory() {}
+
+  async setSession(token, session, ttlMs) {
+    const sessionKey = this.key('session', token);
+    if (ttlMs) {
+      await this.client.set(sessionKey, JSON.stringify(session), 'PX', ttlMs);
+    } else {
+      await this.client.set(sessionKey, JSON.stringify(session));
+    }
+  }
+
+  async getSession(token) {
+    const session = await this.client.get(this.key('session', token));
+    return session ? JSON.parse(session) : null;
+  }
+
+  // GET + DEL in one transaction so two sockets cannot resume the same seat
+  async takeSession(token) {
+    const sessionKey = this.key('session', token);
+    const [[, session]] = await this.client.multi().get(sessionKey).del(sessionKey).exec();
+    return session ? JSON.parse(session) : null;
+  }
+
+  async deleteSession(token) {
+    await this.client.del(this.key('session', token));
+  }
+
+  // ban.expiresAt is null for permanent bans; expired bans are dropped on read
+  async addBan(roomId, ban) {
+    await this.client.hset(this.key('bans', roomId), ban.id, JSON.stringify(ban));
+  }
+
+  async getBans(roomId) {
+    const bansKey = this.key('bans', roomId);
+    const entries = Object.values(await this.client.hgetall(bansKey)).map(ban => JSON.parse(ban));
+    
+    const now = Date.now();
+    const expired = entries.filter(ban => ban.expiresAt && ban.expiresAt <= now);
+    if (expired.length > 0) {
+      await this.client.hdel(bansKey, ...expired.map(ban => ban.id));
+    }
+    
+    return entries.filter(ban => !expired.includes(ban));
+  }
+
+  // HDEL's reply tells us whether this call removed it
+  async removeBan(roomId, banId) {
+    const bansKey = this.key('bans', roomId);
+    const [[, ban], [, removed]] = await this.client.multi().hget(bansKey, banId).hdel(bansKey, banId).exec();
+    return removed && ban ? JSON.parse(ban) : null;
+  }
+
+  async setQuality(socketId, report, ttlMs) {
+    await this.client.set(this.key('quality', socketId), JSON.stringify(report), 'PX', ttlMs);
+  }
+
+  async getQuality(socketId) {
+    const report = await this.client.get(this.key('quality', socketId));
+    return report ? JSON.parse(report) : null;
+  }
+
+  async getConnections(ip) {
+    const timestamps = await this.client.get(this.key('connections', ip));
+    return timestamps ? JSON.parse(timestamps) : [];
+  }
+
+  async setConnections(ip, timestamps, ttlMs) {
+    const connectionsKey = this.key('connections', ip);
+    if (timestamps.length === 0) {
+      await this.client.del(connectionsKey);
+    } else if (ttlMs) {
+      await this.client.set(connectionsKey, JSON.stringify(timestamps), 'PX', ttlMs);
+    } else {
+      await this.client.set(connectionsKey, JSON.stringify(timestamps));
+    }
+  }
+
+  // Connection entries expire on their own; SCAN keeps this cheap on a shared instance
+  async listConnections() {
+    const pattern = this.key('connections', '*');
+    const prefixLength = this.key('connections', '').length;
+    const result = [];
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+      cursor = next;
+      for (const connectionsKey of keys) {
+        const timestamps = await this.client.get(connectionsKey);
+        if (timestamps) {
+          result.push({ ip: connectionsKey.substring(prefixLength), timestamps: JSON.parse(timestamps) });
+        }
+      }
+    } while (cursor !== '0');
+    return result;
+  }
+}
+
+module.exports = RedisStore;
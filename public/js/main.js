@@ -1,6 +1,166 @@
 // Zloer Communication - Main Application
 // Connect. Play. Zloer
 
+// Signaling peer id of the server-side media relay (SFU rooms)
+const SFU_PEER_ID = 'sfu';
+
+// Video quality layers: simulcast encodings towards the SFU, per-peer sender presets in mesh
+// rooms (browsers cannot receive simulcast peer-to-peer). 'high' uses currentSettings.videoBitrate
+const VIDEO_LAYERS = {
+  low: { rid: 'q', scaleResolutionDownBy: 4, maxBitrate: 150000 },
+  medium: { rid: 'h', scaleResolutionDownBy: 2, maxBitrate: 500000 },
+  high: { rid: 'f', scaleResolutionDownBy: 1 }
+};
+
+// Congestion controller steps, lowest first; the top step uses currentSettings.videoBitrate
+const BITRATE_LADDER = [
+  { maxBitrate: 150000, scaleResolutionDownBy: 4, maxFramerate: 15 },
+  { maxBitrate: 300000, scaleResolutionDownBy: 2, maxFramerate: 20 },
+  { maxBitrate: 600000, scaleResolutionDownBy: 2, maxFramerate: 30 },
+  { maxBitrate: 1200000, scaleResolutionDownBy: 1, maxFramerate: 30 },
+  { scaleResolutionDownBy: 1, maxFramerate: 30 }
+];
+
+// Receive-quality reports go out when a label changes, and at least this often (ms)
+const QUALITY_REPORT_INTERVAL = 30000;
+
+// Voice activation samples the microphone level this often (ms); a timer, unlike
+// requestAnimationFrame, keeps running while the tab is in the background
+const VOICE_ACTIVITY_INTERVAL = 50;
+
+// Room roles, highest first (mirrors lib/roles.js; the server enforces them)
+const ROLES = ['owner', 'moderator', 'member', 'viewer'];
+const ROLE_PERMISSIONS = {
+  owner: ['kick', 'ban', 'mute', 'moderate-chat', 'admit', 'manage-room', 'record', 'set-role', 'chat', 'publish'],
+  moderator: ['kick', 'ban', 'mute', 'moderate-chat', 'admit', 'chat', 'publish'],
+  member: ['chat', 'publish'],
+  viewer: []
+};
+const ROLE_BADGES = { moderator: '🛡️', viewer: '👁️' };
+
+// Chat reactions (mirrors CHAT_REACTIONS in server.js)
+const CHAT_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+// Chat message format: a small Markdown subset, parsed into nodes that are turned into DOM
+// elements (never HTML strings), so message text can't inject markup
+//   **bold**  *italic* or _italic_  `code`  ||spoiler||  and bare http(s) URLs become links
+// Unmatched markers stay literal text
+const CHAT_FORMATS = [
+  { marker: '||', type: 'spoiler' },
+  { marker: '**', type: 'bold' },
+  { marker: '*', type: 'italic' },
+  { marker: '_', type: 'italic', wordBoundary: true } // so snake_case stays as typed
+];
+const CHAT_FORMAT_MAX_DEPTH = 3;
+const CHAT_URL_PATTERN = /https?:\/\/[^\s<>"'`]+/y;
+const CHAT_URL_TRAILING = /[.,!?;:'"]$|\)$/;
+
+// Sentence punctuation after a link is not part of it; a closing parenthesis only when unbalanced
+function trimChatUrl(url) {
+  while (CHAT_URL_TRAILING.test(url)) {
+    if (url.endsWith(')') && url.split('(').length >= url.split(')').length) break;
+    url = url.slice(0, -1);
+  }
+  return url;
+}
+
+function isWordCharacter(char) {
+  return !!char && /[\p{L}\p{N}_]/u.test(char);
+}
+
+// Closing marker for the format opening at `start`, or -1 when it is not a span
+function findFormatEnd(text, start, format) {
+  const contentStart = start + format.marker.length;
+  if (format.wordBoundary && isWordCharacter(text[start - 1])) return -1;
+  if (!text[contentStart] || /\s/.test(text[contentStart])) return -1;
+  
+  let end = text.indexOf(format.marker, contentStart);
+  while (end !== -1) {
+    const valid = end > contentStart && !/\s/.test(text[end - 1]) &&
+      !(format.wordBoundary && isWordCharacter(text[end + format.marker.length]));
+    if (valid) return end;
+    end = text.indexOf(format.marker, end + 1);
+  }
+  return -1;
+}
+
+function parseChatMarkdown(text, depth = 0) {
+  const nodes = [];
+  let plain = '';
+  const flush = () => {
+    if (plain) nodes.push({ type: 'text', text: plain });
+    plain = '';
+  };
+  
+  let i = 0;
+  while (i < text.length) {
+    // Links: only at a word start, and never parsed for formatting
+    if (text[i] === 'h' && !isWordCharacter(text[i - 1])) {
+      CHAT_URL_PATTERN.lastIndex = i;
+      const match = CHAT_URL_PATTERN.exec(text);
+      if (match) {
+        const raw = trimChatUrl(match[0]);
+        let url = null;
+        try {
+          url = new URL(raw);
+        } catch {
+          // Not a URL after all: keep it as text
+        }
+        if (url && (url.protocol === 'http:' || url.protocol === 'https:')) {
+          flush();
+          nodes.push({ type: 'link', href: url.href, text: raw });
+          i += raw.length;
+          continue;
+        }
+      }
+    }
+    
+    if (text[i] === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end > i + 1) {
+        flush();
+        nodes.push({ type: 'code', text: text.slice(i + 1, end) });
+        i = end + 1;
+        continue;
+      }
+    }
+    
+    const format = depth < CHAT_FORMAT_MAX_DEPTH && CHAT_FORMATS.find(f => text.startsWith(f.marker, i));
+    if (format) {
+      const end = findFormatEnd(text, i, format);
+      if (end !== -1) {
+        flush();
+        nodes.push({
+          type: format.type,
+          children: parseChatMarkdown(text.slice(i + format.marker.length, end), depth + 1)
+        });
+        i = end + format.marker.length;
+        continue;
+      }
+    }
+    
+    plain += text[i];
+    i++;
+  }
+  
+  flush();
+  return nodes;
+}
+
+// Room recording: composed canvas size and frame rate, MediaRecorder chunk length
+const RECORDING_WIDTH = 1280;
+const RECORDING_HEIGHT = 720;
+const RECORDING_FPS = 25;
+const RECORDING_TIMESLICE = 1000; // ms; keeps each upload well below the 1 MB socket message limit
+const RECORDING_ACK_TIMEOUT = 15000;
+
+// P2P file transfer over each mesh connection's 'files' data channel
+const FILE_CHANNEL_ID = 1; // negotiated channel: both sides open it with this id, no signaling
+const FILE_CHUNK_SIZE = 16 * 1024; // largest message size every browser accepts
+const FILE_MAX_SIZE = 100 * 1024 * 1024; // the whole file is held in memory to hash it
+const FILE_BUFFER_HIGH = 4 * 1024 * 1024; // pause sending above this much queued data...
+const FILE_BUFFER_LOW = 1024 * 1024; // ...until it drains below this (bufferedamountlow)
+
 // Enhanced Socket Manager Class with comprehensive error handling
 class SocketManager {
   constructor() {
@@ -12,13 +172,25 @@ class SocketManager {
     this.connectionQuality = 'unknown';
     this.lastPingTime = 0;
     this.serverLatency = 0;
+    this.reconnectToken = null; // issued on room-joined, used to resume the seat after a drop
+  }
+
+  // Persistent per-browser token; the server keys room bans on it
+  getClientId() {
+    let clientId = localStorage.getItem('zloer-client-id');
+    if (!clientId) {
+      clientId = crypto.randomUUID();
+      localStorage.setItem('zloer-client-id', clientId);
+    }
+    return clientId;
   }
 
   connect() {
     this.socket = io({
       timeout: 10000,
       forceNew: true,
-      transports: ['websocket', 'polling']
+      transports: ['websocket', 'polling'],
+      auth: { clientId: this.getClientId() }
     });
     this.setupEventListeners();
     this.startConnectionMonitoring();
@@ -114,7 +286,14 @@ class SocketManager {
   handleStructuredError(error) {
     switch (error.type) {
       case 'RATE_LIMIT':
-        NotificationManager.show(`Rate limit exceeded. Try again in ${error.retryAfter} seconds.`, 'error');
+        if (error.penalty === 'mute') {
+          NotificationManager.show(`🔇 ${uiManager.t('chatMutedFlood')} ${error.mutedFor}s`, 'error');
+        } else {
+          NotificationManager.show(`Rate limit exceeded. Try again in ${error.retryAfter} seconds.`, 'error');
+        }
+        break;
+      case 'CHAT_MUTED':
+        NotificationManager.show(`🔇 ${uiManager.t('chatMutedFlood')} ${error.retryAfter}s`, 'error');
         break;
       case 'VALIDATION_ERROR':
         NotificationManager.show(`Validation error: ${error.details?.join(', ') || error.message}`, 'error');
@@ -128,6 +307,28 @@ class SocketManager {
       case 'UNAUTHORIZED':
         NotificationManager.show('Unauthorized action', 'error');
         break;
+      case 'ROOM_LOCKED':
+        NotificationManager.show(`🔒 ${uiManager.t('roomLocked')}`, 'error');
+        uiManager.showRoomAccessPrompt(error);
+        break;
+      case 'WRONG_PASSWORD':
+        NotificationManager.show(`🔑 ${uiManager.t(error.passwordProvided ? 'wrongPassword' : 'passwordRequired')}`, 'error');
+        uiManager.showRoomAccessPrompt(error);
+        break;
+      case 'ENTRY_DENIED':
+        NotificationManager.show(`🚫 ${error.message}`, 'error');
+        uiManager.showRoomAccessPrompt(error);
+        break;
+      case 'BANNED':
+        NotificationManager.show(`⛔ ${uiManager.formatBanNotice(error)}`, 'error', 10000);
+        break;
+      case 'SESSION_EXPIRED':
+        // The seat is gone: drop stale peers and join again as a new user
+        NotificationManager.show(`⌛ ${uiManager.t('sessionExpired')}`, 'warning');
+        this.reconnectToken = null;
+        Array.from(rtcManager.peers.keys()).forEach(socketId => rtcManager.removePeer(socketId));
+        uiManager.retryJoin();
+        break;
       default:
         NotificationManager.show(`Error: ${error.message}`, 'error');
     }
@@ -219,11 +420,20 @@ class RTCManager {
     this.localStream = null;
     this.remoteStreams = new Map(); // socketId -> MediaStream
     this.userInfo = new Map(); // socketId -> { nickname, isHost, etc. }
-    this.peers = new Map(); // socketId -> RTCPeerConnection
-    this.pendingCandidates = new Map(); // socketId -> [candidates]
+    this.peers = new Map(); // socketId -> RTCPeerConnection (with .negotiator, see negotiation.js)
     this.isAudioMuted = false;
     this.isVideoMuted = false;
     this.isScreenSharing = false;
+    
+    // Mic gate (currentSettings.micMode): push-to-talk and voice activation close it between words,
+    // the mic is sent only while it is open and not muted
+    this.micGateOpen = true;
+    this.micGateTimer = null;
+    this.micReleaseTimer = null;
+    this.pushToTalkHeld = false;
+    this.analysisTrack = null; // clone of the mic the analyser reads, live while the gate disables the sent track
+    this.screenStream = null;
+    this.remoteScreens = new Map(); // socketId -> id of the stream carrying that peer's screen share
     this.audioContext = null;
     this.analyser = null;
     this.audioVisualizer = null;
@@ -233,6 +443,21 @@ class RTCManager {
     this.connectionErrors = [];
     this.statsInterval = null;
     this.pongListenerSet = false;
+    this.iceRefreshTimer = null;
+    
+    // SFU mode: one connection to the server carries everyone's tracks
+    this.mediaMode = 'mesh';
+    this.sfuTrackOwners = new Map(); // transceiver mid -> publisher socketId
+    this.sfuStreams = new Map(); // publisher socketId -> MediaStream
+    this.requestedLayers = new Map(); // socketId -> layer we asked that publisher for
+    this.peerLayers = new Map(); // socketId -> layer that viewer asked us for (mesh)
+    
+    // Adaptive bitrate: per-connection ladder position and what receivers report back
+    this.bitrateControl = new Map(); // socketId -> { level, goodTicks, lastChange }
+    this.peerQuality = new Map(); // socketId -> 'good' | 'fair' | 'poor' as reported by that viewer
+    this.receiveCounters = new Map(); // socketId -> { packetsLost, packetsReceived, bytesReceived, at } for per-tick loss and bitrate
+    this.lastQualityReport = null;
+    this.lastQualityReportAt = 0;
     
     // ICE servers configuration (will be updated from server)
     this.iceServers = [
@@ -258,6 +483,10 @@ class RTCManager {
       videoResolution: '1280x720',
       videoFramerate: 30,
       audioVisualizerEnabled: true,
+      micMode: 'always-on', // 'always-on' | 'push-to-talk' | 'voice-activated'
+      pushToTalkKey: 'KeyT', // KeyboardEvent.code, so it does not depend on the keyboard layout
+      voiceActivationThreshold: 25, // average analyser volume (0-255, speech is usually 20-60)
+      micReleaseDelay: 250, // ms the mic stays open after the key is released or the voice stops
       // ENHANCED: Advanced audio settings for high quality
       opusComplexity: 10, // Maximum complexity for best quality
       opusFec: true, // Forward Error Correction
@@ -320,6 +549,7 @@ class RTCManager {
       // Set initial states - CAMERA OFF by default, audio on
       this.isVideoMuted = true;  // Camera starts OFF
       this.isAudioMuted = false; // Audio starts ON
+      this.applyMicMode();
       uiManager.updateVideoButton(this.isVideoMuted);
       uiManager.updateMuteButton(this.isAudioMuted);
       uiManager.updateLocalVideoDisplay(this.isVideoMuted); // Show camera off overlay
@@ -496,7 +726,7 @@ class RTCManager {
       // Update all peer connections with new stream
       if (this.localStream) {
         this.peers.forEach(async (pc, socketId) => {
-          const senders = pc.getSenders();
+          const senders = this.getMediaSenders(pc);
           
           for (const sender of senders) {
             if (sender.track) {
@@ -576,10 +806,16 @@ class RTCManager {
       this.analyser.fftSize = 256;
       this.analyser.smoothingTimeConstant = 0.8;
       
-      // Connect audio stream to analyser
+      // Connect audio stream to analyser. It reads a clone: a disabled track is silent, and voice
+      // activation has to hear the mic while its gate keeps the sent track disabled
       const audioTracks = this.localStream.getAudioTracks();
       if (audioTracks.length > 0) {
-        const source = this.audioContext.createMediaStreamSource(this.localStream);
+        if (this.analysisTrack) {
+          this.analysisTrack.stop();
+        }
+        this.analysisTrack = audioTracks[0].clone();
+        this.analysisTrack.enabled = true;
+        const source = this.audioContext.createMediaStreamSource(new MediaStream([this.analysisTrack]));
         source.connect(this.analyser);
         
         // Start visualization
@@ -608,11 +844,13 @@ class RTCManager {
       }
       const average = sum / bufferLength;
       
-      // Update visualizer
+      // Update visualizer and the talk indicator
       uiManager.updateAudioVisualizer(average, dataArray);
+      uiManager.updateMicrophoneGlow(average);
+      uiManager.updateMicLevel(average);
       
       // Detect active speaker
-      if (average > 30) { // Threshold for speaking
+      if (average > 30 && this.isTransmitting()) { // Threshold for speaking
         this.activeSpeaker = 'local';
         uiManager.setActiveSpeaker('local');
       }
@@ -621,6 +859,86 @@ class RTCManager {
     visualize();
   }
 
+  // Average analyser volume of the microphone, 0 without one
+  getMicVolume() {
+    if (!this.analyser) return 0;
+    
+    const dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+    this.analyser.getByteFrequencyData(dataArray);
+    return dataArray.reduce((sum, value) => sum + value, 0) / dataArray.length;
+  }
+
+  // Start the current mic mode: always-on opens the gate, push-to-talk waits for the key and
+  // voice activation for the level to cross voiceActivationThreshold
+  applyMicMode() {
+    const mode = this.currentSettings.micMode;
+    
+    clearInterval(this.micGateTimer);
+    clearTimeout(this.micReleaseTimer);
+    this.micGateTimer = null;
+    this.micReleaseTimer = null;
+    
+    if (mode === 'voice-activated') {
+      this.micGateTimer = setInterval(() => this.checkVoiceActivity(), VOICE_ACTIVITY_INTERVAL);
+    }
+    
+    this.setMicGate(mode === 'always-on' || (mode === 'push-to-talk' && this.pushToTalkHeld));
+  }
+
+  setMicGate(open) {
+    this.micGateOpen = open;
+    
+    const audioTrack = this.localStream?.getAudioTracks()[0];
+    if (audioTrack) {
+      audioTrack.enabled = open && !this.isAudioMuted;
+    }
+  }
+
+  openMicGate() {
+    clearTimeout(this.micReleaseTimer);
+    this.micReleaseTimer = null;
+    
+    if (!this.micGateOpen) {
+      this.setMicGate(true);
+    }
+  }
+
+  // Close after micReleaseDelay so the end of a word is not cut off
+  releaseMicGate() {
+    if (!this.micGateOpen || this.micReleaseTimer) return;
+    
+    this.micReleaseTimer = setTimeout(() => {
+      this.micReleaseTimer = null;
+      this.setMicGate(false);
+    }, this.currentSettings.micReleaseDelay);
+  }
+
+  // Push-to-talk key pressed or released; false when push-to-talk is not the mic mode
+  setPushToTalk(held) {
+    if (this.currentSettings.micMode !== 'push-to-talk') return false;
+    
+    this.pushToTalkHeld = held;
+    if (held) {
+      this.openMicGate();
+    } else {
+      this.releaseMicGate();
+    }
+    return true;
+  }
+
+  checkVoiceActivity() {
+    if (this.getMicVolume() >= this.currentSettings.voiceActivationThreshold) {
+      this.openMicGate();
+    } else {
+      this.releaseMicGate();
+    }
+  }
+
+  // Whether the others hear us right now
+  isTransmitting() {
+    return this.micGateOpen && !this.isAudioMuted;
+  }
+
   // Update ICE servers configuration from server
   updateIceServers(iceServers) {
     // FIXED: Add initialization check
@@ -650,136 +968,38 @@ class RTCManager {
     }
   }
 
-  // ENHANCED: Full WebRTC peer connection creation with high-quality codecs
-  async createOffer(socketId) {
-    console.log(`📞 Creating WebRTC offer for ${socketId}`);
-    const pc = this.createPeerConnection(socketId);
-    
-    try {
-      // Ensure local stream is available
-      if (!this.localStream) {
-        console.error(`❌ No local stream available when creating offer for ${socketId}`);
-        return;
-      }
-      
-      console.log(`🎥 Local stream tracks for ${socketId}:`, this.localStream.getTracks().map(t => `${t.kind}: ${t.enabled}`));
-      
-      const offer = await pc.createOffer({
-        offerToReceiveAudio: true,
-        offerToReceiveVideo: true
-      });
-      
-      // ENHANCED: Apply high-quality codec settings to SDP
-      offer.sdp = this.enhanceAudioSDP(offer.sdp);
-      offer.sdp = this.enhanceVideoSDP(offer.sdp);
-      
-      await pc.setLocalDescription(offer);
-      
-      console.log(`📤 Sending enhanced offer to ${socketId}`);
-      socketManager.emit('signal', {
-        to: socketId,
-        signal: {
-          type: 'offer',
-          offer: offer
-        }
-      });
-    } catch (error) {
-      console.error(`❌ Error creating offer for ${socketId}:`, error);
-      this.removePeer(socketId);
+  // Request fresh TURN credentials shortly before the current ones expire
+  scheduleIceServersRefresh(ttlSeconds) {
+    if (this.iceRefreshTimer) {
+      clearTimeout(this.iceRefreshTimer);
+      this.iceRefreshTimer = null;
     }
-  }
-
-  async handleOffer(socketId, offer) {
-    console.log(`📥 Handling WebRTC offer from ${socketId}`);
-    const pc = this.createPeerConnection(socketId);
     
-    try {
-      // Ensure local stream is available
-      if (!this.localStream) {
-        console.error(`❌ No local stream available when handling offer from ${socketId}`);
-        return;
-      }
-      
-      console.log(`🎥 Local stream tracks for ${socketId}:`, this.localStream.getTracks().map(t => `${t.kind}: ${t.enabled}`));
-      
-      // ENHANCED: Apply codec enhancements to incoming offer
-      offer.sdp = this.enhanceAudioSDP(offer.sdp);
-      offer.sdp = this.enhanceVideoSDP(offer.sdp);
-      
-      await pc.setRemoteDescription(offer);
-      
-      // Process pending candidates after setting remote description
-      this.processPendingCandidates(socketId);
-      
-      const answer = await pc.createAnswer();
-      
-      // ENHANCED: Apply codec enhancements to answer
-      answer.sdp = this.enhanceAudioSDP(answer.sdp);
-      answer.sdp = this.enhanceVideoSDP(answer.sdp);
-      
-      await pc.setLocalDescription(answer);
-      
-      console.log(`📤 Sending enhanced answer to ${socketId}`);
-      socketManager.emit('signal', {
-        to: socketId,
-        signal: {
-          type: 'answer',
-          answer: answer
-        }
-      });
-    } catch (error) {
-      console.error(`❌ Error handling offer from ${socketId}:`, error);
-      this.removePeer(socketId);
-    }
-  }
-
-  async handleAnswer(socketId, answer) {
-    console.log(`📥 Handling WebRTC answer from ${socketId}`);
-    const pc = this.peers.get(socketId);
-    if (pc) {
-      try {
-        // ENHANCED: Apply codec enhancements to incoming answer
-        answer.sdp = this.enhanceAudioSDP(answer.sdp);
-        answer.sdp = this.enhanceVideoSDP(answer.sdp);
-        
-        await pc.setRemoteDescription(answer);
-        
-        // Process pending candidates after setting remote description
-        this.processPendingCandidates(socketId);
-      } catch (error) {
-        console.error('Error handling answer:', error);
-        this.removePeer(socketId);
-      }
-    }
+    if (!ttlSeconds || ttlSeconds <= 0) return;
+    
+    // Refresh at 80% of the lifetime so ICE restarts never use stale credentials
+    const delay = Math.max(ttlSeconds * 0.8, 30) * 1000;
+    this.iceRefreshTimer = setTimeout(() => {
+      console.log('🔄 Requesting fresh TURN credentials');
+      socketManager.emit('ice-servers-refresh');
+    }, delay);
   }
 
-  async handleIceCandidate(socketId, candidate) {
-    console.log(`🧊 Handling ICE candidate from ${socketId}`);
-    const pc = this.peers.get(socketId);
-    if (pc) {
+  // Apply refreshed ICE servers to new and existing peer connections
+  applyIceServersRefresh(iceServers, ttlSeconds) {
+    this.updateIceServers(iceServers);
+    
+    const config = this.getRTCConfiguration();
+    this.peers.forEach((pc, socketId) => {
       try {
-        // Check if remote description is set before adding candidate
-        if (pc.remoteDescription && pc.remoteDescription.type) {
-          await pc.addIceCandidate(candidate);
-          console.log(`✅ Added ICE candidate for ${socketId}`);
-        } else {
-          // Queue candidate if remote description not set yet
-          console.log(`📦 Queuing ICE candidate for ${socketId} (remote description not set)`);
-          const pendingCandidates = this.pendingCandidates.get(socketId) || [];
-          pendingCandidates.push(candidate);
-          this.pendingCandidates.set(socketId, pendingCandidates);
-        }
+        pc.setConfiguration({ ...pc.getConfiguration(), iceServers: config.iceServers });
+        console.log(`✅ Updated ICE servers for ${socketId}`);
       } catch (error) {
-        console.error('Error adding ICE candidate:', error);
+        console.error(`❌ Error updating ICE servers for ${socketId}:`, error);
       }
-    }
-  }
-
-  removePeer(socketId) {
-    console.log(`🧹 Removing user ${socketId}`);
-    this.userInfo.delete(socketId);
-    uiManager.removeVideo(socketId);
-    console.log(`✅ Cleaned up user ${socketId}`);
+    });
+    
+    this.scheduleIceServersRefresh(ttlSeconds);
   }
 
   // Get RTC configuration for WebRTC connections
@@ -944,99 +1164,6 @@ class RTCManager {
     console.log('🐛 === END CAMERA DEBUG ===');
   }
 
-  // Emergency method to restore all connections when they break
-  async emergencyRestoreConnections() {
-    console.log('🚨 === EMERGENCY CONNECTION RESTORE ===');
-    
-    if (!this.localStream) {
-      console.error('❌ No local stream to restore');
-      return;
-    }
-    
-    console.log('🔄 Restoring all peer connections...');
-    
-    for (const [socketId, pc] of this.peers.entries()) {
-      try {
-        console.log(`🔄 Restoring connection for ${socketId}`);
-        
-        // Get all senders
-        const senders = pc.getSenders();
-        console.log(`📡 Current senders for ${socketId}:`, senders.map(s => s.track?.kind || 'null'));
-        
-        // Replace all tracks with current local stream tracks
-        for (const track of this.localStream.getTracks()) {
-          const sender = senders.find(s => s.track?.kind === track.kind || s.track === null);
-          if (sender) {
-            await sender.replaceTrack(track);
-            console.log(`✅ Restored ${track.kind} track for ${socketId}`);
-          } else {
-            console.warn(`⚠️ No sender found for ${track.kind} track for ${socketId}`);
-          }
-        }
-        
-      } catch (error) {
-        console.error(`❌ Error restoring connection for ${socketId}:`, error);
-      }
-    }
-    
-    console.log('🚨 === EMERGENCY RESTORE COMPLETE ===');
-    NotificationManager.show('Attempted to restore all connections', 'info');
-  }
-
-  // Nuclear option: Force refresh all video tracks
-  async forceRefreshVideoTracks() {
-    console.log('🔄 === FORCE REFRESHING ALL VIDEO TRACKS ===');
-    
-    if (!this.localStream) {
-      console.error('❌ No local stream available');
-      return;
-    }
-    
-    const videoTrack = this.localStream.getVideoTracks()[0];
-    if (!videoTrack) {
-      console.log('ℹ️ No video track to refresh');
-      return;
-    }
-    
-    console.log('🔄 Force refreshing video track for all peers...');
-    
-    for (const [socketId, pc] of this.peers.entries()) {
-      try {
-        console.log(`🔄 Force refreshing video for ${socketId}`);
-        
-        // Find ALL transceivers and log them
-        const transceivers = pc.getTransceivers();
-        console.log(`📡 Transceivers for ${socketId}:`, transceivers.map(t => ({
-          mid: t.mid,
-          direction: t.direction,
-          senderTrack: t.sender.track?.kind,
-          receiverTrack: t.receiver.track?.kind
-        })));
-        
-        // Find video transceiver
-        const videoTransceiver = transceivers.find(t => 
-          t.receiver.track?.kind === 'video' || 
-          t.sender.track?.kind === 'video' ||
-          (t.sender.track === null && t.receiver.track === null)
-        );
-        
-        if (videoTransceiver) {
-          console.log(`📹 Found video transceiver for ${socketId}, replacing track...`);
-          await videoTransceiver.sender.replaceTrack(videoTrack.enabled ? videoTrack : null);
-          console.log(`✅ Force refreshed video track for ${socketId}`);
-        } else {
-          console.error(`❌ No video transceiver found for ${socketId}`);
-        }
-        
-      } catch (error) {
-        console.error(`❌ Error force refreshing video for ${socketId}:`, error);
-      }
-    }
-    
-    console.log('🔄 === FORCE REFRESH COMPLETE ===');
-    NotificationManager.show('Force refreshed all video tracks', 'info');
-  }
-
   muteAudio() {
     if (this.localStream) {
       const audioTrack = this.localStream.getAudioTracks()[0];
@@ -1051,17 +1178,32 @@ class RTCManager {
   createPeerConnection(socketId) {
     const config = this.getRTCConfiguration();
     const pc = new RTCPeerConnection(config);
+    // Handlers read the id from here so renamePeer() can move the connection to a resumed socket
+    pc.peerId = socketId;
     
     console.log('🔗 Creating peer connection with config:', config);
     
-    // FIXED: Initialize pending candidates queue for this peer
-    this.pendingCandidates.set(socketId, []);
+    // Offers, answers, glare and early candidates; every track change renegotiates by itself
+    pc.negotiator = new PeerNegotiator(pc, {
+      polite: this.isPolite(socketId),
+      sendDescription: description => this.sendDescription(pc, description),
+      onError: error => console.error(`❌ Negotiation failed with ${pc.peerId}:`, error)
+    });
     
     // SIMPLIFIED: Add local stream tracks directly (if available)
     if (this.localStream) {
       this.localStream.getTracks().forEach(track => {
         console.log(`🔄 Adding ${track.kind} track to ${socketId}`);
-        pc.addTrack(track, this.localStream);
+        if (socketId === SFU_PEER_ID && track.kind === 'video') {
+          // Publish every layer once; the SFU forwards whichever one each viewer asks for
+          pc.addTransceiver(track, {
+            direction: 'sendrecv',
+            streams: [this.localStream],
+            sendEncodings: this.getSimulcastEncodings()
+          });
+        } else {
+          pc.addTrack(track, this.localStream);
+        }
       });
     }
     
@@ -1071,10 +1213,32 @@ class RTCManager {
       console.log(`📹 Adding video transceiver for future video track to ${socketId}`);
       pc.addTransceiver('video', { direction: 'sendrecv' });
     }
+    
+    // Joined while we are sharing: the screen goes out with the first offer
+    if (this.screenStream && socketId !== SFU_PEER_ID) {
+      this.addScreenTracks(pc);
+    }
+    
+    // File transfer channel (mesh only: the SFU relays media, not data)
+    if (socketId !== SFU_PEER_ID) {
+      fileTransfers.attachChannel(pc, pc.createDataChannel('files', { negotiated: true, id: FILE_CHANNEL_ID, ordered: true }));
+    }
 
     // Handle incoming tracks
     pc.ontrack = (event) => {
-      console.log(`🎥 Received remote stream from ${socketId}`);
+      if (pc.peerId === SFU_PEER_ID) {
+        this.handleSfuTrack(event);
+        return;
+      }
+      
+      // The peer's screen share: its own tile, the camera tile stays as it is
+      const screenStream = event.streams?.[0];
+      if (screenStream && screenStream.id === this.remoteScreens.get(pc.peerId)) {
+        uiManager.addScreenVideo(pc.peerId, screenStream);
+        return;
+      }
+      
+      console.log(`🎥 Received remote stream from ${pc.peerId}`);
       console.log(`📹 Track details:`, {
         trackCount: event.streams?.length || 0,
         trackKind: event.track?.kind,
@@ -1085,36 +1249,36 @@ class RTCManager {
       
       // FIXED: Add null checks for event.streams
       if (!event.streams || event.streams.length === 0) {
-        console.warn(`⚠️ No streams in ontrack event for ${socketId}, creating new stream`);
+        console.warn(`⚠️ No streams in ontrack event for ${pc.peerId}, creating new stream`);
         // Create a new MediaStream and add the track
         const remoteStream = new MediaStream();
         if (event.track) {
           remoteStream.addTrack(event.track);
-          console.log(`✅ Added ${event.track.kind} track to new stream for ${socketId}`);
+          console.log(`✅ Added ${event.track.kind} track to new stream for ${pc.peerId}`);
         }
-        uiManager.addRemoteVideo(socketId, remoteStream);
+        uiManager.addRemoteVideo(pc.peerId, remoteStream);
       } else {
         const [remoteStream] = event.streams;
         
         // Log track details for debugging
         if (remoteStream && remoteStream.getTracks) {
-          console.log(`📹 Remote stream tracks for ${socketId}:`);
+          console.log(`📹 Remote stream tracks for ${pc.peerId}:`);
           remoteStream.getTracks().forEach((track, index) => {
             console.log(`  Track ${index}: ${track.kind} - enabled: ${track.enabled}, readyState: ${track.readyState}, id: ${track.id}`);
           });
         }
         
-        uiManager.addRemoteVideo(socketId, remoteStream);
+        uiManager.addRemoteVideo(pc.peerId, remoteStream);
         
         // Set up remote audio analysis for active speaker detection
-        this.setupRemoteAudioAnalysis(socketId, remoteStream);
+        this.setupRemoteAudioAnalysis(pc.peerId, remoteStream);
       }
       
       // FIXED: Update nickname after video element is created
       setTimeout(() => {
-        const user = this.getStoredUserInfo(socketId);
+        const user = this.getStoredUserInfo(pc.peerId);
         if (user && user.nickname) {
-          uiManager.updateUserName(socketId, user.nickname);
+          uiManager.updateUserName(pc.peerId, user.nickname);
         }
       }, 100);
     };
@@ -1123,7 +1287,7 @@ class RTCManager {
     pc.onicecandidate = (event) => {
       if (event.candidate) {
         // FIXED: Log ICE candidate details for debugging
-        console.log(`🧊 ICE candidate for ${socketId}:`, {
+        console.log(`🧊 ICE candidate for ${pc.peerId}:`, {
           type: event.candidate.type,
           protocol: event.candidate.protocol,
           address: event.candidate.address,
@@ -1132,44 +1296,43 @@ class RTCManager {
         });
         
         socketManager.emit('signal', {
-          to: socketId,
+          to: pc.peerId,
           signal: {
             type: 'ice-candidate',
             candidate: event.candidate
           }
         });
       } else {
-        console.log(`🏁 ICE gathering complete for ${socketId}`);
+        console.log(`🏁 ICE gathering complete for ${pc.peerId}`);
       }
     };
 
     // FIXED: Enhanced connection state monitoring with reconnection logic
     pc.onconnectionstatechange = () => {
-      console.log(`Connection state with ${socketId}:`, pc.connectionState);
+      console.log(`Connection state with ${pc.peerId}:`, pc.connectionState);
       
       if (pc.connectionState === 'failed') {
-        console.error(`❌ Connection failed with ${socketId}`);
+        console.error(`❌ Connection failed with ${pc.peerId}`);
         // Don't immediately restart ICE - give it time to recover
         setTimeout(() => {
           if (pc.connectionState === 'failed') {
-            console.log(`🔄 Attempting ICE restart for ${socketId} after delay`);
-            this.handleConnectionFailure(socketId);
+            console.log(`🔄 Attempting ICE restart for ${pc.peerId} after delay`);
+            this.handleConnectionFailure(pc.peerId);
           }
         }, 5000); // Wait 5 seconds before attempting restart
       } else if (pc.connectionState === 'disconnected') {
-        console.warn(`⚠️ Connection disconnected with ${socketId}, monitoring for recovery`);
+        console.warn(`⚠️ Connection disconnected with ${pc.peerId}, monitoring for recovery`);
         // Give it more time to recover before attempting restart
         setTimeout(() => {
           if (pc.connectionState === 'disconnected' || pc.connectionState === 'failed') {
-            console.log(`🔄 Attempting recovery for ${socketId} after timeout`);
-            this.handleConnectionFailure(socketId);
+            console.log(`🔄 Attempting recovery for ${pc.peerId} after timeout`);
+            this.handleConnectionFailure(pc.peerId);
           }
         }, 15000); // Increased from 10s to 15s
       } else if (pc.connectionState === 'connected') {
-        console.log(`✅ Connection established with ${socketId}`);
+        console.log(`✅ Connection established with ${pc.peerId}`);
         NotificationManager.show('Peer connected successfully', 'success');
-        // FIXED: Process any pending candidates now that connection is established
-        this.processPendingCandidates(socketId);
+        this.reportCandidateType(pc);
         
         // Debug: Log transceiver states when connection is established
         setTimeout(() => this.logTransceiverStates(), 500);
@@ -1178,24 +1341,53 @@ class RTCManager {
 
     // FIXED: Added ICE connection state monitoring for better diagnostics
     pc.oniceconnectionstatechange = () => {
-      console.log(`ICE connection state with ${socketId}:`, pc.iceConnectionState);
-      this.handleIceStateChange(socketId, pc.iceConnectionState);
+      console.log(`ICE connection state with ${pc.peerId}:`, pc.iceConnectionState);
+      this.handleIceStateChange(pc.peerId, pc.iceConnectionState);
     };
 
-    // FIXED: Added signaling state monitoring to handle race conditions
     pc.onsignalingstatechange = () => {
-      console.log(`Signaling state with ${socketId}:`, pc.signalingState);
-      
-      // Process pending candidates when remote description is set
-      if (pc.signalingState === 'stable' || pc.signalingState === 'have-remote-offer') {
-        this.processPendingCandidates(socketId);
-      }
+      console.log(`Signaling state with ${pc.peerId}:`, pc.signalingState);
     };
 
     this.peers.set(socketId, pc);
     return pc;
   }
 
+  // Tell the server which path the connection took ('relay' through TURN, or a direct 'host',
+  // 'srflx' or 'prflx' candidate) so its quality history can be split by it
+  async reportCandidateType(pc) {
+    try {
+      const stats = await pc.getStats();
+      let pair = null;
+      
+      stats.forEach(report => {
+        if (report.type === 'transport' && report.selectedCandidatePairId) {
+          pair = stats.get(report.selectedCandidatePairId);
+        }
+      });
+      // Firefox has no transport stats and flags the pair instead
+      if (!pair) {
+        stats.forEach(report => {
+          if (report.type === 'candidate-pair' && (report.selected || (report.nominated && report.state === 'succeeded'))) {
+            pair = report;
+          }
+        });
+      }
+      
+      const candidateType = pair && stats.get(pair.localCandidateId)?.candidateType;
+      if (!candidateType) return;
+      
+      socketManager.emit('turn-verification', {
+        usingTurn: candidateType === 'relay',
+        connectionType: candidateType,
+        peerId: pc.peerId,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not read the candidate type for ${pc.peerId}:`, error);
+    }
+  }
+
   setupRemoteAudioAnalysis(socketId, stream) {
     console.log(`🎵 Setting up remote audio analysis for ${socketId}`);
     try {
@@ -1217,7 +1409,7 @@ class RTCManager {
         const dataArray = new Uint8Array(bufferLength);
         
         const analyze = () => {
-          if (!this.peers.has(socketId)) return;
+          if (!this.peers.has(socketId) && !this.sfuStreams.has(socketId)) return;
           
           requestAnimationFrame(analyze);
           analyser.getByteFrequencyData(dataArray);
@@ -1252,330 +1444,466 @@ class RTCManager {
     }
   }
 
-  async createOffer(socketId) {
-    console.log(`📞 Creating offer for ${socketId}`);
-    const pc = this.createPeerConnection(socketId);
+  // Open a connection to a peer (or the SFU): onnegotiationneeded sends the offer
+  connectToPeer(socketId) {
+    console.log(`📞 Connecting to ${socketId}`);
+    this.createPeerConnection(socketId);
+  }
+
+  // Exactly one side of each pair is polite (see negotiation.js). Both sides compare the same two
+  // socket ids; against the SFU, which never rolls back, we always are
+  isPolite(socketId) {
+    return socketId === SFU_PEER_ID || (socketManager.socket?.id || '') < socketId;
+  }
+
+  // Our offer or answer, relayed by the server. The SFU tells a new connection ('offer') from a
+  // renegotiation of the one it has; mesh offers name our screen share stream (see setRemoteScreen())
+  sendDescription(pc, description) {
+    let signal;
+    if (pc.peerId === SFU_PEER_ID) {
+      signal = description.type === 'offer'
+        ? { type: pc.currentRemoteDescription ? 'renegotiate-offer' : 'offer', offer: description }
+        : { type: 'renegotiate-answer', answer: description };
+    } else {
+      signal = description.type === 'offer'
+        ? { type: 'offer', offer: description, screen: this.getScreenStreamId() }
+        : { type: 'answer', answer: description };
+    }
     
-    try {
-      // FIXED: Ensure local stream is available before creating offer
-      if (!this.localStream) {
-        console.error(`❌ No local stream available when creating offer for ${socketId}`);
+    console.log(`📤 Sending ${signal.type} to ${pc.peerId}`);
+    socketManager.emit('signal', { to: pc.peerId, signal });
+  }
+
+  // Offer or answer from a peer or the SFU. An offer from a peer we have no connection with opens one
+  async handleDescription(socketId, description) {
+    let pc = this.peers.get(socketId);
+    if (!pc) {
+      if (description.type !== 'offer' || socketId === SFU_PEER_ID) {
+        console.warn(`⚠️ Dropping ${description.type} from ${socketId}: no connection`);
         return;
       }
-      
-      console.log(`🎥 Local stream tracks for ${socketId}:`, this.localStream.getTracks().map(t => `${t.kind}: ${t.enabled}`));
-      
-      const offer = await pc.createOffer({
-        offerToReceiveAudio: true,
-        offerToReceiveVideo: true
-      });
-      
-      await pc.setLocalDescription(offer);
-      
-      console.log(`📤 Sending offer to ${socketId}`);
-      socketManager.emit('signal', {
-        to: socketId,
-        signal: {
-          type: 'offer',
-          offer: offer
-        }
-      });
+      pc = this.createPeerConnection(socketId);
+    }
+    
+    try {
+      const handled = await pc.negotiator.handleDescription(description);
+      if (!handled) {
+        console.log(`🤝 Offer collision with ${socketId}: ignoring theirs, they answer ours`);
+      }
     } catch (error) {
-      console.error(`❌ Error creating offer for ${socketId}:`, error);
-      this.removePeer(socketId);
+      console.error(`❌ Error handling ${description.type} from ${socketId}:`, error);
     }
   }
 
-  async handleOffer(socketId, offer) {
-    console.log(`📥 Handling offer from ${socketId}`);
-    const pc = this.createPeerConnection(socketId);
+  async handleIceCandidate(socketId, candidate) {
+    const pc = this.peers.get(socketId);
+    if (!pc) return;
     
     try {
-      // FIXED: Ensure local stream is available before handling offer
-      if (!this.localStream) {
-        console.error(`❌ No local stream available when handling offer from ${socketId}`);
-        return;
-      }
-      
-      console.log(`🎥 Local stream tracks for ${socketId}:`, this.localStream.getTracks().map(t => `${t.kind}: ${t.enabled}`));
-      
-      await pc.setRemoteDescription(offer);
-      
-      // FIXED: Process pending candidates after setting remote description
-      this.processPendingCandidates(socketId);
-      
-      const answer = await pc.createAnswer();
-      
-      await pc.setLocalDescription(answer);
-      
-      console.log(`📤 Sending answer to ${socketId}`);
-      socketManager.emit('signal', {
-        to: socketId,
-        signal: {
-          type: 'answer',
-          answer: answer
-        }
-      });
+      await pc.negotiator.handleCandidate(candidate);
     } catch (error) {
-      console.error(`❌ Error handling offer from ${socketId}:`, error);
-      // FIXED: Clean up on error
-      this.removePeer(socketId);
+      // Don't throw error, just log it as this is common during connection setup
+      console.error('Error adding ICE candidate:', error);
     }
   }
 
-  // ENHANCED: Advanced audio SDP enhancement for high-quality codecs
-  enhanceAudioSDP(sdp) {
-    let enhancedSDP = sdp;
-    
-    // Configure based on current settings
-    const { audioCodec, audioBitrate, audioChannels, stereoEnabled, dtxEnabled, opusComplexity, opusFec, opusMaxPlaybackRate } = this.currentSettings;
-    
-    if (audioCodec === 'opus') {
-      // ENHANCED: Advanced Opus parameters for maximum quality
-      const opusParams = [
-        `maxaveragebitrate=${audioBitrate}`,
-        `maxplaybackrate=${opusMaxPlaybackRate}`,
-        audioChannels === 2 && stereoEnabled ? 'stereo=1' : 'stereo=0',
-        audioChannels === 2 && stereoEnabled ? 'sprop-stereo=1' : 'sprop-stereo=0',
-        dtxEnabled ? 'usedtx=1' : 'usedtx=0',
-        `useinbandfec=${opusFec ? '1' : '0'}`, // Forward Error Correction
-        `complexity=${opusComplexity}`, // Maximum complexity for best quality
-        'cbr=0', // Variable bitrate for better quality
-        'vbr=1' // Enable variable bitrate
-      ].join(';');
-      
-      // Apply Opus parameters to all Opus codecs
-      enhancedSDP = enhancedSDP.replace(
-        /(a=fmtp:(\d+) .*opus.*)/gi,
-        (match, line, payloadType) => {
-          // Check if this line already has parameters
-          if (line.includes('maxaveragebitrate')) {
-            return line; // Already enhanced
-          }
-          return `${line};${opusParams}`;
-        }
-      );
-      
-      // If no existing fmtp line for Opus, add one
-      const opusPayloadMatch = enhancedSDP.match(/a=rtpmap:(\d+) opus/i);
-      if (opusPayloadMatch && !enhancedSDP.includes(`a=fmtp:${opusPayloadMatch[1]}`)) {
-        const payloadType = opusPayloadMatch[1];
-        const rtpmapLine = `a=rtpmap:${payloadType} opus/48000/2`;
-        enhancedSDP = enhancedSDP.replace(
-          rtpmapLine,
-          `${rtpmapLine}\r\na=fmtp:${payloadType} ${opusParams}`
-        );
-      }
-      
-      // Prefer Opus codec by reordering m= line
-      enhancedSDP = enhancedSDP.replace(
-        /(m=audio \d+ UDP\/TLS\/RTP\/SAVPF) ([\d\s]+)/g,
-        (match, prefix, codecList) => {
-          const codecs = codecList.trim().split(' ');
-          const opusCodecs = [];
-          const otherCodecs = [];
-          
-          // Find Opus codec payload types
-          const opusMatches = enhancedSDP.match(/a=rtpmap:(\d+) opus/gi);
-          const opusPayloads = opusMatches ? opusMatches.map(m => m.match(/a=rtpmap:(\d+)/)[1]) : [];
-          
-          codecs.forEach(codec => {
-            if (opusPayloads.includes(codec)) {
-              opusCodecs.push(codec);
-            } else {
-              otherCodecs.push(codec);
-            }
-          });
-          
-          // Put Opus first
-          const reorderedCodecs = [...opusCodecs, ...otherCodecs].join(' ');
-          return `${prefix} ${reorderedCodecs}`;
-        }
-      );
-    } else {
-      // Handle other codecs (G.722, PCMU, PCMA)
-      const codecMap = {
-        'g722': 'G722',
-        'pcmu': 'PCMU',
-        'pcma': 'PCMA'
-      };
-      
-      const codecName = codecMap[audioCodec];
-      if (codecName) {
-        const codecRegex = new RegExp(`a=rtpmap:(\\d+) ${codecName}`, 'i');
-        const codecs = enhancedSDP.match(codecRegex);
-        if (codecs) {
-          const codecId = codecs[1];
-          enhancedSDP = enhancedSDP.replace(
-            /(m=audio \d+ UDP\/TLS\/RTP\/SAVPF) ([\d\s]+)/g,
-            (match, prefix, codecList) => {
-              const reorderedCodecs = codecList.trim().split(' ');
-              // Move preferred codec to front
-              const index = reorderedCodecs.indexOf(codecId);
-              if (index > 0) {
-                reorderedCodecs.splice(index, 1);
-                reorderedCodecs.unshift(codecId);
-              }
-              return `${prefix} ${reorderedCodecs.join(' ')}`;
-            }
-          );
-        }
+  // ICE restart keeping tracks and DTLS state; onnegotiationneeded sends the restart offer
+  restartPeer(socketId) {
+    const pc = this.peers.get(socketId);
+    if (!pc) return;
+    
+    console.log(`🔄 ICE restart for ${socketId}`);
+    pc.restartIce();
+  }
+
+  // A peer resumed its session on a new socket id: keep the connection, move it to the new id
+  renamePeer(oldSocketId, newSocketId) {
+    const pc = this.peers.get(oldSocketId);
+    if (!pc) {
+      // SFU rooms: the server forwards the resumed peer's tracks again under the new id
+      this.removePeer(oldSocketId);
+      return false;
+    }
+    
+    // Never answered (we called them during their outage): let the resumed side call again
+    if (!pc.remoteDescription) {
+      this.removePeer(oldSocketId);
+      return false;
+    }
+    
+    const userInfo = this.userInfo.get(oldSocketId);
+    const stream = document.getElementById(`remote-video-${oldSocketId}`)?.srcObject;
+    const screenStream = document.getElementById(`screen-video-${oldSocketId}`)?.srcObject;
+    
+    this.peers.delete(oldSocketId);
+    this.peers.set(newSocketId, pc);
+    pc.peerId = newSocketId;
+    pc.negotiator.polite = this.isPolite(newSocketId);
+    this.requestedLayers.delete(oldSocketId);
+    [this.peerLayers, this.bitrateControl, this.peerQuality, this.receiveCounters, this.remoteScreens].forEach(map => {
+      if (map.has(oldSocketId)) {
+        map.set(newSocketId, map.get(oldSocketId));
+        map.delete(oldSocketId);
       }
+    });
+    this.userInfo.delete(oldSocketId);
+    if (userInfo) {
+      this.userInfo.set(newSocketId, userInfo);
+    }
+    
+    // The tile's handlers close over the socket id, so rebuild it under the new one
+    if (uiManager.pinnedUser === oldSocketId) {
+      uiManager.pinnedUser = newSocketId;
+    } else if (uiManager.pinnedUser === `screen-${oldSocketId}`) {
+      uiManager.pinnedUser = `screen-${newSocketId}`;
+    }
+    uiManager.removeVideo(oldSocketId);
+    uiManager.removeVideo(`screen-${oldSocketId}`);
+    document.getElementById(`stats-${oldSocketId}`)?.remove();
+    if (stream) {
+      uiManager.addRemoteVideo(newSocketId, stream);
+      this.setupRemoteAudioAnalysis(newSocketId, stream);
+    }
+    if (screenStream) {
+      uiManager.addScreenVideo(newSocketId, screenStream);
     }
     
-    return enhancedSDP;
+    console.log(`🔁 Peer ${oldSocketId} resumed as ${newSocketId}`);
+    return true;
   }
 
-  // ENHANCED: Advanced video SDP enhancement for high-quality codecs
-  enhanceVideoSDP(sdp) {
-    let enhancedSDP = sdp;
+  // Our own session resumed: restart ICE with survivors, drop leavers, call anyone who joined meanwhile
+  resumePeers(users, mediaMode = 'mesh') {
+    if (mediaMode === 'sfu') {
+      // The server dropped our old SFU connection; publish again and let it forward everyone back
+      Array.from(this.peers.keys()).forEach(socketId => this.removePeer(socketId));
+      users.forEach(user => this.storeUserInfo(user.socketId, { nickname: user.nickname }));
+      this.connectToSfu();
+      return;
+    }
     
-    const { videoCodec, videoBitrate } = this.currentSettings;
+    const present = new Set(users.map(user => user.socketId));
     
-    // ENHANCED: Advanced video codec parameters
-    if (videoCodec === 'vp9') {
-      // VP9 specific enhancements
-      const vp9PayloadMatch = enhancedSDP.match(/a=rtpmap:(\d+) VP9/i);
-      if (vp9PayloadMatch) {
-        const payloadType = vp9PayloadMatch[1];
-        const vp9Params = [
-          'profile-id=0', // Profile 0 for better compatibility
-          'level-id=30'   // Level 3.0 for 720p
-        ].join(';');
-        
-        // Add or enhance VP9 fmtp line
-        if (!enhancedSDP.includes(`a=fmtp:${payloadType}`)) {
-          const rtpmapLine = `a=rtpmap:${payloadType} VP9/90000`;
-          enhancedSDP = enhancedSDP.replace(
-            rtpmapLine,
-            `${rtpmapLine}\r\na=fmtp:${payloadType} ${vp9Params}`
-          );
-        }
+    Array.from(this.peers.keys())
+      .filter(socketId => !present.has(socketId))
+      .forEach(socketId => this.removePeer(socketId));
+    
+    users.forEach(user => {
+      this.storeUserInfo(user.socketId, { nickname: user.nickname });
+      const pc = this.peers.get(user.socketId);
+      if (pc) {
+        // Our socket id changed, and with it which side of the pair is polite
+        pc.negotiator.polite = this.isPolite(user.socketId);
+        this.restartPeer(user.socketId);
+      } else {
+        this.connectToPeer(user.socketId);
       }
-    } else if (videoCodec === 'h264') {
-      // H.264 specific enhancements
-      const h264PayloadMatch = enhancedSDP.match(/a=rtpmap:(\d+) H264/i);
-      if (h264PayloadMatch) {
-        const payloadType = h264PayloadMatch[1];
-        const h264Params = [
-          'level-asymmetry-allowed=1',
-          'packetization-mode=1',
-          'profile-level-id=42e01f' // Baseline profile, level 3.1
-        ].join(';');
+    });
+  }
+
+  getSimulcastEncodings() {
+    return Object.values(VIDEO_LAYERS).map(({ rid, scaleResolutionDownBy, maxBitrate }) => ({
+      rid,
+      scaleResolutionDownBy,
+      maxBitrate: maxBitrate || this.currentSettings.videoBitrate
+    }));
+  }
+
+  // Ask a publisher for the video layer its tile needs ('high' | 'medium' | 'low' | 'off')
+  requestLayer(socketId, layer) {
+    if (this.requestedLayers.get(socketId) === layer) return;
+    
+    if (this.mediaMode === 'sfu') {
+      socketManager.emit('signal', {
+        to: SFU_PEER_ID,
+        signal: { type: 'layer-request', publisherId: socketId, layer }
+      });
+    } else if (this.peers.has(socketId)) {
+      socketManager.emit('signal', {
+        to: socketId,
+        signal: { type: 'layer-request', layer }
+      });
+    } else {
+      return;
+    }
+    
+    this.requestedLayers.set(socketId, layer);
+    console.log(`🎚️ Requested ${layer} video from ${socketId}`);
+  }
+
+  // Mesh: a viewer asked us for a layer, so rescale the video we send to that peer only
+  async applyRequestedLayer(socketId, layer) {
+    if (!VIDEO_LAYERS[layer] && layer !== 'off') return;
+    
+    this.peerLayers.set(socketId, layer);
+    await this.applySenderParameters(socketId);
+    console.log(`🎚️ Sending ${layer} video to ${socketId}`);
+  }
+
+  // Current congestion target for one connection
+  getBitrateTarget(socketId) {
+    const control = this.bitrateControl.get(socketId);
+    const step = BITRATE_LADDER[control ? control.level : BITRATE_LADDER.length - 1];
+    return {
+      ...step,
+      maxBitrate: Math.min(step.maxBitrate || this.currentSettings.videoBitrate, this.currentSettings.videoBitrate)
+    };
+  }
+
+  // Combine the congestion target with the viewer's layer request and push it to the video sender
+  async applySenderParameters(socketId) {
+    const pc = this.peers.get(socketId);
+    const sender = pc && this.getMediaSenders(pc).find(s => s.track?.kind === 'video');
+    if (!sender) return;
+    
+    try {
+      const params = sender.getParameters();
+      if (!params.encodings || params.encodings.length === 0) return;
+      
+      const target = this.getBitrateTarget(socketId);
+      
+      if (socketId === SFU_PEER_ID) {
+        // Simulcast: switch off the layers above the target, but always keep the lowest one
+        params.encodings.forEach((encoding, index) => {
+          const layer = Object.values(VIDEO_LAYERS).find(l => l.rid === encoding.rid);
+          const layerBitrate = layer?.maxBitrate || this.currentSettings.videoBitrate;
+          encoding.active = index === 0 || layerBitrate <= target.maxBitrate;
+          encoding.maxFramerate = target.maxFramerate;
+        });
+      } else {
+        const layer = this.peerLayers.get(socketId) || 'high';
+        const preset = VIDEO_LAYERS[layer];
+        const encoding = params.encodings[0];
         
-        // Add or enhance H.264 fmtp line
-        if (!enhancedSDP.includes(`a=fmtp:${payloadType}`)) {
-          const rtpmapLine = `a=rtpmap:${payloadType} H264/90000`;
-          enhancedSDP = enhancedSDP.replace(
-            rtpmapLine,
-            `${rtpmapLine}\r\na=fmtp:${payloadType} ${h264Params}`
-          );
+        encoding.active = layer !== 'off';
+        encoding.maxBitrate = Math.min(target.maxBitrate, preset?.maxBitrate || Infinity);
+        encoding.scaleResolutionDownBy = Math.max(target.scaleResolutionDownBy, preset?.scaleResolutionDownBy || 1);
+        encoding.maxFramerate = target.maxFramerate;
+      }
+      
+      await sender.setParameters(params);
+    } catch (error) {
+      console.error(`❌ Error updating sender parameters for ${socketId}:`, error);
+    }
+  }
+
+  // Step the ladder down fast on loss/RTT/receiver complaints, up slowly after a clean stretch
+  adaptBitrate(socketId, stats) {
+    let loss = null;
+    let rtt = null;
+    let available = null;
+    
+    stats.forEach(report => {
+      if (report.type === 'remote-inbound-rtp' && report.kind === 'video') {
+        if (report.fractionLost !== undefined) {
+          loss = Math.max(loss || 0, report.fractionLost * 100);
+        }
+        if (report.roundTripTime !== undefined) {
+          rtt = Math.max(rtt || 0, report.roundTripTime * 1000);
+        }
+      } else if (report.type === 'candidate-pair' && report.state === 'succeeded' && report.nominated) {
+        if (report.availableOutgoingBitrate) {
+          available = report.availableOutgoingBitrate;
+        }
+        if (rtt === null && report.currentRoundTripTime) {
+          rtt = report.currentRoundTripTime * 1000;
         }
       }
+    });
+    
+    let control = this.bitrateControl.get(socketId);
+    if (!control) {
+      control = { level: BITRATE_LADDER.length - 1, goodTicks: 0, lastChange: 0 };
+      this.bitrateControl.set(socketId, control);
     }
     
-    // Set video bitrate using b= line (more reliable than fmtp)
-    enhancedSDP = enhancedSDP.replace(
-      /(m=video \d+ UDP\/TLS\/RTP\/SAVPF [\d\s]+)/g,
-      `$1\r\nb=AS:${Math.floor(videoBitrate / 1000)}`
-    );
+    // In SFU rooms viewers pick their own simulcast layer, so only mesh peers' reports count
+    const reported = socketId === SFU_PEER_ID ? null : this.peerQuality.get(socketId);
+    const target = this.getBitrateTarget(socketId);
+    const now = Date.now();
     
-    // Prefer selected video codec by reordering m= line
-    const codecMap = {
-      'vp8': 'VP8',
-      'vp9': 'VP9',
-      'h264': 'H264',
-      'av1': 'AV01'
-    };
+    const congested = (loss !== null && loss > 10) ||
+      (rtt !== null && rtt > 400) ||
+      (available !== null && available < target.maxBitrate * 0.7) ||
+      reported === 'poor';
+    const clear = (loss === null || loss < 2) && (rtt === null || rtt < 250) && reported !== 'poor' && reported !== 'fair';
     
-    const codecName = codecMap[videoCodec];
-    if (codecName) {
-      enhancedSDP = enhancedSDP.replace(
-        /(m=video \d+ UDP\/TLS\/RTP\/SAVPF) ([\d\s]+)/g,
-        (match, prefix, codecList) => {
-          const codecs = codecList.trim().split(' ');
-          const preferredCodecs = [];
-          const otherCodecs = [];
-          
-          // Find preferred codec payload types
-          const codecMatches = enhancedSDP.match(new RegExp(`a=rtpmap:(\\d+) ${codecName}`, 'gi'));
-          const codecPayloads = codecMatches ? codecMatches.map(m => m.match(/a=rtpmap:(\d+)/)[1]) : [];
-          
-          codecs.forEach(codec => {
-            if (codecPayloads.includes(codec)) {
-              preferredCodecs.push(codec);
-            } else {
-              otherCodecs.push(codec);
-            }
-          });
-          
-          // Put preferred codec first
-          const reorderedCodecs = [...preferredCodecs, ...otherCodecs].join(' ');
-          return `${prefix} ${reorderedCodecs}`;
-        }
-      );
+    let level = control.level;
+    if (congested) {
+      control.goodTicks = 0;
+      if (level > 0 && now - control.lastChange > 2000) {
+        level--;
+      }
+    } else if (clear) {
+      control.goodTicks++;
+      if (control.goodTicks >= 10 && level < BITRATE_LADDER.length - 1) {
+        level++;
+        control.goodTicks = 0;
+      }
+    } else {
+      control.goodTicks = 0;
     }
     
-    return enhancedSDP;
+    control.measured = { loss, rtt, available };
+    
+    if (level !== control.level) {
+      console.log(`📉 Bitrate step ${control.level} -> ${level} for ${socketId}`, control.measured);
+      control.level = level;
+      control.lastChange = now;
+      this.applySenderParameters(socketId);
+    }
   }
 
-  async handleAnswer(socketId, answer) {
-    const pc = this.peers.get(socketId);
-    if (pc) {
-      try {
-        await pc.setRemoteDescription(answer);
-        
-        // FIXED: Process pending candidates after setting remote description
-        this.processPendingCandidates(socketId);
-      } catch (error) {
-        console.error('Error handling answer:', error);
-        // FIXED: Clean up on error
-        this.removePeer(socketId);
+  // Per-tick receive loss/RTT for one connection, used for the quality we report to senders
+  measureReceiveQuality(socketId, stats) {
+    let packetsLost = 0;
+    let packetsReceived = 0;
+    let bytesReceived = 0;
+    let rtt = null;
+    
+    stats.forEach(report => {
+      if (report.type === 'inbound-rtp') {
+        bytesReceived += report.bytesReceived || 0;
       }
+      if (report.type === 'inbound-rtp' && report.kind === 'video') {
+        packetsLost += report.packetsLost || 0;
+        packetsReceived += report.packetsReceived || 0;
+      } else if (report.type === 'candidate-pair' && report.state === 'succeeded' && report.currentRoundTripTime) {
+        rtt = report.currentRoundTripTime * 1000;
+      }
+    });
+    
+    const now = Date.now();
+    const previous = this.receiveCounters.get(socketId) || { packetsLost: 0, packetsReceived: 0, bytesReceived: 0, at: now };
+    this.receiveCounters.set(socketId, { packetsLost, packetsReceived, bytesReceived, at: now });
+    
+    const lost = Math.max(0, packetsLost - previous.packetsLost);
+    const received = Math.max(0, packetsReceived - previous.packetsReceived);
+    const packetLoss = lost + received > 0 ? (lost / (lost + received)) * 100 : 0;
+    const elapsed = (now - previous.at) / 1000;
+    const bitrate = elapsed > 0 ? Math.max(0, bytesReceived - previous.bytesReceived) * 8 / 1000 / elapsed : null; // kbps
+    
+    let quality = 'good';
+    if (packetLoss > 10 || (rtt !== null && rtt > 400)) {
+      quality = 'poor';
+    } else if (packetLoss > 3 || (rtt !== null && rtt > 250)) {
+      quality = 'fair';
     }
+    
+    return { quality, packetLoss, rtt, bitrate };
   }
 
-  async handleIceCandidate(socketId, candidate) {
-    const pc = this.peers.get(socketId);
-    if (pc) {
-      try {
-        // FIXED: Check if remote description is set before adding candidate
-        if (pc.remoteDescription && pc.remoteDescription.type) {
-          await pc.addIceCandidate(candidate);
-          console.log(`✅ Added ICE candidate for ${socketId}`);
-        } else {
-          // FIXED: Queue candidate if remote description not set yet (race condition fix)
-          console.log(`📦 Queuing ICE candidate for ${socketId} (remote description not set)`);
-          const pendingCandidates = this.pendingCandidates.get(socketId) || [];
-          pendingCandidates.push(candidate);
-          this.pendingCandidates.set(socketId, pendingCandidates);
-        }
-      } catch (error) {
-        console.error('Error adding ICE candidate:', error);
-        // Don't throw error, just log it as this is common during connection setup
+  // Tell senders how their video reaches us; only sent when a label changes
+  reportReceiveQuality(measurements) {
+    const peers = {};
+    let worst = 'good';
+    let packetLoss = 0;
+    let rtt = 0;
+    let bitrate = null;
+    
+    measurements.forEach((measurement, socketId) => {
+      peers[socketId] = measurement.quality;
+      if (measurement.quality === 'poor' || (measurement.quality === 'fair' && worst === 'good')) {
+        worst = measurement.quality;
       }
-    }
+      packetLoss = Math.max(packetLoss, measurement.packetLoss);
+      rtt = Math.max(rtt, measurement.rtt || 0);
+      if (measurement.bitrate !== null) {
+        bitrate = (bitrate || 0) + measurement.bitrate;
+      }
+    });
+    
+    // Also resent periodically so the admin API's live stats do not go stale
+    const report = JSON.stringify(peers);
+    if (report === this.lastQualityReport && Date.now() - this.lastQualityReportAt < QUALITY_REPORT_INTERVAL) return;
+    this.lastQualityReport = report;
+    this.lastQualityReportAt = Date.now();
+    
+    socketManager.emit('connection-quality', {
+      quality: worst,
+      packetLoss: Math.round(packetLoss * 10) / 10,
+      rtt: Math.round(rtt),
+      bitrate: bitrate !== null ? Math.round(bitrate) : null,
+      peers,
+      timestamp: Date.now()
+    });
   }
 
-  // FIXED: Added method to process pending ICE candidates
-  async processPendingCandidates(socketId) {
-    const pc = this.peers.get(socketId);
-    const pendingCandidates = this.pendingCandidates.get(socketId) || [];
+  // Only the label for our own video counts: the report's overall quality is the viewer's worst link
+  handlePeerQualityUpdate(data) {
+    const quality = data.peers?.[socketManager.socket?.id];
+    if (!quality) return;
     
-    if (pc && pc.remoteDescription && pendingCandidates.length > 0) {
-      console.log(`🔄 Processing ${pendingCandidates.length} pending ICE candidates for ${socketId}`);
-      
-      for (const candidate of pendingCandidates) {
-        try {
-          await pc.addIceCandidate(candidate);
-          console.log(`✅ Added queued ICE candidate for ${socketId}`);
-        } catch (error) {
-          console.error(`❌ Error adding queued ICE candidate for ${socketId}:`, error);
-        }
+    this.peerQuality.set(data.socketId, quality);
+    console.log(`📊 ${data.socketId} receives our video as ${quality}`);
+  }
+
+  describeBitrateTarget(socketId) {
+    const target = this.getBitrateTarget(socketId);
+    const layer = socketId === SFU_PEER_ID ? null : this.peerLayers.get(socketId);
+    if (layer === 'off') return 'paused (tile hidden)';
+    
+    const scale = Math.max(target.scaleResolutionDownBy, VIDEO_LAYERS[layer]?.scaleResolutionDownBy || 1);
+    const bitrate = Math.min(target.maxBitrate, VIDEO_LAYERS[layer]?.maxBitrate || Infinity);
+    return `${Math.round(bitrate / 1000)} kbps · ${scale === 1 ? 'full' : `1/${scale}`} res · ${target.maxFramerate} fps`;
+  }
+
+  // Publish to the server once instead of offering to every user
+  connectToSfu() {
+    this.mediaMode = 'sfu';
+    this.connectToPeer(SFU_PEER_ID);
+  }
+
+  // The room outgrew mesh: drop direct connections and move to the SFU
+  switchToSfu() {
+    if (this.mediaMode === 'sfu') return;
+    
+    // The SFU has no separate screen track: end the share rather than swap out the camera unasked
+    this.stopScreenShare();
+    
+    Array.from(this.peers.keys()).forEach(socketId => {
+      const userInfo = this.userInfo.get(socketId);
+      this.removePeer(socketId);
+      if (userInfo) {
+        this.userInfo.set(socketId, userInfo);
       }
-      
-      // Clear the queue
-      this.pendingCandidates.set(socketId, []);
+    });
+    
+    this.connectToSfu();
+  }
+
+  // Server offers name the publisher behind each forwarded transceiver
+  setSfuTrackOwners(tracks) {
+    Object.entries(tracks).forEach(([mid, socketId]) => this.sfuTrackOwners.set(mid, socketId));
+  }
+
+  // A forwarded track arrived over the SFU connection: attach it to its publisher's tile
+  handleSfuTrack(event) {
+    const socketId = this.sfuTrackOwners.get(event.transceiver.mid);
+    if (!socketId) {
+      console.warn(`⚠️ SFU track on unknown mid ${event.transceiver.mid}`);
+      return;
+    }
+    
+    console.log(`📡 SFU ${event.track.kind} track from ${socketId}`);
+    
+    let stream = this.sfuStreams.get(socketId);
+    if (!stream) {
+      stream = new MediaStream();
+      this.sfuStreams.set(socketId, stream);
+    }
+    
+    stream.getTracks()
+      .filter(track => track.kind === event.track.kind)
+      .forEach(track => stream.removeTrack(track));
+    stream.addTrack(event.track);
+    
+    if (!document.getElementById(`video-${socketId}`)) {
+      uiManager.addRemoteVideo(socketId, stream);
+    }
+    
+    if (event.track.kind === 'audio') {
+      this.setupRemoteAudioAnalysis(socketId, stream);
     }
   }
 
@@ -1715,14 +2043,24 @@ class RTCManager {
       this.peers.delete(socketId);
     }
     
-    // FIXED: Clean up pending candidates queue
-    this.pendingCandidates.delete(socketId);
-    
     // FIXED: Clean up stored user info
     this.userInfo.delete(socketId);
     
+    this.sfuStreams.delete(socketId);
+    this.remoteScreens.delete(socketId);
+    this.requestedLayers.delete(socketId);
+    this.peerLayers.delete(socketId);
+    this.bitrateControl.delete(socketId);
+    this.peerQuality.delete(socketId);
+    this.receiveCounters.delete(socketId);
+    if (socketId === SFU_PEER_ID) {
+      this.sfuTrackOwners.clear();
+      this.requestedLayers.clear();
+    }
+    
     // Remove from UI
     uiManager.removeVideo(socketId);
+    uiManager.removeVideo(`screen-${socketId}`);
     
     // Remove stats display
     const statsSection = document.getElementById(`stats-${socketId}`);
@@ -1734,11 +2072,14 @@ class RTCManager {
   }
 
   toggleAudio() {
+    // Viewers watch only
+    if (!uiManager.can('publish')) return false;
+    
     if (this.localStream) {
       const audioTrack = this.localStream.getAudioTracks()[0];
       if (audioTrack) {
-        audioTrack.enabled = !audioTrack.enabled;
-        this.isAudioMuted = !audioTrack.enabled;
+        this.isAudioMuted = !this.isAudioMuted;
+        this.setMicGate(this.micGateOpen);
         uiManager.updateMuteButton(this.isAudioMuted);
         return !this.isAudioMuted;
       }
@@ -1748,6 +2089,8 @@ class RTCManager {
 
   async toggleVideo() {
     if (!this.localStream) return false;
+    // Viewers can still switch the camera off, never on
+    if (!uiManager.can('publish') && !this.localStream.getVideoTracks()[0]?.enabled) return false;
     
     const videoTrack = this.localStream.getVideoTracks()[0];
     
@@ -1781,7 +2124,7 @@ class RTCManager {
             console.log(`🔄 Updating video track for peer ${socketId}`);
             
             // SIMPLIFIED: Find video transceiver directly by kind
-            const videoTransceiver = pc.getTransceivers().find(t => 
+            const videoTransceiver = this.getMediaTransceivers(pc).find(t => 
               t.receiver.track?.kind === 'video' || 
               (t.sender.track === null && t.receiver.track === null && t.mid !== null)
             );
@@ -1846,7 +2189,7 @@ class RTCManager {
             console.log(`🔄 Disabling video track for peer ${socketId}`);
             
             // Find video transceiver with active video track
-            const videoTransceiver = pc.getTransceivers().find(t => 
+            const videoTransceiver = this.getMediaTransceivers(pc).find(t => 
               t.sender.track && t.sender.track.kind === 'video'
             );
             
@@ -1868,7 +2211,7 @@ class RTCManager {
             console.log(`🔄 Enabling video track for peer ${socketId}`);
             
             // Find video transceiver
-            const videoTransceiver = pc.getTransceivers().find(t => 
+            const videoTransceiver = this.getMediaTransceivers(pc).find(t => 
               t.receiver.track?.kind === 'video' || 
               (t.sender.track === null && t.receiver.track === null && t.mid !== null)
             );
@@ -1901,6 +2244,8 @@ class RTCManager {
   }
 
   async shareScreen() {
+    if (!this.isScreenSharing && !uiManager.can('publish')) return;
+    
     if (this.isScreenSharing) {
       // Stop screen sharing
       await this.stopScreenShare();
@@ -1908,44 +2253,32 @@ class RTCManager {
     }
 
     try {
+      // Tab or system audio comes along when the browser offers it
       const screenStream = await navigator.mediaDevices.getDisplayMedia({
         video: true,
         audio: true
       });
-
-      // Replace video track in all peer connections
       const videoTrack = screenStream.getVideoTracks()[0];
       
-      this.peers.forEach(async (pc) => {
-        const sender = pc.getSenders().find(s => 
-          s.track && s.track.kind === 'video'
-        );
-        
-        if (sender) {
-          await sender.replaceTrack(videoTrack);
-        }
-      });
-
-      // Update local video
-      const localVideo = document.querySelector('#local-video');
-      if (localVideo) {
-        localVideo.srcObject = screenStream;
+      this.screenStream = screenStream;
+      this.isScreenSharing = true;
+      
+      if (this.mediaMode === 'sfu') {
+        // The SFU forwards one video per participant, so there the screen takes the camera's place
+        await this.replaceSfuVideo(videoTrack);
+      } else {
+        // Mesh: extra transceivers next to the camera, announced by onnegotiationneeded
+        this.peers.forEach(pc => this.addScreenTracks(pc));
       }
 
-      // Handle screen share end
+      // Handle screen share end (the browser's own "Stop sharing" button)
       videoTrack.onended = () => {
         this.stopScreenShare();
       };
 
-      this.isScreenSharing = true;
+      uiManager.addScreenVideo('local', screenStream);
       uiManager.updateScreenShareButton(true);
       
-      // Mark local container as screen sharing for better fullscreen experience
-      const localContainer = document.getElementById('local-container');
-      if (localContainer) {
-        localContainer.classList.add('screen-sharing');
-      }
-      
       NotificationManager.show('Screen sharing started - Double-click video for fullscreen', 'success');
 
     } catch (error) {
@@ -1956,51 +2289,81 @@ class RTCManager {
 
   async stopScreenShare() {
     if (!this.isScreenSharing) return;
+    
+    const screenStream = this.screenStream;
+    this.screenStream = null;
+    this.isScreenSharing = false;
+    screenStream.getTracks().forEach(track => {
+      track.onended = null;
+      track.stop();
+    });
 
     try {
-      // Get camera stream back
-      const cameraStream = await navigator.mediaDevices.getUserMedia({
-        video: true,
-        audio: true
-      });
+      if (this.mediaMode === 'sfu') {
+        // Camera back in place, unless it was switched off meanwhile
+        const cameraTrack = this.localStream?.getVideoTracks()[0];
+        await this.replaceSfuVideo(cameraTrack && cameraTrack.enabled ? cameraTrack : null);
+      } else {
+        this.peers.forEach(pc => this.removeScreenTracks(pc));
+      }
+    } catch (error) {
+      console.error('Error stopping screen share:', error);
+      NotificationManager.show('Failed to stop screen sharing', 'error');
+    }
+    
+    uiManager.removeVideo('screen-local');
+    uiManager.updateScreenShareButton(false);
+    NotificationManager.show('Screen sharing stopped', 'info');
+  }
 
-      const videoTrack = cameraStream.getVideoTracks()[0];
+  // Screen video and audio get their own transceivers, so the camera keeps going alongside
+  addScreenTracks(pc) {
+    pc.screenTransceivers = this.screenStream.getTracks().map(track =>
+      pc.addTransceiver(track, { direction: 'sendonly', streams: [this.screenStream] })
+    );
+  }
 
-      // Replace screen track with camera track in all peer connections
-      this.peers.forEach(async (pc) => {
-        const sender = pc.getSenders().find(s => 
-          s.track && s.track.kind === 'video'
-        );
-        
-        if (sender) {
-          await sender.replaceTrack(videoTrack);
-        }
-      });
+  // Stopped transceivers leave the next offer; their m-lines are reused by later shares
+  removeScreenTracks(pc) {
+    (pc.screenTransceivers || []).forEach(transceiver => transceiver.stop());
+    pc.screenTransceivers = [];
+  }
 
-      // Update local video
-      const localVideo = document.querySelector('#local-video');
-      if (localVideo) {
-        localVideo.srcObject = cameraStream;
-      }
+  // Camera and microphone transceivers, leaving out our screen share and stopped ones
+  getMediaTransceivers(pc) {
+    return pc.getTransceivers().filter(transceiver =>
+      transceiver.direction !== 'stopped' && !pc.screenTransceivers?.includes(transceiver)
+    );
+  }
 
-      // Update local stream reference
-      this.localStream = cameraStream;
+  getMediaSenders(pc) {
+    return this.getMediaTransceivers(pc).map(transceiver => transceiver.sender);
+  }
 
-      this.isScreenSharing = false;
-      uiManager.updateScreenShareButton(false);
-      
-      // Remove screen sharing class
-      const localContainer = document.getElementById('local-container');
-      if (localContainer) {
-        localContainer.classList.remove('screen-sharing');
-      }
-      
-      NotificationManager.show('Screen sharing stopped', 'info');
+  // Our camera transceiver on the SFU connection comes first; forwarded ones are added after it
+  async replaceSfuVideo(track) {
+    const pc = this.peers.get(SFU_PEER_ID);
+    const transceiver = pc && this.getMediaTransceivers(pc).find(t => t.receiver.track?.kind === 'video');
+    if (transceiver) {
+      await transceiver.sender.replaceTrack(track);
+    }
+  }
 
-    } catch (error) {
-      console.error('Error stopping screen share:', error);
-      NotificationManager.show('Failed to stop screen sharing', 'error');
+  // Stream id of our screen share for mesh offers (null when not sharing), see setRemoteScreen()
+  getScreenStreamId() {
+    return this.screenStream && this.mediaMode !== 'sfu' ? this.screenStream.id : null;
+  }
+
+  // Mesh offers name the stream carrying the sender's screen share: its tracks get a tile of
+  // their own instead of replacing the camera. null means the share ended
+  setRemoteScreen(socketId, streamId) {
+    if (streamId) {
+      this.remoteScreens.set(socketId, streamId);
+      return;
     }
+    
+    this.remoteScreens.delete(socketId);
+    uiManager.removeVideo(`screen-${socketId}`);
   }
 
   cleanup() {
@@ -2026,9 +2389,6 @@ class RTCManager {
     });
     this.peers.clear();
 
-    // FIXED: Clear pending candidates queue
-    this.pendingCandidates.clear();
-
     // Stop local stream with proper track cleanup
     if (this.localStream) {
       this.localStream.getTracks().forEach(track => {
@@ -2041,6 +2401,12 @@ class RTCManager {
       });
       this.localStream = null;
     }
+    
+    if (this.screenStream) {
+      this.screenStream.getTracks().forEach(track => track.stop());
+      this.screenStream = null;
+      this.isScreenSharing = false;
+    }
 
     // Clean up audio context
     if (this.audioContext) {
@@ -2053,16 +2419,30 @@ class RTCManager {
       this.audioContext = null;
     }
 
-    // Reset audio visualizer
+    // Reset audio visualizer and the mic gate (its clone would keep the microphone in use)
     this.analyser = null;
     this.activeSpeaker = null;
-    
+    if (this.analysisTrack) {
+      this.analysisTrack.stop();
+      this.analysisTrack = null;
+    }
+    clearInterval(this.micGateTimer);
+    clearTimeout(this.micReleaseTimer);
+    this.micGateTimer = null;
+    this.micReleaseTimer = null;
+
     // Stop stats collection
     if (this.statsInterval) {
       clearInterval(this.statsInterval);
       this.statsInterval = null;
     }
     
+    // Stop TURN credential refresh
+    if (this.iceRefreshTimer) {
+      clearTimeout(this.iceRefreshTimer);
+      this.iceRefreshTimer = null;
+    }
+    
     console.log('🧹 WebRTC cleanup completed');
   }
 
@@ -2084,14 +2464,33 @@ class RTCManager {
     }
   }
 
+  // Runs for the whole call: the bitrate controller needs it even while the overlay is closed
   async updateConnectionStats() {
     try {
+      const showStats = uiManager.connectionStatsEnabled;
+      const receiveQuality = new Map();
+      
       // Update local stream stats
-      await this.updateLocalStats();
+      if (showStats) {
+        await this.updateLocalStats();
+      }
       
       // Update remote peer stats
       for (const [socketId, pc] of this.peers) {
-        await this.updateRemoteStats(socketId, pc);
+        const stats = await pc.getStats();
+        
+        this.adaptBitrate(socketId, stats);
+        if (socketId !== SFU_PEER_ID) {
+          receiveQuality.set(socketId, this.measureReceiveQuality(socketId, stats));
+        }
+        
+        if (showStats) {
+          await this.updateRemoteStats(socketId, pc, stats);
+        }
+      }
+      
+      if (receiveQuality.size > 0) {
+        this.reportReceiveQuality(receiveQuality);
       }
     } catch (error) {
       console.error('Error updating connection stats:', error);
@@ -2148,9 +2547,9 @@ class RTCManager {
     }
   }
 
-  async updateRemoteStats(socketId, pc) {
+  async updateRemoteStats(socketId, pc, stats = null) {
     try {
-      const stats = await pc.getStats();
+      stats = stats || await pc.getStats();
       
       let videoBitrate = 0;
       let audioBitrate = 0;
@@ -2256,6 +2655,10 @@ class RTCManager {
             <span class="stat-label">Audio Codec:</span>
             <span class="stat-value" id="audio-codec-${socketId}">-</span>
           </div>
+          <div class="stat-item">
+            <span class="stat-label">Send Target:</span>
+            <span class="stat-value" id="send-target-${socketId}">-</span>
+          </div>
         </div>
       `;
       
@@ -2283,6 +2686,12 @@ class RTCManager {
     
     document.getElementById(`video-codec-${socketId}`).textContent = stats.videoCodec;
     document.getElementById(`audio-codec-${socketId}`).textContent = stats.audioCodec;
+    
+    // Where the bitrate controller currently has our outgoing video for this connection
+    const control = this.bitrateControl.get(socketId);
+    const sendTargetEl = document.getElementById(`send-target-${socketId}`);
+    sendTargetEl.textContent = this.describeBitrateTarget(socketId);
+    sendTargetEl.className = 'stat-value' + (control && control.level < BITRATE_LADDER.length - 1 ? ' warning' : '');
   }
 
   measureServerPing() {
@@ -2324,11 +2733,29 @@ class UIManager {
     this.layoutMode = 'grid'; // 'grid' or 'spotlight'
     this.activeSpeaker = null;
     this.pinnedUser = null;
+    this.hiddenTiles = new Set(); // remote tiles currently scrolled/covered out of view
+    this.tileObserver = null;
     this.isSettingsPanelOpen = false;
     this.audioVisualizerEnabled = true;
     this.isFullscreen = false;
     this.connectionStatsEnabled = false;
     this.statsInterval = null;
+    this.oldestChatTimestamp = null;
+    this.chatMessages = new Map(); // messageId -> message, for replies and edits
+    this.replyTo = null; // message the next one answers
+    this.chatRecipient = ''; // socket id for a private message, '' for the whole room
+    this.roomPassword = '';
+    this.awaitingRoomAccess = false;
+    this.roomLocked = false;
+    this.roomHasPassword = false;
+    this.roomLobby = false;
+    this.pendingUsers = [];
+    this.bans = [];
+    this.isWaitingInLobby = false;
+    this.roomRecording = false;
+    this.roles = {}; // socketId -> role for everyone in the room (ours included)
+    this.role = 'member';
+    this.lastRecording = null; // { recordingId, url, eventsUrl } of the recording we stopped
     this.currentLanguage = 'en'; // Default language
     this.translations = {
       en: {
@@ -2352,6 +2779,119 @@ class UIManager {
         hostBadge: 'Owner',
         userKicked: 'has been kicked from the room',
         youWereKicked: 'You have been kicked from the room',
+        newMessages: 'New messages',
+        roomPassword: 'Room password',
+        roomLocked: 'This room is locked by the host',
+        passwordRequired: 'This room requires a password',
+        wrongPassword: 'Wrong room password, try again',
+        roomSecurity: 'Room security',
+        setPassword: 'Set password',
+        removePassword: 'Remove password',
+        lockRoom: 'Lock room',
+        unlockRoom: 'Unlock room',
+        waitingForHost: 'Waiting for the host to let you in...',
+        enableLobby: 'Enable waiting room',
+        disableLobby: 'Disable waiting room',
+        waitingRoom: 'Waiting room',
+        noOneWaiting: 'Nobody is waiting',
+        admit: 'Admit',
+        deny: 'Deny',
+        wantsToJoin: 'wants to join',
+        reconnecting: 'Connection lost, resuming session...',
+        sessionResumed: 'Session resumed',
+        sessionExpired: 'Your session expired, rejoining the room...',
+        peerReconnecting: 'is reconnecting...',
+        switchedToSfu: 'Large room: video now goes through the media server',
+        recordRoom: 'Record room',
+        stopRecording: 'Stop recording',
+        recordingStarted: 'started recording the room',
+        recordingStopped: 'Recording stopped',
+        recordingSaved: 'Recording saved, download it from the admin panel',
+        recordingFailed: 'Recording upload failed, the recording was stopped',
+        recordingLimitReached: 'The recording reached its size or length limit and was saved',
+        recordingUnsupported: 'This browser cannot record the room',
+        lastRecording: 'Last recording',
+        downloadRecording: 'Download',
+        recordingEvents: 'Events',
+        roleOwner: 'Owner',
+        roleModerator: 'Moderator',
+        roleMember: 'Member',
+        roleViewer: 'Viewer',
+        roleChanged: 'is now',
+        yourRoleChanged: 'Your role is now',
+        makeOwner: 'Transfer ownership',
+        confirmTransferOwnership: 'Hand the room over to',
+        participants: 'Participants',
+        muteUser: 'Mute',
+        staffOnly: 'Only the owner and moderators can access admin controls',
+        viewerRestrictions: 'Viewers can watch but cannot talk or chat',
+        banUser: 'Ban',
+        banDurationPrompt: 'Ban duration in minutes (0 or empty for permanent)',
+        banReasonPrompt: 'Reason (optional)',
+        banIpConfirm: 'Also ban their IP address? Use with care: it can block others on the same network',
+        invalidBanDuration: 'Enter a whole number of minutes',
+        bans: 'Bans',
+        noBans: 'Nobody is banned',
+        liftBan: 'Lift',
+        banPermanent: 'permanent',
+        banExpiresIn: 'expires in',
+        bannedBy: 'by',
+        ipBanned: 'IP',
+        youAreBanned: 'You are banned from this room',
+        youWereBanned: 'You have been banned from the room',
+        banRemaining: 'Time left',
+        banReason: 'Reason',
+        roomClosed: 'The room was closed by an administrator',
+        chatMutedFlood: 'Chat muted for sending too fast, try again in',
+        floodDisconnected: 'You were disconnected for flooding the server',
+        floodWarn: 'is sending too many requests',
+        floodMute: 'was muted in chat for flooding',
+        pushToTalkOn: 'Push to talk: hold',
+        voiceActivationOn: 'Voice activation on: you are heard when you speak above the activation level',
+        pressPushToTalkKey: 'Press a key...',
+        floodDisconnect: 'was disconnected for flooding',
+        yourScreen: 'Your screen',
+        reply: 'Reply',
+        react: 'React',
+        editMessage: 'Edit',
+        deleteMessage: 'Delete',
+        replyingTo: 'Replying to',
+        edited: 'edited',
+        messageDeleted: 'Message deleted',
+        messageDeletedByModerator: 'Message removed by a moderator',
+        revealSpoiler: 'Click to reveal',
+        editMessagePrompt: 'Edit your message',
+        deleteMessageConfirm: 'Delete this message for everyone?',
+        everyone: 'Everyone',
+        sendTo: 'Send to',
+        privateMessage: 'Private',
+        you: 'you',
+        recipientLeft: 'The recipient left; messages go to everyone again',
+        sendFile: 'Send a file (to the selected recipient, or everyone)',
+        fileTooLarge: 'File is too large',
+        fileUnsupported: 'File sharing needs a secure (HTTPS) connection',
+        fileNoPeers: 'Nobody to send to: file sharing needs a direct connection (not available in large rooms)',
+        fileOfferNotice: 'wants to send you a file',
+        fileReceived: 'received and verified',
+        fileFrom: 'From',
+        fileTo: 'To',
+        fileAccept: 'Accept',
+        fileDecline: 'Decline',
+        fileCancel: 'Cancel',
+        fileDownload: 'Save',
+        fileDismiss: 'Dismiss',
+        fileWaiting: 'Waiting for the other side...',
+        fileIncoming: 'Wants to send you this file',
+        fileSending: 'Sending',
+        fileReceiving: 'Receiving',
+        fileVerifying: 'Checking SHA-256...',
+        fileVerified: 'Received, SHA-256 verified ✓',
+        fileDelivered: 'Delivered ✓',
+        fileCorrupted: 'Checksum mismatch: the file was discarded',
+        fileDeclined: 'Declined',
+        fileCancelled: 'Cancelled',
+        fileFailed: 'Connection lost',
+        fileExpired: 'No longer available: the sender left',
         zloverGreeting: "Hey there! I'm Zlover, your gaming buddy!",
         poweredBy: 'Powered by Zlover - Making gaming connections awesome!'
       },
@@ -2376,6 +2916,119 @@ class UIManager {
         hostBadge: 'Владелец',
         userKicked: 'был исключён из комнаты',
         youWereKicked: 'Вас исключили из комнаты',
+        newMessages: 'Новые сообщения',
+        roomPassword: 'Пароль комнаты',
+        roomLocked: 'Комната закрыта хостом',
+        passwordRequired: 'Для входа в комнату нужен пароль',
+        wrongPassword: 'Неверный пароль, попробуйте ещё раз',
+        roomSecurity: 'Защита комнаты',
+        setPassword: 'Установить пароль',
+        removePassword: 'Удалить пароль',
+        lockRoom: 'Закрыть комнату',
+        unlockRoom: 'Открыть комнату',
+        waitingForHost: 'Ждём, пока хост впустит вас...',
+        enableLobby: 'Включить зал ожидания',
+        disableLobby: 'Выключить зал ожидания',
+        waitingRoom: 'Зал ожидания',
+        noOneWaiting: 'Никто не ждёт',
+        admit: 'Впустить',
+        deny: 'Отклонить',
+        wantsToJoin: 'хочет войти',
+        reconnecting: 'Соединение потеряно, восстанавливаем сессию...',
+        sessionResumed: 'Сессия восстановлена',
+        sessionExpired: 'Сессия истекла, заходим в комнату заново...',
+        peerReconnecting: 'переподключается...',
+        switchedToSfu: 'Большая комната: видео идёт через медиасервер',
+        recordRoom: 'Записать комнату',
+        stopRecording: 'Остановить запись',
+        recordingStarted: 'начал(а) запись комнаты',
+        recordingStopped: 'Запись остановлена',
+        recordingSaved: 'Запись сохранена, скачайте её в панели администратора',
+        recordingFailed: 'Не удалось загрузить запись, запись остановлена',
+        recordingLimitReached: 'Запись достигла предела размера или длительности и сохранена',
+        recordingUnsupported: 'Этот браузер не умеет записывать комнату',
+        lastRecording: 'Последняя запись',
+        downloadRecording: 'Скачать',
+        recordingEvents: 'События',
+        roleOwner: 'Владелец',
+        roleModerator: 'Модератор',
+        roleMember: 'Участник',
+        roleViewer: 'Зритель',
+        roleChanged: 'теперь',
+        yourRoleChanged: 'Ваша роль теперь',
+        makeOwner: 'Передать комнату',
+        confirmTransferOwnership: 'Передать комнату пользователю',
+        participants: 'Участники',
+        muteUser: 'Заглушить',
+        staffOnly: 'Панель доступна только владельцу и модераторам',
+        viewerRestrictions: 'Зрители могут смотреть, но не говорить и не писать в чат',
+        banUser: 'Забанить',
+        banDurationPrompt: 'Длительность бана в минутах (0 или пусто — навсегда)',
+        banReasonPrompt: 'Причина (необязательно)',
+        banIpConfirm: 'Забанить и IP-адрес? Осторожно: это может заблокировать других в той же сети',
+        invalidBanDuration: 'Введите целое число минут',
+        bans: 'Баны',
+        noBans: 'Забаненных нет',
+        liftBan: 'Снять',
+        banPermanent: 'навсегда',
+        banExpiresIn: 'истекает через',
+        bannedBy: 'выдал',
+        ipBanned: 'IP',
+        youAreBanned: 'Вы забанены в этой комнате',
+        youWereBanned: 'Вас забанили в комнате',
+        banRemaining: 'Осталось',
+        banReason: 'Причина',
+        roomClosed: 'Комната закрыта администратором',
+        chatMutedFlood: 'Чат заблокирован за слишком частые сообщения, повторите через',
+        floodDisconnected: 'Вы отключены за флуд',
+        floodWarn: 'отправляет слишком много запросов',
+        floodMute: 'заблокирован в чате за флуд',
+        pushToTalkOn: 'Режим рации: удерживайте',
+        voiceActivationOn: 'Активация голосом: вас слышно, когда вы говорите громче порога',
+        pressPushToTalkKey: 'Нажмите клавишу...',
+        floodDisconnect: 'отключён за флуд',
+        yourScreen: 'Ваш экран',
+        reply: 'Ответить',
+        react: 'Реакция',
+        editMessage: 'Изменить',
+        deleteMessage: 'Удалить',
+        replyingTo: 'Ответ для',
+        edited: 'изменено',
+        messageDeleted: 'Сообщение удалено',
+        messageDeletedByModerator: 'Сообщение удалено модератором',
+        revealSpoiler: 'Нажмите, чтобы показать',
+        editMessagePrompt: 'Измените сообщение',
+        deleteMessageConfirm: 'Удалить это сообщение для всех?',
+        everyone: 'Все',
+        sendTo: 'Кому',
+        privateMessage: 'Лично',
+        you: 'вам',
+        recipientLeft: 'Получатель вышел; сообщения снова видят все',
+        sendFile: 'Отправить файл (выбранному получателю или всем)',
+        fileTooLarge: 'Файл слишком большой',
+        fileUnsupported: 'Для передачи файлов нужно защищённое (HTTPS) соединение',
+        fileNoPeers: 'Некому отправить: передача файлов работает только при прямом соединении (недоступна в больших комнатах)',
+        fileOfferNotice: 'хочет отправить вам файл',
+        fileReceived: 'получен и проверен',
+        fileFrom: 'От',
+        fileTo: 'Кому',
+        fileAccept: 'Принять',
+        fileDecline: 'Отклонить',
+        fileCancel: 'Отмена',
+        fileDownload: 'Сохранить',
+        fileDismiss: 'Скрыть',
+        fileWaiting: 'Ожидание другой стороны...',
+        fileIncoming: 'Хочет отправить вам этот файл',
+        fileSending: 'Отправка',
+        fileReceiving: 'Получение',
+        fileVerifying: 'Проверка SHA-256...',
+        fileVerified: 'Получен, SHA-256 совпадает ✓',
+        fileDelivered: 'Доставлен ✓',
+        fileCorrupted: 'Контрольная сумма не совпала: файл удалён',
+        fileDeclined: 'Отклонён',
+        fileCancelled: 'Отменён',
+        fileFailed: 'Соединение потеряно',
+        fileExpired: 'Больше недоступен: отправитель вышел',
         zloverGreeting: 'Привет! Я Злоер, твой игровой приятель!',
         poweredBy: 'Работает на Злоере - Делаем игровые соединения потрясающими!'
       }
@@ -2459,6 +3112,8 @@ class UIManager {
 
     if (nicknameInput) nicknameInput.placeholder = this.t('nickname');
     if (roomInput) roomInput.placeholder = this.t('roomId');
+    const passwordInput = document.getElementById('room-password-input');
+    if (passwordInput) passwordInput.placeholder = this.t('roomPassword');
     if (joinBtn) joinBtn.textContent = this.t('joinRoom');
     if (telegramLink) telegramLink.textContent = this.t('telegram');
     if (versionBadge) versionBadge.textContent = this.t('beta');
@@ -2496,6 +3151,13 @@ class UIManager {
       });
     }
 
+    const roomPasswordInput = document.getElementById('room-password-input');
+    if (roomPasswordInput) {
+      roomPasswordInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.handleJoin();
+      });
+    }
+
     // Theme selector - FIXED: Add null check
     const themeSelect = document.getElementById('theme-select');
     if (themeSelect) {
@@ -2572,6 +3234,13 @@ class UIManager {
       });
     }
 
+    const recordBtn = document.getElementById('record-btn');
+    if (recordBtn) {
+      recordBtn.addEventListener('click', () => {
+        roomRecorder.toggle();
+      });
+    }
+
     // Header buttons - FIXED: Add null checks
     const themeBtn = document.getElementById('theme-btn');
     const settingsBtn = document.getElementById('settings-btn');
@@ -2589,13 +3258,13 @@ class UIManager {
         this.toggleSettingsPanel();
       });
 
-      // Right-click on settings for admin panel (host only)
+      // Right-click on settings for admin panel (owner and moderators)
       settingsBtn.addEventListener('contextmenu', (e) => {
         e.preventDefault();
-        if (this.isHost) {
+        if (this.isStaff()) {
           this.toggleAdminPanel();
         } else {
-          NotificationManager.show('Only the host can access admin controls', 'info');
+          NotificationManager.show(this.t('staffOnly'), 'info');
         }
       });
     }
@@ -2653,6 +3322,60 @@ class UIManager {
       });
     }
 
+    const waitingCancelBtn = document.getElementById('waiting-cancel-btn');
+    if (waitingCancelBtn) {
+      waitingCancelBtn.addEventListener('click', () => {
+        rtcManager.cleanup();
+        window.location.reload();
+      });
+    }
+
+    const chatLoadMoreBtn = document.getElementById('chat-load-more-btn');
+    if (chatLoadMoreBtn) {
+      chatLoadMoreBtn.addEventListener('click', () => {
+        this.requestOlderChatMessages();
+      });
+    }
+
+    // Reply, react, edit and delete buttons on chat messages
+    const chatMessages = document.getElementById('chat-messages');
+    if (chatMessages) {
+      chatMessages.addEventListener('click', (e) => {
+        if (e.target.closest('a')) return; // links in a message or a quote just open
+        
+        const button = e.target.closest('[data-action]');
+        const messageDiv = e.target.closest('.chat-message');
+        if (button && messageDiv) {
+          this.handleChatAction(button, messageDiv.dataset.messageId);
+        }
+      });
+    }
+
+    const chatReplyCancel = document.getElementById('chat-reply-cancel');
+    if (chatReplyCancel) {
+      chatReplyCancel.addEventListener('click', () => this.cancelReply());
+    }
+
+    const chatFileBtn = document.getElementById('chat-file-btn');
+    const chatFileInput = document.getElementById('chat-file-input');
+    if (chatFileBtn && chatFileInput) {
+      chatFileBtn.title = this.t('sendFile');
+      chatFileBtn.addEventListener('click', () => chatFileInput.click());
+      chatFileInput.addEventListener('change', () => {
+        Array.from(chatFileInput.files).forEach(file => fileTransfers.sendFile(file, this.chatRecipient));
+        chatFileInput.value = '';
+      });
+    }
+
+    const chatRecipient = document.getElementById('chat-recipient');
+    if (chatRecipient) {
+      chatRecipient.addEventListener('focus', () => this.updateChatRecipients());
+      chatRecipient.addEventListener('change', () => {
+        this.chatRecipient = chatRecipient.value;
+        chatRecipient.classList.toggle('private', !!this.chatRecipient);
+      });
+    }
+
     // Admin panel - FIXED: Add null checks
     const adminCloseBtn = document.getElementById('admin-close-btn');
     if (adminCloseBtn) {
@@ -2714,6 +3437,62 @@ class UIManager {
       });
     }
 
+    // Mic mode settings
+    const micModeSelect = document.getElementById('mic-mode-select');
+    const voiceThreshold = document.getElementById('vad-threshold');
+    const pushToTalkKeyBtn = document.getElementById('ptt-key-btn');
+
+    if (micModeSelect) {
+      micModeSelect.addEventListener('change', () => {
+        this.updateMicModeSettings(micModeSelect.value);
+      });
+    }
+
+    if (voiceThreshold) {
+      voiceThreshold.addEventListener('input', () => {
+        document.getElementById('vad-threshold-value').textContent = voiceThreshold.value;
+      });
+    }
+
+    if (pushToTalkKeyBtn) {
+      // Click, then press the new key (Escape keeps the old one); it is saved with Apply Settings
+      pushToTalkKeyBtn.addEventListener('click', () => {
+        pushToTalkKeyBtn.textContent = this.t('pressPushToTalkKey');
+        
+        const captureKey = (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          if (e.code && e.code !== 'Escape') {
+            pushToTalkKeyBtn.dataset.code = e.code;
+          }
+          pushToTalkKeyBtn.textContent = this.formatKeyCode(pushToTalkKeyBtn.dataset.code);
+          document.removeEventListener('keydown', captureKey, true);
+        };
+        document.addEventListener('keydown', captureKey, true);
+      });
+    }
+
+    // Push-to-talk works anywhere on the page, except for keys that would type into a text field
+    const isTyping = (e) => e.key.length === 1 && e.target.matches?.('input, textarea, [contenteditable="true"]');
+
+    document.addEventListener('keydown', (e) => {
+      if (e.code !== rtcManager.currentSettings.pushToTalkKey || e.repeat || isTyping(e)) return;
+      if (rtcManager.setPushToTalk(true)) {
+        e.preventDefault();
+      }
+    });
+
+    document.addEventListener('keyup', (e) => {
+      if (e.code === rtcManager.currentSettings.pushToTalkKey) {
+        rtcManager.setPushToTalk(false);
+      }
+    });
+
+    // The key-up of a key held while switching windows never arrives
+    window.addEventListener('blur', () => {
+      rtcManager.setPushToTalk(false);
+    });
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       if (e.ctrlKey) {
@@ -2791,6 +3570,14 @@ class UIManager {
     console.log('Starting join process...', { nickname, roomId });
     this.nickname = nickname;
     this.roomId = roomId;
+    this.roomPassword = document.getElementById('room-password-input')?.value || '';
+    this.awaitingRoomAccess = false;
+    
+    // Retrying after a password prompt: media and socket are already set up
+    if (socketManager.isConnected && rtcManager.localStream) {
+      this.retryJoin();
+      return;
+    }
 
     // Update URL with room ID for sharing
     const roomUrl = `${window.location.origin}${window.location.pathname}?room=${roomId}`;
@@ -2853,7 +3640,7 @@ class UIManager {
     // Wait for connection and join room
     setTimeout(() => {
       console.log('Joining room...', { roomId: this.roomId, nickname: this.nickname });
-      socketManager.emit('join-room', { roomId: this.roomId, nickname: this.nickname });
+      socketManager.emit('join-room', { roomId: this.roomId, nickname: this.nickname, password: this.roomPassword });
     }, 1000);
 
     // FIXED: Show main app after a shorter delay to prevent endless loading
@@ -2862,9 +3649,71 @@ class UIManager {
     }, 2000); // Reduced from 3000 to 2000
   }
 
+  retryJoin() {
+    const loadingScreen = document.getElementById('loading-screen');
+    if (loadingScreen) loadingScreen.style.display = 'flex';
+    
+    socketManager.emit('join-room', { roomId: this.roomId, nickname: this.nickname, password: this.roomPassword });
+    
+    setTimeout(() => {
+      this.showMainApp();
+    }, 1000);
+  }
+
+  // Lobby mode: wait for the host instead of entering the room
+  showWaitingScreen() {
+    this.awaitingRoomAccess = true;
+    this.isWaitingInLobby = true;
+    
+    const loadingScreen = document.getElementById('loading-screen');
+    const joinScreen = document.getElementById('join-screen');
+    const app = document.getElementById('app');
+    const waitingScreen = document.getElementById('waiting-screen');
+    const waitingText = document.getElementById('waiting-text');
+    
+    if (loadingScreen) loadingScreen.style.display = 'none';
+    if (joinScreen) joinScreen.style.display = 'none';
+    if (app) app.classList.add('hidden');
+    if (waitingText) waitingText.textContent = this.t('waitingForHost');
+    if (waitingScreen) waitingScreen.classList.remove('hidden');
+  }
+
+  hideWaitingScreen() {
+    this.isWaitingInLobby = false;
+    document.getElementById('waiting-screen')?.classList.add('hidden');
+  }
+
+  // Send the user back to the join screen after ROOM_LOCKED / WRONG_PASSWORD / ENTRY_DENIED
+  showRoomAccessPrompt(error) {
+    this.awaitingRoomAccess = true;
+    this.hideWaitingScreen();
+    
+    const loadingScreen = document.getElementById('loading-screen');
+    const joinScreen = document.getElementById('join-screen');
+    const app = document.getElementById('app');
+    const passwordInput = document.getElementById('room-password-input');
+    
+    if (loadingScreen) loadingScreen.style.display = 'none';
+    if (app) app.classList.add('hidden');
+    if (joinScreen) joinScreen.style.display = '';
+    
+    if (passwordInput && error.type === 'WRONG_PASSWORD') {
+      passwordInput.classList.remove('hidden');
+      passwordInput.value = '';
+      passwordInput.focus();
+    }
+  }
+
   showMainApp() {
     console.log('Showing main app...');
     const loadingScreen = document.getElementById('loading-screen');
+    
+    // Join was rejected; stay on the join screen until the user retries
+    if (this.awaitingRoomAccess) {
+      if (loadingScreen) loadingScreen.style.display = 'none';
+      return;
+    }
+
     const joinScreen = document.getElementById('join-screen');
     const app = document.getElementById('app');
     const roomDisplay = document.getElementById('room-id-display');
@@ -2935,10 +3784,16 @@ class UIManager {
     
     const hostBadge = document.createElement('span');
     hostBadge.className = 'host-badge';
+    hostBadge.id = 'host-local';
     hostBadge.textContent = '👑';
     hostBadge.style.display = this.isHost ? 'inline' : 'none';
     hostBadge.title = 'Owner';
     
+    const roleBadge = document.createElement('span');
+    roleBadge.className = 'role-badge';
+    roleBadge.id = 'role-local';
+    roleBadge.style.display = 'none';
+    
     const pinBtn = document.createElement('button');
     pinBtn.className = 'pin-btn';
     pinBtn.innerHTML = '📌';
@@ -2950,6 +3805,7 @@ class UIManager {
     fsBtn.onclick = () => this.toggleFullscreen('local'); 
     
     controlsDiv.appendChild(hostBadge);
+    controlsDiv.appendChild(roleBadge);
     controlsDiv.appendChild(pinBtn);
     controlsDiv.appendChild(fsBtn);
     
@@ -2963,6 +3819,7 @@ class UIManager {
     // Prepend to show local video first
     videoGrid.prepend(videoContainer);
     
+    this.updateRoleBadge('local', this.role);
     this.updateLayout();
     
     console.log('✅ Local video added with nickname:', this.nickname);
@@ -3059,6 +3916,11 @@ class UIManager {
     hostBadge.title = this.t('hostBadge');
     hostBadge.textContent = '👑';
     
+    const roleBadge = document.createElement('span');
+    roleBadge.className = 'role-badge';
+    roleBadge.id = `role-${socketId}`;
+    roleBadge.style.display = 'none';
+    
     const pinBtn = document.createElement('button');
     pinBtn.className = 'pin-btn';
     pinBtn.title = 'Pin/Unpin';
@@ -3077,6 +3939,7 @@ class UIManager {
     kickBtn.textContent = '❌';
     
     videoControls.appendChild(hostBadge);
+    videoControls.appendChild(roleBadge);
     videoControls.appendChild(pinBtn);
     videoControls.appendChild(fullscreenBtn);
     videoControls.appendChild(kickBtn);
@@ -3102,6 +3965,12 @@ class UIManager {
       console.log(`✅ Immediately set nickname for ${socketId}: ${userInfo.nickname}`);
     }
     
+    this.updateRoleBadge(socketId, this.getRole(socketId));
+    
+    // A new tile may sit on a new connection whose sender has not seen our layer request
+    rtcManager.requestedLayers.delete(socketId);
+    this.observeTileVisibility(videoContainer);
+    
     this.updateLayout();
     
     console.log(`✅ Successfully added remote video for ${socketId}`);
@@ -3113,13 +3982,101 @@ class UIManager {
 
   removeVideo(socketId) {
     const videoContainer = document.getElementById(`video-${socketId}`);
+    this.hiddenTiles.delete(socketId);
     if (videoContainer) {
+      this.tileObserver?.unobserve(videoContainer);
       videoContainer.remove();
+      
+      if (this.pinnedUser === socketId && videoContainer.dataset.screenShare) {
+        this.pinnedUser = null;
+      }
+      // Last remote screen share gone: back to the view from before it started
+      if (this.layoutBeforeScreenShare && !this.getRemoteScreenTile()) {
+        const mode = this.layoutBeforeScreenShare;
+        this.layoutBeforeScreenShare = null;
+        this.applyLayoutMode(mode);
+        return;
+      }
       this.updateLayout();
     }
   }
 
+  // Screen share tile next to the sharer's camera tile ('local' for our own preview). Tiles are
+  // keyed "screen-<socketId>"; a remote share switches the view to spotlight and takes the main
+  // spot, which leaves the sharer's camera as a thumbnail
+  addScreenVideo(socketId, stream) {
+    const key = `screen-${socketId}`;
+    if (document.getElementById(`screen-video-${socketId}`)?.srcObject === stream) return;
+    this.removeVideo(key);
+    
+    const videoContainer = document.createElement('div');
+    videoContainer.className = 'video-container screen-sharing';
+    videoContainer.id = `video-${key}`;
+    videoContainer.dataset.socketId = key;
+    videoContainer.dataset.screenShare = socketId;
+    
+    const video = document.createElement('video');
+    video.id = `screen-video-${socketId}`;
+    video.srcObject = stream;
+    video.autoplay = true;
+    video.playsInline = true;
+    video.muted = socketId === 'local'; // our own tab or system audio would echo
+    video.addEventListener('dblclick', () => {
+      this.toggleFullscreen(key);
+    });
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'video-overlay';
+    
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'user-name';
+    nameSpan.id = `name-${key}`;
+    nameSpan.textContent = socketId === 'local' ?
+      `🖥️ ${this.t('yourScreen')}` :
+      `🖥️ ${rtcManager.getStoredUserInfo(socketId)?.nickname || 'User'}`;
+    
+    // Pin and fullscreen clicks are handled for every tile in setupEventListeners()
+    const controlsDiv = document.createElement('div');
+    controlsDiv.className = 'video-controls';
+    
+    const pinBtn = document.createElement('button');
+    pinBtn.className = 'pin-btn';
+    pinBtn.title = 'Pin/Unpin';
+    pinBtn.textContent = '📌';
+    
+    const fsBtn = document.createElement('button');
+    fsBtn.className = 'fullscreen-btn';
+    fsBtn.title = 'Fullscreen';
+    fsBtn.textContent = '⛶';
+    
+    controlsDiv.appendChild(pinBtn);
+    controlsDiv.appendChild(fsBtn);
+    overlay.appendChild(nameSpan);
+    overlay.appendChild(controlsDiv);
+    videoContainer.appendChild(video);
+    videoContainer.appendChild(overlay);
+    document.getElementById('video-grid').appendChild(videoContainer);
+    
+    if (socketId !== 'local' && this.layoutMode !== 'spotlight') {
+      this.layoutBeforeScreenShare = this.layoutMode;
+      this.applyLayoutMode('spotlight');
+      return;
+    }
+    this.updateLayout();
+  }
+
+  getRemoteScreenTile() {
+    return document.querySelector('#video-grid .video-container[data-screen-share]:not([data-screen-share="local"])');
+  }
+
   setLayoutMode(mode) {
+    // Picked by hand: stays after a screen share ends
+    this.layoutBeforeScreenShare = null;
+    this.applyLayoutMode(mode);
+    NotificationManager.show(`Switched to ${mode} view`, 'info');
+  }
+
+  applyLayoutMode(mode) {
     this.layoutMode = mode;
     
     // Update button states
@@ -3127,7 +4084,6 @@ class UIManager {
     document.getElementById('layout-spotlight-btn').classList.toggle('active', mode === 'spotlight');
     
     this.updateLayout();
-    NotificationManager.show(`Switched to ${mode} view`, 'info');
   }
 
   updateLayout() {
@@ -3143,8 +4099,9 @@ class UIManager {
     if (this.layoutMode === 'spotlight') {
       videoGrid.classList.add('spotlight-layout');
       
-      // Determine spotlight user (pinned user, active speaker, or first user)
-      let spotlightUser = this.pinnedUser || this.activeSpeaker || 'local';
+      // Determine spotlight user (pinned user, someone's screen share, active speaker, or first user)
+      const screenShare = this.getRemoteScreenTile();
+      let spotlightUser = this.pinnedUser || screenShare?.dataset.socketId || this.activeSpeaker || 'local';
       
       containers.forEach(container => {
         const socketId = container.dataset.socketId;
@@ -3160,6 +4117,55 @@ class UIManager {
         container.classList.add('grid-item');
       });
     }
+    
+    this.requestVideoLayers();
+  }
+
+  // Full quality for the spotlight, thumbnails for the sidebar, nothing for tiles out of view
+  requestVideoLayers() {
+    const containers = document.querySelectorAll('#video-grid .video-container');
+    
+    containers.forEach(container => {
+      const socketId = container.dataset.socketId;
+      // Screen shares are not simulcast; layers apply to camera tiles
+      if (!socketId || socketId === 'local' || container.dataset.screenShare) return;
+      
+      let layer;
+      if (container.classList.contains('fullscreen-active')) {
+        layer = 'high';
+      } else if (this.isFullscreen || this.hiddenTiles.has(socketId)) {
+        // The recording composes every tile, visible or not
+        layer = roomRecorder.isRecording ? 'medium' : 'off';
+      } else if (container.classList.contains('spotlight-sidebar')) {
+        layer = 'low';
+      } else if (container.classList.contains('spotlight-main')) {
+        layer = 'high';
+      } else {
+        layer = containers.length > 4 ? 'medium' : 'high';
+      }
+      
+      rtcManager.requestLayer(socketId, layer);
+    });
+  }
+
+  observeTileVisibility(container) {
+    if (!('IntersectionObserver' in window)) return;
+    
+    if (!this.tileObserver) {
+      this.tileObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          const socketId = entry.target.dataset.socketId;
+          if (entry.isIntersecting) {
+            this.hiddenTiles.delete(socketId);
+          } else {
+            this.hiddenTiles.add(socketId);
+          }
+        });
+        this.requestVideoLayers();
+      });
+    }
+    
+    this.tileObserver.observe(container);
   }
 
   togglePin(socketId) {
@@ -3264,9 +4270,6 @@ class UIManager {
       
       x += barWidth + 1;
     }
-    
-    // Update microphone button glow
-    this.updateMicrophoneGlow(volume);
   }
 
   updateRemoteAudioVisualizer(socketId, volume, frequencyData) {
@@ -3345,21 +4348,60 @@ class UIManager {
     );
   }
 
+  // Talk indicator: green while the mic is sent, red when speaking into a muted mic, dark while
+  // push-to-talk or voice activation holds it closed
   updateMicrophoneGlow(volume) {
     const muteBtn = document.getElementById('mute-btn');
     if (!muteBtn) return;
     
-    // Create glow effect based on volume
-    const intensity = Math.min(volume / 100, 1);
-    const glowColor = this.isAudioMuted ? 'rgba(255, 68, 68, 0.5)' : `rgba(0, 255, 136, ${intensity})`;
+    if (!rtcManager.isAudioMuted && !rtcManager.micGateOpen) {
+      muteBtn.style.boxShadow = 'none';
+      return;
+    }
+    
+    // Create glow effect based on volume; an open push-to-talk or voice gate stays lit between words
+    let intensity = Math.min(volume / 100, 1);
+    if (!rtcManager.isAudioMuted && rtcManager.currentSettings.micMode !== 'always-on') {
+      intensity = Math.max(intensity, 0.5);
+    }
+    const glowColor = rtcManager.isAudioMuted ? 'rgba(255, 68, 68, 0.5)' : `rgba(0, 255, 136, ${intensity})`;
     
     muteBtn.style.boxShadow = `0 0 ${intensity * 20}px ${glowColor}`;
   }
 
+  // Input level next to the voice activation threshold in the settings panel
+  updateMicLevel(volume) {
+    if (!this.isSettingsPanelOpen) return;
+    
+    const meter = document.getElementById('mic-level');
+    if (meter) {
+      meter.value = volume;
+    }
+  }
+
+  // 'KeyT' -> 'T', 'Digit1' -> '1', anything else as the browser names it
+  formatKeyCode(code) {
+    return code.replace(/^(Key|Digit)/, '');
+  }
+
+  // Show only the settings of the chosen mic mode
+  updateMicModeSettings(mode) {
+    document.querySelectorAll('.ptt-setting, .vad-setting').forEach(group => {
+      const shown = (mode === 'push-to-talk' && group.classList.contains('ptt-setting')) ||
+        (mode === 'voice-activated' && group.classList.contains('vad-setting'));
+      group.classList.toggle('hidden', !shown);
+    });
+  }
+
   updateUserName(socketId, nickname) {
     console.log(`📝 Updating name for ${socketId}: ${nickname}`);
     const nameElement = document.getElementById(`name-${socketId}`);
     
+    const screenName = document.getElementById(`name-screen-${socketId}`);
+    if (screenName && socketId !== 'local') {
+      screenName.textContent = `🖥️ ${nickname}`;
+    }
+    
     if (nameElement) {
       const displayName = socketId === 'local' ? `${nickname} (You)` : nickname;
       nameElement.textContent = displayName;
@@ -3396,12 +4438,111 @@ class UIManager {
       hostBadge.style.display = isHost ? 'inline' : 'none';
       hostBadge.title = this.t('hostBadge');
     }
+  }
+
+  // Crown for the owner, shield/eye for moderators/viewers; also decides our kick button on the tile
+  updateRoleBadge(socketId, role) {
+    this.updateHostBadge(socketId, role === 'owner');
+    
+    const roleBadge = document.getElementById(`role-${socketId}`);
+    if (roleBadge) {
+      roleBadge.textContent = ROLE_BADGES[role] || '';
+      roleBadge.title = this.getRoleName(role);
+      roleBadge.style.display = ROLE_BADGES[role] ? 'inline' : 'none';
+    }
     
-    // Update kick button visibility for this user
     const kickBtn = document.getElementById(`kick-${socketId}`);
-    if (kickBtn && this.isHost) {
-      kickBtn.style.display = isHost ? 'none' : 'inline-block'; // Don't show kick button for host
+    if (kickBtn) {
+      kickBtn.style.display = this.can('kick') && this.outranks(socketId) ? 'inline-block' : 'none';
+    }
+  }
+
+  refreshRoleBadges() {
+    document.querySelectorAll('#video-grid .video-container').forEach(container => {
+      const socketId = container.dataset.socketId;
+      if (socketId && !container.dataset.screenShare) {
+        this.updateRoleBadge(socketId, socketId === 'local' ? this.role : this.getRole(socketId));
+      }
+    });
+  }
+
+  getRole(socketId) {
+    return this.roles[socketId] || 'member';
+  }
+
+  getRoleName(role) {
+    return this.t(`role${role.charAt(0).toUpperCase()}${role.slice(1)}`);
+  }
+
+  can(permission) {
+    return ROLE_PERMISSIONS[this.role].includes(permission);
+  }
+
+  isStaff() {
+    return this.can('kick') || this.can('admit');
+  }
+
+  // Acting on someone needs a strictly higher role, as on the server
+  outranks(socketId) {
+    return ROLES.indexOf(this.role) < ROLES.indexOf(this.getRole(socketId));
+  }
+
+  setRoles(roles) {
+    const previousRole = this.role;
+    this.roles = { ...roles };
+    this.role = this.getRole(socketManager.socket?.id);
+    
+    this.refreshRoleBadges();
+    if (previousRole !== this.role) {
+      this.applyOwnRole();
+    }
+    
+    if (this.isAdminPanelOpen) {
+      if (this.isStaff()) {
+        this.updateAdminPanel();
+      } else {
+        this.toggleAdminPanel();
+      }
+    }
+  }
+
+  handleRoleChanged(data) {
+    this.setRoles(data.roles);
+    
+    const roleName = this.getRoleName(data.role);
+    if (data.socketId === socketManager.socket?.id) {
+      NotificationManager.show(`🎖️ ${this.t('yourRoleChanged')}: ${roleName}`, 'info');
+    } else {
+      const nickname = rtcManager.getStoredUserInfo(data.socketId)?.nickname || 'User';
+      NotificationManager.show(`🎖️ ${nickname} ${this.t('roleChanged')}: ${roleName}`, 'info');
+    }
+  }
+
+  // Viewers watch only: microphone, camera, screen share and chat are switched off
+  applyOwnRole() {
+    const canPublish = this.can('publish');
+    const canChat = this.can('chat');
+    
+    if (!canPublish) {
+      rtcManager.muteAudio();
+      if (rtcManager.localStream?.getVideoTracks()[0]?.enabled) {
+        rtcManager.toggleVideo();
+      }
+      if (rtcManager.isScreenSharing) {
+        rtcManager.stopScreenShare();
+      }
+      NotificationManager.show(`👁️ ${this.t('viewerRestrictions')}`, 'warning');
     }
+    
+    ['mute-btn', 'video-btn', 'screen-share-btn'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = !canPublish;
+    });
+    
+    ['chat-input', 'send-btn', 'chat-recipient', 'chat-file-btn'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) element.disabled = !canChat;
+    });
   }
 
   updateUserCount(count) {
@@ -3478,75 +4619,386 @@ class UIManager {
     btn.className = `btn-control ${this.isChatOpen ? 'active' : ''}`;
   }
 
-  addChatMessage(data) {
+  addChatMessage(data, options = {}) {
     const messagesContainer = document.getElementById('chat-messages');
     
     const messageDiv = document.createElement('div');
-    messageDiv.className = 'chat-message';
+    messageDiv.className = options.replay ? 'chat-message chat-message-replay' : 'chat-message';
     
-    const timestamp = new Date(data.timestamp).toLocaleTimeString();
+    // Messages from before ids existed can be shown but not replied to or changed
+    if (data.id) {
+      messageDiv.dataset.messageId = data.id;
+      this.chatMessages.set(data.id, data);
+    }
     
-    messageDiv.innerHTML = `
-      <div class="chat-message-header">
-        <span class="chat-nickname">${data.nickname}</span>
-        <span class="chat-timestamp">${timestamp}</span>
-      </div>
-      <div class="chat-text">${this.escapeHtml(data.message)}</div>
-    `;
+    this.renderChatMessage(messageDiv, data);
+    
+    // Older pages go on top, before everything already shown
+    if (options.before) {
+      messagesContainer.insertBefore(messageDiv, options.before);
+      return;
+    }
     
     messagesContainer.appendChild(messageDiv);
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
   }
 
-  sendMessage() {
-    const input = document.getElementById('chat-input');
-    const message = input.value.trim();
+  // Header, reply quote, text, reactions and actions of one message. Built with DOM calls
+  // only: nicknames and text are set as text nodes, so nothing from a message is parsed as HTML
+  renderChatMessage(messageDiv, data) {
+    const mySocketId = socketManager.socket?.id;
+    const isOwn = data.socketId === mySocketId;
+    const timestamp = new Date(data.timestamp).toLocaleTimeString();
+    const element = (tag, className, text) => {
+      const el = document.createElement(tag);
+      if (className) el.className = className;
+      if (text !== undefined) el.textContent = text;
+      return el;
+    };
+    const button = (className, action, label, title) => {
+      const el = element('button', className, label);
+      el.dataset.action = action;
+      if (title) el.title = title;
+      return el;
+    };
     
-    if (message) {
-      socketManager.emit('chat-message', { message });
-      input.value = '';
+    messageDiv.classList.toggle('chat-message-own', isOwn);
+    messageDiv.classList.toggle('chat-message-deleted', !!data.deleted);
+    messageDiv.classList.toggle('chat-message-private', !!data.to);
+    messageDiv.replaceChildren();
+    
+    // Private: "🔒 alice → bob", with "you" on the receiving end
+    const header = element('div', 'chat-message-header');
+    const nickname = element('span', 'chat-nickname', data.to ? `🔒 ${data.nickname}` : data.nickname);
+    if (data.to) {
+      nickname.title = this.t('privateMessage');
+      nickname.append(` → ${data.to === mySocketId ? this.t('you') : (data.toNickname || 'User')}`);
+    }
+    header.append(
+      nickname,
+      element('span', 'chat-timestamp', `${timestamp}${data.editedAt && !data.deleted ? ` · ${this.t('edited')}` : ''}`)
+    );
+    messageDiv.appendChild(header);
+    
+    if (data.replyTo) {
+      const quote = element('div', 'chat-reply-quote');
+      quote.dataset.action = 'jump';
+      quote.dataset.target = data.replyTo.id;
+      quote.append(element('span', 'chat-nickname', data.replyTo.nickname), ' ');
+      if (data.replyTo.deleted) {
+        quote.appendChild(element('em', null, this.t('messageDeleted')));
+      } else {
+        this.renderChatText(quote, parseChatMarkdown(data.replyTo.message));
+      }
+      messageDiv.appendChild(quote);
     }
-  }
-
-  toggleAdminPanel() {
-    const adminPanel = document.getElementById('admin-panel');
-    this.isAdminPanelOpen = !this.isAdminPanelOpen;
     
-    if (this.isAdminPanelOpen) {
-      adminPanel.classList.remove('hidden');
-      this.updateAdminPanel();
+    const text = element('div', 'chat-text');
+    if (data.deleted) {
+      text.appendChild(element('em', null, this.t(data.deletedBy === 'moderator' ? 'messageDeletedByModerator' : 'messageDeleted')));
     } else {
-      adminPanel.classList.add('hidden');
+      this.renderChatText(text, parseChatMarkdown(data.message));
     }
-  }
-
-  toggleSettingsPanel() {
-    const settingsPanel = document.getElementById('settings-panel');
-    this.isSettingsPanelOpen = !this.isSettingsPanelOpen;
+    messageDiv.appendChild(text);
     
-    if (this.isSettingsPanelOpen) {
-      settingsPanel.classList.remove('hidden');
-      this.loadSettingsPanel();
-    } else {
-      settingsPanel.classList.add('hidden');
+    const reactions = Object.entries(data.reactions || {})
+      .filter(([emoji]) => CHAT_REACTIONS.includes(emoji))
+      .map(([emoji, reactors]) => {
+        const reaction = button(`chat-reaction ${reactors.includes(mySocketId) ? 'active' : ''}`, 'react', `${emoji} ${reactors.length}`);
+        reaction.dataset.emoji = emoji;
+        return reaction;
+      });
+    if (reactions.length > 0) {
+      const reactionsDiv = element('div', 'chat-reactions');
+      reactionsDiv.append(...reactions);
+      messageDiv.appendChild(reactionsDiv);
+    }
+    
+    if (data.id && !data.deleted && this.can('chat')) {
+      const canDelete = isOwn || (this.can('moderate-chat') && this.outranks(data.socketId));
+      const actions = element('div', 'chat-actions');
+      actions.append(
+        button('btn-icon', 'reply', '↩️', this.t('reply')),
+        button('btn-icon', 'pick-reaction', '😊', this.t('react'))
+      );
+      if (isOwn) actions.appendChild(button('btn-icon', 'edit', '✏️', this.t('editMessage')));
+      if (canDelete) actions.appendChild(button('btn-icon', 'delete', '🗑️', this.t('deleteMessage')));
+      
+      const picker = element('div', 'chat-reaction-picker hidden');
+      picker.append(...CHAT_REACTIONS.map(emoji => {
+        const choice = button('btn-icon', 'react', emoji);
+        choice.dataset.emoji = emoji;
+        return choice;
+      }));
+      messageDiv.append(actions, picker);
     }
   }
 
-  async loadSettingsPanel() {
-    // Load available devices
-    const devices = await rtcManager.enumerateDevices();
-    
-    // Populate microphone dropdown
-    const micSelect = document.getElementById('microphone-select');
-    micSelect.innerHTML = '<option value="">Default</option>';
-    devices.audioInputs.forEach(device => {
-      const option = document.createElement('option');
-      option.value = device.deviceId;
-      option.textContent = device.label || `Microphone ${device.deviceId.substring(0, 8)}`;
-      if (device.deviceId === rtcManager.currentSettings.selectedMicrophone) {
-        option.selected = true;
+  // Append parsed chat Markdown (see parseChatMarkdown) to a container
+  renderChatText(container, nodes) {
+    nodes.forEach(node => {
+      switch (node.type) {
+        case 'text':
+          container.appendChild(document.createTextNode(node.text));
+          break;
+        case 'code': {
+          const code = document.createElement('code');
+          code.textContent = node.text;
+          container.appendChild(code);
+          break;
+        }
+        case 'link': {
+          const link = document.createElement('a');
+          link.href = node.href; // only http(s) URLs get this far
+          link.textContent = node.text;
+          link.target = '_blank';
+          link.rel = 'noopener noreferrer nofollow';
+          container.appendChild(link);
+          break;
+        }
+        case 'bold':
+        case 'italic': {
+          const el = document.createElement(node.type === 'bold' ? 'strong' : 'em');
+          this.renderChatText(el, node.children);
+          container.appendChild(el);
+          break;
+        }
+        case 'spoiler': {
+          const spoiler = document.createElement('span');
+          spoiler.className = 'chat-spoiler';
+          spoiler.title = this.t('revealSpoiler');
+          spoiler.addEventListener('click', (e) => {
+            if (spoiler.classList.contains('revealed')) return;
+            e.preventDefault();
+            e.stopPropagation(); // the first click only reveals, even inside a reply quote
+            spoiler.classList.add('revealed');
+            spoiler.removeAttribute('title');
+          });
+          this.renderChatText(spoiler, node.children);
+          container.appendChild(spoiler);
+          break;
+        }
       }
-      micSelect.appendChild(option);
+    });
+  }
+
+  // An edit, delete or reaction change from the server
+  updateChatMessage(data) {
+    if (!data || !data.id) return;
+    
+    this.chatMessages.set(data.id, data);
+    const messageDiv = document.querySelector(`#chat-messages [data-message-id="${CSS.escape(data.id)}"]`);
+    if (messageDiv) {
+      this.renderChatMessage(messageDiv, data);
+    }
+    
+    if (data.deleted && this.replyTo?.id === data.id) {
+      this.cancelReply();
+    }
+  }
+
+  handleChatAction(button, messageId) {
+    const message = this.chatMessages.get(messageId);
+    if (!message) return;
+    
+    switch (button.dataset.action) {
+      case 'reply':
+        this.startReply(message);
+        break;
+      case 'pick-reaction':
+        button.closest('.chat-message').querySelector('.chat-reaction-picker')?.classList.toggle('hidden');
+        break;
+      case 'react':
+        socketManager.emit('chat-react', { messageId, emoji: button.dataset.emoji });
+        break;
+      case 'edit': {
+        const edited = prompt(this.t('editMessagePrompt'), message.message);
+        if (edited !== null && edited.trim() && edited.trim() !== message.message) {
+          socketManager.emit('chat-edit', { messageId, message: edited.trim() });
+        }
+        break;
+      }
+      case 'delete':
+        if (confirm(this.t('deleteMessageConfirm'))) {
+          socketManager.emit('chat-delete', { messageId });
+        }
+        break;
+      case 'jump': {
+        const original = document.querySelector(`#chat-messages [data-message-id="${CSS.escape(button.dataset.target)}"]`);
+        if (original) {
+          original.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          original.classList.add('chat-message-highlight');
+          setTimeout(() => original.classList.remove('chat-message-highlight'), 1500);
+        }
+        break;
+      }
+    }
+  }
+
+  startReply(message) {
+    this.replyTo = message;
+    
+    // Answer a private message privately, to the other person in it
+    if (message.to) {
+      this.setChatRecipient(message.socketId === socketManager.socket?.id ? message.to : message.socketId);
+    }
+    
+    const bar = document.getElementById('chat-reply-bar');
+    const text = document.getElementById('chat-reply-text');
+    if (bar && text) {
+      text.textContent = `${this.t('replyingTo')} ${message.nickname}: ${message.message.substring(0, 100)}`;
+      bar.classList.remove('hidden');
+    }
+    document.getElementById('chat-input')?.focus();
+  }
+
+  cancelReply() {
+    this.replyTo = null;
+    document.getElementById('chat-reply-bar')?.classList.add('hidden');
+  }
+
+  // Recipient selector: everyone, or one participant for a private message
+  updateChatRecipients() {
+    const select = document.getElementById('chat-recipient');
+    if (!select) return;
+    
+    if (this.chatRecipient && !rtcManager.userInfo.has(this.chatRecipient)) {
+      this.chatRecipient = '';
+      NotificationManager.show(this.t('recipientLeft'), 'info');
+    }
+    
+    select.innerHTML = '';
+    select.title = this.t('sendTo');
+    select.appendChild(new Option(this.t('everyone'), ''));
+    rtcManager.userInfo.forEach((info, socketId) => {
+      select.appendChild(new Option(`🔒 ${info.nickname || 'User'}`, socketId));
+    });
+    
+    select.value = this.chatRecipient;
+    select.classList.toggle('private', !!this.chatRecipient);
+  }
+
+  setChatRecipient(socketId) {
+    this.chatRecipient = socketId || '';
+    this.updateChatRecipients();
+  }
+
+  // Render the history replayed on join, with a divider where live messages begin
+  renderChatHistory(history) {
+    const messagesContainer = document.getElementById('chat-messages');
+    if (!messagesContainer || !history) return;
+    
+    const messages = history.messages || [];
+    const firstLive = messagesContainer.firstChild;
+    
+    messages.forEach(message => {
+      this.addChatMessage(message, { replay: true, before: firstLive });
+    });
+    
+    if (messages.length > 0) {
+      const divider = document.createElement('div');
+      divider.className = 'chat-divider';
+      divider.textContent = this.t('newMessages');
+      messagesContainer.insertBefore(divider, firstLive);
+      this.oldestChatTimestamp = messages[0].timestamp;
+    }
+    
+    this.updateChatLoadMore(history.hasMore);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+
+  // Prepend an older page received from a chat-history request
+  prependChatHistory(history) {
+    const messagesContainer = document.getElementById('chat-messages');
+    if (!messagesContainer || !history) return;
+    
+    const messages = history.messages || [];
+    const firstShown = messagesContainer.firstChild;
+    const previousHeight = messagesContainer.scrollHeight;
+    
+    messages.forEach(message => {
+      this.addChatMessage(message, { replay: true, before: firstShown });
+    });
+    
+    if (messages.length > 0) {
+      this.oldestChatTimestamp = messages[0].timestamp;
+    }
+    
+    this.updateChatLoadMore(history.hasMore);
+    
+    // Keep the view anchored on what the user was reading
+    messagesContainer.scrollTop += messagesContainer.scrollHeight - previousHeight;
+  }
+
+  requestOlderChatMessages() {
+    if (!this.oldestChatTimestamp) return;
+    socketManager.emit('chat-history', { before: this.oldestChatTimestamp });
+  }
+
+  updateChatLoadMore(hasMore) {
+    const loadMoreBtn = document.getElementById('chat-load-more-btn');
+    if (loadMoreBtn) {
+      loadMoreBtn.classList.toggle('hidden', !hasMore);
+    }
+  }
+
+  sendMessage() {
+    const input = document.getElementById('chat-input');
+    const message = input.value.trim();
+    
+    if (message) {
+      socketManager.emit('chat-message', {
+        message,
+        replyTo: this.replyTo?.id,
+        to: this.chatRecipient || undefined
+      });
+      input.value = '';
+      this.cancelReply();
+    }
+  }
+
+  toggleAdminPanel() {
+    const adminPanel = document.getElementById('admin-panel');
+    this.isAdminPanelOpen = !this.isAdminPanelOpen;
+    
+    if (this.isAdminPanelOpen) {
+      adminPanel.classList.remove('hidden');
+      this.updateAdminPanel();
+      if (this.can('ban')) {
+        socketManager.emit('list-bans');
+      }
+    } else {
+      adminPanel.classList.add('hidden');
+    }
+  }
+
+  toggleSettingsPanel() {
+    const settingsPanel = document.getElementById('settings-panel');
+    this.isSettingsPanelOpen = !this.isSettingsPanelOpen;
+    
+    if (this.isSettingsPanelOpen) {
+      settingsPanel.classList.remove('hidden');
+      this.loadSettingsPanel();
+    } else {
+      settingsPanel.classList.add('hidden');
+    }
+  }
+
+  async loadSettingsPanel() {
+    // Load available devices
+    const devices = await rtcManager.enumerateDevices();
+    
+    // Populate microphone dropdown
+    const micSelect = document.getElementById('microphone-select');
+    micSelect.innerHTML = '<option value="">Default</option>';
+    devices.audioInputs.forEach(device => {
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.label || `Microphone ${device.deviceId.substring(0, 8)}`;
+      if (device.deviceId === rtcManager.currentSettings.selectedMicrophone) {
+        option.selected = true;
+      }
+      micSelect.appendChild(option);
     });
 
     // Populate camera dropdown
@@ -3579,6 +5031,15 @@ class UIManager {
     document.getElementById('stereo-enabled').checked = settings.stereoEnabled;
     document.getElementById('dtx-enabled').checked = settings.dtxEnabled;
     document.getElementById('audio-visualizer-enabled').checked = settings.audioVisualizerEnabled;
+    
+    document.getElementById('mic-mode-select').value = settings.micMode;
+    document.getElementById('mic-release-select').value = settings.micReleaseDelay;
+    document.getElementById('vad-threshold').value = settings.voiceActivationThreshold;
+    document.getElementById('vad-threshold-value').textContent = settings.voiceActivationThreshold;
+    const pushToTalkKeyBtn = document.getElementById('ptt-key-btn');
+    pushToTalkKeyBtn.dataset.code = settings.pushToTalkKey;
+    pushToTalkKeyBtn.textContent = this.formatKeyCode(settings.pushToTalkKey);
+    this.updateMicModeSettings(settings.micMode);
   }
 
   async applySettings() {
@@ -3599,11 +5060,22 @@ class UIManager {
         autoGainControl: document.getElementById('auto-gain-control').checked,
         stereoEnabled: document.getElementById('stereo-enabled').checked,
         dtxEnabled: document.getElementById('dtx-enabled').checked,
-        audioVisualizerEnabled: document.getElementById('audio-visualizer-enabled').checked
+        audioVisualizerEnabled: document.getElementById('audio-visualizer-enabled').checked,
+        micMode: document.getElementById('mic-mode-select').value,
+        pushToTalkKey: document.getElementById('ptt-key-btn').dataset.code,
+        voiceActivationThreshold: parseInt(document.getElementById('vad-threshold').value),
+        micReleaseDelay: parseInt(document.getElementById('mic-release-select').value)
       };
+      const micModeChanged = newSettings.micMode !== rtcManager.currentSettings.micMode;
 
       // Update settings
       rtcManager.updateSettings(newSettings);
+      rtcManager.applyMicMode();
+      if (micModeChanged && newSettings.micMode === 'push-to-talk') {
+        NotificationManager.show(`🎙️ ${this.t('pushToTalkOn')} ${this.formatKeyCode(newSettings.pushToTalkKey)}`, 'info');
+      } else if (micModeChanged && newSettings.micMode === 'voice-activated') {
+        NotificationManager.show(`🎙️ ${this.t('voiceActivationOn')}`, 'info');
+      }
 
       // Check if device change is needed
       const currentSettings = rtcManager.currentSettings;
@@ -3654,6 +5126,7 @@ class UIManager {
       // Add fullscreen class for styling
       container.classList.add('fullscreen-active');
       this.isFullscreen = true;
+      this.requestVideoLayers();
       
       // Hide other UI elements
       document.getElementById('header')?.classList.add('hidden');
@@ -3692,6 +5165,7 @@ class UIManager {
       // Show UI elements
       document.getElementById('header')?.classList.remove('hidden');
       document.getElementById('controls')?.classList.remove('hidden');
+      this.requestVideoLayers();
       
       NotificationManager.show('Exited fullscreen', 'info');
     }
@@ -3710,15 +5184,399 @@ class UIManager {
     } else {
       overlay.classList.add('hidden');
       btn.classList.remove('active');
-      rtcManager.stopConnectionStats();
       NotificationManager.show('Connection stats disabled', 'info');
     }
   }
 
   updateAdminPanel() {
-    // This would be populated with actual user data from the server
+    this.renderParticipants();
+    this.renderRoomSecurityControls();
+    this.renderBanList();
+  }
+
+  // Everyone in the room with role controls (owner) and mute/kick (owner and moderators)
+  renderParticipants() {
     const adminUsers = document.getElementById('admin-users');
-    adminUsers.innerHTML = '<p>Admin controls will be populated with connected users</p>';
+    if (!adminUsers) return;
+    
+    adminUsers.innerHTML = '';
+    
+    const title = document.createElement('h4');
+    title.textContent = `👥 ${this.t('participants')}`;
+    adminUsers.appendChild(title);
+    
+    rtcManager.userInfo.forEach((info, socketId) => {
+      const role = this.getRole(socketId);
+      
+      const row = document.createElement('div');
+      row.className = 'admin-user';
+      
+      const name = document.createElement('span');
+      name.textContent = `${role === 'owner' ? '👑 ' : ROLE_BADGES[role] ? `${ROLE_BADGES[role]} ` : ''}${info.nickname || 'User'}`;
+      row.appendChild(name);
+      
+      const controls = document.createElement('div');
+      controls.className = 'admin-user-controls';
+      
+      if (this.can('set-role') && role !== 'owner') {
+        const roleSelect = document.createElement('select');
+        roleSelect.className = 'role-select';
+        ['moderator', 'member', 'viewer'].forEach(option => {
+          const item = document.createElement('option');
+          item.value = option;
+          item.textContent = this.getRoleName(option);
+          item.selected = option === role;
+          roleSelect.appendChild(item);
+        });
+        roleSelect.addEventListener('change', () => {
+          socketManager.emit('set-role', { targetSocketId: socketId, role: roleSelect.value });
+        });
+        controls.appendChild(roleSelect);
+        
+        const ownerBtn = document.createElement('button');
+        ownerBtn.className = 'btn-small';
+        ownerBtn.textContent = '👑';
+        ownerBtn.title = this.t('makeOwner');
+        ownerBtn.addEventListener('click', () => {
+          if (confirm(`${this.t('confirmTransferOwnership')} ${info.nickname}?`)) {
+            socketManager.emit('set-role', { targetSocketId: socketId, role: 'owner' });
+          }
+        });
+        controls.appendChild(ownerBtn);
+      }
+      
+      if (this.outranks(socketId)) {
+        if (this.can('mute')) {
+          const muteBtn = document.createElement('button');
+          muteBtn.className = 'btn-small';
+          muteBtn.textContent = '🔇';
+          muteBtn.title = this.t('muteUser');
+          muteBtn.addEventListener('click', () => {
+            socketManager.emit('mute-user', { targetSocketId: socketId });
+          });
+          controls.appendChild(muteBtn);
+        }
+        
+        if (this.can('kick')) {
+          const kickBtn = document.createElement('button');
+          kickBtn.className = 'btn-small';
+          kickBtn.textContent = '❌';
+          kickBtn.title = this.t('kickUser');
+          kickBtn.addEventListener('click', () => this.kickUser(socketId));
+          controls.appendChild(kickBtn);
+        }
+        
+        if (this.can('ban')) {
+          const banBtn = document.createElement('button');
+          banBtn.className = 'btn-small';
+          banBtn.textContent = '⛔';
+          banBtn.title = this.t('banUser');
+          banBtn.addEventListener('click', () => this.banUser(socketId, info.nickname));
+          controls.appendChild(banBtn);
+        }
+      }
+      
+      row.appendChild(controls);
+      adminUsers.appendChild(row);
+    });
+  }
+
+  renderRoomSecurityControls() {
+    const container = document.getElementById('admin-room-settings');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    // Moderators only get the lobby queue
+    if (!this.can('manage-room')) {
+      this.renderLobbyQueue();
+      return;
+    }
+    
+    const title = document.createElement('h4');
+    title.textContent = `🔐 ${this.t('roomSecurity')}`;
+    
+    const passwordRow = document.createElement('div');
+    passwordRow.className = 'admin-row';
+    
+    const passwordInput = document.createElement('input');
+    passwordInput.type = 'password';
+    passwordInput.maxLength = 64;
+    passwordInput.placeholder = this.t('roomPassword');
+    
+    const setPasswordBtn = document.createElement('button');
+    setPasswordBtn.className = 'btn-small';
+    setPasswordBtn.textContent = this.t('setPassword');
+    setPasswordBtn.addEventListener('click', () => {
+      const password = passwordInput.value;
+      if (!password) return;
+      socketManager.emit('set-room-password', { password });
+      passwordInput.value = '';
+    });
+    
+    passwordRow.appendChild(passwordInput);
+    passwordRow.appendChild(setPasswordBtn);
+    
+    const actionsRow = document.createElement('div');
+    actionsRow.className = 'admin-row';
+    
+    if (this.roomHasPassword) {
+      const removePasswordBtn = document.createElement('button');
+      removePasswordBtn.className = 'btn-small';
+      removePasswordBtn.textContent = this.t('removePassword');
+      removePasswordBtn.addEventListener('click', () => {
+        socketManager.emit('set-room-password', { password: null });
+      });
+      actionsRow.appendChild(removePasswordBtn);
+    }
+    
+    const lockBtn = document.createElement('button');
+    lockBtn.className = this.roomLocked ? 'btn-small active' : 'btn-small';
+    lockBtn.textContent = this.roomLocked ? `🔓 ${this.t('unlockRoom')}` : `🔒 ${this.t('lockRoom')}`;
+    lockBtn.addEventListener('click', () => {
+      socketManager.emit('set-room-lock', { locked: !this.roomLocked });
+    });
+    actionsRow.appendChild(lockBtn);
+    
+    const lobbyBtn = document.createElement('button');
+    lobbyBtn.className = this.roomLobby ? 'btn-small active' : 'btn-small';
+    lobbyBtn.textContent = `🚪 ${this.t(this.roomLobby ? 'disableLobby' : 'enableLobby')}`;
+    lobbyBtn.addEventListener('click', () => {
+      socketManager.emit('set-room-lobby', { enabled: !this.roomLobby });
+    });
+    actionsRow.appendChild(lobbyBtn);
+    
+    container.appendChild(title);
+    container.appendChild(passwordRow);
+    container.appendChild(actionsRow);
+    this.renderLastRecording(container);
+    
+    this.renderLobbyQueue();
+  }
+
+  renderLobbyQueue() {
+    const container = document.getElementById('admin-lobby');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    container.classList.toggle('hidden', !this.roomLobby && this.pendingUsers.length === 0);
+    
+    const title = document.createElement('h4');
+    title.textContent = `🚪 ${this.t('waitingRoom')} (${this.pendingUsers.length})`;
+    container.appendChild(title);
+    
+    if (this.pendingUsers.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = this.t('noOneWaiting');
+      container.appendChild(empty);
+      return;
+    }
+    
+    this.pendingUsers.forEach(pending => {
+      const row = document.createElement('div');
+      row.className = 'admin-user';
+      
+      const name = document.createElement('span');
+      name.textContent = pending.nickname;
+      
+      const controls = document.createElement('div');
+      controls.className = 'admin-user-controls';
+      
+      const admitBtn = document.createElement('button');
+      admitBtn.className = 'btn-small';
+      admitBtn.textContent = `✅ ${this.t('admit')}`;
+      admitBtn.addEventListener('click', () => {
+        socketManager.emit('lobby-decision', { targetSocketId: pending.socketId, admit: true });
+      });
+      
+      const denyBtn = document.createElement('button');
+      denyBtn.className = 'btn-small';
+      denyBtn.textContent = `❌ ${this.t('deny')}`;
+      denyBtn.addEventListener('click', () => {
+        socketManager.emit('lobby-decision', { targetSocketId: pending.socketId, admit: false });
+      });
+      
+      controls.appendChild(admitBtn);
+      controls.appendChild(denyBtn);
+      row.appendChild(name);
+      row.appendChild(controls);
+      container.appendChild(row);
+    });
+  }
+
+  // Active bans with a lift button each (owner and moderators)
+  renderBanList() {
+    const container = document.getElementById('admin-bans');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    container.classList.toggle('hidden', !this.can('ban'));
+    if (!this.can('ban')) return;
+    
+    const title = document.createElement('h4');
+    title.textContent = `⛔ ${this.t('bans')} (${this.bans.length})`;
+    container.appendChild(title);
+    
+    if (this.bans.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = this.t('noBans');
+      container.appendChild(empty);
+      return;
+    }
+    
+    this.bans.forEach(ban => {
+      const row = document.createElement('div');
+      row.className = 'admin-user';
+      
+      const details = document.createElement('span');
+      const expiry = ban.expiresAt ?
+        `${this.t('banExpiresIn')} ${this.formatDuration((ban.expiresAt - Date.now()) / 1000)}` :
+        this.t('banPermanent');
+      details.textContent = `${ban.nickname}${ban.ipBan ? ` (${this.t('ipBanned')})` : ''} · ${expiry} · ${this.t('bannedBy')} ${ban.bannedBy}`;
+      if (ban.reason) {
+        details.title = `${this.t('banReason')}: ${ban.reason}`;
+      }
+      
+      const controls = document.createElement('div');
+      controls.className = 'admin-user-controls';
+      
+      const liftBtn = document.createElement('button');
+      liftBtn.className = 'btn-small';
+      liftBtn.textContent = `✅ ${this.t('liftBan')}`;
+      liftBtn.addEventListener('click', () => {
+        socketManager.emit('lift-ban', { banId: ban.id });
+      });
+      controls.appendChild(liftBtn);
+      
+      row.appendChild(details);
+      row.appendChild(controls);
+      container.appendChild(row);
+    });
+  }
+
+  updateBans(bans) {
+    this.bans = bans || [];
+    
+    if (this.isAdminPanelOpen) {
+      this.renderBanList();
+    }
+  }
+
+  // "2d 3h", "45m", "30s"
+  formatDuration(seconds) {
+    const total = Math.max(0, Math.ceil(seconds));
+    const days = Math.floor(total / 86400);
+    const hours = Math.floor((total % 86400) / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    
+    if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+    if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+    if (minutes > 0) return `${minutes}m`;
+    return `${total}s`;
+  }
+
+  // "512 B", "1.5 MB"
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+  }
+
+  // BANNED error or ban notice: who, why and for how long
+  formatBanNotice(ban) {
+    const parts = [this.t(ban.type === 'BANNED' ? 'youAreBanned' : 'youWereBanned')];
+    parts.push(`${this.t('banRemaining')}: ${ban.remainingSeconds == null ? this.t('banPermanent') : this.formatDuration(ban.remainingSeconds)}`);
+    if (ban.reason) {
+      parts.push(`${this.t('banReason')}: ${ban.reason}`);
+    }
+    return parts.join('. ');
+  }
+
+  updateLobby(data) {
+    this.roomLobby = !!data.enabled;
+    this.pendingUsers = data.pending || [];
+    
+    if (this.isAdminPanelOpen) {
+      this.renderRoomSecurityControls();
+    }
+  }
+
+  // Someone knocked: surface the request in the admin panel
+  handleKnockRequest(data) {
+    NotificationManager.show(`🚪 ${data.nickname} ${this.t('wantsToJoin')}`, 'info', 10000);
+    
+    if (!this.isAdminPanelOpen) {
+      this.toggleAdminPanel();
+    }
+  }
+
+  updateRoomSettings(settings) {
+    const wasLocked = this.roomLocked;
+    this.roomLocked = !!settings.locked;
+    this.roomHasPassword = !!settings.hasPassword;
+    this.roomLobby = !!settings.lobby;
+    this.updateRecordingState(!!settings.recording);
+    if (settings.roles) {
+      this.setRoles(settings.roles);
+    }
+    
+    if (wasLocked !== this.roomLocked) {
+      NotificationManager.show(this.roomLocked ? `🔒 ${this.t('lockRoom')}` : `🔓 ${this.t('unlockRoom')}`, 'info');
+    }
+    
+    if (this.isAdminPanelOpen) {
+      this.renderRoomSecurityControls();
+    }
+  }
+
+  // REC indicator for everyone, record button state for the host
+  updateRecordingState(recording) {
+    this.roomRecording = recording;
+    document.getElementById('recording-indicator')?.classList.toggle('hidden', !recording);
+    
+    const recordBtn = document.getElementById('record-btn');
+    if (recordBtn) {
+      recordBtn.classList.toggle('recording', recording);
+      recordBtn.title = this.t(recording ? 'stopRecording' : 'recordRoom');
+    }
+  }
+
+  handleRecordingSaved(data) {
+    this.lastRecording = data;
+    NotificationManager.show(`💾 ${this.t('recordingSaved')}`, 'success', 8000);
+    
+    if (this.isAdminPanelOpen) {
+      this.renderRoomSecurityControls();
+    }
+  }
+
+  renderLastRecording(container) {
+    if (!this.lastRecording) return;
+    
+    const row = document.createElement('div');
+    row.className = 'admin-row';
+    
+    const label = document.createElement('span');
+    label.textContent = `⏺️ ${this.t('lastRecording')}:`;
+    row.appendChild(label);
+    
+    [['url', 'downloadRecording'], ['eventsUrl', 'recordingEvents']].forEach(([key, text]) => {
+      const link = document.createElement('a');
+      link.className = 'btn-small';
+      link.href = this.lastRecording[key];
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = this.t(text);
+      row.appendChild(link);
+    });
+    
+    container.appendChild(row);
   }
 
   setHost(isHost) {
@@ -3731,11 +5589,17 @@ class UIManager {
       localHostBadge.title = this.t('hostBadge');
     }
     
-    // Show/hide kick buttons for all remote users
-    const kickButtons = document.querySelectorAll('.kick-btn');
-    kickButtons.forEach(btn => {
-      btn.style.display = isHost ? 'inline-block' : 'none';
-    });
+    // Owner role follows host rights; kick buttons and badges follow the role
+    const socketId = socketManager.socket?.id;
+    const roles = { ...this.roles };
+    if (isHost) {
+      roles[socketId] = 'owner';
+    } else if (roles[socketId] === 'owner') {
+      delete roles[socketId];
+    }
+    this.setRoles(roles);
+    
+    document.getElementById('record-btn')?.classList.toggle('hidden', !isHost);
     
     // Settings button should be visible for ALL users
     const settingsBtn = document.getElementById('settings-btn');
@@ -3752,7 +5616,7 @@ class UIManager {
   }
 
   kickUser(socketId) {
-    if (!this.isHost) {
+    if (!this.can('kick')) {
       const errorMsg = this.currentLanguage === 'ru' ? 
         'Только владелец комнаты может исключать пользователей' : 
         'Only the room owner can kick users';
@@ -3771,6 +5635,30 @@ class UIManager {
     }
   }
 
+  // Kick and ban: asks for the duration, an optional reason and whether to include the IP
+  banUser(socketId, nickname) {
+    if (!this.can('ban')) return;
+    
+    const durationInput = prompt(`${this.t('banUser')} ${nickname}: ${this.t('banDurationPrompt')}`, '60');
+    if (durationInput === null) return;
+    
+    const duration = durationInput.trim() === '' ? 0 : Number(durationInput);
+    if (!Number.isInteger(duration) || duration < 0) {
+      NotificationManager.show(this.t('invalidBanDuration'), 'error');
+      return;
+    }
+    
+    const reason = prompt(this.t('banReasonPrompt'), '');
+    if (reason === null) return;
+    
+    socketManager.emit('ban-user', {
+      targetSocketId: socketId,
+      duration,
+      reason: reason.trim().substring(0, 200),
+      ipBan: confirm(this.t('banIpConfirm'))
+    });
+  }
+
   changeTheme(theme) {
     document.body.className = theme;
     this.currentTheme = theme;
@@ -3806,6 +5694,666 @@ class UIManager {
   }
 }
 
+// Room Recorder Class: the host's browser draws every tile onto one canvas, mixes everyone's
+// audio and uploads MediaRecorder chunks one at a time (each acked) to the server
+class RoomRecorder {
+  constructor() {
+    this.recordingId = null;
+    this.mediaRecorder = null;
+    this.canvas = null;
+    this.drawTimer = null;
+    this.audioContext = null;
+    this.audioDestination = null;
+    this.audioSources = new Map(); // audio track id -> MediaStreamAudioSourceNode
+    this.uploadQueue = [];
+    this.uploading = false;
+    this.stopRequested = false;
+  }
+
+  get isRecording() {
+    return !!this.recordingId;
+  }
+
+  toggle() {
+    if (this.isRecording) {
+      this.stop();
+    } else {
+      socketManager.emit('start-recording');
+    }
+  }
+
+  // The server accepted our start-recording request
+  begin(recordingId) {
+    if (!window.MediaRecorder) {
+      NotificationManager.show(uiManager.t('recordingUnsupported'), 'error');
+      socketManager.emit('stop-recording');
+      return;
+    }
+    
+    this.recordingId = recordingId;
+    this.stopRequested = false;
+    
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = RECORDING_WIDTH;
+    this.canvas.height = RECORDING_HEIGHT;
+    const stream = this.canvas.captureStream(RECORDING_FPS);
+    
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    this.audioDestination = this.audioContext.createMediaStreamDestination();
+    this.updateAudioSources();
+    this.audioDestination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+    
+    const mimeType = ['video/webm;codecs=vp8,opus', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+    this.mediaRecorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: 2500000,
+      audioBitsPerSecond: 128000
+    });
+    
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        this.uploadQueue.push(event.data);
+        this.flushUploads();
+      }
+    };
+    
+    this.mediaRecorder.onstop = () => {
+      this.stopRequested = true;
+      this.flushUploads();
+    };
+    
+    this.mediaRecorder.start(RECORDING_TIMESLICE);
+    // setInterval keeps drawing in a background tab, where requestAnimationFrame stops
+    this.drawTimer = setInterval(() => this.drawFrame(), 1000 / RECORDING_FPS);
+    
+    console.log(`⏺️ Recording ${recordingId} (${mimeType})`);
+  }
+
+  stop() {
+    if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+      // The final chunk arrives through ondataavailable before onstop
+      this.mediaRecorder.stop();
+    } else if (this.isRecording) {
+      socketManager.emit('stop-recording');
+    }
+  }
+
+  // Upload queued chunks in order; stop-recording goes out once the last one is stored
+  async flushUploads() {
+    if (this.uploading) return;
+    this.uploading = true;
+    
+    while (this.uploadQueue.length > 0 && this.recordingId) {
+      // Hold chunks while the socket is down; they go out after the session resumes
+      if (!socketManager.isConnected) break;
+      
+      const chunk = await this.uploadQueue[0].arrayBuffer();
+      const result = await new Promise(resolve => {
+        socketManager.socket.timeout(RECORDING_ACK_TIMEOUT).emit('recording-chunk', { recordingId: this.recordingId, chunk }, (error, reply) => {
+          resolve(error ? null : reply);
+        });
+      });
+      
+      // Lost with the connection: keep the chunk for after the session resumes
+      if (!result && !socketManager.isConnected) break;
+      
+      if (!result?.ok) {
+        console.error('❌ Recording upload rejected:', result?.error);
+        // At a limit the server has already finished the recording; nothing to stop
+        const limitReached = result?.error === 'RECORDING_LIMIT';
+        NotificationManager.show(uiManager.t(limitReached ? 'recordingLimitReached' : 'recordingFailed'), limitReached ? 'warning' : 'error');
+        this.uploadQueue = [];
+        this.stopRequested = !limitReached;
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+          this.mediaRecorder.onstop = null;
+          this.mediaRecorder.stop();
+        }
+        break;
+      }
+      
+      this.uploadQueue.shift();
+    }
+    
+    this.uploading = false;
+    
+    if (this.stopRequested && this.uploadQueue.length === 0 && this.recordingId) {
+      socketManager.emit('stop-recording');
+      this.stopRequested = false;
+    }
+  }
+
+  // Grid of every tile in the room, letterboxed, with names
+  drawFrame() {
+    const ctx = this.canvas.getContext('2d');
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, RECORDING_WIDTH, RECORDING_HEIGHT);
+    
+    const tiles = Array.from(document.querySelectorAll('#video-grid .video-container'))
+      .map(container => ({
+        video: container.querySelector('video'),
+        name: container.querySelector('.user-name')?.textContent || ''
+      }))
+      .filter(tile => tile.video);
+    
+    if (tiles.length === 0) return;
+    
+    const cols = Math.ceil(Math.sqrt(tiles.length));
+    const rows = Math.ceil(tiles.length / cols);
+    const cellWidth = RECORDING_WIDTH / cols;
+    const cellHeight = RECORDING_HEIGHT / rows;
+    
+    tiles.forEach(({ video, name }, index) => {
+      const x = (index % cols) * cellWidth;
+      const y = Math.floor(index / cols) * cellHeight;
+      
+      if (video.videoWidth && video.videoHeight) {
+        const scale = Math.min(cellWidth / video.videoWidth, cellHeight / video.videoHeight);
+        const width = video.videoWidth * scale;
+        const height = video.videoHeight * scale;
+        ctx.drawImage(video, x + (cellWidth - width) / 2, y + (cellHeight - height) / 2, width, height);
+      }
+      
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+      ctx.fillRect(x, y + cellHeight - 28, cellWidth, 28);
+      ctx.fillStyle = '#fff';
+      ctx.font = '16px sans-serif';
+      ctx.fillText(name, x + 8, y + cellHeight - 9, cellWidth - 16);
+    });
+    
+    // People join and leave while recording; pick up their audio as tiles change
+    this.updateAudioSources();
+  }
+
+  // Mix our microphone and every remote tile's audio into the recording
+  updateAudioSources() {
+    const tracks = new Map();
+    rtcManager.localStream?.getAudioTracks().forEach(track => tracks.set(track.id, track));
+    document.querySelectorAll('#video-grid video').forEach(video => {
+      video.srcObject?.getAudioTracks?.().forEach(track => tracks.set(track.id, track));
+    });
+    
+    for (const [id, track] of tracks) {
+      if (this.audioSources.has(id) || track.readyState === 'ended') continue;
+      const source = this.audioContext.createMediaStreamSource(new MediaStream([track]));
+      source.connect(this.audioDestination);
+      this.audioSources.set(id, source);
+    }
+    
+    for (const [id, source] of this.audioSources) {
+      if (!tracks.has(id)) {
+        source.disconnect();
+        this.audioSources.delete(id);
+      }
+    }
+  }
+
+  // Recording finished server-side (stopped by us, or our upload stopped)
+  cleanup() {
+    clearInterval(this.drawTimer);
+    this.drawTimer = null;
+    
+    if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+      this.mediaRecorder.onstop = null;
+      this.mediaRecorder.stop();
+    }
+    this.mediaRecorder = null;
+    
+    this.audioSources.forEach(source => source.disconnect());
+    this.audioSources.clear();
+    this.audioContext?.close();
+    this.audioContext = null;
+    this.audioDestination = null;
+    this.canvas = null;
+    
+    this.recordingId = null;
+    this.uploadQueue = [];
+    this.stopRequested = false;
+  }
+}
+
+// File Transfer Manager: sends files straight to peers over each connection's 'files' data
+// channel. Control messages are JSON strings, file data is binary chunks in between
+// file-data and file-end; the channel is ordered, so one file streams at a time per peer
+//
+//   sender -> file-offer { id, name, size, mime, sha256 }
+//   receiver -> file-accept / file-decline
+//   sender -> file-data, <chunks>, file-end
+//   receiver -> file-result { ok }  (SHA-256 of what arrived matches the offer)
+//   either -> file-cancel
+class FileTransferManager {
+  constructor() {
+    this.transfers = new Map(); // transferId -> transfer, both directions
+    this.receiving = new WeakMap(); // data channel -> incoming transfer its chunks belong to
+    this.sendChains = new WeakMap(); // data channel -> promise of the file being streamed
+  }
+
+  attachChannel(pc, channel) {
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = FILE_BUFFER_LOW;
+    channel.onmessage = (event) => this.handleMessage(pc, channel, event.data);
+    channel.onclose = () => this.handleChannelClosed(channel);
+    pc.fileChannel = channel;
+  }
+
+  getNickname(socketId) {
+    return rtcManager.getStoredUserInfo(socketId)?.nickname || 'User';
+  }
+
+  async digest(buffer) {
+    const hash = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  sendControl(channel, message) {
+    if (channel.readyState === 'open') {
+      channel.send(JSON.stringify(message));
+    }
+  }
+
+  // Offer a file to one peer, or to everyone we have a direct connection with
+  async sendFile(file, targetSocketId) {
+    if (!file) return;
+    
+    if (file.size > FILE_MAX_SIZE) {
+      NotificationManager.show(`${uiManager.t('fileTooLarge')} (${uiManager.formatBytes(FILE_MAX_SIZE)})`, 'error');
+      return;
+    }
+    
+    if (!window.crypto?.subtle) {
+      NotificationManager.show(uiManager.t('fileUnsupported'), 'error');
+      return;
+    }
+    
+    const socketIds = targetSocketId ? [targetSocketId] : Array.from(rtcManager.peers.keys());
+    const targets = socketIds
+      .map(socketId => ({ socketId, channel: rtcManager.peers.get(socketId)?.fileChannel }))
+      .filter(target => target.channel && target.channel.readyState === 'open');
+    
+    if (targets.length === 0) {
+      NotificationManager.show(uiManager.t('fileNoPeers'), 'warning');
+      return;
+    }
+    
+    const buffer = await file.arrayBuffer();
+    const sha256 = await this.digest(buffer);
+    
+    targets.forEach(({ socketId, channel }) => {
+      const transfer = {
+        id: crypto.randomUUID(),
+        direction: 'out',
+        socketId,
+        channel,
+        nickname: this.getNickname(socketId),
+        name: file.name,
+        size: file.size,
+        mime: file.type,
+        sha256,
+        buffer,
+        bytes: 0,
+        status: 'offered'
+      };
+      this.transfers.set(transfer.id, transfer);
+      this.render(transfer);
+      
+      this.sendControl(channel, {
+        type: 'file-offer',
+        id: transfer.id,
+        name: transfer.name,
+        size: transfer.size,
+        mime: transfer.mime,
+        sha256
+      });
+    });
+  }
+
+  handleMessage(pc, channel, data) {
+    // Binary: the next chunk of the file announced by file-data
+    if (typeof data !== 'string') {
+      const transfer = this.receiving.get(channel);
+      if (!transfer || transfer.status !== 'receiving') return;
+      
+      transfer.chunks.push(data);
+      transfer.bytes += data.byteLength;
+      if (transfer.bytes > transfer.size) {
+        this.cancel(transfer, 'failed');
+        return;
+      }
+      this.updateProgress(transfer);
+      return;
+    }
+    
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+    
+    if (message.type === 'file-offer') {
+      this.handleOffer(pc, channel, message);
+      return;
+    }
+    
+    // Everything else refers to a transfer on this same connection
+    const transfer = this.transfers.get(message.id);
+    if (!transfer || transfer.channel !== channel) return;
+    
+    switch (message.type) {
+      case 'file-accept':
+        if (transfer.direction === 'out' && transfer.status === 'offered') {
+          this.setStatus(transfer, 'sending');
+          this.queueSend(transfer);
+        }
+        break;
+      case 'file-decline':
+        if (transfer.direction === 'out' && transfer.status === 'offered') {
+          this.finishOutgoing(transfer, 'declined');
+        }
+        break;
+      case 'file-data':
+        if (transfer.direction === 'in' && transfer.status === 'accepted') {
+          this.receiving.set(channel, transfer);
+          this.setStatus(transfer, 'receiving');
+        }
+        break;
+      case 'file-end':
+        if (transfer.direction === 'in' && transfer.status === 'receiving') {
+          this.receiving.delete(channel);
+          this.verify(transfer);
+        }
+        break;
+      case 'file-result':
+        if (transfer.direction === 'out' && transfer.status === 'verifying') {
+          this.finishOutgoing(transfer, message.ok ? 'delivered' : 'corrupted');
+        }
+        break;
+      case 'file-cancel':
+        if (this.isActive(transfer)) {
+          this.cancel(transfer, 'cancelled', false);
+        }
+        break;
+    }
+  }
+
+  handleOffer(pc, channel, offer) {
+    const valid = typeof offer.id === 'string' && offer.id.length <= 64 && !this.transfers.has(offer.id) &&
+      typeof offer.name === 'string' && offer.name.length > 0 && offer.name.length <= 255 &&
+      Number.isInteger(offer.size) && offer.size >= 0 && offer.size <= FILE_MAX_SIZE &&
+      typeof offer.sha256 === 'string' && /^[0-9a-f]{64}$/.test(offer.sha256);
+    if (!valid) return;
+    
+    // Viewers cannot chat, so they cannot send files either
+    if (uiManager.getRole(pc.peerId) === 'viewer') {
+      this.sendControl(channel, { type: 'file-decline', id: offer.id });
+      return;
+    }
+    
+    const transfer = {
+      id: offer.id,
+      direction: 'in',
+      socketId: pc.peerId,
+      channel,
+      nickname: this.getNickname(pc.peerId),
+      name: offer.name,
+      size: offer.size,
+      mime: typeof offer.mime === 'string' ? offer.mime.substring(0, 100) : '',
+      sha256: offer.sha256,
+      chunks: [],
+      bytes: 0,
+      status: 'pending'
+    };
+    this.transfers.set(transfer.id, transfer);
+    this.render(transfer);
+    
+    NotificationManager.show(`📎 ${transfer.nickname} ${uiManager.t('fileOfferNotice')}: ${transfer.name}`, 'info');
+  }
+
+  accept(transfer) {
+    if (transfer.status !== 'pending') return;
+    this.setStatus(transfer, 'accepted');
+    this.sendControl(transfer.channel, { type: 'file-accept', id: transfer.id });
+  }
+
+  decline(transfer) {
+    if (transfer.status !== 'pending') return;
+    this.sendControl(transfer.channel, { type: 'file-decline', id: transfer.id });
+    this.cancel(transfer, 'declined', false);
+  }
+
+  isActive(transfer) {
+    return ['offered', 'pending', 'accepted', 'sending', 'receiving', 'verifying'].includes(transfer.status);
+  }
+
+  // Stop a transfer; notify tells the other side (not needed when they stopped it)
+  cancel(transfer, status = 'cancelled', notify = true) {
+    if (!this.isActive(transfer)) return;
+    if (notify) {
+      this.sendControl(transfer.channel, { type: 'file-cancel', id: transfer.id });
+    }
+    if (this.receiving.get(transfer.channel) === transfer) {
+      this.receiving.delete(transfer.channel);
+    }
+    transfer.chunks = null;
+    transfer.buffer = null;
+    this.setStatus(transfer, status);
+  }
+
+  // Remove the card; a received file's blob is released with it
+  dismiss(transfer) {
+    this.cancel(transfer);
+    this.releaseFile(transfer);
+    this.transfers.delete(transfer.id);
+    document.getElementById(`file-transfer-${transfer.id}`)?.remove();
+  }
+
+  // The peer left the room: stop its transfers and free the files it sent
+  forgetPeer(socketId) {
+    this.transfers.forEach(transfer => {
+      if (transfer.socketId !== socketId) return;
+      this.cancel(transfer, 'failed', false);
+      if (transfer.url) {
+        this.releaseFile(transfer);
+        this.setStatus(transfer, 'expired');
+      }
+    });
+  }
+
+  releaseFile(transfer) {
+    if (transfer.url) {
+      URL.revokeObjectURL(transfer.url);
+      transfer.url = null;
+    }
+  }
+
+  finishOutgoing(transfer, status) {
+    transfer.buffer = null;
+    this.setStatus(transfer, status);
+  }
+
+  // Files to the same peer go one after another
+  queueSend(transfer) {
+    const previous = this.sendChains.get(transfer.channel) || Promise.resolve();
+    const next = previous
+      .then(() => this.streamFile(transfer))
+      .catch(error => {
+        console.error(`❌ File transfer ${transfer.id} failed:`, error);
+        if (this.isActive(transfer)) {
+          this.cancel(transfer, 'failed');
+        }
+      });
+    this.sendChains.set(transfer.channel, next);
+  }
+
+  async streamFile(transfer) {
+    const { channel } = transfer;
+    if (transfer.status !== 'sending') return;
+    
+    this.sendControl(channel, { type: 'file-data', id: transfer.id });
+    
+    for (let offset = 0; offset < transfer.size; offset += FILE_CHUNK_SIZE) {
+      // Backpressure: let the channel drain instead of queueing the whole file in memory
+      while (channel.bufferedAmount > FILE_BUFFER_HIGH && channel.readyState === 'open') {
+        await this.waitForDrain(channel);
+      }
+      if (transfer.status !== 'sending' || channel.readyState !== 'open') return;
+      
+      channel.send(transfer.buffer.slice(offset, offset + FILE_CHUNK_SIZE));
+      transfer.bytes = Math.min(offset + FILE_CHUNK_SIZE, transfer.size);
+      this.updateProgress(transfer);
+    }
+    
+    this.sendControl(channel, { type: 'file-end', id: transfer.id });
+    this.setStatus(transfer, 'verifying');
+  }
+
+  waitForDrain(channel) {
+    return new Promise(resolve => {
+      const done = () => {
+        channel.removeEventListener('bufferedamountlow', done);
+        channel.removeEventListener('close', done);
+        resolve();
+      };
+      channel.addEventListener('bufferedamountlow', done);
+      channel.addEventListener('close', done);
+    });
+  }
+
+  // Compare the SHA-256 of what arrived with the one in the offer before offering a download.
+  // The type is never the sender's: a text/html or SVG blob would run script under our origin
+  async verify(transfer) {
+    this.setStatus(transfer, 'verifying');
+    
+    const blob = new Blob(transfer.chunks, { type: 'application/octet-stream' });
+    transfer.chunks = null;
+    
+    const ok = blob.size === transfer.size && await this.digest(await blob.arrayBuffer()) === transfer.sha256;
+    if (transfer.status !== 'verifying') return; // cancelled or disconnected meanwhile
+    this.sendControl(transfer.channel, { type: 'file-result', id: transfer.id, ok });
+    
+    if (ok) {
+      transfer.url = URL.createObjectURL(blob);
+      this.setStatus(transfer, 'complete');
+      NotificationManager.show(`📎 ${transfer.name} ${uiManager.t('fileReceived')}`, 'success');
+    } else {
+      this.setStatus(transfer, 'corrupted');
+    }
+  }
+
+  // The peer left or the connection was replaced: nothing more will arrive on this channel
+  handleChannelClosed(channel) {
+    this.transfers.forEach(transfer => {
+      if (transfer.channel === channel && this.isActive(transfer)) {
+        this.cancel(transfer, 'failed', false);
+      }
+    });
+  }
+
+  setStatus(transfer, status) {
+    transfer.status = status;
+    this.render(transfer);
+  }
+
+  updateProgress(transfer) {
+    // Redraw once per percent, not once per 16 KB chunk
+    const percent = transfer.size ? Math.floor(transfer.bytes * 100 / transfer.size) : 100;
+    if (percent === transfer.shownPercent) return;
+    transfer.shownPercent = percent;
+    
+    const card = document.getElementById(`file-transfer-${transfer.id}`);
+    if (card) {
+      card.querySelector('progress').value = transfer.bytes;
+      card.querySelector('.file-transfer-status').textContent = `${this.getStatusText(transfer)} ${percent}%`;
+    }
+  }
+
+  getStatusText(transfer) {
+    const key = {
+      offered: 'fileWaiting',
+      pending: 'fileIncoming',
+      accepted: 'fileWaiting',
+      sending: 'fileSending',
+      receiving: 'fileReceiving',
+      verifying: 'fileVerifying',
+      complete: 'fileVerified',
+      delivered: 'fileDelivered',
+      corrupted: 'fileCorrupted',
+      declined: 'fileDeclined',
+      cancelled: 'fileCancelled',
+      failed: 'fileFailed',
+      expired: 'fileExpired'
+    }[transfer.status];
+    return uiManager.t(key);
+  }
+
+  // One card per transfer in the chat panel: name, peer, progress bar and actions
+  render(transfer) {
+    const messagesContainer = document.getElementById('chat-messages');
+    if (!messagesContainer) return;
+    
+    let card = document.getElementById(`file-transfer-${transfer.id}`);
+    if (!card) {
+      card = document.createElement('div');
+      card.id = `file-transfer-${transfer.id}`;
+      card.className = 'chat-message file-transfer';
+      messagesContainer.appendChild(card);
+      messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+    card.classList.toggle('file-transfer-incoming', transfer.direction === 'in');
+    card.innerHTML = '';
+    
+    const header = document.createElement('div');
+    header.className = 'chat-message-header';
+    const name = document.createElement('span');
+    name.className = 'chat-nickname';
+    name.textContent = `📎 ${transfer.name}`;
+    const size = document.createElement('span');
+    size.className = 'chat-timestamp';
+    size.textContent = uiManager.formatBytes(transfer.size);
+    header.append(name, size);
+    
+    const peer = document.createElement('div');
+    peer.className = 'file-transfer-peer';
+    peer.textContent = `${uiManager.t(transfer.direction === 'in' ? 'fileFrom' : 'fileTo')} ${transfer.nickname}`;
+    
+    const progress = document.createElement('progress');
+    progress.max = transfer.size || 1;
+    progress.value = ['complete', 'delivered', 'verifying'].includes(transfer.status) ? progress.max : transfer.bytes;
+    
+    const status = document.createElement('div');
+    status.className = 'file-transfer-status';
+    status.textContent = this.getStatusText(transfer);
+    
+    const actions = document.createElement('div');
+    actions.className = 'file-transfer-actions';
+    const button = (label, className, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = `btn-small ${className}`;
+      btn.textContent = uiManager.t(label);
+      btn.addEventListener('click', onClick);
+      actions.appendChild(btn);
+    };
+    
+    if (transfer.status === 'pending') {
+      button('fileAccept', 'btn-primary', () => this.accept(transfer));
+      button('fileDecline', 'btn-secondary', () => this.decline(transfer));
+    } else if (this.isActive(transfer) && transfer.status !== 'verifying') {
+      button('fileCancel', 'btn-secondary', () => this.cancel(transfer));
+    } else if (transfer.status === 'complete') {
+      const link = document.createElement('a');
+      link.className = 'btn-small btn-primary';
+      link.href = transfer.url;
+      link.download = transfer.name;
+      link.textContent = uiManager.t('fileDownload');
+      actions.appendChild(link);
+    }
+    if (!this.isActive(transfer)) {
+      button('fileDismiss', 'btn-secondary', () => this.dismiss(transfer));
+    }
+    
+    card.append(header, peer, progress, status, actions);
+  }
+}
+
 // Notification Manager Class
 class NotificationManager {
   static show(message, type = 'info', duration = 5000) {
@@ -3837,11 +6385,15 @@ class NotificationManager {
 const socketManager = new SocketManager();
 const rtcManager = new RTCManager();
 const uiManager = new UIManager();
+const roomRecorder = new RoomRecorder();
+const fileTransfers = new FileTransferManager();
 
 // Make instances globally accessible for debugging and fixes
 window.socketManager = socketManager;
 window.rtcManager = rtcManager;
 window.uiManager = uiManager;
+window.roomRecorder = roomRecorder;
+window.fileTransfers = fileTransfers;
 
 // Global debug functions for camera visibility issues
 window.debugCamera = function() {
@@ -3860,24 +6412,7 @@ window.debugTransceivers = function() {
   }
 };
 
-window.forceRefreshVideo = function() {
-  if (window.rtcManager && window.rtcManager.forceRefreshVideoTracks) {
-    window.rtcManager.forceRefreshVideoTracks();
-  } else {
-    console.error('RTC Manager not available');
-  }
-};
-
-window.emergencyRestore = function() {
-  if (window.rtcManager && window.rtcManager.emergencyRestoreConnections) {
-    window.rtcManager.emergencyRestoreConnections();
-  } else {
-    console.error('RTC Manager not available');
-  }
-};
-
-console.log('🐛 Debug functions available: debugCamera(), debugTransceivers(), forceRefreshVideo(), emergencyRestore()');
-console.log('💡 If everything disappears when new user joins, run emergencyRestore()');
+console.log('🐛 Debug functions available: debugCamera(), debugTransceivers()');
 
 // Initialize application
 document.addEventListener('DOMContentLoaded', () => {
@@ -3892,26 +6427,88 @@ document.addEventListener('DOMContentLoaded', () => {
 // Socket event handlers - Override the connect method
 socketManager.connect = function() {
   console.log('Attempting to connect to server...');
-  this.socket = io();
+  // WebSocket first: polling needs sticky sessions when the server runs several instances
+  this.socket = io({ transports: ['websocket', 'polling'], auth: { clientId: this.getClientId() } });
   
   // Set up basic socket events
   this.socket.on('connect', () => {
     this.isConnected = true;
     console.log('✅ Connected to server successfully');
+    
+    // Reconnected after a drop: take our seat back instead of joining as someone new
+    if (this.reconnectToken) {
+      console.log('▶️ Resuming session');
+      this.socket.emit('resume-session', { token: this.reconnectToken });
+      return;
+    }
+    
     NotificationManager.show(`🎮 ${uiManager.t('connected')}`, 'success');
   });
 
-  this.socket.on('disconnect', () => {
+  this.socket.on('disconnect', (reason) => {
     this.isConnected = false;
-    console.log('❌ Disconnected from server');
-    NotificationManager.show('Connection lost', 'error');
+    console.log('❌ Disconnected from server:', reason);
+    
+    // Kicked or closed by the server: the seat is gone and socket.io will not reconnect
+    if (reason === 'io server disconnect') {
+      this.reconnectToken = null;
+    }
+    
+    if (this.reconnectToken) {
+      NotificationManager.show(`🔌 ${uiManager.t('reconnecting')}`, 'warning');
+    } else {
+      NotificationManager.show('Connection lost', 'error');
+    }
+  });
+
+  // Structured server errors (validation, room access, permissions)
+  this.socket.on('error', (error) => {
+    console.error('Socket error:', error);
+    
+    if (typeof error === 'object' && error.type) {
+      this.handleStructuredError(error);
+    } else {
+      NotificationManager.show(`Error: ${error}`, 'error');
+    }
   });
 
-  this.socket.on('kicked', () => {
-    NotificationManager.show(`❌ ${uiManager.t('youWereKicked')}`, 'error');
+  this.socket.on('kicked', (data) => {
+    if (data?.flood) {
+      NotificationManager.show(`🌊 ${uiManager.t('floodDisconnected')}`, 'error', 10000);
+    } else if (data?.banned) {
+      NotificationManager.show(`⛔ ${uiManager.formatBanNotice({ ...data, remainingSeconds: data.expiresAt ? (data.expiresAt - Date.now()) / 1000 : null })}`, 'error', 10000);
+    } else {
+      NotificationManager.show(`❌ ${uiManager.t('youWereKicked')}`, 'error');
+    }
     setTimeout(() => {
       window.location.reload();
-    }, 2000);
+    }, data?.banned ? 5000 : 2000);
+  });
+  
+  // An operator closed the room through the admin API
+  this.socket.on('room-closed', (data) => {
+    this.reconnectToken = null;
+    NotificationManager.show(`🛑 ${uiManager.t('roomClosed')}${data?.reason ? `: ${data.reason}` : ''}`, 'error', 10000);
+    setTimeout(() => {
+      window.location.reload();
+    }, 5000);
+  });
+  
+  // Operator announcement (maintenance, restarts)
+  this.socket.on('system-notice', (data) => {
+    NotificationManager.show(`📢 ${data.message}`, 'warning', 15000);
+  });
+  
+  // Ban list for the admin panel (owner and moderators)
+  this.socket.on('bans-list', (data) => {
+    uiManager.updateBans(data.bans);
+  });
+  
+  // Staff only: someone in the room hit the flood protection
+  this.socket.on('rate-limit-violation', (data) => {
+    const key = { warn: 'floodWarn', mute: 'floodMute', disconnect: 'floodDisconnect' }[data.penalty];
+    if (!key) return;
+    NotificationManager.show(`🌊 ${data.nickname} ${uiManager.t(key)}`, data.penalty === 'warn' ? 'info' : 'warning');
   });
 
   this.socket.on('force-mute', () => {
@@ -3926,45 +6523,119 @@ socketManager.connect = function() {
     // Update ICE servers configuration from server
     if (data.iceServers) {
       rtcManager.updateIceServers(data.iceServers);
+      rtcManager.scheduleIceServersRefresh(data.iceServersTtl);
     }
     
     uiManager.setHost(data.isHost);
     uiManager.updateUserCount(data.users.length + 1);
     
+    if (data.roomInfo) {
+      uiManager.updateRoomSettings(data.roomInfo);
+    }
+    
     if (data.users.length > 0) {
       NotificationManager.show(`🎮 ${uiManager.t('foundGamers')} ${data.users.length} ${uiManager.t('gamersInRoom')}`, 'success');
     } else {
       NotificationManager.show(`🎮 ${uiManager.t('firstGamer')}`, 'info');
     }
     
+    // SFU room: one connection to the server instead of one per user
+    if (data.roomInfo?.mediaMode === 'sfu') {
+      data.users.forEach(user => rtcManager.storeUserInfo(user.socketId, { nickname: user.nickname }));
+      rtcManager.connectToSfu();
+      return;
+    }
+    
     // Handle existing users as objects with socketId and nickname
     data.users.forEach(user => {
-      console.log('📞 Creating offer for:', user.socketId, 'nickname:', user.nickname);
+      console.log('📞 Connecting to:', user.socketId, 'nickname:', user.nickname);
       // Store user info before creating connection
       rtcManager.storeUserInfo(user.socketId, { nickname: user.nickname });
-      rtcManager.createOffer(user.socketId);
+      rtcManager.connectToPeer(user.socketId);
     });
   });
   
   this.socket.on('user-joined', (data) => {
     console.log('👋 User joined:', data);
     
-    // Update ICE servers configuration from server
-    if (data.iceServers) {
-      rtcManager.updateIceServers(data.iceServers);
-    }
-    
     // Store user info before any connection attempts
     rtcManager.storeUserInfo(data.socketId, { nickname: data.nickname });
     
     uiManager.updateUserCount(uiManager.userCount + 1);
     NotificationManager.show(`🎮 ${data.nickname} ${uiManager.t('joinedSession')}`, 'success');
+    
+    if (uiManager.isAdminPanelOpen) {
+      uiManager.updateAdminPanel();
+    }
   });
   
   this.socket.on('user-left', (data) => {
     console.log('👋 User left:', data);
     rtcManager.removePeer(data.socketId);
+    fileTransfers.forgetPeer(data.socketId);
+    const { [data.socketId]: _removed, ...roles } = uiManager.roles;
+    uiManager.setRoles(roles);
     uiManager.updateUserCount(uiManager.userCount - 1);
+    uiManager.updateChatRecipients();
+  });
+  
+  // A viewer's report on how our video reaches them feeds the bitrate controller
+  this.socket.on('peer-quality-update', (data) => {
+    rtcManager.handlePeerQualityUpdate(data);
+  });
+  
+  // The room grew past the mesh limit and now relays media through the server
+  this.socket.on('media-mode-changed', (data) => {
+    console.log('📡 Media mode changed:', data.mode);
+    if (data.mode === 'sfu') {
+      rtcManager.switchToSfu();
+      NotificationManager.show(`📡 ${uiManager.t('switchedToSfu')}`, 'info');
+    }
+  });
+  
+  // Session resumption
+  this.socket.on('peer-disconnected', (data) => {
+    console.log('⏸️ Peer dropped, seat held:', data);
+    const nickname = rtcManager.getStoredUserInfo(data.socketId)?.nickname || 'User';
+    document.getElementById(`video-${data.socketId}`)?.classList.add('reconnecting');
+    NotificationManager.show(`🔌 ${nickname} ${uiManager.t('peerReconnecting')}`, 'warning');
+  });
+  
+  this.socket.on('peer-resumed', (data) => {
+    console.log('▶️ Peer resumed:', data);
+    if (!rtcManager.renamePeer(data.oldSocketId, data.socketId)) {
+      rtcManager.storeUserInfo(data.socketId, { nickname: data.nickname });
+    }
+    if (uiManager.chatRecipient === data.oldSocketId) {
+      uiManager.setChatRecipient(data.socketId);
+    }
+    
+    const { [data.oldSocketId]: role, ...roles } = uiManager.roles;
+    if (role) {
+      roles[data.socketId] = role;
+    }
+    uiManager.setRoles(roles);
+  });
+  
+  this.socket.on('session-resumed', (data) => {
+    console.log('▶️ Session resumed:', data);
+    this.reconnectToken = data.reconnectToken;
+    
+    if (data.iceServers) {
+      rtcManager.updateIceServers(data.iceServers);
+      rtcManager.scheduleIceServersRefresh(data.iceServersTtl);
+    }
+    
+    uiManager.setHost(data.isHost);
+    uiManager.updateUserCount(data.users.length + 1);
+    if (data.roomInfo) {
+      uiManager.updateRoomSettings(data.roomInfo);
+    }
+    
+    rtcManager.resumePeers(data.users, data.roomInfo?.mediaMode);
+    // Chunks recorded while we were offline
+    roomRecorder.flushUploads();
+    NotificationManager.show(`✅ ${uiManager.t('sessionResumed')}`, 'success');
   });
   
   this.socket.on('signal', async (data) => {
@@ -3972,21 +6643,29 @@ socketManager.connect = function() {
     const { from, signal } = data;
     
     try {
+      // Mesh offers say which of the sender's streams is a screen share
+      if ('screen' in signal) {
+        rtcManager.setRemoteScreen(from, signal.screen);
+      }
+      
       switch (signal.type) {
         case 'offer':
-          await rtcManager.handleOffer(from, signal.offer);
+        case 'renegotiate-offer':
+          // SFU offers name the publisher behind each forwarded track
+          if (signal.tracks) {
+            rtcManager.setSfuTrackOwners(signal.tracks);
+          }
+          await rtcManager.handleDescription(from, signal.offer);
           break;
         case 'answer':
-          await rtcManager.handleAnswer(from, signal.answer);
+        case 'renegotiate-answer':
+          await rtcManager.handleDescription(from, signal.answer);
           break;
         case 'ice-candidate':
           await rtcManager.handleIceCandidate(from, signal.candidate);
           break;
-        case 'renegotiate-offer':
-          await rtcManager.handleRenegotiateOffer(from, signal.offer);
-          break;
-        case 'renegotiate-answer':
-          await rtcManager.handleRenegotiateAnswer(from, signal.answer);
+        case 'layer-request':
+          await rtcManager.applyRequestedLayer(from, signal.layer);
           break;
         default:
           console.warn(`Unknown signal type: ${signal.type}`);
@@ -4000,24 +6679,104 @@ socketManager.connect = function() {
     uiManager.addChatMessage(data);
   });
   
+  this.socket.on('room-settings-updated', (data) => {
+    uiManager.updateRoomSettings(data);
+  });
+  
+  // Room recording
+  this.socket.on('recording-started', (data) => {
+    console.log('⏺️ Recording started:', data);
+    uiManager.updateRecordingState(true);
+    NotificationManager.show(`⏺️ ${data.startedBy} ${uiManager.t('recordingStarted')}`, 'warning');
+    
+    if (data.uploaderId === this.socket.id) {
+      roomRecorder.begin(data.recordingId);
+      uiManager.requestVideoLayers();
+    }
+  });
+  
+  this.socket.on('recording-stopped', (data) => {
+    console.log('⏹️ Recording stopped:', data);
+    uiManager.updateRecordingState(false);
+    NotificationManager.show(`⏹️ ${uiManager.t('recordingStopped')}`, 'info');
+    
+    if (roomRecorder.recordingId === data.recordingId) {
+      roomRecorder.cleanup();
+      uiManager.requestVideoLayers();
+    }
+  });
+  
+  this.socket.on('recording-saved', (data) => {
+    uiManager.handleRecordingSaved(data);
+  });
+  
+  // Lobby (waiting room)
+  this.socket.on('lobby-waiting', () => {
+    uiManager.showWaitingScreen();
+  });
+  
+  this.socket.on('knock-request', (data) => {
+    uiManager.handleKnockRequest(data);
+  });
+  
+  this.socket.on('lobby-update', (data) => {
+    uiManager.updateLobby(data);
+  });
+  
+  this.socket.on('chat-message-updated', (data) => {
+    uiManager.updateChatMessage(data);
+  });
+
+  this.socket.on('chat-history', (data) => {
+    uiManager.prependChatHistory(data);
+  });
+  
+  // Fresh TURN credentials for long calls
+  this.socket.on('ice-servers-refresh', (data) => {
+    console.log('🔄 Received refreshed ICE servers');
+    if (data.iceServers) {
+      rtcManager.applyIceServersRefresh(data.iceServers, data.iceServersTtl);
+    }
+  });
+  
   this.socket.on('host-transferred', () => {
     uiManager.setHost(true);
     NotificationManager.show(`🎮 ${uiManager.t('hostPowerUp')}`, 'success');
   });
   
   this.socket.on('new-host', (data) => {
-    // Update UI to show new host
     console.log('👑 New host:', data.hostId);
+    
+    // One owner at a time; a full role map follows when ownership was handed over
+    const roles = Object.fromEntries(Object.entries(uiManager.roles).filter(([, role]) => role !== 'owner'));
+    roles[data.hostId] = 'owner';
+    uiManager.setRoles(roles);
+  });
+  
+  this.socket.on('role-changed', (data) => {
+    console.log('🎖️ Role changed:', data);
+    uiManager.handleRoleChanged(data);
   });
   
   this.socket.on('room-joined', (data) => {
     console.log('🏠 Room joined successfully:', data);
+    uiManager.awaitingRoomAccess = false;
+    this.reconnectToken = data.reconnectToken || null;
+    
+    // Admitted from the lobby: the join timers have long fired, enter now
+    if (uiManager.isWaitingInLobby) {
+      uiManager.hideWaitingScreen();
+      uiManager.showMainApp();
+    }
     
     // Update ICE servers configuration from server
     if (data.iceServers) {
       rtcManager.updateIceServers(data.iceServers);
     }
     
+    // Stats loop also drives the adaptive bitrate controller
+    rtcManager.startConnectionStats();
+    
     uiManager.setHost(data.isHost);
     uiManager.updateUserCount(data.userCount);
     
@@ -4025,6 +6784,11 @@ socketManager.connect = function() {
     if (data.nickname) {
       uiManager.updateUserName('local', data.nickname);
     }
+    
+    // Replay recent chat history
+    if (data.chatHistory) {
+      uiManager.renderChatHistory(data.chatHistory);
+    }
   });
   
   return this.socket;
@@ -0,0 +1,114 @@
+// Perfect negotiation (https://w3c.github.io/webrtc-pc/#perfect-negotiation-example) for one
+// RTCPeerConnection. Either side renegotiates whenever its tracks change or ICE restarts, through
+// onnegotiationneeded. When both offer at once ("glare") the polite peer rolls its own offer back
+// and answers; the impolite peer ignores the incoming offer and waits for that answer. Exactly one
+// side of a pair must be polite.
+//
+// ICE candidates that arrive before any remote description are queued until one is set, and
+// failures for candidates of an ignored offer are dropped.
+//
+// Loaded as a classic script before main.js in the browser; test-negotiation.js requires it in Node
+class PeerNegotiator {
+  constructor(pc, { polite, sendDescription, onError = () => {} }) {
+    this.pc = pc;
+    this.polite = polite;
+    this.sendDescription = sendDescription; // (description) -> void, { type, sdp } of ours to relay
+    this.onError = onError;
+
+    this.makingOffer = false;
+    this.ignoreOffer = false;
+    this.settingRemoteAnswer = false;
+    this.pendingCandidates = [];
+
+    pc.onnegotiationneeded = () => this.negotiate();
+  }
+
+  async negotiate() {
+    try {
+      this.makingOffer = true;
+      // Without arguments this creates whatever the state calls for (an offer here)
+      await this.pc.setLocalDescription();
+      // A glare may have rolled it back already (polite side): then there is nothing to send
+      if (this.pc.signalingState === 'have-local-offer') {
+        this.send();
+      }
+    } catch (error) {
+      this.onError(error);
+    } finally {
+      this.makingOffer = false;
+    }
+  }
+
+  send() {
+    const { type, sdp } = this.pc.localDescription;
+    this.sendDescription({ type, sdp });
+  }
+
+  // Remote offer or answer. Resolves false when an offer was ignored (impolite side of a glare)
+  async handleDescription(description) {
+    const pc = this.pc;
+
+    // An answer being applied leaves the connection stable, so an offer right behind it is no glare
+    const readyForOffer = !this.makingOffer && (pc.signalingState === 'stable' || this.settingRemoteAnswer);
+    const offerCollision = description.type === 'offer' && !readyForOffer;
+
+    this.ignoreOffer = !this.polite && offerCollision;
+    if (this.ignoreOffer) return false;
+
+    this.settingRemoteAnswer = description.type === 'answer';
+    try {
+      if (offerCollision) {
+        // Queued behind our own setLocalDescription if that is still running
+        await Promise.all([
+          pc.setLocalDescription({ type: 'rollback' }),
+          pc.setRemoteDescription(description)
+        ]);
+      } else {
+        await pc.setRemoteDescription(description);
+      }
+    } finally {
+      this.settingRemoteAnswer = false;
+    }
+
+    await this.flushCandidates();
+
+    if (description.type === 'offer') {
+      await pc.setLocalDescription();
+      this.send();
+    }
+    return true;
+  }
+
+  async handleCandidate(candidate) {
+    if (!this.pc.remoteDescription) {
+      this.pendingCandidates.push(candidate);
+      return;
+    }
+
+    try {
+      await this.pc.addIceCandidate(candidate);
+    } catch (error) {
+      // Candidates of an offer we ignored have no description to belong to
+      if (!this.ignoreOffer) throw error;
+    }
+  }
+
+  // Candidates queued before the remote description; ones from a rolled back or ignored offer fail
+  // harmlessly
+  async flushCandidates() {
+    const candidates = this.pendingCandidates;
+    this.pendingCandidates = [];
+
+    for (const candidate of candidates) {
+      try {
+        await this.pc.addIceCandidate(candidate);
+      } catch {
+        // Stale candidate
+      }
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PeerNegotiator;
+}
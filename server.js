@@ -1,8 +1,19 @@
 const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const crypto = require('crypto');
+const { promisify } = require('util');
 // FIXED: Removed unused uuidv4 import
 const path = require('path');
+const { createStore } = require('./lib/store');
+const { Sfu, SFU_PEER_ID } = require('./lib/sfu');
+const RecordingManager = require('./lib/recordings');
+const { ROLES, getRole, hasPermission, outranks, getRoomRoles, getUsersWithPermission } = require('./lib/roles');
+const { createMetrics } = require('./lib/metrics');
+const QualityHistory = require('./lib/quality-history');
+const { checkEvent } = require('./lib/events');
+const { EventRateLimiter, createRateLimitConfig } = require('./lib/rate-limiter');
+const logger = require('./lib/logger');
 
 const app = express();
 const server = createServer(app);
@@ -19,35 +30,116 @@ const io = new Server(server, {
 
 // TURN Server Configuration
 const TURN_SERVER_IP = process.env.TURN_SERVER_IP || '185.117.154.193';
+// Shared secret for coturn's use-auth-secret mode (must match static-auth-secret)
+const TURN_SECRET = process.env.TURN_SECRET || '';
+// Lifetime of issued TURN credentials, in seconds
+const TURN_CREDENTIAL_TTL = parseInt(process.env.TURN_CREDENTIAL_TTL, 10) || 6 * 60 * 60; // 6 hours
 
-// FIXED: Use static credentials matching the working configuration
-function getIceServers() {
-  console.log('🔄 Sending static TURN credentials (nearsnap)');
-  
-  return [
+// Generate time-limited TURN REST credentials (draft-uberti-behave-turn-rest)
+// coturn validates them by recomputing the HMAC with its static-auth-secret
+function generateTurnCredentials(userId) {
+  const expiresAt = Math.floor(Date.now() / 1000) + TURN_CREDENTIAL_TTL;
+  const username = `${expiresAt}:${userId}`;
+  const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+
+  return { username, credential, expiresAt };
+}
+
+// Build the ICE server list for one user; TURN entries carry per-user credentials
+function getIceServers(userId) {
+  const iceServers = [
     { urls: 'stun:stun1.l.google.com:19302' },
-    { urls: 'stun:stun2.l.google.com:19302' },
+    { urls: 'stun:stun2.l.google.com:19302' }
+  ];
+
+  // Without a shared secret we cannot mint credentials coturn will accept
+  if (!TURN_SECRET) return iceServers;
+
+  const { username, credential } = generateTurnCredentials(userId);
+  iceServers.push(
     {
-      urls: 'turn:185.117.154.193:3478',
-      username: 'nearsnap',
-      credential: 'nearsnap123'
+      urls: `turn:${TURN_SERVER_IP}:3478`,
+      username,
+      credential
     },
     {
-      urls: 'turns:185.117.154.193:5349',
-      username: 'nearsnap',
-      credential: 'nearsnap123'
+      urls: `turns:${TURN_SERVER_IP}:5349`,
+      username,
+      credential
     }
-  ];
+  );
+
+  return iceServers;
 }
 
-// Data storage in RAM
-const rooms = new Map(); // roomId -> { users: Set(socketId), host: socketId }
-const userMap = new Map(); // socketId -> { roomId, nickname }
-const connections = new Map(); // IP -> [timestamps]
+// State storage: RAM by default, shared Redis store when REDIS_URL is set
+// rooms: roomId -> { users: Set(socketId), host: socketId }
+// users: socketId -> { roomId, nickname }
+// connections: IP -> [timestamps]
+const store = createStore();
 
 // Rate limiting configuration
 const RATE_LIMIT = 100; // connections per window
 const RATE_WINDOW = 15 * 60 * 1000; // 15 minutes
+// Per-socket event buckets and flood penalties (EVENT_RATE_LIMITS, RATE_LIMIT_*), see lib/rate-limiter.js
+const RATE_LIMIT_CONFIG = createRateLimitConfig();
+
+// Chat history configuration
+const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 200; // messages kept per room
+const CHAT_HISTORY_REPLAY = parseInt(process.env.CHAT_HISTORY_REPLAY, 10) || 50; // messages sent on join
+const CHAT_HISTORY_RETENTION = (parseInt(process.env.CHAT_HISTORY_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000;
+const CHAT_HISTORY_PAGE_MAX = 100; // max messages per chat-history request
+const CHAT_MESSAGE_MAX_LENGTH = 500;
+const CHAT_REPLY_EXCERPT_LENGTH = 100; // characters of the original shown above a reply
+const CHAT_REACTIONS = new Set(['👍', '❤️', '😂', '😮', '😢', '🎉']); // mirrored in public/js/main.js
+
+// Session resumption: a dropped socket keeps its seat for this long
+const SESSION_GRACE_PERIOD = (parseInt(process.env.SESSION_GRACE_PERIOD, 10) || 30) * 1000;
+const INTENTIONAL_DISCONNECTS = new Set(['client namespace disconnect', 'server namespace disconnect', 'server shutting down']);
+const sessionTimers = new Map(); // socketId -> grace period timer (local to this instance)
+
+// Media topology: 'off' keeps every room a full mesh, 'auto' switches a room to the
+// server-side SFU once it grows past SFU_THRESHOLD users, 'always' starts rooms in SFU mode
+const SFU_MODE = ['off', 'auto', 'always'].includes(process.env.SFU_MODE) ? process.env.SFU_MODE : 'off';
+const SFU_THRESHOLD = parseInt(process.env.SFU_THRESHOLD, 10) || 4;
+let sfu = null; // created in start() unless SFU_MODE is off
+
+const QUALITY_LABELS = new Set(['excellent', 'good', 'fair', 'poor']);
+
+// Room recordings: the host's browser uploads a mixed WebM, stored on this instance's disk
+// RECORDINGS_TOKEN unlocks the /recordings API; downloads also accept links signed with it
+// RECORDING_MAX_BYTES / RECORDING_MAX_MINUTES cap each recording; it is finished when one is reached
+const recordings = new RecordingManager({
+  dir: path.resolve(process.env.RECORDINGS_DIR || 'recordings'),
+  maxBytes: parseInt(process.env.RECORDING_MAX_BYTES, 10) || 3 * 1024 * 1024 * 1024,
+  maxDurationMs: (parseInt(process.env.RECORDING_MAX_MINUTES, 10) || 120) * 60 * 1000
+});
+const RECORDINGS_TOKEN = process.env.RECORDINGS_TOKEN || '';
+const RECORDING_LINK_SECRET = RECORDINGS_TOKEN || crypto.randomBytes(32).toString('hex');
+const RECORDING_LINK_TTL = (parseInt(process.env.RECORDING_LINK_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Bans
+const CLIENT_ID_PATTERN = /^[a-zA-Z0-9-]{16,64}$/;
+const BAN_MAX_MINUTES = 365 * 24 * 60; // a year; longer means permanent
+const BAN_REASON_MAX_LENGTH = 200;
+
+// Admin REST API for operators (disabled unless ADMIN_TOKEN is set)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const QUALITY_REPORT_TTL = 90 * 1000; // clients report at least every 30s; older reports are not live
+const NOTICE_MAX_LENGTH = 500;
+
+// Prometheus scrapes /metrics/prometheus; in production it needs METRICS_TOKEN (or ADMIN_TOKEN)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const metrics = createMetrics({ store, countLocalSockets: () => io.engine.clientsCount });
+
+// Per-room quality time series for charting calls afterwards (QUALITY_HISTORY_DIR persists it)
+const qualityHistory = new QualityHistory({
+  dir: process.env.QUALITY_HISTORY_DIR ? path.resolve(process.env.QUALITY_HISTORY_DIR) : null,
+  retentionMs: (parseInt(process.env.QUALITY_HISTORY_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000,
+  maxSamples: parseInt(process.env.QUALITY_HISTORY_MAX_SAMPLES, 10) || 2880 // 24h of 30s reports
+});
+const CANDIDATE_TYPES = new Set(['host', 'srflx', 'prflx', 'relay']);
+const HISTORY_QUERY_MAX_RANGE = 7 * 24 * 60 * 60 * 1000;
 
 // Security middleware
 app.use((req, res, next) => {
@@ -96,27 +188,609 @@ function validateAndSanitizeInput(data) {
   return { errors, sanitized };
 }
 
-// Check for duplicate nicknames in room
-function checkDuplicateNickname(roomId, nickname, excludeSocketId = null) {
-  const room = rooms.get(roomId);
+// Check for duplicate nicknames in room, lobby included: two knocks under one name could
+// otherwise both be admitted (by two moderators at once) and seat the same name twice
+async function checkDuplicateNickname(roomId, nickname, excludeSocketId = null) {
+  const room = await store.getRoom(roomId);
   if (!room) return false;
   
+  const sameName = other => other.toLowerCase() === nickname.toLowerCase();
+  
   for (const socketId of room.users) {
     if (socketId === excludeSocketId) continue;
-    const user = userMap.get(socketId);
-    if (user && user.nickname.toLowerCase() === nickname.toLowerCase()) {
+    const user = await store.getUser(socketId);
+    if (user && sameName(user.nickname)) {
       return true;
     }
   }
+  
+  const pending = await store.getPendingUsers(roomId);
+  return pending.some(entry => entry.socketId !== excludeSocketId && sameName(entry.nickname));
+}
+
+// Room passwords are stored as salted scrypt hashes ("salt:hash"), never in plain text
+const scrypt = promisify(crypto.scrypt);
+
+async function hashRoomPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 32);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyRoomPassword(password, passwordHash) {
+  if (typeof password !== 'string' || !password) return false;
+  const [salt, expected] = passwordHash.split(':');
+  const hash = await scrypt(password, salt, 32);
+  return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+}
+
+// Fetch a page of chat history (oldest first) and whether older messages remain;
+// with a viewer, private messages between other people are left out
+async function getChatHistory(roomId, before, limit, viewerId) {
+  const messages = await store.getChatMessages(roomId, {
+    before,
+    after: Date.now() - CHAT_HISTORY_RETENTION,
+    limit: limit + 1,
+    visibleTo: viewerId
+  });
+  const hasMore = messages.length > limit;
+  
+  return { messages: hasMore ? messages.slice(1) : messages, hasMore };
+}
+
+// Chat text is stored as typed (trimmed) and rendered as text by clients, so markup needs no
+// stripping; payloads that are not plain text are rejected rather than rewritten.
+// Returns the error to emit, or null when the text is valid
+const CHAT_CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/;
+const CHAT_LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+function validateChatText(text) {
+  if (typeof text !== 'string') {
+    return { type: 'INVALID_MESSAGE', message: 'Invalid message format' };
+  }
+  
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return { type: 'EMPTY_MESSAGE', message: 'Message cannot be empty' };
+  }
+  if (trimmed.length > CHAT_MESSAGE_MAX_LENGTH) {
+    return { type: 'MESSAGE_TOO_LONG', message: `Message cannot be longer than ${CHAT_MESSAGE_MAX_LENGTH} characters`, maxLength: CHAT_MESSAGE_MAX_LENGTH };
+  }
+  // Lone surrogates and control characters (other than tab and newlines) are never typed
+  if (CHAT_CONTROL_CHARACTERS.test(trimmed) || CHAT_LONE_SURROGATE.test(trimmed)) {
+    return { type: 'INVALID_MESSAGE', message: 'Message contains invalid characters' };
+  }
+  return null;
+}
+
+// What a reply shows of the message it answers; deleted messages show nothing
+function getReplyExcerpt(message) {
+  return {
+    id: message.id,
+    nickname: message.nickname,
+    // Cut by code point so an emoji is never split in half
+    message: message.deleted ? '' : Array.from(message.message).slice(0, CHAT_REPLY_EXCERPT_LENGTH).join(''),
+    deleted: !!message.deleted
+  };
+}
+
+// Private messages (with a `to`) are only shown to their sender and recipient
+function isChatMessageVisibleTo(message, socketId) {
+  return !message.to || message.socketId === socketId || message.to === socketId;
+}
+
+// Room messages go to the room, private ones only to their sender and recipient
+function emitChatEvent(event, message) {
+  io.to(message.to ? [message.socketId, message.to] : message.roomId).emit(event, message);
+}
+
+// Replies carry a copy of the original's excerpt; keep it in step with edits and deletes
+async function updateReplies(roomId, message) {
+  const { messages } = await getChatHistory(roomId, Infinity, CHAT_HISTORY_LIMIT);
+  for (const reply of messages.filter(m => m.replyTo && m.replyTo.id === message.id)) {
+    const updated = await store.updateChatMessage(roomId, reply.id, { replyTo: getReplyExcerpt(message) });
+    if (updated) {
+      emitChatEvent('chat-message-updated', updated);
+    }
+  }
+}
+
+// Room access settings shared with clients
+function getRoomSettings(room) {
+  return {
+    locked: !!room.locked,
+    hasPassword: !!room.passwordHash,
+    lobby: !!room.lobby,
+    mediaMode: room.mediaMode || 'mesh',
+    recording: !!room.recording,
+    roles: getRoomRoles(room)
+  };
+}
+
+// Numbers from a client quality report, rounded; anything else becomes null
+function getQualitySample({ bitrate, packetLoss, rtt }) {
+  const round = value => Number.isFinite(value) && value >= 0 ? Math.round(value * 10) / 10 : null;
+  return { bitrate: round(bitrate), packetLoss: round(packetLoss), rtt: round(rtt) };
+}
+
+// Shared check for privileged events: the caller's user and room, or UNAUTHORIZED and null
+async function authorize(socket, permission, message) {
+  const user = await store.getUser(socket.id);
+  const room = user ? await store.getRoom(user.roomId) : null;
+  
+  if (!room || !hasPermission(room, socket.id, permission)) {
+    socket.emit('error', {
+      type: 'UNAUTHORIZED',
+      message
+    });
+    return null;
+  }
+  
+  return { user, room };
+}
+
+// A live (not deleted) message in the user's room, or null after telling the client
+async function findChatMessage(socket, roomId, messageId) {
+  const message = typeof messageId === 'string' ? await store.getChatMessage(roomId, messageId) : null;
+  if (!message || message.deleted || !isChatMessageVisibleTo(message, socket.id)) {
+    socket.emit('error', {
+      type: 'MESSAGE_NOT_FOUND',
+      message: 'Message not found'
+    });
+    return null;
+  }
+  return message;
+}
+
+// Stable identity for bans: the browser's persistent client token, plus the IP as a fallback
+function getClientIdentity(socket) {
+  const clientId = socket.handshake.auth && socket.handshake.auth.clientId;
+  return {
+    clientId: typeof clientId === 'string' && CLIENT_ID_PATTERN.test(clientId) ? clientId : null,
+    ip: socket.handshake.address
+  };
+}
+
+// Active ban matching the client token, or the IP for bans that include it
+async function findBan(roomId, { clientId, ip }) {
+  const bans = await store.getBans(roomId);
+  return bans.find(ban => (clientId && ban.clientId === clientId) || (ban.ip && ban.ip === ip)) || null;
+}
+
+// Bans as shown in the admin panel (IPs stay on the server)
+function formatBan({ id, nickname, reason, bannedBy, createdAt, expiresAt, ip }) {
+  return { id, nickname, reason, bannedBy, createdAt, expiresAt, ipBan: !!ip };
+}
+
+// Send the ban list to one socket, or to everyone who can ban when no target is given
+async function sendBanList(roomId, target) {
+  const room = await store.getRoom(roomId);
+  if (!room) return;
+  
+  // io.to([]) would broadcast to every socket
+  const recipients = target ? [target] : getUsersWithPermission(room, 'ban');
+  if (recipients.length === 0) return;
+  
+  const bans = await store.getBans(roomId);
+  io.to(recipients).emit('bans-list', { bans: bans.map(formatBan) });
+}
+
+function validateBanOptions({ duration, reason }) {
+  const errors = [];
+  if (duration !== undefined && duration !== null && (!Number.isInteger(duration) || duration < 0 || duration > BAN_MAX_MINUTES)) {
+    errors.push(`Duration must be a whole number of minutes up to ${BAN_MAX_MINUTES} (0 for permanent)`);
+  }
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > BAN_REASON_MAX_LENGTH)) {
+    errors.push(`Reason must be a string of at most ${BAN_REASON_MAX_LENGTH} characters`);
+  }
+  return errors;
+}
+
+// Ban a user from their room and remove them; null if they cannot be identified
+// Without a client token the IP is all there is to match on
+async function banUser(targetSocketId, targetUser, { duration, reason, ipBan, bannedBy }) {
+  const now = Date.now();
+  const ban = {
+    id: crypto.randomBytes(8).toString('hex'),
+    nickname: targetUser.nickname,
+    clientId: targetUser.clientId || null,
+    ip: (ipBan || !targetUser.clientId) ? targetUser.ip || null : null,
+    reason: reason ? reason.trim() : '',
+    bannedBy,
+    createdAt: now,
+    expiresAt: duration ? now + duration * 60 * 1000 : null
+  };
+  
+  if (!ban.clientId && !ban.ip) return null;
+  
+  await store.addBan(targetUser.roomId, ban);
+  
+  expelUser(targetSocketId, {
+    reason: ban.reason || 'Banned by room host',
+    hostNickname: bannedBy,
+    banned: true,
+    expiresAt: ban.expiresAt
+  });
+  
+  io.to(targetUser.roomId).except(targetSocketId).emit('user-kicked', {
+    kickedUser: targetUser.nickname,
+    hostNickname: bannedBy,
+    reason: ban.reason || 'No reason provided',
+    banned: true,
+    timestamp: now
+  });
+  
+  await sendBanList(targetUser.roomId);
+  return ban;
+}
+
+// Answer to a socket that keeps exceeding its event limits (lib/rate-limiter.js): tell the
+// client, let the room's staff know who it was, and remove it at the last step
+async function penalizeFlood(socket, event, { penalty, retryAfter, strikes }) {
+  metrics.floodPenalties.inc({ penalty });
+  logger.warn('🌊 Event rate limit exceeded', { event, socketId: socket.id, penalty, strikes, retryAfter });
+  
+  if (penalty === 'disconnect') {
+    socket.data.expelled = true;
+    expelUser(socket.id, { reason: 'Disconnected for flooding the server', flood: true });
+  } else {
+    socket.emit('error', {
+      type: 'RATE_LIMIT',
+      message: `Too many ${event} requests`,
+      event,
+      retryAfter,
+      penalty,
+      mutedFor: penalty === 'mute' ? RATE_LIMIT_CONFIG.penalties.muteMs / 1000 : undefined
+    });
+  }
+  
+  const user = await store.getUser(socket.id);
+  const room = user ? await store.getRoom(user.roomId) : null;
+  if (!room) return;
+  
+  // io.to([]) would broadcast to every socket
+  const staff = getUsersWithPermission(room, 'kick').filter(socketId => socketId !== socket.id);
+  if (staff.length === 0) return;
+  
+  io.to(staff).emit('rate-limit-violation', {
+    socketId: socket.id,
+    nickname: user.nickname,
+    event,
+    penalty,
+    timestamp: Date.now()
+  });
+}
+
+// Tell a user why they were removed, then drop the connection on whichever instance holds it
+function expelUser(targetSocketId, notice) {
+  io.in(targetSocketId).emit('kicked', { ...notice, timestamp: Date.now() });
+  
+  // Give user time to see the message before disconnect
+  setTimeout(() => {
+    io.in(targetSocketId).disconnectSockets(true);
+  }, 2000);
+}
+
+// Send the current lobby queue to everyone who can admit users (owner and moderators)
+async function notifyHostLobby(roomId) {
+  const room = await store.getRoom(roomId);
+  if (!room) return;
+  
+  // io.to([]) would broadcast to every socket
+  const staff = getUsersWithPermission(room, 'admit');
+  if (staff.length === 0) return;
+  
+  const pending = await store.getPendingUsers(roomId);
+  io.to(staff).emit('lobby-update', {
+    enabled: !!room.lobby,
+    pending: pending.map(({ socketId, nickname, requestedAt }) => ({ socketId, nickname, requestedAt }))
+  });
+}
+
+// Drop the lobby marker once a socket's pending entry is gone (admitted, denied, room closed).
+// Sockets on other instances come back as copies, so callers also check the queue itself
+async function clearLobbyMarker(socketId) {
+  for (const target of await io.in(socketId).local.fetchSockets()) {
+    target.data.pendingRoomId = null;
+  }
+}
+
+// Whether the socket is still queued in a lobby
+async function isWaitingInLobby(socket) {
+  if (!socket.data.pendingRoomId) return false;
+  const pending = await store.getPendingUsers(socket.data.pendingRoomId);
+  if (pending.some(entry => entry.socketId === socket.id)) return true;
+  socket.data.pendingRoomId = null;
   return false;
 }
 
+// Add a user to a room and run the existing-users / user-joined handshake
+// Works by socket id so the host can admit a lobby user connected to another instance
+async function addUserToRoom(socketId, roomId, nickname, identity = {}) {
+  const sessionToken = generateSessionToken();
+  await store.addRoomUser(roomId, socketId);
+  await store.setUser(socketId, {
+    roomId,
+    nickname,
+    joinedAt: Date.now(),
+    sessionToken,
+    clientId: identity.clientId || null,
+    ip: identity.ip || null
+  });
+  await store.setSession(sessionToken, { socketId, roomId });
+  metrics.joins.inc();
+  const room = await store.getRoom(roomId);
+  
+  // Mesh uploads one copy per peer; past the threshold everyone moves to the SFU (never back)
+  if (sfu && SFU_MODE === 'auto' && room.mediaMode !== 'sfu' && room.users.size > SFU_THRESHOLD) {
+    await store.updateRoom(roomId, { mediaMode: 'sfu' });
+    room.mediaMode = 'sfu';
+    io.to(roomId).except(socketId).emit('media-mode-changed', { mode: 'sfu' });
+    logger.info('📡 Room switched to SFU mode', { roomId, users: room.users.size });
+  }
+  
+  // Join socket room
+  io.in(socketId).socketsJoin(roomId);
+  
+  // Get existing users in room (excluding current user) with their nicknames
+  const existingUsers = await listRoomPeers(room, socketId);
+  
+  logger.debug('Existing users in room', { roomId, socketId, users: existingUsers.map(peer => peer.socketId) });
+  
+  // Generate fresh ICE servers for this connection
+  const iceServers = getIceServers(socketId);
+  
+  // Send existing users to new user
+  io.to(socketId).emit('existing-users', {
+    users: existingUsers,
+    isHost: room.host === socketId,
+    iceServers: iceServers, // Send dynamic TURN credentials
+    iceServersTtl: TURN_CREDENTIAL_TTL,
+    roomInfo: {
+      id: roomId,
+      created: room.created,
+      userCount: room.users.size,
+      maxUsers: room.maxUsers,
+      ...getRoomSettings(room)
+    }
+  });
+  
+  // Notify existing users about new user
+  io.to(roomId).except(socketId).emit('user-joined', {
+    socketId: socketId,
+    nickname: nickname,
+    joinedAt: Date.now()
+  });
+  
+  logger.info('User joined room', { event: 'join-room', socketId, roomId, nickname, users: room.users.size });
+  
+  await recordings.logRoomEvent(roomId, { type: 'join', socketId, nickname });
+  
+  // Replay recent chat so late joiners and reconnects see the conversation
+  const chatHistory = await getChatHistory(roomId, Infinity, CHAT_HISTORY_REPLAY, socketId);
+  
+  // Send welcome message
+  io.to(socketId).emit('room-joined', {
+    roomId,
+    nickname,
+    isHost: room.host === socketId,
+    iceServers: iceServers, // Send dynamic TURN credentials
+    iceServersTtl: TURN_CREDENTIAL_TTL,
+    userCount: room.users.size,
+    chatHistory,
+    reconnectToken: sessionToken,
+    sessionGracePeriod: SESSION_GRACE_PERIOD / 1000
+  });
+}
+
+// Close a recording and tell the room; the file is seekable once this resolves
+async function finishRecording(recordingId, roomId, stoppedBy) {
+  const recording = await recordings.finish(recordingId, { stoppedBy });
+  await store.updateRoom(roomId, { recording: null });
+  
+  // Also clears a recording whose uploader's instance went away
+  io.to(roomId).emit('recording-stopped', {
+    recordingId,
+    durationMs: recording ? recording.durationMs : 0
+  });
+  
+  if (recording) {
+    logger.info('⏹️ Recording finished', { roomId, recordingId, sizeKb: Math.round(recording.size / 1024), durationSeconds: Math.round(recording.durationMs / 1000) });
+  }
+  
+  return recording;
+}
+
+// Recording links expire; the signature covers the id and expiry so neither can be changed
+function signRecordingPath(recordingId, expires) {
+  return crypto.createHmac('sha256', RECORDING_LINK_SECRET).update(`${recordingId}:${expires}`).digest('hex');
+}
+
+function getRecordingUrls(recordingId) {
+  const expires = Date.now() + RECORDING_LINK_TTL;
+  const query = `expires=${expires}&signature=${signRecordingPath(recordingId, expires)}`;
+  return {
+    url: `/recordings/${recordingId}?${query}`,
+    eventsUrl: `/recordings/${recordingId}/events?${query}`
+  };
+}
+
+function safeCompare(value, expected) {
+  const a = Buffer.from(String(value));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Admin calls change state, so the token is only accepted as a Bearer header (never in URLs/logs)
+function hasAdminToken(req) {
+  if (!ADMIN_TOKEN) return false;
+  
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') && safeCompare(header.slice(7), ADMIN_TOKEN);
+}
+
+// Scrapers get their own read-only token so they never hold the admin one
+function hasMetricsToken(req) {
+  const header = req.get('authorization') || '';
+  return (!!METRICS_TOKEN && header.startsWith('Bearer ') && safeCompare(header.slice(7), METRICS_TOKEN)) || hasAdminToken(req);
+}
+
+// Bearer header or ?token= matching RECORDINGS_TOKEN
+function hasRecordingsToken(req) {
+  if (!RECORDINGS_TOKEN) return false;
+  
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+  return typeof token === 'string' && safeCompare(token, RECORDINGS_TOKEN);
+}
+
+function hasRecordingSignature(req, recordingId) {
+  const expires = parseInt(req.query.expires, 10);
+  if (!expires || expires < Date.now() || typeof req.query.signature !== 'string') return false;
+  
+  return safeCompare(req.query.signature, signRecordingPath(recordingId, expires));
+}
+
+function generateSessionToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Everyone in the room except socketId, with nicknames
+async function listRoomPeers(room, socketId) {
+  return Promise.all(Array.from(room.users)
+    .filter(id => id !== socketId)
+    .map(async id => ({
+      socketId: id,
+      nickname: (await store.getUser(id))?.nickname || 'User'
+    })));
+}
+
+// Take a user out of their room for good: host transfer, empty-room cleanup, user-left
+async function removeUserFromRoom(socketId) {
+  const user = await store.getUser(socketId);
+  if (!user) return;
+  
+  const { roomId } = user;
+  
+  if (sfu) {
+    sfu.removePeer(socketId);
+  }
+  qualityHistory.removeLinks(roomId, socketId);
+  
+  await recordings.logRoomEvent(roomId, { type: 'leave', socketId, nickname: user.nickname });
+  
+  // Nobody is left to upload the rest: keep what arrived so far
+  const uploading = recordings.findByUploader(socketId);
+  if (uploading) {
+    await finishRecording(uploading.id, roomId, user.nickname);
+  }
+  
+  // Remove user from room
+  const remaining = await store.removeRoomUser(roomId, socketId);
+  const room = await store.getRoom(roomId);
+  
+  if (room) {
+    // Roles belong to a seat, not a nickname
+    const roles = { ...room.roles };
+    const hadRole = socketId in roles;
+    delete roles[socketId];
+    
+    // If user was host, transfer host rights to the first moderator, else the next user.
+    // Held seats are passed over while anyone is connected: they may never come back
+    if (room.host === socketId && remaining > 0) {
+      const users = Array.from(room.users);
+      const records = await Promise.all(users.map(id => store.getUser(id)));
+      const connected = users.filter((id, index) => records[index] && !records[index].disconnectedAt);
+      const candidates = connected.length > 0 ? connected : users;
+      const newHost = candidates.find(id => roles[id] === 'moderator') || candidates[0];
+      delete roles[newHost];
+      await store.updateRoom(roomId, { host: newHost, roles });
+      
+      // Notify new host
+      io.to(newHost).emit('host-transferred');
+      
+      // Notify all users about new host
+      io.to(roomId).except(socketId).emit('new-host', { hostId: newHost });
+      
+      // The new host takes over the lobby queue
+      await notifyHostLobby(roomId);
+    } else if (hadRole && remaining > 0) {
+      await store.updateRoom(roomId, { roles });
+    }
+    
+    // If room is empty, delete it
+    if (remaining === 0) {
+      // Nobody is left to admit lobby users
+      for (const entry of await store.getPendingUsers(roomId)) {
+        io.to(entry.socketId).emit('error', {
+          type: 'ENTRY_DENIED',
+          message: 'The room was closed',
+          roomId
+        });
+        await clearLobbyMarker(entry.socketId);
+      }
+      await store.deleteRoom(roomId);
+      logger.info('Deleted empty room', { roomId });
+    } else {
+      // Notify remaining users about user leaving
+      io.to(roomId).except(socketId).emit('user-left', { socketId });
+    }
+  }
+  
+  // Remove user and their reconnect session from store
+  if (user.sessionToken) {
+    await store.deleteSession(user.sessionToken);
+  }
+  await store.deleteUser(socketId);
+}
+
+// Keep a dropped user's seat (nickname, host rights, room membership) for the grace period
+async function holdSeat(socketId, user) {
+  await store.setUser(socketId, { ...user, disconnectedAt: Date.now() });
+  await store.setSession(user.sessionToken, { socketId, roomId: user.roomId }, SESSION_GRACE_PERIOD);
+  
+  io.to(user.roomId).except(socketId).emit('peer-disconnected', {
+    socketId,
+    gracePeriod: SESSION_GRACE_PERIOD / 1000
+  });
+  
+  sessionTimers.set(socketId, setTimeout(async () => {
+    sessionTimers.delete(socketId);
+    try {
+      // A resumed session has already moved the seat to the new socket id
+      const current = await store.getUser(socketId);
+      if (current && current.disconnectedAt) {
+        logger.info('⌛ Session grace period expired', { socketId, roomId: user.roomId });
+        await removeUserFromRoom(socketId);
+      }
+    } catch (error) {
+      logger.error('Error expiring session', { socketId, roomId: user.roomId, error });
+    }
+  }, SESSION_GRACE_PERIOD));
+  
+  logger.info('⏸️ Holding seat', { socketId, roomId: user.roomId, nickname: user.nickname, graceSeconds: SESSION_GRACE_PERIOD / 1000 });
+}
+
+// Grace-period timers live in the instance that held the seat. If it restarted or crashed, the
+// seat would stay in the room forever; any instance drops it once it is a sweep overdue
+const SESSION_SWEEP_INTERVAL = 60 * 1000;
+
+async function sweepExpiredSeats() {
+  const now = Date.now();
+  for (const user of await store.listUsers()) {
+    if (user.disconnectedAt && now - user.disconnectedAt > SESSION_GRACE_PERIOD + SESSION_SWEEP_INTERVAL) {
+      logger.info('⌛ Dropping orphaned seat', { socketId: user.socketId, roomId: user.roomId });
+      await removeUserFromRoom(user.socketId);
+    }
+  }
+}
+
 // Enhanced rate limiting with progressive penalties and cleanup
-function checkEnhancedRateLimit(ip) { // FIXED: Removed unused socketId parameter
+async function checkEnhancedRateLimit(ip) { // FIXED: Removed unused socketId parameter
   if (process.env.NODE_ENV !== 'production') return { allowed: true };
   
   const now = Date.now();
-  const userConnections = connections.get(ip) || [];
+  const userConnections = await store.getConnections(ip);
   
   // FIXED: Clean up old connections to prevent memory leak
   const recentConnections = userConnections.filter(time => now - time < RATE_WINDOW);
@@ -127,7 +801,7 @@ function checkEnhancedRateLimit(ip) { // FIXED: Removed unused socketId paramete
   if (recentConnections.length > 80) limit = 5;  // Severe limit for abusers
   
   if (recentConnections.length >= limit) {
-    console.log(`Rate limit exceeded for IP: ${ip.substring(0, 8)}... (${recentConnections.length}/${limit})`); // FIXED: Don't log full IP
+    logger.warn('Rate limit exceeded', { ip: `${ip.substring(0, 8)}...`, connections: recentConnections.length, limit }); // FIXED: Don't log full IP
     return { 
       allowed: false, 
       reason: 'Rate limit exceeded',
@@ -137,7 +811,7 @@ function checkEnhancedRateLimit(ip) { // FIXED: Removed unused socketId paramete
   
   recentConnections.push(now);
   // FIXED: Update with cleaned connections to prevent memory leak
-  connections.set(ip, recentConnections);
+  await store.setConnections(ip, recentConnections, RATE_WINDOW);
   return { allowed: true };
 }
 
@@ -145,7 +819,7 @@ function checkEnhancedRateLimit(ip) { // FIXED: Removed unused socketId paramete
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Enhanced health check endpoint with detailed metrics
-app.get('/health', (req, res) => { // FIXED: Added req parameter back for consistency
+app.get('/health', async (req, res) => { // FIXED: Added req parameter back for consistency
   try { // FIXED: Added error handling
     const uptime = process.uptime();
     const memUsage = process.memoryUsage();
@@ -156,7 +830,8 @@ app.get('/health', (req, res) => { // FIXED: Added req parameter back for consis
     let activeRooms = 0;
     let largestRoom = 0;
     
-    for (const [roomId, room] of rooms.entries()) {
+    const rooms = await store.listRooms();
+    for (const room of rooms) {
       if (room.users.size > 0) {
         activeRooms++;
         totalUsers += room.users.size;
@@ -181,27 +856,34 @@ app.get('/health', (req, res) => { // FIXED: Added req parameter back for consis
         system: cpuUsage.system
       },
       rooms: {
-        total: rooms.size,
+        total: rooms.length,
         active: activeRooms,
-        empty: rooms.size - activeRooms
+        empty: rooms.length - activeRooms
       },
       users: {
         total: totalUsers,
-        connected: userMap.size,
+        connected: await store.countUsers(),
         largestRoom: largestRoom
       },
       environment: process.env.NODE_ENV || 'development',
       nodeVersion: process.version,
       platform: process.platform,
+      store: store.constructor.name,
       turnServer: {
         ip: TURN_SERVER_IP,
-        hasSecret: true // Using static credentials
+        hasSecret: !!TURN_SECRET,
+        credentialTtl: TURN_CREDENTIAL_TTL
+      },
+      sfu: {
+        mode: SFU_MODE,
+        threshold: SFU_THRESHOLD,
+        peers: sfu ? sfu.countPeers() : 0
       }
     };
     
     res.json(healthData);
   } catch (error) {
-    console.error('Health check error:', error);
+    logger.error('Health check error', { error });
     res.status(500).json({ 
       status: 'error', 
       message: 'Health check failed',
@@ -210,77 +892,518 @@ app.get('/health', (req, res) => { // FIXED: Added req parameter back for consis
   }
 });
 
-// Detailed metrics endpoint (protected in production)
-app.get('/metrics', (req, res) => {
-  if (process.env.NODE_ENV === 'production') {
-    return res.status(403).json({ error: 'Metrics endpoint disabled in production' });
-  }
-  
-  const metrics = {
-    timestamp: new Date().toISOString(),
-    connections: connections.size,
-    rooms: Array.from(rooms.entries()).map(([id, room]) => ({
-      id,
-      users: room.users.size,
-      host: room.host,
-      created: new Date(room.created).toISOString(),
-      age: Date.now() - room.created
-    })),
-    users: Array.from(userMap.entries()).map(([socketId, user]) => ({
-      socketId,
-      roomId: user.roomId,
-      nickname: user.nickname
-    })),
-    rateLimiting: Array.from(connections.entries()).map(([ip, timestamps]) => ({
-      ip,
-      connections: timestamps.length,
-      lastConnection: new Date(Math.max(...timestamps)).toISOString()
-    }))
-  };
+// Detailed metrics endpoint (ADMIN_TOKEN required in production)
+app.get('/metrics', async (req, res) => {
+  if (process.env.NODE_ENV === 'production' && !hasAdminToken(req)) {
+    return res.status(403).json({ error: ADMIN_TOKEN ? 'Invalid admin token' : 'Metrics endpoint disabled in production (ADMIN_TOKEN not set)' });
+  }
   
-  res.json(metrics);
+  try {
+    const [rooms, users, connections] = await Promise.all([
+      store.listRooms(),
+      store.listUsers(),
+      store.listConnections()
+    ]);
+    
+    const snapshot = {
+      timestamp: new Date().toISOString(),
+      connections: connections.length,
+      rooms: rooms.map(room => ({
+        id: room.id,
+        users: room.users.size,
+        host: room.host,
+        created: new Date(room.created).toISOString(),
+        age: Date.now() - room.created
+      })),
+      users: users.map(user => ({
+        socketId: user.socketId,
+        roomId: user.roomId,
+        nickname: user.nickname
+      })),
+      rateLimiting: connections.map(({ ip, timestamps }) => ({
+        ip,
+        connections: timestamps.length,
+        lastConnection: new Date(Math.max(...timestamps)).toISOString()
+      }))
+    };
+    
+    res.json(snapshot);
+  } catch (error) {
+    logger.error('Metrics error', { error });
+    res.status(500).json({ error: 'Metrics unavailable' });
+  }
 });
 
-// Routes
-app.get('/', (_req, res) => { // FIXED: Use underscore prefix for unused parameter
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// Prometheus exposition format
+app.get('/metrics/prometheus', async (req, res) => {
+  if (process.env.NODE_ENV === 'production' && !hasMetricsToken(req)) {
+    return res.status(403).send('Metrics require METRICS_TOKEN (or ADMIN_TOKEN) in production\n');
+  }
+  
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('Prometheus metrics error', { error });
+    res.status(500).send('Metrics unavailable\n');
+  }
 });
 
-app.get('/room/:roomId', (req, res) => { // FIXED: roomId is used in the route parameter
-  // FIXED: Added basic validation for room ID from URL
-  const { roomId } = req.params;
-  if (!roomId || !/^[a-zA-Z0-9-_]+$/.test(roomId)) {
-    return res.status(400).send('Invalid room ID');
+// Finished recordings (RECORDINGS_TOKEN required)
+app.get('/recordings', async (req, res) => {
+  if (!hasRecordingsToken(req)) {
+    return res.status(401).json({ error: RECORDINGS_TOKEN ? 'Invalid recordings token' : 'Recordings API disabled (RECORDINGS_TOKEN not set)' });
+  }
+  
+  try {
+    const list = await recordings.list();
+    res.json({
+      recordings: list.map(recording => ({ ...recording, ...getRecordingUrls(recording.id) }))
+    });
+  } catch (error) {
+    logger.error('Recordings list error', { error });
+    res.status(500).json({ error: 'Recordings unavailable' });
   }
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  const clientIP = socket.handshake.address;
+// Recording downloads accept the API token or a signed link
+async function requireRecordingAccess(req, res, next) {
+  const { recordingId } = req.params;
   
-  // Enhanced rate limiting check
-  const rateLimitResult = checkEnhancedRateLimit(clientIP); // FIXED: Removed unused socketId parameter
-  if (!rateLimitResult.allowed) {
-    console.log(`Connection rejected for IP: ${clientIP.substring(0, 8)}... - ${rateLimitResult.reason}`); // FIXED: Don't log full IP
-    socket.emit('error', {
-      type: 'RATE_LIMIT',
-      message: rateLimitResult.reason,
-      retryAfter: rateLimitResult.retryAfter
-    });
-    socket.disconnect();
-    return;
+  if (!hasRecordingsToken(req) && !hasRecordingSignature(req, recordingId)) {
+    return res.status(403).json({ error: 'Invalid or expired recording link' });
+  }
+  
+  if (!(await recordings.exists(recordingId))) {
+    return res.status(404).json({ error: 'Recording not found' });
   }
   
-  console.log(`User connected: ${socket.id} from ${clientIP.substring(0, 8)}...`); // FIXED: Don't log full IP for privacy
+  next();
+}
 
-  // Enhanced join room event with validation
-  socket.on('join-room', (data) => {
-    try {
-      // Validate and sanitize input
-      const validation = validateAndSanitizeInput(data);
-      if (validation.errors.length > 0) {
-        socket.emit('error', {
+// WebM download; sendFile answers range requests so players can seek
+app.get('/recordings/:recordingId', requireRecordingAccess, (req, res) => {
+  const { recordingId } = req.params;
+  res.download(recordings.filePath(recordingId, 'webm'), `${recordingId}.webm`);
+});
+
+// JSON sidecar: timing plus the join/leave/chat events logged while recording
+app.get('/recordings/:recordingId/events', requireRecordingAccess, (req, res) => {
+  res.sendFile(recordings.filePath(req.params.recordingId, 'json'));
+});
+
+// Admin API: operators list and close rooms, kick/ban in any room, broadcast notices and
+// read live quality stats. Everything goes through the store and io.in()/io.to(), so it
+// works on any instance when the Redis store and adapter are configured
+app.use('/admin/api', express.json({ limit: '16kb' }), (req, res, next) => {
+  if (!hasAdminToken(req)) {
+    return res.status(401).json({ error: ADMIN_TOKEN ? 'Invalid admin token' : 'Admin API disabled (ADMIN_TOKEN not set)' });
+  }
+  next();
+});
+
+// Room summary with participants (and their latest quality report)
+async function getAdminRoom(room) {
+  const [pending, bans] = await Promise.all([store.getPendingUsers(room.id), store.getBans(room.id)]);
+  const users = [];
+  
+  for (const socketId of room.users) {
+    const [user, quality] = await Promise.all([store.getUser(socketId), store.getQuality(socketId)]);
+    if (!user) continue;
+    users.push({
+      socketId,
+      nickname: user.nickname,
+      role: getRole(room, socketId),
+      joinedAt: user.joinedAt,
+      disconnected: !!user.disconnectedAt,
+      quality: quality ? quality.quality : null
+    });
+  }
+  
+  return {
+    id: room.id,
+    created: room.created,
+    mediaMode: room.mediaMode || 'mesh',
+    locked: !!room.locked,
+    lobby: !!room.lobby,
+    hasPassword: !!room.passwordHash,
+    recording: !!room.recording,
+    maxUsers: room.maxUsers,
+    users,
+    pending: pending.length,
+    bans: bans.length
+  };
+}
+
+// Live quality for one room: each user's latest report plus a room summary
+async function getRoomQuality(room) {
+  const users = [];
+  
+  for (const socketId of room.users) {
+    const [user, report] = await Promise.all([store.getUser(socketId), store.getQuality(socketId)]);
+    if (!user) continue;
+    users.push({ socketId, nickname: user.nickname, ...(report || { quality: null }) });
+  }
+  
+  const reported = users.filter(user => user.reportedAt);
+  const average = key => {
+    const values = reported.map(user => user[key]).filter(Number.isFinite);
+    return values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10 : null;
+  };
+  const counts = { excellent: 0, good: 0, fair: 0, poor: 0 };
+  reported.forEach(user => {
+    if (user.quality in counts) counts[user.quality]++;
+  });
+  
+  return {
+    roomId: room.id,
+    timestamp: Date.now(),
+    summary: {
+      users: users.length,
+      reporting: reported.length,
+      avgPacketLoss: average('packetLoss'),
+      avgRtt: average('rtt'),
+      maxPacketLoss: reported.length ? Math.max(...reported.map(user => user.packetLoss || 0)) : null,
+      counts
+    },
+    users
+  };
+}
+
+// Close a room for everyone. Seats are dropped before the sockets are disconnected, so the
+// usual leave path (host transfer, user-left) does not run for each of them
+async function closeRoom(roomId, reason) {
+  const room = await store.getRoom(roomId);
+  if (!room) return null;
+  
+  const recording = recordings.findByRoom(roomId);
+  if (recording) {
+    await finishRecording(recording.id, roomId, 'administrator');
+  }
+  
+  for (const entry of await store.getPendingUsers(roomId)) {
+    io.to(entry.socketId).emit('error', {
+      type: 'ENTRY_DENIED',
+      message: 'The room was closed',
+      roomId
+    });
+    await clearLobbyMarker(entry.socketId);
+  }
+  
+  for (const socketId of room.users) {
+    const user = await store.getUser(socketId);
+    if (user && user.sessionToken) {
+      await store.deleteSession(user.sessionToken);
+    }
+    await store.deleteUser(socketId);
+    if (sfu) {
+      sfu.removePeer(socketId);
+    }
+  }
+  await store.deleteRoom(roomId);
+  
+  io.to(roomId).emit('room-closed', { reason, timestamp: Date.now() });
+  io.in(roomId).disconnectSockets(true);
+  
+  return room;
+}
+
+// Find a connected user for a kick/ban, or send 404
+async function getAdminTarget(req, res) {
+  const user = await store.getUser(req.params.socketId);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  return user;
+}
+
+function adminError(res, action, error) {
+  logger.error('Admin API error', { event: 'admin-api', action, error });
+  res.status(500).json({ error: `Could not ${action}` });
+}
+
+app.get('/admin/api/rooms', async (req, res) => {
+  try {
+    const rooms = await store.listRooms();
+    res.json({ rooms: await Promise.all(rooms.map(getAdminRoom)) });
+  } catch (error) {
+    adminError(res, 'list rooms', error);
+  }
+});
+
+app.get('/admin/api/rooms/:roomId', async (req, res) => {
+  try {
+    const room = await store.getRoom(req.params.roomId);
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    res.json(await getAdminRoom(room));
+  } catch (error) {
+    adminError(res, 'load room', error);
+  }
+});
+
+app.get('/admin/api/rooms/:roomId/quality', async (req, res) => {
+  try {
+    const room = await store.getRoom(req.params.roomId);
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    res.json(await getRoomQuality(room));
+  } catch (error) {
+    adminError(res, 'load room quality', error);
+  }
+});
+
+// Force-close: { reason } is optional
+app.delete('/admin/api/rooms/:roomId', async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.substring(0, BAN_REASON_MAX_LENGTH) : '';
+    const room = await closeRoom(req.params.roomId, reason || 'Closed by an administrator');
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    
+    logger.info('🛑 Admin closed room', { event: 'admin-api', roomId: room.id, users: room.users.size });
+    res.json({ closed: room.id, users: room.users.size });
+  } catch (error) {
+    adminError(res, 'close room', error);
+  }
+});
+
+app.get('/admin/api/rooms/:roomId/bans', async (req, res) => {
+  try {
+    res.json({ bans: await store.getBans(req.params.roomId) });
+  } catch (error) {
+    adminError(res, 'list bans', error);
+  }
+});
+
+app.delete('/admin/api/rooms/:roomId/bans/:banId', async (req, res) => {
+  try {
+    const removed = await store.removeBan(req.params.roomId, req.params.banId);
+    if (!removed) return res.status(404).json({ error: 'Ban not found or already expired' });
+    
+    await sendBanList(req.params.roomId);
+    logger.info('✅ Admin lifted a ban', { event: 'admin-api', roomId: req.params.roomId, nickname: removed.nickname });
+    res.json({ lifted: removed.id });
+  } catch (error) {
+    adminError(res, 'lift ban', error);
+  }
+});
+
+// Rooms with quality history (including rooms that no longer exist)
+app.get('/admin/api/quality/history', async (req, res) => {
+  try {
+    res.json({ rooms: await qualityHistory.list() });
+  } catch (error) {
+    adminError(res, 'list quality history', error);
+  }
+});
+
+// Quality time series of one room's call: ?from=&to= (ms timestamps, default last hour), ?socketId=
+app.get('/admin/api/rooms/:roomId/quality/history', async (req, res) => {
+  try {
+    const to = parseInt(req.query.to, 10) || Date.now();
+    const from = parseInt(req.query.from, 10) || to - 60 * 60 * 1000;
+    if (from > to || to - from > HISTORY_QUERY_MAX_RANGE) {
+      return res.status(400).json({ error: 'Invalid range: from must be before to, at most 7 days apart' });
+    }
+    
+    const history = await qualityHistory.query(req.params.roomId, {
+      from,
+      to,
+      socketId: typeof req.query.socketId === 'string' ? req.query.socketId : null
+    });
+    if (!history) return res.status(404).json({ error: 'No quality history for this room' });
+    
+    res.json(history);
+  } catch (error) {
+    adminError(res, 'load quality history', error);
+  }
+});
+
+// Kick from whichever room the user is in: { reason } is optional
+app.post('/admin/api/users/:socketId/kick', async (req, res) => {
+  try {
+    const user = await getAdminTarget(req, res);
+    if (!user) return;
+    
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.substring(0, BAN_REASON_MAX_LENGTH) : '';
+    const { socketId } = req.params;
+    
+    // A dropped user has no socket to disconnect: release the held seat directly
+    if (user.disconnectedAt) {
+      await removeUserFromRoom(socketId);
+    } else {
+      expelUser(socketId, { reason: reason || 'Kicked by an administrator', hostNickname: 'Administrator' });
+    }
+    
+    io.to(user.roomId).except(socketId).emit('user-kicked', {
+      kickedUser: user.nickname,
+      hostNickname: 'Administrator',
+      reason: reason || 'No reason provided',
+      timestamp: Date.now()
+    });
+    
+    metrics.kicks.inc({ action: 'kick', by: 'admin' });
+    logger.info('👮 Admin kicked user', { event: 'admin-api', roomId: user.roomId, target: socketId });
+    res.json({ kicked: socketId, roomId: user.roomId });
+  } catch (error) {
+    adminError(res, 'kick user', error);
+  }
+});
+
+// Ban from whichever room the user is in: { duration (minutes, 0 = permanent), reason, ipBan }
+app.post('/admin/api/users/:socketId/ban', async (req, res) => {
+  try {
+    const { duration, reason, ipBan } = req.body || {};
+    const errors = validateBanOptions({ duration, reason });
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid input', details: errors });
+    
+    const user = await getAdminTarget(req, res);
+    if (!user) return;
+    
+    const { socketId } = req.params;
+    const ban = await banUser(socketId, user, { duration, reason, ipBan: !!ipBan, bannedBy: 'Administrator' });
+    if (!ban) return res.status(409).json({ error: 'This user cannot be identified for a ban; kick them instead' });
+    
+    if (user.disconnectedAt) {
+      await removeUserFromRoom(socketId);
+    }
+    
+    metrics.kicks.inc({ action: 'ban', by: 'admin' });
+    logger.info('⛔ Admin banned user', { event: 'admin-api', roomId: user.roomId, target: socketId, durationMinutes: duration || null });
+    res.json({ ban: formatBan(ban), roomId: user.roomId });
+  } catch (error) {
+    adminError(res, 'ban user', error);
+  }
+});
+
+// System notice to every connected client, or to one room: { message, roomId? }
+app.post('/admin/api/notice', async (req, res) => {
+  try {
+    const { message, roomId } = req.body || {};
+    if (typeof message !== 'string' || !message.trim() || message.length > NOTICE_MAX_LENGTH) {
+      return res.status(400).json({ error: `Message must be 1-${NOTICE_MAX_LENGTH} characters` });
+    }
+    if (roomId !== undefined && (typeof roomId !== 'string' || !(await store.getRoom(roomId)))) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    
+    const notice = { message: message.trim(), timestamp: Date.now() };
+    (roomId !== undefined ? io.to(roomId) : io).emit('system-notice', notice);
+    
+    logger.info('📢 Admin notice', { event: 'admin-api', roomId, message: notice.message });
+    res.json({ sent: true });
+  } catch (error) {
+    adminError(res, 'send notice', error);
+  }
+});
+
+// Routes
+app.get('/', (_req, res) => { // FIXED: Use underscore prefix for unused parameter
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+app.get('/room/:roomId', (req, res) => { // FIXED: roomId is used in the route parameter
+  // FIXED: Added basic validation for room ID from URL
+  const { roomId } = req.params;
+  if (!roomId || !/^[a-zA-Z0-9-_]+$/.test(roomId)) {
+    return res.status(400).send('Invalid room ID');
+  }
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Rate limit new connections before any event handlers are attached
+io.use(async (socket, next) => {
+  try {
+    socket.data.rateLimit = await checkEnhancedRateLimit(socket.handshake.address);
+  } catch (error) {
+    logger.error('Rate limit check failed', { socketId: socket.id, error });
+    socket.data.rateLimit = { allowed: true };
+  }
+  next();
+});
+
+// Socket.IO connection handling
+io.on('connection', (socket) => {
+  const clientIP = socket.handshake.address;
+  const log = logger.child({ socketId: socket.id });
+  
+  // Enhanced rate limiting check
+  const rateLimitResult = socket.data.rateLimit; // FIXED: Removed unused socketId parameter
+  if (!rateLimitResult.allowed) {
+    log.warn('Connection rejected', { ip: `${clientIP.substring(0, 8)}...`, reason: rateLimitResult.reason }); // FIXED: Don't log full IP
+    metrics.rateLimitRejections.inc({ kind: 'connection' });
+    socket.emit('error', {
+      type: 'RATE_LIMIT',
+      message: rateLimitResult.reason,
+      retryAfter: rateLimitResult.retryAfter
+    });
+    socket.disconnect();
+    return;
+  }
+  
+  log.info('User connected', { event: 'connection', ip: `${clientIP.substring(0, 8)}...` }); // FIXED: Don't log full IP for privacy
+
+  // Every event is checked against its schema and size (lib/events.js) and its rate limit
+  // (lib/rate-limiter.js) before its handler runs; rejected events never reach it
+  const eventLimiter = new EventRateLimiter(RATE_LIMIT_CONFIG.rates, RATE_LIMIT_CONFIG.penalties);
+  socket.use(([event, ...args], next) => {
+    // Flooded until disconnected: the socket is on its way out
+    if (socket.data.expelled) return;
+    
+    const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+    const problem = checkEvent(event, args);
+    
+    if (problem && problem.unknown) {
+      log.warn('Unknown event dropped', { event: String(event).substring(0, 64) });
+      return;
+    }
+    
+    if (problem) {
+      metrics.invalidEvents.inc({ event });
+      log.warn('Invalid event rejected', { event, details: problem.details });
+      const error = { type: 'VALIDATION_ERROR', message: 'Invalid input', event, details: problem.details };
+      if (ack) {
+        ack({ ok: false, error: error.type });
+      } else {
+        socket.emit('error', error);
+      }
+      return;
+    }
+    
+    const rate = eventLimiter.hit(event);
+    if (!rate.allowed) {
+      metrics.rateLimitRejections.inc({ kind: 'event' });
+      if (ack) {
+        ack({ ok: false, error: 'RATE_LIMIT' });
+      }
+      // Only strikes get an answer: replying to every dropped event would be a flood of its own
+      if (rate.penalty) {
+        penalizeFlood(socket, event, rate).catch(error => {
+          log.error('Error penalizing flood', { event, error });
+        });
+      }
+      return;
+    }
+    
+    const mutedFor = eventLimiter.chatMutedFor(event);
+    if (mutedFor) {
+      socket.emit('error', {
+        type: 'CHAT_MUTED',
+        message: 'Chat is muted for flooding',
+        retryAfter: Math.ceil(mutedFor / 1000)
+      });
+      return;
+    }
+    
+    next();
+  });
+
+  // Enhanced join room event with validation
+  socket.on('join-room', async (data) => {
+    try {
+      // Validate and sanitize input
+      const validation = validateAndSanitizeInput(data);
+      if (validation.errors.length > 0) {
+        socket.emit('error', {
           type: 'VALIDATION_ERROR',
           message: 'Invalid input',
           details: validation.errors
@@ -290,10 +1413,10 @@ io.on('connection', (socket) => {
       
       const { roomId, nickname } = validation.sanitized;
       
-      console.log(`Join room request: ${socket.id} wants to join ${roomId} as ${nickname}`);
+      log.info('Join room request', { event: 'join-room', roomId, nickname });
       
       // Check if user is already in a room
-      const existingUser = userMap.get(socket.id);
+      const existingUser = await store.getUser(socket.id);
       if (existingUser) {
         socket.emit('error', {
           type: 'ALREADY_IN_ROOM',
@@ -303,18 +1426,63 @@ io.on('connection', (socket) => {
         return;
       }
       
-      // Create room if it doesn't exist
-      if (!rooms.has(roomId)) {
-        rooms.set(roomId, {
-          users: new Set(),
-          host: socket.id,
-          created: Date.now(),
-          maxUsers: 10
+      // Check if user is already waiting in a lobby
+      if (await isWaitingInLobby(socket)) {
+        socket.emit('error', {
+          type: 'ALREADY_IN_ROOM',
+          message: 'You are already waiting to join a room',
+          currentRoom: socket.data.pendingRoomId
+        });
+        return;
+      }
+      
+      // Banned clients are refused before they can (re)create the room
+      const identity = getClientIdentity(socket);
+      const ban = await findBan(roomId, identity);
+      if (ban) {
+        socket.emit('error', {
+          type: 'BANNED',
+          message: 'You are banned from this room',
+          reason: ban.reason,
+          expiresAt: ban.expiresAt,
+          remainingSeconds: ban.expiresAt ? Math.ceil((ban.expiresAt - Date.now()) / 1000) : null
         });
-        console.log(`Created new room: ${roomId} with host ${socket.id}`);
+        log.info('⛔ Refused banned client', { event: 'join-room', roomId });
+        return;
+      }
+      
+      // Create room if it doesn't exist (atomic across instances)
+      const created = await store.createRoom(roomId, {
+        host: socket.id,
+        created: Date.now(),
+        maxUsers: 10,
+        mediaMode: sfu && SFU_MODE === 'always' ? 'sfu' : 'mesh'
+      });
+      if (created) {
+        log.info('Created new room', { event: 'join-room', roomId });
       }
 
-      const room = rooms.get(roomId);
+      let room = await store.getRoom(roomId);
+      
+      // Access checks only apply to rooms that already existed
+      if (!created) {
+        if (room.locked) {
+          socket.emit('error', {
+            type: 'ROOM_LOCKED',
+            message: 'Room is locked by the host'
+          });
+          return;
+        }
+        
+        if (room.passwordHash && !(await verifyRoomPassword(data.password, room.passwordHash))) {
+          socket.emit('error', {
+            type: 'WRONG_PASSWORD',
+            message: data.password ? 'Wrong room password' : 'This room requires a password',
+            passwordProvided: !!data.password
+          });
+          return;
+        }
+      }
       
       // Check room size limit
       if (room.users.size >= room.maxUsers) {
@@ -328,7 +1496,7 @@ io.on('connection', (socket) => {
       }
       
       // Check for duplicate nickname
-      if (checkDuplicateNickname(roomId, nickname, socket.id)) {
+      if (await checkDuplicateNickname(roomId, nickname, socket.id)) {
         socket.emit('error', {
           type: 'NICKNAME_TAKEN',
           message: 'Nickname is already taken in this room',
@@ -337,61 +1505,23 @@ io.on('connection', (socket) => {
         return;
       }
       
-      // Add user to room
-      room.users.add(socket.id);
-      userMap.set(socket.id, { roomId, nickname, joinedAt: Date.now() });
-      
-      // Join socket room
-      socket.join(roomId);
-      
-      // Get existing users in room (excluding current user) with their nicknames
-      const existingUsers = Array.from(room.users)
-        .filter(id => id !== socket.id)
-        .map(id => ({
-          socketId: id,
-          nickname: userMap.get(id)?.nickname || 'User'
-        }));
-      
-      console.log(`Existing users in room ${roomId}:`, existingUsers);
-      
-      // Generate fresh ICE servers for this connection
-      const iceServers = getIceServers();
-      
-      // Send existing users to new user
-      socket.emit('existing-users', {
-        users: existingUsers,
-        isHost: room.host === socket.id,
-        iceServers: iceServers, // Send dynamic TURN credentials
-        roomInfo: {
-          id: roomId,
-          created: room.created,
-          userCount: room.users.size,
-          maxUsers: room.maxUsers
-        }
-      });
-      
-      // Notify existing users about new user
-      socket.to(roomId).emit('user-joined', {
-        socketId: socket.id,
-        nickname: nickname,
-        iceServers: iceServers, // Send dynamic TURN credentials to existing users
-        joinedAt: Date.now()
-      });
-      
-      console.log(`User ${socket.id} (${nickname}) joined room ${roomId}`);
-      console.log(`Room ${roomId} now has ${room.users.size} users`);
+      // Lobby mode: queue the newcomer until the host admits them
+      if (!created && room.lobby && room.host !== socket.id) {
+        await store.addPendingUser(roomId, socket.id, { nickname, requestedAt: Date.now(), ...identity });
+        socket.data.pendingRoomId = roomId;
+        
+        socket.emit('lobby-waiting', { roomId });
+        io.to(room.host).to(getUsersWithPermission(room, 'admit')).emit('knock-request', { socketId: socket.id, nickname });
+        await notifyHostLobby(roomId);
+        
+        log.info('🚪 Waiting in the lobby', { event: 'join-room', roomId, nickname });
+        return;
+      }
       
-      // Send welcome message
-      socket.emit('room-joined', {
-        roomId,
-        nickname,
-        isHost: room.host === socket.id,
-        iceServers: iceServers, // Send dynamic TURN credentials
-        userCount: room.users.size
-      });
+      await addUserToRoom(socket.id, roomId, nickname, identity);
       
     } catch (error) {
-      console.error('Error in join-room:', error);
+      log.error('Error in join-room', { event: 'join-room', error });
       socket.emit('error', {
         type: 'SERVER_ERROR',
         message: 'Internal server error',
@@ -400,23 +1530,52 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Issue fresh TURN credentials before the current ones expire (long calls)
+  socket.on('ice-servers-refresh', async () => {
+    try {
+      const user = await store.getUser(socket.id);
+      if (!user) return;
+
+      socket.emit('ice-servers-refresh', {
+        iceServers: getIceServers(socket.id),
+        iceServersTtl: TURN_CREDENTIAL_TTL,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      log.error('Error in ice-servers-refresh', { event: 'ice-servers-refresh', error });
+    }
+  });
+
   // Enhanced WebRTC signal handling with validation and logging
-  socket.on('signal', (data) => {
+  socket.on('signal', async (data) => {
     try {
+      // Shape and size already checked (lib/events.js)
       const { to, signal } = data;
       
-      // Validate signal data
-      if (!to || !signal) {
-        socket.emit('error', {
-          type: 'INVALID_SIGNAL',
-          message: 'Invalid signal data'
-        });
+      metrics.countSignal(signal.type);
+      
+      // Negotiation with the server-side SFU instead of another user
+      if (to === SFU_PEER_ID) {
+        const user = await store.getUser(socket.id);
+        const room = user ? await store.getRoom(user.roomId) : null;
+        
+        if (!sfu || !room || room.mediaMode !== 'sfu') {
+          socket.emit('error', {
+            type: 'SFU_UNAVAILABLE',
+            message: 'This room is not using the media server'
+          });
+          return;
+        }
+        
+        await sfu.handleSignal(socket.id, user.roomId, signal);
         return;
       }
       
       // Check if target user exists
-      const targetUser = userMap.get(to);
-      const currentUser = userMap.get(socket.id);
+      const [targetUser, currentUser] = await Promise.all([
+        store.getUser(to),
+        store.getUser(socket.id)
+      ]);
       
       if (!targetUser || !currentUser) {
         socket.emit('error', {
@@ -435,7 +1594,8 @@ io.on('connection', (socket) => {
         return;
       }
       
-      console.log(`Signal ${signal.type} from ${socket.id} to ${to} in room ${currentUser.roomId}`);
+      // ICE candidates are sampled (LOG_SAMPLING); offers and answers are always logged
+      log.info('Signal relayed', { event: 'signal', roomId: currentUser.roomId, type: signal.type, to });
       
       // Forward signal to target user with additional metadata
       socket.to(to).emit('signal', {
@@ -445,17 +1605,8 @@ io.on('connection', (socket) => {
         roomId: currentUser.roomId
       });
       
-      // Log WebRTC connection attempts for diagnostics
-      if (signal.type === 'offer') {
-        console.log(`📞 WebRTC offer: ${socket.id} → ${to}`);
-      } else if (signal.type === 'answer') {
-        console.log(`📞 WebRTC answer: ${socket.id} → ${to}`);
-      } else if (signal.type === 'candidate') {
-        console.log(`🔗 ICE candidate: ${socket.id} → ${to}`);
-      }
-      
     } catch (error) {
-      console.error('Error in signal handling:', error);
+      log.error('Error in signal handling', { event: 'signal', error });
       socket.emit('error', {
         type: 'SIGNAL_ERROR',
         message: 'Error processing WebRTC signal',
@@ -465,9 +1616,9 @@ io.on('connection', (socket) => {
   });
 
   // Enhanced chat message with security and validation
-  socket.on('chat-message', (data) => {
+  socket.on('chat-message', async (data) => {
     try {
-      const user = userMap.get(socket.id);
+      const user = await store.getUser(socket.id);
       if (!user) {
         socket.emit('error', {
           type: 'USER_NOT_FOUND',
@@ -476,45 +1627,85 @@ io.on('connection', (socket) => {
         return;
       }
       
-      // Validate message
-      if (!data.message || typeof data.message !== 'string') {
+      const room = await store.getRoom(user.roomId);
+      if (!room || !hasPermission(room, socket.id, 'chat')) {
         socket.emit('error', {
-          type: 'INVALID_MESSAGE',
-          message: 'Invalid message format'
+          type: 'UNAUTHORIZED',
+          message: 'Viewers cannot send chat messages'
         });
         return;
       }
       
-      // Security: limit message length and sanitize
-      const sanitizedMessage = data.message
-        .substring(0, 500)
-        .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // Remove script tags
-        .replace(/javascript:/gi, '') // Remove javascript: URLs
-        .trim();
-      
-      if (!sanitizedMessage) {
-        socket.emit('error', {
-          type: 'EMPTY_MESSAGE',
-          message: 'Message cannot be empty'
-        });
+      // Validate message
+      const invalid = validateChatText(data.message);
+      if (invalid) {
+        socket.emit('error', invalid);
         return;
       }
+      const messageText = data.message.trim();
+      
+      // Private message: both users must be in this room, as for signals
+      let recipient = null;
+      if (data.to) {
+        recipient = typeof data.to === 'string' && data.to !== socket.id ? await store.getUser(data.to) : null;
+        if (!recipient || recipient.roomId !== user.roomId || recipient.disconnectedAt) {
+          socket.emit('error', {
+            type: 'USER_NOT_FOUND',
+            message: 'Recipient not found in this room'
+          });
+          return;
+        }
+      }
+      
+      // A reply to a message that has aged out of the history is sent as a plain message.
+      // Quoting a private message is only allowed inside the same conversation
+      let original = typeof data.replyTo === 'string' ? await store.getChatMessage(user.roomId, data.replyTo) : null;
+      if (original && original.to && !(recipient && [socket.id, data.to].every(id => isChatMessageVisibleTo(original, id)))) {
+        original = null;
+      }
       
       const messageData = {
+        id: crypto.randomBytes(8).toString('hex'),
         socketId: socket.id,
         nickname: user.nickname,
-        message: sanitizedMessage,
+        message: messageText,
         timestamp: Date.now(),
-        roomId: user.roomId
+        roomId: user.roomId,
+        replyTo: original ? getReplyExcerpt(original) : null,
+        reactions: {}
       };
+      if (recipient) {
+        messageData.to = data.to;
+        messageData.toNickname = recipient.nickname;
+      }
+      
+      // Keep a bounded log for replay on join
+      await store.appendChatMessage(user.roomId, messageData, {
+        maxMessages: CHAT_HISTORY_LIMIT,
+        retentionMs: CHAT_HISTORY_RETENTION
+      });
+      
+      // Send message to all users in room (or just the two for a private one)
+      emitChatEvent('chat-message', messageData);
+      metrics.chatMessages.inc();
       
-      // Send message to all users in room
-      io.to(user.roomId).emit('chat-message', messageData);
+      // Private messages stay out of recordings
+      if (!recipient) {
+        await recordings.logRoomEvent(user.roomId, {
+          type: 'chat',
+          messageId: messageData.id,
+          socketId: socket.id,
+          nickname: user.nickname,
+          message: messageText,
+          replyTo: messageData.replyTo ? messageData.replyTo.id : undefined,
+          at: messageData.timestamp
+        });
+      }
       
-      console.log(`💬 Chat message in room ${user.roomId}: ${user.nickname}: ${sanitizedMessage.substring(0, 50)}...`);
+      log.debug('💬 Chat message', { event: 'chat-message', roomId: user.roomId, nickname: user.nickname, length: messageText.length, private: !!recipient });
       
     } catch (error) {
-      console.error('Error in chat-message:', error);
+      log.error('Error in chat-message', { event: 'chat-message', error });
       socket.emit('error', {
         type: 'CHAT_ERROR',
         message: 'Error sending message',
@@ -523,101 +1714,350 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Connection diagnostics and monitoring
-  socket.on('connection-diagnostic', (data) => {
+  // Edit one of your own messages; everyone in the room gets the new text
+  socket.on('chat-edit', async (data) => {
     try {
-      const user = userMap.get(socket.id);
-      if (!user) return;
+      const auth = await authorize(socket, 'chat', 'Viewers cannot send chat messages');
+      if (!auth) return;
+      const { user } = auth;
       
-      const diagnosticData = {
-        socketId: socket.id,
-        roomId: user.roomId,
-        nickname: user.nickname,
-        timestamp: Date.now(),
-        clientData: data,
-        serverInfo: {
-          uptime: process.uptime(),
+      const original = await findChatMessage(socket, user.roomId, data?.messageId);
+      if (!original) return;
+      
+      if (original.socketId !== socket.id) {
+        socket.emit('error', {
+          type: 'UNAUTHORIZED',
+          message: 'You can only edit your own messages'
+        });
+        return;
+      }
+      
+      const invalid = validateChatText(data.message);
+      if (invalid) {
+        socket.emit('error', invalid);
+        return;
+      }
+      const messageText = data.message.trim();
+      if (messageText === original.message) return;
+      
+      const updated = await store.updateChatMessage(user.roomId, original.id, {
+        message: messageText,
+        editedAt: Date.now()
+      });
+      if (!updated) return;
+      
+      emitChatEvent('chat-message-updated', updated);
+      await updateReplies(user.roomId, updated);
+      
+      if (!updated.to) {
+        await recordings.logRoomEvent(user.roomId, {
+          type: 'chat-edit',
+          messageId: updated.id,
+          socketId: socket.id,
+          nickname: user.nickname,
+          message: messageText,
+          at: updated.editedAt
+        });
+      }
+      
+      log.debug('✏️ Chat message edited', { event: 'chat-edit', roomId: user.roomId, messageId: updated.id });
+      
+    } catch (error) {
+      log.error('Error in chat-edit', { event: 'chat-edit', error });
+      socket.emit('error', {
+        type: 'CHAT_ERROR',
+        message: 'Error editing message',
+        details: error.message
+      });
+    }
+  });
+
+  // Delete your own message, or anyone's below your role with moderate-chat. The message
+  // stays in the history as a placeholder so replies to it still make sense
+  socket.on('chat-delete', async (data) => {
+    try {
+      const user = await store.getUser(socket.id);
+      const room = user ? await store.getRoom(user.roomId) : null;
+      if (!room) {
+        socket.emit('error', {
+          type: 'USER_NOT_FOUND',
+          message: 'User not found'
+        });
+        return;
+      }
+      
+      const original = await findChatMessage(socket, user.roomId, data?.messageId);
+      if (!original) return;
+      
+      const isOwn = original.socketId === socket.id;
+      if (!isOwn && !(hasPermission(room, socket.id, 'moderate-chat') && outranks(room, socket.id, original.socketId))) {
+        socket.emit('error', {
+          type: 'UNAUTHORIZED',
+          message: 'You can only delete your own messages'
+        });
+        return;
+      }
+      
+      const updated = await store.updateChatMessage(user.roomId, original.id, {
+        message: '',
+        reactions: {},
+        deleted: true,
+        deletedAt: Date.now(),
+        deletedBy: isOwn ? 'author' : 'moderator'
+      });
+      if (!updated) return;
+      
+      emitChatEvent('chat-message-updated', updated);
+      await updateReplies(user.roomId, updated);
+      
+      if (!updated.to) {
+        await recordings.logRoomEvent(user.roomId, {
+          type: 'chat-delete',
+          messageId: updated.id,
+          socketId: socket.id,
+          nickname: user.nickname,
+          at: updated.deletedAt
+        });
+      }
+      
+      log.info('🗑️ Chat message deleted', { event: 'chat-delete', roomId: user.roomId, messageId: updated.id, role: getRole(room, socket.id), own: isOwn });
+      
+    } catch (error) {
+      log.error('Error in chat-delete', { event: 'chat-delete', error });
+      socket.emit('error', {
+        type: 'CHAT_ERROR',
+        message: 'Error deleting message',
+        details: error.message
+      });
+    }
+  });
+
+  // Toggle your reaction (one of CHAT_REACTIONS) on a message
+  socket.on('chat-react', async (data) => {
+    try {
+      const auth = await authorize(socket, 'chat', 'Viewers cannot send chat messages');
+      if (!auth) return;
+      const { user } = auth;
+      
+      const emoji = data?.emoji;
+      if (!CHAT_REACTIONS.has(emoji)) {
+        socket.emit('error', {
+          type: 'INVALID_REACTION',
+          message: 'Unknown reaction'
+        });
+        return;
+      }
+      
+      const original = await findChatMessage(socket, user.roomId, data.messageId);
+      if (!original) return;
+      
+      const reactions = { ...original.reactions };
+      const reactors = new Set(reactions[emoji] || []);
+      if (reactors.has(socket.id)) {
+        reactors.delete(socket.id);
+      } else {
+        reactors.add(socket.id);
+      }
+      
+      if (reactors.size > 0) {
+        reactions[emoji] = Array.from(reactors);
+      } else {
+        delete reactions[emoji];
+      }
+      
+      const updated = await store.updateChatMessage(user.roomId, original.id, { reactions });
+      if (updated) {
+        emitChatEvent('chat-message-updated', updated);
+      }
+      
+    } catch (error) {
+      log.error('Error in chat-react', { event: 'chat-react', error });
+      socket.emit('error', {
+        type: 'CHAT_ERROR',
+        message: 'Error adding reaction',
+        details: error.message
+      });
+    }
+  });
+
+  // Page backwards through the room's chat history
+  socket.on('chat-history', async (data) => {
+    try {
+      const user = await store.getUser(socket.id);
+      if (!user) {
+        socket.emit('error', {
+          type: 'USER_NOT_FOUND',
+          message: 'User not found'
+        });
+        return;
+      }
+      
+      const before = Number(data?.before) || Infinity;
+      const limit = Math.min(Math.max(parseInt(data?.limit, 10) || CHAT_HISTORY_REPLAY, 1), CHAT_HISTORY_PAGE_MAX);
+      const history = await getChatHistory(user.roomId, before, limit, socket.id);
+      
+      socket.emit('chat-history', history);
+      
+    } catch (error) {
+      log.error('Error in chat-history', { event: 'chat-history', error });
+      socket.emit('error', {
+        type: 'CHAT_ERROR',
+        message: 'Error loading chat history',
+        details: error.message
+      });
+    }
+  });
+
+  // Connection diagnostics and monitoring
+  socket.on('connection-diagnostic', async (data) => {
+    try {
+      const user = await store.getUser(socket.id);
+      if (!user) return;
+      
+      const room = await store.getRoom(user.roomId);
+      
+      const diagnosticData = {
+        socketId: socket.id,
+        roomId: user.roomId,
+        nickname: user.nickname,
+        timestamp: Date.now(),
+        clientData: data,
+        serverInfo: {
+          uptime: process.uptime(),
           memoryUsage: process.memoryUsage(),
-          roomUsers: rooms.get(user.roomId)?.users.size || 0
+          roomUsers: room?.users.size || 0
         }
       };
       
-      console.log(`🔍 Connection diagnostic from ${socket.id}:`, diagnosticData);
+      log.info('🔍 Connection diagnostic', { event: 'connection-diagnostic', roomId: user.roomId, diagnostic: diagnosticData });
       
       // Send diagnostic response
       socket.emit('diagnostic-response', diagnosticData);
       
     } catch (error) {
-      console.error('Error in connection-diagnostic:', error);
+      log.error('Error in connection-diagnostic', { event: 'connection-diagnostic', error });
     }
   });
 
   // WebRTC connection quality reporting
-  socket.on('webrtc-stats', (data) => {
+  socket.on('webrtc-stats', async (data) => {
     try {
-      const user = userMap.get(socket.id);
+      const user = await store.getUser(socket.id);
       if (!user) return;
       
-      console.log(`📊 WebRTC stats from ${user.nickname} (${socket.id}):`, {
+      log.debug('📊 WebRTC stats', {
+        event: 'webrtc-stats',
         roomId: user.roomId,
+        nickname: user.nickname,
         peersCount: data.peersCount || 0,
         avgBitrate: data.avgBitrate || 0,
         avgPacketLoss: data.avgPacketLoss || 0,
-        avgRTT: data.avgRTT || 0,
-        timestamp: Date.now()
+        avgRTT: data.avgRTT || 0
       });
       
-      // Could store these stats for monitoring/analytics
+      const sample = { rtt: data.avgRTT, packetLoss: data.avgPacketLoss, bitrate: data.avgBitrate };
+      metrics.observeQuality(sample);
+      qualityHistory.record(user.roomId, socket.id, user.nickname, getQualitySample(sample));
       
     } catch (error) {
-      console.error('Error in webrtc-stats:', error);
+      log.error('Error in webrtc-stats', { event: 'webrtc-stats', error });
     }
   });
 
   // TURN connection verification
-  socket.on('turn-verification', (data) => {
-    const user = userMap.get(socket.id);
-    if (!user) return;
-    
-    console.log(`🔄 TURN verification from ${user.nickname}:`, data);
-    
-    if (data.usingTurn) {
-      console.log(`✅ ${user.nickname} successfully using TURN relay`);
-    } else {
-      console.warn(`⚠️ ${user.nickname} not using TURN relay - connection type: ${data.connectionType}`);
+  socket.on('turn-verification', async (data) => {
+    try {
+      const user = await store.getUser(socket.id);
+      if (!user) return;
+      
+      metrics.turnVerifications.inc({ relay: data.usingTurn ? 'true' : 'false' });
+      // One report per peer link; the history keeps them apart
+      qualityHistory.setCandidateType(user.roomId, socket.id, user.nickname,
+        data.usingTurn ? 'relay' : CANDIDATE_TYPES.has(data.connectionType) ? data.connectionType : 'direct',
+        data.peerId || null);
+      
+      if (data.usingTurn) {
+        log.info('✅ Using TURN relay', { event: 'turn-verification', roomId: user.roomId, nickname: user.nickname });
+      } else {
+        log.warn('⚠️ Not using TURN relay', { event: 'turn-verification', roomId: user.roomId, nickname: user.nickname, connectionType: data.connectionType });
+      }
+    } catch (error) {
+      log.error('Error in turn-verification', { event: 'turn-verification', error });
     }
   });
 
   // Connection quality monitoring
-  socket.on('connection-quality', (data) => {
+  socket.on('connection-quality', async (data) => {
     try {
-      const user = userMap.get(socket.id);
+      const user = await store.getUser(socket.id);
       if (!user) return;
       
       // Log connection quality issues
       if (data.quality === 'poor' || data.packetLoss > 5) {
-        console.log(`⚠️ Poor connection quality for ${user.nickname} (${socket.id}):`, data);
+        log.warn('⚠️ Poor connection quality', { event: 'connection-quality', roomId: user.roomId, nickname: user.nickname, quality: data.quality, packetLoss: data.packetLoss, rtt: data.rtt });
       }
       
+      // SocketManager's periodic report (no `peers`) rates the ping to this server, not the media:
+      // it only adds the latency to the stored report and is not passed on to the senders
+      if (!data.peers) {
+        const report = await store.getQuality(socket.id);
+        await store.setQuality(socket.id, {
+          ...(report || { quality: null, packetLoss: null, rtt: null, bitrate: null, peers: {} }),
+          latency: Number.isFinite(data.latency) ? data.latency : null
+        }, QUALITY_REPORT_TTL);
+        return;
+      }
+      
+      // Per-sender labels let each sender's bitrate controller react to its own link only
+      const peers = {};
+      if (typeof data.peers === 'object') {
+        Object.entries(data.peers).slice(0, 20).forEach(([peerId, quality]) => {
+          if (QUALITY_LABELS.has(quality)) {
+            peers[String(peerId).substring(0, 64)] = quality;
+          }
+        });
+      }
+      
+      if (QUALITY_LABELS.has(data.quality)) {
+        metrics.qualityReports.inc({ quality: data.quality });
+      }
+      metrics.observeQuality(data);
+      qualityHistory.record(user.roomId, socket.id, user.nickname, {
+        ...getQualitySample(data),
+        quality: QUALITY_LABELS.has(data.quality) ? data.quality : null
+      });
+      
+      // Latest report per user for the admin API's live room stats; the latency comes from the ping report
+      const previous = await store.getQuality(socket.id);
+      await store.setQuality(socket.id, {
+        quality: QUALITY_LABELS.has(data.quality) ? data.quality : null,
+        packetLoss: Number.isFinite(data.packetLoss) ? data.packetLoss : null,
+        rtt: Number.isFinite(data.rtt) ? data.rtt : null,
+        bitrate: Number.isFinite(data.bitrate) ? data.bitrate : null,
+        latency: previous?.latency ?? null,
+        peers,
+        reportedAt: Date.now()
+      }, QUALITY_REPORT_TTL);
+      
       // Broadcast quality info to room (for adaptive streaming)
       socket.to(user.roomId).emit('peer-quality-update', {
         socketId: socket.id,
         quality: data.quality,
+        peers,
         timestamp: Date.now()
       });
       
     } catch (error) {
-      console.error('Error in connection-quality:', error);
+      log.error('Error in connection-quality', { event: 'connection-quality', error });
     }
   });
 
   // Enhanced kick user with security checks
-  socket.on('kick-user', (data) => {
+  socket.on('kick-user', async (data) => {
     try {
-      const { targetSocketId, reason } = data;
-      const user = userMap.get(socket.id);
+      const { targetSocketId, reason } = data || {};
       
-      if (!user || !targetSocketId) {
+      if (!targetSocketId) {
         socket.emit('error', {
           type: 'INVALID_KICK_REQUEST',
           message: 'Invalid kick request'
@@ -625,14 +2065,9 @@ io.on('connection', (socket) => {
         return;
       }
       
-      const room = rooms.get(user.roomId);
-      if (!room || room.host !== socket.id) {
-        socket.emit('error', {
-          type: 'UNAUTHORIZED',
-          message: 'Only room host can kick users'
-        });
-        return;
-      }
+      const auth = await authorize(socket, 'kick', 'Only the room owner and moderators can kick users');
+      if (!auth) return;
+      const { user, room } = auth;
       
       // Prevent self-kick
       if (targetSocketId === socket.id) {
@@ -644,7 +2079,7 @@ io.on('connection', (socket) => {
       }
       
       // Check if target user exists and is in same room
-      const targetUser = userMap.get(targetSocketId);
+      const targetUser = await store.getUser(targetSocketId);
       if (!targetUser || targetUser.roomId !== user.roomId) {
         socket.emit('error', {
           type: 'USER_NOT_IN_ROOM',
@@ -653,21 +2088,26 @@ io.on('connection', (socket) => {
         return;
       }
       
-      console.log(`👮 Host ${socket.id} kicking user ${targetSocketId} from room ${user.roomId}. Reason: ${reason || 'No reason provided'}`);
+      if (!outranks(room, socket.id, targetSocketId)) {
+        socket.emit('error', {
+          type: 'UNAUTHORIZED',
+          message: 'You cannot kick someone with an equal or higher role'
+        });
+        return;
+      }
+      
+      log.info('👮 Kicking user', { event: 'kick-user', roomId: user.roomId, role: getRole(room, socket.id), target: targetSocketId, reason: reason || null });
       
-      // Kick the target user
-      const targetSocket = io.sockets.sockets.get(targetSocketId);
-      if (targetSocket) {
-        targetSocket.emit('kicked', {
+      // Kick the target user (io.in() reaches sockets on any instance via the adapter)
+      metrics.kicks.inc({ action: 'kick', by: 'room' });
+      if (targetUser.disconnectedAt) {
+        // A dropped user has no socket to disconnect: release the held seat and its reconnect token
+        await removeUserFromRoom(targetSocketId);
+      } else {
+        expelUser(targetSocketId, {
           reason: reason || 'Kicked by room host',
-          hostNickname: user.nickname,
-          timestamp: Date.now()
+          hostNickname: user.nickname
         });
-        
-        // Give user time to see the message before disconnect
-        setTimeout(() => {
-          targetSocket.disconnect();
-        }, 2000);
       }
       
       // Notify other users
@@ -679,7 +2119,7 @@ io.on('connection', (socket) => {
       });
       
     } catch (error) {
-      console.error('Error in kick-user:', error);
+      log.error('Error in kick-user', { event: 'kick-user', error });
       socket.emit('error', {
         type: 'KICK_ERROR',
         message: 'Error kicking user',
@@ -688,109 +2128,733 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Mute user event (only host can mute others)
-  socket.on('mute-user', (data) => {
-    const { targetSocketId } = data;
-    const user = userMap.get(socket.id);
-    
-    if (!user || !targetSocketId) return;
-    
-    const room = rooms.get(user.roomId);
-    if (!room || room.host !== socket.id) return; // Only host can mute
+  // Ban a user (owner and moderators): kicks them and refuses their client token - and
+  // optionally their IP - on join until the ban expires or is lifted
+  socket.on('ban-user', async (data) => {
+    try {
+      const { targetSocketId, duration, reason, ipBan } = data || {};
+      
+      const errors = validateBanOptions({ duration, reason });
+      if (!targetSocketId || typeof targetSocketId !== 'string') {
+        errors.unshift('Target user is required');
+      }
+      if (errors.length > 0) {
+        socket.emit('error', {
+          type: 'VALIDATION_ERROR',
+          message: 'Invalid input',
+          details: errors
+        });
+        return;
+      }
+      
+      const auth = await authorize(socket, 'ban', 'Only the room owner and moderators can ban users');
+      if (!auth) return;
+      const { user, room } = auth;
+      
+      if (targetSocketId === socket.id) {
+        socket.emit('error', {
+          type: 'SELF_KICK',
+          message: 'Cannot ban yourself'
+        });
+        return;
+      }
+      
+      const targetUser = await store.getUser(targetSocketId);
+      if (!targetUser || targetUser.roomId !== user.roomId) {
+        socket.emit('error', {
+          type: 'USER_NOT_IN_ROOM',
+          message: 'User not found in room'
+        });
+        return;
+      }
+      
+      if (!outranks(room, socket.id, targetSocketId)) {
+        socket.emit('error', {
+          type: 'UNAUTHORIZED',
+          message: 'You cannot ban someone with an equal or higher role'
+        });
+        return;
+      }
+      
+      const ban = await banUser(targetSocketId, targetUser, { duration, reason, ipBan, bannedBy: user.nickname });
+      if (!ban) {
+        socket.emit('error', {
+          type: 'BAN_ERROR',
+          message: 'This user cannot be identified for a ban; kick them instead'
+        });
+        return;
+      }
+      
+      if (targetUser.disconnectedAt) {
+        await removeUserFromRoom(targetSocketId);
+      }
+      
+      metrics.kicks.inc({ action: 'ban', by: 'room' });
+      log.info('⛔ Banned user', { event: 'ban-user', roomId: user.roomId, role: getRole(room, socket.id), target: targetSocketId, durationMinutes: duration || null, ipBan: !!ban.ip });
+      
+    } catch (error) {
+      log.error('Error in ban-user', { event: 'ban-user', error });
+      socket.emit('error', {
+        type: 'BAN_ERROR',
+        message: 'Error banning user'
+      });
+    }
+  });
+
+  // Current bans for the admin panel (owner and moderators)
+  socket.on('list-bans', async () => {
+    try {
+      const auth = await authorize(socket, 'ban', 'Only the room owner and moderators can see bans');
+      if (!auth) return;
+      
+      await sendBanList(auth.user.roomId, socket.id);
+      
+    } catch (error) {
+      log.error('Error in list-bans', { event: 'list-bans', error });
+      socket.emit('error', {
+        type: 'SERVER_ERROR',
+        message: 'Error loading bans'
+      });
+    }
+  });
+
+  // Lift a ban early (owner and moderators)
+  socket.on('lift-ban', async (data) => {
+    try {
+      const auth = await authorize(socket, 'ban', 'Only the room owner and moderators can lift bans');
+      if (!auth) return;
+      const { user, room } = auth;
+      
+      const banId = data?.banId;
+      const removed = typeof banId === 'string' ? await store.removeBan(user.roomId, banId) : null;
+      if (!removed) {
+        socket.emit('error', {
+          type: 'BAN_NOT_FOUND',
+          message: 'Ban not found or already expired'
+        });
+        await sendBanList(user.roomId, socket.id);
+        return;
+      }
+      
+      log.info('✅ Lifted a ban', { event: 'lift-ban', roomId: user.roomId, role: getRole(room, socket.id), nickname: removed.nickname });
+      
+      await sendBanList(user.roomId);
+      
+    } catch (error) {
+      log.error('Error in lift-ban', { event: 'lift-ban', error });
+      socket.emit('error', {
+        type: 'SERVER_ERROR',
+        message: 'Error lifting ban'
+      });
+    }
+  });
+
+  // Set or clear the room password (owner only)
+  socket.on('set-room-password', async (data) => {
+    try {
+      const auth = await authorize(socket, 'manage-room', 'Only the room owner can change the room password');
+      if (!auth) return;
+      const { user } = auth;
+      
+      const password = data?.password;
+      if (password && (typeof password !== 'string' || password.length > 64)) {
+        socket.emit('error', {
+          type: 'VALIDATION_ERROR',
+          message: 'Invalid input',
+          details: ['Password must be a string of at most 64 characters']
+        });
+        return;
+      }
+      
+      const passwordHash = password ? await hashRoomPassword(password) : null;
+      const updated = await store.updateRoom(user.roomId, { passwordHash });
+      
+      io.to(user.roomId).emit('room-settings-updated', getRoomSettings(updated));
+      
+      log.info(`🔑 Room password ${password ? 'set' : 'removed'}`, { event: 'set-room-password', roomId: user.roomId });
+      
+    } catch (error) {
+      log.error('Error in set-room-password', { event: 'set-room-password', error });
+      socket.emit('error', {
+        type: 'SERVER_ERROR',
+        message: 'Error updating room password'
+      });
+    }
+  });
+
+  // Lock or unlock the room for new joiners (owner only)
+  socket.on('set-room-lock', async (data) => {
+    try {
+      const auth = await authorize(socket, 'manage-room', 'Only the room owner can lock the room');
+      if (!auth) return;
+      const { user } = auth;
+      
+      const updated = await store.updateRoom(user.roomId, { locked: !!data?.locked });
+      
+      io.to(user.roomId).emit('room-settings-updated', getRoomSettings(updated));
+      
+      log.info(`🔒 Room ${updated.locked ? 'locked' : 'unlocked'}`, { event: 'set-room-lock', roomId: user.roomId });
+      
+    } catch (error) {
+      log.error('Error in set-room-lock', { event: 'set-room-lock', error });
+      socket.emit('error', {
+        type: 'SERVER_ERROR',
+        message: 'Error updating room lock'
+      });
+    }
+  });
+
+  // Turn lobby (knock-to-join) mode on or off (owner only)
+  socket.on('set-room-lobby', async (data) => {
+    try {
+      const auth = await authorize(socket, 'manage-room', 'Only the room owner can change lobby mode');
+      if (!auth) return;
+      const { user } = auth;
+      
+      const updated = await store.updateRoom(user.roomId, { lobby: !!data?.enabled });
+      
+      io.to(user.roomId).emit('room-settings-updated', getRoomSettings(updated));
+      await notifyHostLobby(user.roomId);
+      
+      log.info(`🚪 Lobby ${updated.lobby ? 'enabled' : 'disabled'}`, { event: 'set-room-lobby', roomId: user.roomId });
+      
+    } catch (error) {
+      log.error('Error in set-room-lobby', { event: 'set-room-lobby', error });
+      socket.emit('error', {
+        type: 'SERVER_ERROR',
+        message: 'Error updating lobby mode'
+      });
+    }
+  });
+
+  // Admit or deny a user waiting in the lobby (owner and moderators)
+  socket.on('lobby-decision', async (data) => {
+    try {
+      const { targetSocketId, admit } = data || {};
+      const auth = await authorize(socket, 'admit', 'Only the room owner and moderators can admit users');
+      if (!auth) return;
+      const { user, room } = auth;
+      
+      const entry = await store.removePendingUser(user.roomId, targetSocketId);
+      if (!entry) {
+        socket.emit('error', {
+          type: 'USER_NOT_FOUND',
+          message: 'User is no longer waiting'
+        });
+        await notifyHostLobby(user.roomId);
+        return;
+      }
+      await clearLobbyMarker(targetSocketId);
+      
+      if (!admit) {
+        io.to(targetSocketId).emit('error', {
+          type: 'ENTRY_DENIED',
+          message: 'The host declined your request to join',
+          roomId: user.roomId
+        });
+        log.info('🚫 Denied entry', { event: 'lobby-decision', roomId: user.roomId, role: getRole(room, socket.id), target: targetSocketId });
+      } else if (room.users.size >= room.maxUsers) {
+        io.to(targetSocketId).emit('error', {
+          type: 'ROOM_FULL',
+          message: 'Room is full',
+          maxUsers: room.maxUsers,
+          currentUsers: room.users.size
+        });
+      } else if (await checkDuplicateNickname(user.roomId, entry.nickname, targetSocketId)) {
+        io.to(targetSocketId).emit('error', {
+          type: 'NICKNAME_TAKEN',
+          message: 'Nickname is already taken in this room',
+          suggestion: `${entry.nickname}_${Math.floor(Math.random() * 100)}`
+        });
+      } else {
+        await addUserToRoom(targetSocketId, user.roomId, entry.nickname, { clientId: entry.clientId, ip: entry.ip });
+        log.info('✅ Admitted user', { event: 'lobby-decision', roomId: user.roomId, role: getRole(room, socket.id), target: targetSocketId });
+      }
+      
+      await notifyHostLobby(user.roomId);
+      
+    } catch (error) {
+      log.error('Error in lobby-decision', { event: 'lobby-decision', error });
+      socket.emit('error', {
+        type: 'SERVER_ERROR',
+        message: 'Error processing lobby decision'
+      });
+    }
+  });
+
+  // Start recording the room (owner only); the owner's browser composes and uploads the media
+  socket.on('start-recording', async () => {
+    try {
+      const auth = await authorize(socket, 'record', 'Only the room owner can record the room');
+      if (!auth) return;
+      const { user, room } = auth;
+      
+      if (room.recording) {
+        socket.emit('error', {
+          type: 'RECORDING_ACTIVE',
+          message: 'This room is already being recorded'
+        });
+        return;
+      }
+      
+      const participants = await listRoomPeers(room, null);
+      const { id, startedAt } = await recordings.start(user.roomId, {
+        uploaderId: socket.id,
+        startedBy: user.nickname,
+        participants
+      });
+      await store.updateRoom(user.roomId, { recording: { id, startedAt } });
+      
+      io.to(user.roomId).emit('recording-started', {
+        recordingId: id,
+        startedAt,
+        startedBy: user.nickname,
+        uploaderId: socket.id
+      });
+      
+      log.info('⏺️ Recording started', { event: 'start-recording', roomId: user.roomId, recordingId: id });
+      
+    } catch (error) {
+      log.error('Error in start-recording', { event: 'start-recording', error });
+      socket.emit('error', {
+        type: 'SERVER_ERROR',
+        message: 'Error starting recording'
+      });
+    }
+  });
+
+  // One MediaRecorder chunk; the ack tells the uploader to send the next one
+  socket.on('recording-chunk', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
     
-    // Send mute command to target user
-    socket.to(targetSocketId).emit('force-mute');
+    try {
+      if (!data || !recordings.isValidId(data.recordingId) || !Buffer.isBuffer(data.chunk)) {
+        reply({ ok: false, error: 'INVALID_CHUNK' });
+        return;
+      }
+      
+      const refused = await recordings.appendChunk(data.recordingId, socket.id, data.chunk);
+      if (!refused) {
+        reply({ ok: true });
+        return;
+      }
+      if (refused === 'not-active') {
+        reply({ ok: false, error: 'RECORDING_NOT_ACTIVE' });
+        return;
+      }
+      
+      // Over the size or duration limit: keep what was recorded and close it
+      reply({ ok: false, error: 'RECORDING_LIMIT', limit: refused });
+      const { roomId } = recordings.active.get(data.recordingId);
+      const recording = await finishRecording(data.recordingId, roomId, 'limit');
+      if (recording) {
+        socket.emit('recording-saved', {
+          recordingId: recording.id,
+          ...getRecordingUrls(recording.id)
+        });
+      }
+      log.warn('⏹️ Recording limit reached', { event: 'recording-chunk', roomId, recordingId: data.recordingId, limit: refused });
+    } catch (error) {
+      log.error('Error in recording-chunk', { event: 'recording-chunk', error });
+      reply({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Stop recording (owner only); sent after the last chunk has been acknowledged
+  socket.on('stop-recording', async () => {
+    try {
+      const auth = await authorize(socket, 'record', 'Only the room owner can stop the recording');
+      if (!auth) return;
+      const { user, room } = auth;
+      
+      if (!room.recording) {
+        socket.emit('error', {
+          type: 'RECORDING_NOT_ACTIVE',
+          message: 'This room is not being recorded'
+        });
+        return;
+      }
+      
+      const recording = await finishRecording(room.recording.id, user.roomId, user.nickname);
+      
+      // Only the host gets the download links
+      if (recording) {
+        socket.emit('recording-saved', {
+          recordingId: recording.id,
+          ...getRecordingUrls(recording.id)
+        });
+      }
+      
+    } catch (error) {
+      log.error('Error in stop-recording', { event: 'stop-recording', error });
+      socket.emit('error', {
+        type: 'SERVER_ERROR',
+        message: 'Error stopping recording'
+      });
+    }
+  });
+
+  // Promote or demote a user (owner only); 'owner' hands the room over and makes the old owner a moderator
+  socket.on('set-role', async (data) => {
+    try {
+      const { targetSocketId, role } = data || {};
+      if (!targetSocketId || !ROLES.includes(role)) {
+        socket.emit('error', {
+          type: 'INVALID_ROLE',
+          message: `Role must be one of: ${ROLES.join(', ')}`
+        });
+        return;
+      }
+      
+      const auth = await authorize(socket, 'set-role', 'Only the room owner can change roles');
+      if (!auth) return;
+      const { user, room } = auth;
+      
+      if (targetSocketId === socket.id) {
+        socket.emit('error', {
+          type: 'INVALID_ROLE',
+          message: 'You cannot change your own role'
+        });
+        return;
+      }
+      
+      if (!room.users.has(targetSocketId)) {
+        socket.emit('error', {
+          type: 'USER_NOT_IN_ROOM',
+          message: 'User not found in room'
+        });
+        return;
+      }
+      
+      const roles = { ...room.roles };
+      const patch = { roles };
+      
+      if (role === 'owner') {
+        patch.host = targetSocketId;
+        roles[socket.id] = 'moderator';
+        delete roles[targetSocketId];
+      } else if (role === 'member') {
+        delete roles[targetSocketId];
+      } else {
+        roles[targetSocketId] = role;
+      }
+      
+      const updated = await store.updateRoom(user.roomId, patch);
+      
+      if (role === 'owner') {
+        io.to(targetSocketId).emit('host-transferred');
+        io.to(user.roomId).emit('new-host', { hostId: targetSocketId });
+      }
+      
+      io.to(user.roomId).emit('role-changed', {
+        socketId: targetSocketId,
+        role,
+        changedBy: user.nickname,
+        roles: getRoomRoles(updated)
+      });
+      
+      // Moderators see the lobby queue; a demoted one stops getting it
+      await notifyHostLobby(user.roomId);
+      
+      log.info('🎖️ Role changed', { event: 'set-role', roomId: user.roomId, target: targetSocketId, role });
+      
+    } catch (error) {
+      log.error('Error in set-role', { event: 'set-role', error });
+      socket.emit('error', {
+        type: 'SERVER_ERROR',
+        message: 'Error changing role'
+      });
+    }
+  });
+
+  // Mute user event (owner and moderators can mute lower roles)
+  socket.on('mute-user', async (data) => {
+    try {
+      const { targetSocketId } = data || {};
+      if (!targetSocketId) return;
+      
+      const auth = await authorize(socket, 'mute', 'Only the room owner and moderators can mute users');
+      if (!auth) return;
+      const { user, room } = auth;
+      
+      if (!room.users.has(targetSocketId) || !outranks(room, socket.id, targetSocketId)) return;
+      
+      // Send mute command to target user
+      socket.to(targetSocketId).emit('force-mute');
+      log.info('🔇 Muted user', { event: 'mute-user', roomId: user.roomId, target: targetSocketId });
+    } catch (error) {
+      log.error('Error in mute-user', { event: 'mute-user', error });
+    }
   });
 
   // Enhanced ping/pong with connection quality metrics
-  socket.on('ping', (data) => {
-    const user = userMap.get(socket.id);
-    const responseData = {
-      ...data,
-      serverTimestamp: Date.now(),
-      roomId: user?.roomId,
-      serverUptime: process.uptime(),
-      roomUserCount: user ? (rooms.get(user.roomId)?.users.size || 0) : 0
-    };
-    
-    socket.emit('pong', responseData);
+  socket.on('ping', async (data) => {
+    try {
+      const user = await store.getUser(socket.id);
+      const room = user ? await store.getRoom(user.roomId) : null;
+      const responseData = {
+        ...data,
+        serverTimestamp: Date.now(),
+        roomId: user?.roomId,
+        serverUptime: process.uptime(),
+        roomUserCount: room?.users.size || 0
+      };
+      
+      socket.emit('pong', responseData);
+    } catch (error) {
+      log.error('Error in ping', { event: 'ping', error });
+    }
   });
 
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    const user = userMap.get(socket.id);
-    
-    if (user) {
-      const { roomId } = user;
-      const room = rooms.get(roomId);
+  // Take back a held seat after a transient disconnect
+  socket.on('resume-session', async (data) => {
+    try {
+      if (!data || typeof data.token !== 'string' || !data.token) {
+        socket.emit('error', { type: 'INVALID_RESUME_REQUEST', message: 'Reconnect token required' });
+        return;
+      }
       
-      if (room) {
-        // Remove user from room
-        room.users.delete(socket.id);
-        
-        // If user was host, transfer host rights to next user
-        if (room.host === socket.id && room.users.size > 0) {
-          const newHost = Array.from(room.users)[0];
-          room.host = newHost;
-          
-          // Notify new host
-          socket.to(newHost).emit('host-transferred');
-          
-          // Notify all users about new host
-          socket.to(roomId).emit('new-host', { hostId: newHost });
+      if (await isWaitingInLobby(socket) || await store.getUser(socket.id)) {
+        socket.emit('error', { type: 'ALREADY_IN_ROOM', message: 'You are already in a room' });
+        return;
+      }
+      
+      const session = await store.takeSession(data.token);
+      const user = session ? await store.getUser(session.socketId) : null;
+      const room = user ? await store.getRoom(user.roomId) : null;
+      
+      if (!room || !room.users.has(session.socketId)) {
+        socket.emit('error', {
+          type: 'SESSION_EXPIRED',
+          message: 'Your session has expired, please rejoin the room'
+        });
+        return;
+      }
+      
+      const oldSocketId = session.socketId;
+      const { roomId, nickname } = user;
+      
+      clearTimeout(sessionTimers.get(oldSocketId));
+      sessionTimers.delete(oldSocketId);
+      
+      // SFU media is tied to the old socket; the client publishes again from scratch
+      if (sfu) {
+        sfu.removePeer(oldSocketId);
+      }
+      
+      // A recording host carries on uploading from the new socket
+      recordings.renameUploader(oldSocketId, socket.id);
+      
+      // Links to the old socket are gone; the new connections report their own
+      qualityHistory.removeLinks(roomId, oldSocketId);
+      
+      // The role moves with the seat
+      const roles = { ...room.roles };
+      if (oldSocketId in roles) {
+        roles[socket.id] = roles[oldSocketId];
+        delete roles[oldSocketId];
+      }
+      
+      // Move the seat to the new socket id, rotating the token
+      const sessionToken = generateSessionToken();
+      await store.deleteUser(oldSocketId);
+      await store.removeRoomUser(roomId, oldSocketId);
+      await store.addRoomUser(roomId, socket.id);
+      const identity = getClientIdentity(socket);
+      await store.setUser(socket.id, {
+        roomId,
+        nickname,
+        joinedAt: user.joinedAt,
+        sessionToken,
+        clientId: identity.clientId || user.clientId || null,
+        ip: identity.ip
+      });
+      await store.setSession(sessionToken, { socketId: socket.id, roomId });
+      await store.updateRoom(roomId, {
+        host: room.host === oldSocketId ? socket.id : room.host,
+        roles
+      });
+      
+      // The old transport may not have timed out yet
+      io.in(oldSocketId).disconnectSockets(true);
+      socket.join(roomId);
+      
+      const updatedRoom = await store.getRoom(roomId);
+      const isHost = updatedRoom.host === socket.id;
+      const iceServers = getIceServers(socket.id);
+      
+      // Peers keep their RTCPeerConnection and move it to the new id before the ICE restart offers arrive
+      socket.to(roomId).emit('peer-resumed', {
+        oldSocketId,
+        socketId: socket.id,
+        nickname
+      });
+      
+      socket.emit('session-resumed', {
+        roomId,
+        nickname,
+        isHost,
+        users: await listRoomPeers(updatedRoom, socket.id),
+        iceServers,
+        iceServersTtl: TURN_CREDENTIAL_TTL,
+        reconnectToken: sessionToken,
+        sessionGracePeriod: SESSION_GRACE_PERIOD / 1000,
+        roomInfo: {
+          id: roomId,
+          created: updatedRoom.created,
+          userCount: updatedRoom.users.size,
+          maxUsers: updatedRoom.maxUsers,
+          ...getRoomSettings(updatedRoom)
         }
-        
-        // If room is empty, delete it
-        if (room.users.size === 0) {
-          rooms.delete(roomId);
-          console.log(`Deleted empty room: ${roomId}`);
-        } else {
-          // Notify remaining users about user leaving
-          socket.to(roomId).emit('user-left', { socketId: socket.id });
+      });
+      
+      if (isHost) {
+        await notifyHostLobby(roomId);
+      }
+      
+      log.info('▶️ Session resumed', { event: 'resume-session', roomId, nickname, previousSocketId: oldSocketId });
+    } catch (error) {
+      log.error('Error in resume-session', { event: 'resume-session', error });
+      socket.emit('error', {
+        type: 'SERVER_ERROR',
+        message: 'Error resuming session'
+      });
+    }
+  });
+
+  // Handle disconnect
+  socket.on('disconnect', async (reason) => {
+    try {
+      // Leave the lobby queue if still waiting
+      if (socket.data.pendingRoomId) {
+        const roomId = socket.data.pendingRoomId;
+        socket.data.pendingRoomId = null;
+        const entry = await store.removePendingUser(roomId, socket.id);
+        if (entry) {
+          await notifyHostLobby(roomId);
         }
       }
       
-      // Remove user from userMap
-      userMap.delete(socket.id);
+      const user = await store.getUser(socket.id);
+      
+      if (user) {
+        // Transport drops get a grace period to resume; leaving and kicks do not
+        if (user.sessionToken && !INTENTIONAL_DISCONNECTS.has(reason)) {
+          await holdSeat(socket.id, user);
+        } else {
+          await removeUserFromRoom(socket.id);
+        }
+      }
+    } catch (error) {
+      log.error('Error in disconnect', { event: 'disconnect', error });
     }
     
-    console.log(`User disconnected: ${socket.id}`);
+    log.info('User disconnected', { event: 'disconnect', reason });
   });
 });
 
 // FIXED: Added periodic cleanup for rate limiting data to prevent memory leaks
-setInterval(() => {
+setInterval(async () => {
   const now = Date.now();
   
-  // Clean up old rate limiting data
-  for (const [ip, timestamps] of connections.entries()) {
-    const recentConnections = timestamps.filter(time => now - time < RATE_WINDOW);
-    if (recentConnections.length === 0) {
-      connections.delete(ip);
-    } else {
-      connections.set(ip, recentConnections);
+  try {
+    // Clean up old rate limiting data
+    for (const { ip, timestamps } of await store.listConnections()) {
+      const recentConnections = timestamps.filter(time => now - time < RATE_WINDOW);
+      await store.setConnections(ip, recentConnections, RATE_WINDOW);
     }
-  }
-  
-  // Clean up old rooms
-  const ROOM_TIMEOUT = 24 * 60 * 60 * 1000; // 24 hours
-  for (const [roomId, room] of rooms.entries()) {
-    if (room.users.size === 0 && (now - room.created) > ROOM_TIMEOUT) {
-      rooms.delete(roomId);
-      console.log(`Cleaned up old room: ${roomId}`);
+    
+    // Drop chat history past its retention period
+    await store.pruneChatHistory(CHAT_HISTORY_RETENTION);
+    
+    // And quality samples past theirs
+    await qualityHistory.prune();
+    
+    // Clean up old rooms
+    const ROOM_TIMEOUT = 24 * 60 * 60 * 1000; // 24 hours
+    for (const room of await store.listRooms()) {
+      if (room.users.size === 0 && (now - room.created) > ROOM_TIMEOUT) {
+        await store.deleteRoom(room.id);
+        logger.info('Cleaned up old room', { roomId: room.id });
+      }
     }
+  } catch (error) {
+    logger.error('Error in periodic cleanup', { error });
   }
 }, 60 * 60 * 1000); // Run every hour
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Zloer Communication Server running on port ${PORT}`);
-  console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🌐 Domain: ${process.env.DOMAIN || 'localhost'}`);
-  console.log(`🔄 TURN Server: ${TURN_SERVER_IP}`);
-  // FIXED: Using static credentials
-  console.log(`🔐 TURN Credentials: Static (nearsnap) ✅`);
-  if (process.env.NODE_ENV === 'production') {
-    console.log(`🔒 Production mode with enhanced security`);
+setInterval(async () => {
+  try {
+    await sweepExpiredSeats();
+  } catch (error) {
+    logger.error('Error sweeping expired seats', { error });
   }
-});
+}, SESSION_SWEEP_INTERVAL);
+
+// Share broadcasts between instances (PM2 cluster workers) through Redis pub/sub
+async function setupClusterAdapter() {
+  if (!process.env.REDIS_URL) return;
+  
+  const Redis = require('ioredis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  const pubClient = new Redis(process.env.REDIS_URL);
+  const subClient = pubClient.duplicate();
+  
+  io.adapter(createAdapter(pubClient, subClient));
+  logger.info('🔗 Socket.IO Redis adapter enabled');
+}
+
+// Server-side media relay for large rooms
+function setupSfu() {
+  if (SFU_MODE === 'off') return;
+  
+  // SFU_PORT_RANGE=40000-40100 pins media to ports that can be opened in the firewall
+  const portRange = (process.env.SFU_PORT_RANGE || '').split('-').map(port => parseInt(port, 10));
+  
+  sfu = new Sfu({
+    sendSignal: (socketId, signal) => {
+      io.to(socketId).emit('signal', {
+        from: SFU_PEER_ID,
+        signal,
+        timestamp: Date.now()
+      });
+    },
+    announcedIp: process.env.SFU_ANNOUNCED_IP || undefined,
+    portRange: portRange.length === 2 && portRange.every(port => port > 0) ? portRange : undefined
+  });
+  
+  if (process.env.REDIS_URL) {
+    logger.warn('⚠️ SFU media is per instance: route all members of a room to the same worker');
+  }
+}
+
+const PORT = process.env.PORT || 3000;
+
+async function start() {
+  await store.connect();
+  await setupClusterAdapter();
+  setupSfu();
+  await recordings.init();
+  await qualityHistory.init();
+  server.listen(PORT, '0.0.0.0', () => {
+    logger.info(`🚀 Zloer Communication Server running on port ${PORT}`, {
+      environment: process.env.NODE_ENV || 'development',
+      domain: process.env.DOMAIN || 'localhost',
+      turnServer: TURN_SERVER_IP,
+      store: store.constructor.name,
+      media: SFU_MODE === 'off' ? 'mesh only' : `SFU ${SFU_MODE}${SFU_MODE === 'auto' ? ` (above ${SFU_THRESHOLD} users)` : ''}`,
+      recordings: `${recordings.dir}${RECORDINGS_TOKEN ? '' : ' (API disabled: RECORDINGS_TOKEN not set)'}`,
+      qualityHistory: qualityHistory.dir || 'memory only',
+      turnCredentials: TURN_SECRET ? `REST (HMAC, ${TURN_CREDENTIAL_TTL}s TTL)` : 'disabled (TURN_SECRET not set)',
+      logLevel: logger.level
+    });
+    if (process.env.NODE_ENV === 'production') {
+      logger.info(`🔒 Production mode with enhanced security`);
+    }
+  });
+}
+
+start().catch((error) => {
+  logger.error('❌ Failed to start server', { error });
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+// Socket Event Schema Test
+// Run with: node test-events.js
+//
+// Feeds lib/events.js (checkEvent / validate) the payloads the socket.use() middleware sees:
+// well-formed events from the client, and missing, oversized, mistyped or unknown ones.
+
+const assert = require('assert');
+const { EVENTS, validate, checkEvent } = require('./lib/events');
+
+const sdp = length => 'v=0\r\n' + 'a'.repeat(length - 5);
+const offer = (length = 200) => ({ type: 'offer', sdp: sdp(length) });
+
+// The first message of a rejected event, for short assertions
+const problem = (event, ...args) => {
+  const result = checkEvent(event, args);
+  return result && (result.unknown ? 'unknown' : result.details[0]);
+};
+
+const tests = [
+  ['accepts what the client sends', () => {
+    assert.strictEqual(checkEvent('join-room', [{ roomId: 'r1', nickname: 'alice' }]), null);
+    assert.strictEqual(checkEvent('join-room', [{ roomId: 'r1', nickname: 'alice', password: null }]), null);
+    assert.strictEqual(checkEvent('signal', [{ to: 'bob', signal: { type: 'offer', offer: offer(), screen: 'stream-1' } }]), null);
+    assert.strictEqual(checkEvent('signal', [{ to: 'sfu', signal: { type: 'renegotiate-answer', answer: { type: 'answer', sdp: sdp(100) } } }]), null);
+    assert.strictEqual(checkEvent('signal', [{
+      to: 'bob',
+      signal: { type: 'ice-candidate', candidate: { candidate: 'candidate:1 1 udp 1 10.0.0.1 5000 typ host', sdpMid: '0', sdpMLineIndex: 0 } }
+    }]), null);
+    assert.strictEqual(checkEvent('connection-quality', [{ quality: 'good', rtt: null, peers: { bob: 'fair' } }]), null);
+    assert.strictEqual(checkEvent('turn-verification', [{ usingTurn: false, connectionType: 'srflx', peerId: 'bob', timestamp: 1 }]), null);
+  }],
+
+  ['events without a payload take none, or an explicit null', () => {
+    assert.strictEqual(checkEvent('list-bans', []), null);
+    assert.strictEqual(checkEvent('list-bans', [null]), null);
+    assert.strictEqual(problem('list-bans', { all: true }), 'payload is not allowed');
+  }],
+
+  ['missing payload or required fields', () => {
+    assert.strictEqual(problem('join-room'), 'payload is required');
+    assert.strictEqual(problem('join-room', null), 'payload is required');
+    assert.strictEqual(problem('join-room', { roomId: 'r1' }), 'payload.nickname is required');
+    assert.strictEqual(problem('signal', { to: 'bob', signal: { type: 'offer' } }), 'payload.signal.offer is required');
+    assert.strictEqual(problem('signal', { to: 'bob', signal: { type: 'answer', answer: { type: 'answer' } } }), 'payload.signal.answer.sdp is required');
+  }],
+
+  ['required fields are not nullable', () => {
+    assert.strictEqual(problem('kick-user', { targetSocketId: null }), 'payload.targetSocketId is required');
+  }],
+
+  ['oversized SDP and payloads', () => {
+    // Under the event's byte limit, over the SDP length limit
+    assert.strictEqual(
+      problem('signal', { to: 'bob', signal: { type: 'offer', offer: offer(64 * 1024 + 1) } }),
+      'payload.signal.offer.sdp must be at most 65536 characters'
+    );
+    // Over the byte limit: rejected before the schema is walked
+    assert.strictEqual(
+      problem('signal', { to: 'bob', signal: { type: 'offer', offer: offer(100 * 1024) } }),
+      `payload must be at most ${EVENTS.signal.maxBytes} bytes`
+    );
+    // Strings count in UTF-8
+    assert.strictEqual(problem('join-room', { roomId: 'r1', nickname: 'ж'.repeat(20), password: 'я'.repeat(64) }), null);
+    assert.strictEqual(
+      problem('chat-message', { message: 'ж'.repeat(2100) }),
+      `payload must be at most ${EVENTS['chat-message'].maxBytes} bytes`
+    );
+  }],
+
+  ['wrong types', () => {
+    assert.strictEqual(problem('join-room', 'r1'), 'payload must be an object');
+    assert.strictEqual(problem('join-room', { roomId: 'r1', nickname: 42 }), 'payload.nickname must be a string');
+    assert.strictEqual(problem('turn-verification', { usingTurn: 'yes' }), 'payload.usingTurn must be a boolean');
+    assert.strictEqual(problem('connection-quality', { rtt: '40' }), 'payload.rtt must be a number');
+    assert.strictEqual(problem('connection-quality', { rtt: NaN }), 'payload.rtt must be a number');
+    assert.strictEqual(
+      problem('signal', { to: 'bob', signal: { type: 'ice-candidate', candidate: { candidate: 'c', sdpMLineIndex: 0.5 } } }),
+      'payload.signal.candidate.sdpMLineIndex must be a whole number'
+    );
+    assert.strictEqual(problem('recording-chunk', { recordingId: 'rec', chunk: 'base64' }), 'payload.chunk must be a buffer');
+    assert.strictEqual(problem('connection-quality', { peers: { bob: 3 } }), 'payload.peers.bob must be a string');
+  }],
+
+  ['enums, tagged variants and undeclared keys', () => {
+    assert.strictEqual(
+      problem('signal', { to: 'bob', signal: { type: 'layer-request', layer: 'ultra' } }),
+      'payload.signal.layer must be one of: high, medium, low, off'
+    );
+    assert.match(problem('signal', { to: 'bob', signal: { type: 'bye' } }), /^payload\.signal\.type must be one of: offer, /);
+    assert.match(problem('signal', { to: 'bob', signal: { type: 'constructor' } }), /^payload\.signal\.type must be one of/);
+    assert.strictEqual(problem('join-room', { roomId: 'r1', nickname: 'alice', isHost: true }), 'payload.isHost is not allowed');
+    assert.strictEqual(problem('join-room', { roomId: 'r1', nickname: 'alice', __proto__: { isHost: true } }), null);
+    assert.strictEqual(problem('join-room', JSON.parse('{"roomId":"r1","nickname":"alice","__proto__":{"isHost":true}}')), 'payload.__proto__ is not allowed');
+  }],
+
+  ['unknown events', () => {
+    assert.deepStrictEqual(checkEvent('make-me-host', [{}]), { unknown: true });
+    assert.deepStrictEqual(checkEvent('toString', []), { unknown: true });
+    assert.deepStrictEqual(checkEvent('__proto__', []), { unknown: true });
+  }],
+
+  ['argument count and acknowledgements', () => {
+    const chunk = { recordingId: 'rec', chunk: Buffer.alloc(1024) };
+    assert.strictEqual(checkEvent('recording-chunk', [chunk, () => {}]), null);
+    assert.strictEqual(problem('recording-chunk', chunk, 'extra', () => {}), 'Too many arguments');
+    // Only events that declare an ack may pass a callback
+    assert.strictEqual(problem('join-room', { roomId: 'r1', nickname: 'alice' }, () => {}), 'Too many arguments');
+    assert.strictEqual(
+      problem('recording-chunk', { recordingId: 'rec', chunk: Buffer.alloc(EVENTS['recording-chunk'].maxBytes + 1) }, () => {}),
+      `payload must be at most ${EVENTS['recording-chunk'].maxBytes} bytes`
+    );
+  }],
+
+  ['deeply nested payloads are cut off', () => {
+    let value = {};
+    for (let depth = 0; depth < 40; depth++) value = { value };
+    assert.strictEqual(problem('connection-diagnostic', value), `payload must be at most ${EVENTS['connection-diagnostic'].maxBytes} bytes`);
+  }],
+
+  ['validate() reports every problem with its path', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 2, pattern: /^[a-z]+$/ },
+        count: { type: 'number', min: 1, max: 3 }
+      },
+      required: ['name']
+    };
+    assert.deepStrictEqual(validate({ name: 'ok', count: 2 }, schema), []);
+    assert.deepStrictEqual(validate({ name: 'A', count: 9, extra: 1 }, schema), [
+      'payload.name must be at least 2 characters',
+      'payload.count must be at most 3',
+      'payload.extra is not allowed'
+    ]);
+    assert.deepStrictEqual(validate({ name: 'ABC' }, schema, 'data'), ['data.name has an invalid format']);
+    assert.throws(() => validate(1, { type: 'date' }), /Unknown schema type/);
+  }],
+
+  ['every event declares its limits', () => {
+    for (const [event, spec] of Object.entries(EVENTS)) {
+      assert.ok(spec.rate && spec.rate.limit > 0 && spec.rate.windowMs > 0, `${event} has a rate`);
+      if (spec.payload !== null) {
+        assert.ok(spec.maxBytes > 0, `${event} has a size limit`);
+        assert.strictEqual(spec.payload.type, 'object', `${event} takes an object`);
+      }
+    }
+  }]
+];
+
+function run() {
+  console.log('📋 Socket Event Schema Test');
+  console.log('===========================');
+
+  let failed = 0;
+  for (const [name, test] of tests) {
+    try {
+      test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log('');
+  console.log(failed ? `❌ ${failed} of ${tests.length} failed` : `✅ All ${tests.length} passed`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+run();
@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+
+// Signaling State Machine Test
+// Run with: node test-negotiation.js
+//
+// Drives public/js/negotiation.js (PeerNegotiator) headlessly: two fake peer connections that
+// follow the JSEP signaling states (no implicit rollback, candidates rejected without a matching
+// remote description) talk over a simulated signaling channel with random latency.
+
+const assert = require('assert');
+const PeerNegotiator = require('./public/js/negotiation.js');
+
+const SETTLE_TIMEOUT = 3000;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const randomDelay = (max) => wait(Math.floor(Math.random() * (max + 1)));
+
+function domError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// Just enough of RTCPeerConnection: signaling states, an operations chain, negotiationneeded
+// and trickled candidates. "Tracks" are a version number: every change (or ICE restart) bumps it,
+// and it counts as negotiated once an offer carrying it has been answered
+class FakePeerConnection {
+  constructor(name) {
+    this.name = name;
+    this.signalingState = 'stable';
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.currentLocalDescription = null;
+    this.currentRemoteDescription = null;
+
+    this.trackVersion = 0;
+    this.negotiatedVersion = 0;
+    this.remoteVersion = 0;
+
+    this.iceGeneration = 1;
+    this.ufrag = `${name}-1`;
+    this.restartPending = false;
+    this.gathered = new Set();
+    this.candidates = []; // remote candidates added
+    this.candidateCount = 0;
+
+    this.rollbacks = 0;
+    this.operations = Promise.resolve();
+    this.pendingOperations = 0;
+    this.negotiationNeededQueued = false;
+    this.closed = false;
+
+    this.onnegotiationneeded = null;
+    this.onicecandidate = null;
+  }
+
+  enqueue(operation) {
+    this.pendingOperations++;
+    const result = this.operations.then(() => randomDelay(2)).then(operation);
+    this.operations = result.catch(() => {}).then(() => {
+      this.pendingOperations--;
+      this.checkNegotiationNeeded();
+    });
+    return result;
+  }
+
+  describe(type) {
+    return { type, sdp: JSON.stringify({ from: this.name, version: this.trackVersion, ufrag: this.ufrag }) };
+  }
+
+  isNegotiationNeeded() {
+    return !this.closed && this.pendingOperations === 0 && this.signalingState === 'stable' &&
+      this.trackVersion > this.negotiatedVersion;
+  }
+
+  checkNegotiationNeeded() {
+    if (this.negotiationNeededQueued || !this.isNegotiationNeeded()) return;
+
+    this.negotiationNeededQueued = true;
+    setTimeout(() => {
+      this.negotiationNeededQueued = false;
+      if (this.isNegotiationNeeded() && this.onnegotiationneeded) {
+        this.onnegotiationneeded();
+      }
+    }, 0);
+  }
+
+  changeTracks() {
+    this.trackVersion++;
+    this.checkNegotiationNeeded();
+  }
+
+  restartIce() {
+    this.restartPending = true;
+    this.changeTracks();
+  }
+
+  gather() {
+    if (this.gathered.has(this.ufrag)) return;
+    this.gathered.add(this.ufrag);
+
+    const ufrag = this.ufrag;
+    [0, 1].forEach(index => {
+      setTimeout(() => {
+        this.candidateCount++;
+        this.onicecandidate?.({ candidate: { ufrag, index } });
+      }, index);
+    });
+  }
+
+  setLocalDescription(description) {
+    return this.enqueue(() => {
+      const type = description?.type || (this.signalingState === 'have-remote-offer' ? 'answer' : 'offer');
+
+      if (type === 'rollback') {
+        if (this.signalingState === 'stable') {
+          throw domError('InvalidStateError', `${this.name}: rollback in stable`);
+        }
+        if (this.signalingState === 'have-local-offer') {
+          const offered = JSON.parse(this.localDescription.sdp);
+          if (offered.ufrag !== this.ufrag || this.offerRestartedIce) {
+            // The ICE restart waits for the next offer; its candidates are gone
+            this.gathered.delete(this.ufrag);
+            this.ufrag = this.previousUfrag;
+            this.restartPending = true;
+          }
+        }
+        this.rollbacks++;
+        this.signalingState = 'stable';
+        this.localDescription = this.currentLocalDescription;
+        this.remoteDescription = this.currentRemoteDescription;
+        return;
+      }
+
+      if (type === 'offer') {
+        if (this.signalingState !== 'stable' && this.signalingState !== 'have-local-offer') {
+          throw domError('InvalidStateError', `${this.name}: offer in ${this.signalingState}`);
+        }
+        this.offerRestartedIce = this.restartPending;
+        if (this.restartPending) {
+          this.previousUfrag = this.ufrag;
+          this.ufrag = `${this.name}-${++this.iceGeneration}`;
+          this.restartPending = false;
+        }
+        this.localDescription = this.describe('offer');
+        this.signalingState = 'have-local-offer';
+        this.gather();
+        return;
+      }
+
+      if (this.signalingState !== 'have-remote-offer') {
+        throw domError('InvalidStateError', `${this.name}: answer in ${this.signalingState}`);
+      }
+      this.localDescription = this.currentLocalDescription = this.describe('answer');
+      this.currentRemoteDescription = this.remoteDescription;
+      this.signalingState = 'stable';
+      this.gather();
+    });
+  }
+
+  setRemoteDescription(description) {
+    return this.enqueue(() => {
+      const remote = JSON.parse(description.sdp);
+
+      if (description.type === 'offer') {
+        if (this.signalingState !== 'stable') {
+          throw domError('InvalidStateError', `${this.name}: remote offer in ${this.signalingState}`);
+        }
+        this.remoteDescription = description;
+        this.remoteVersion = remote.version;
+        this.signalingState = 'have-remote-offer';
+        return;
+      }
+
+      if (this.signalingState !== 'have-local-offer') {
+        throw domError('InvalidStateError', `${this.name}: remote answer in ${this.signalingState}`);
+      }
+      this.negotiatedVersion = JSON.parse(this.localDescription.sdp).version;
+      this.currentLocalDescription = this.localDescription;
+      this.remoteDescription = this.currentRemoteDescription = description;
+      this.remoteVersion = remote.version;
+      this.signalingState = 'stable';
+    });
+  }
+
+  addIceCandidate(candidate) {
+    return this.enqueue(() => {
+      if (!this.remoteDescription) {
+        throw domError('InvalidStateError', `${this.name}: candidate without a remote description`);
+      }
+      if (JSON.parse(this.remoteDescription.sdp).ufrag !== candidate.ufrag) {
+        throw domError('OperationError', `${this.name}: candidate for unknown ufrag ${candidate.ufrag}`);
+      }
+      this.candidates.push(candidate);
+    });
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+// Ordered like a Socket.IO relay unless candidates are allowed to overtake descriptions (only
+// meaningful for the first exchange: a peer connection can be created after its first candidates)
+class SignalingChannel {
+  constructor({ latency = 3, candidatesFirst = false } = {}) {
+    this.latency = latency;
+    this.candidatesFirst = candidatesFirst;
+    this.queue = Promise.resolve();
+    this.inFlight = 0;
+    this.receiver = null;
+  }
+
+  send(message) {
+    this.inFlight++;
+    const deliver = () => Promise.resolve(this.receiver(message)).finally(() => this.inFlight--);
+
+    if (this.candidatesFirst && message.candidate) {
+      deliver();
+      return;
+    }
+    this.queue = this.queue.then(() => randomDelay(this.latency)).then(deliver);
+  }
+}
+
+// Two peers wired together; A is polite unless told otherwise
+function createPair(options = {}) {
+  const errors = [];
+  const stats = { ignoredOffers: { A: 0, B: 0 } };
+  const a = new FakePeerConnection('A');
+  const b = new FakePeerConnection('B');
+  const toB = new SignalingChannel(options);
+  const toA = new SignalingChannel(options);
+
+  const wire = (pc, polite, outbound, inbound) => {
+    const negotiator = new PeerNegotiator(pc, {
+      polite,
+      sendDescription: description => outbound.send({ description }),
+      onError: error => errors.push(`${pc.name} negotiate: ${error.message}`)
+    });
+    pc.onicecandidate = ({ candidate }) => outbound.send({ candidate });
+
+    inbound.receiver = async ({ description, candidate }) => {
+      try {
+        if (description) {
+          const handled = await negotiator.handleDescription(description);
+          if (!handled) stats.ignoredOffers[pc.name]++;
+        } else {
+          await negotiator.handleCandidate(candidate);
+        }
+      } catch (error) {
+        errors.push(`${pc.name} ${description ? description.type : 'candidate'}: ${error.message}`);
+      }
+    };
+    return negotiator;
+  };
+
+  const politeA = options.politeA !== false;
+  wire(a, politeA, toB, toA);
+  wire(b, !politeA, toA, toB);
+
+  const settled = () =>
+    [a, b].every(pc => pc.signalingState === 'stable' && pc.pendingOperations === 0 &&
+      !pc.negotiationNeededQueued && pc.negotiatedVersion === pc.trackVersion) &&
+    toA.inFlight === 0 && toB.inFlight === 0 &&
+    a.remoteVersion === b.trackVersion && b.remoteVersion === a.trackVersion;
+
+  const settle = async () => {
+    const started = Date.now();
+    while (!settled()) {
+      if (Date.now() - started > SETTLE_TIMEOUT) {
+        throw new Error(`did not settle: A ${a.signalingState} v${a.negotiatedVersion}/${a.trackVersion}, ` +
+          `B ${b.signalingState} v${b.negotiatedVersion}/${b.trackVersion}; errors: ${errors.join('; ') || 'none'}`);
+      }
+      await wait(5);
+    }
+    // Trickled candidates of the last exchange
+    await wait(20);
+  };
+
+  return { a, b, errors, stats, settle };
+}
+
+// Every candidate of the other side's current ICE generation made it in
+function assertCandidates(pc, other) {
+  const current = pc.candidates.filter(candidate => candidate.ufrag === other.ufrag);
+  assert.strictEqual(current.length, 2, `${pc.name} has ${current.length}/2 candidates for ${other.ufrag}`);
+}
+
+const tests = [
+  ['offer and answer', async () => {
+    const { a, b, errors, settle } = createPair();
+    a.changeTracks();
+    await settle();
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(b.remoteVersion, a.trackVersion);
+    assertCandidates(b, a);
+    assertCandidates(a, b);
+  }],
+
+  ['simultaneous offers: polite side rolls back', async () => {
+    const { a, b, errors, stats, settle } = createPair({ latency: 5 });
+    a.changeTracks();
+    b.changeTracks();
+    await settle();
+
+    assert.deepStrictEqual(errors, []);
+    assert.ok(a.rollbacks >= 1, 'polite A rolled its offer back');
+    assert.strictEqual(b.rollbacks, 0, 'impolite B never rolls back');
+    assert.ok(stats.ignoredOffers.B >= 1, 'impolite B ignored the colliding offer');
+    assert.strictEqual(stats.ignoredOffers.A, 0);
+    assertCandidates(a, b);
+    assertCandidates(b, a);
+  }],
+
+  ['simultaneous offers with roles swapped', async () => {
+    const { a, b, errors, stats, settle } = createPair({ latency: 5, politeA: false });
+    a.changeTracks();
+    b.changeTracks();
+    await settle();
+
+    assert.deepStrictEqual(errors, []);
+    assert.ok(b.rollbacks >= 1);
+    assert.strictEqual(a.rollbacks, 0);
+    assert.ok(stats.ignoredOffers.A >= 1);
+  }],
+
+  ['simultaneous ICE restarts', async () => {
+    const { a, b, errors, settle } = createPair({ latency: 5 });
+    a.changeTracks();
+    await settle();
+
+    a.restartIce();
+    b.restartIce();
+    await settle();
+
+    assert.deepStrictEqual(errors, []);
+    assert.notStrictEqual(a.ufrag, 'A-1');
+    assert.notStrictEqual(b.ufrag, 'B-1');
+    assertCandidates(a, b);
+    assertCandidates(b, a);
+  }],
+
+  ['late candidates: delivered before their offer', async () => {
+    const { a, b, errors, settle } = createPair({ latency: 10, candidatesFirst: true });
+    a.changeTracks();
+    await settle();
+
+    assert.deepStrictEqual(errors, []);
+    assertCandidates(b, a);
+    assertCandidates(a, b);
+  }],
+
+  ['late candidates: for an offer that was ignored', async () => {
+    const { a, b, errors, stats, settle } = createPair({ latency: 10 });
+    a.changeTracks();
+    await settle();
+
+    // A's restart offer collides with B's and is ignored, its candidates arrive anyway
+    a.restartIce();
+    b.changeTracks();
+    await settle();
+
+    assert.deepStrictEqual(errors, []);
+    assert.ok(stats.ignoredOffers.B >= 1);
+    assertCandidates(b, a);
+  }],
+
+  ['random changes on both sides', async () => {
+    for (let round = 0; round < 25; round++) {
+      const { a, b, errors, settle } = createPair({ latency: 4 });
+      for (let step = 0; step < 6; step++) {
+        const pc = Math.random() < 0.5 ? a : b;
+        if (Math.random() < 0.3) {
+          pc.restartIce();
+        } else {
+          pc.changeTracks();
+        }
+        await randomDelay(6);
+      }
+      await settle();
+
+      assert.deepStrictEqual(errors, [], `round ${round}`);
+      assertCandidates(a, b);
+      assertCandidates(b, a);
+    }
+  }]
+];
+
+async function run() {
+  console.log('🤝 Perfect Negotiation Test');
+  console.log('===========================');
+
+  let failed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log('');
+  console.log(failed ? `❌ ${failed} of ${tests.length} failed` : `✅ All ${tests.length} passed`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+run();
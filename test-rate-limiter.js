@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+// Flood Protection Test
+// Run with: node test-rate-limiter.js
+//
+// Drives lib/rate-limiter.js (EventRateLimiter) with an explicit clock: every hit() and
+// chatMutedFor() gets the time, so refill, strikes and penalties are checked to the millisecond.
+
+const assert = require('assert');
+const { EventRateLimiter, createRateLimitConfig, parseRateLimits } = require('./lib/rate-limiter');
+const { EVENTS } = require('./lib/events');
+
+const RATES = new Map([
+  ['chat-message', { limit: 3, windowMs: 3000 }], // one token a second
+  ['chat-react', { limit: 2, windowMs: 2000 }],
+  ['signal', { limit: 10, windowMs: 1000 }]
+]);
+const PENALTIES = { muteAfter: 3, disconnectAfter: 5, muteMs: 10000, strikeWindowMs: 30000 };
+
+const createLimiter = () => new EventRateLimiter(RATES, PENALTIES);
+
+// Spend a full bucket's burst at `now`
+function drain(limiter, event, now) {
+  for (let i = 0; i < limiter.rates.get(event).limit; i++) {
+    assert.strictEqual(limiter.hit(event, now).allowed, true, `${event} #${i + 1} allowed`);
+  }
+}
+
+// Send until refused at `now`: the refusal
+function flood(limiter, event, now) {
+  for (;;) {
+    const result = limiter.hit(event, now);
+    if (!result.allowed) return result;
+  }
+}
+
+const tests = [
+  ['a full bucket allows its burst, then refuses', () => {
+    const limiter = createLimiter();
+    drain(limiter, 'chat-message', 0);
+
+    const refused = limiter.hit('chat-message', 0);
+    assert.strictEqual(refused.allowed, false);
+    assert.strictEqual(refused.retryAfter, 1);
+  }],
+
+  ['tokens refill evenly over the window', () => {
+    const limiter = createLimiter();
+    drain(limiter, 'chat-message', 0);
+
+    assert.strictEqual(limiter.hit('chat-message', 999).allowed, false);
+    assert.strictEqual(limiter.hit('chat-message', 1000).allowed, true);
+    assert.strictEqual(limiter.hit('chat-message', 1000).allowed, false);
+
+    // Two seconds later: two more, never more than the burst however long it waits
+    assert.strictEqual(limiter.hit('chat-message', 3000).allowed, true);
+    assert.strictEqual(limiter.hit('chat-message', 3000).allowed, true);
+    assert.strictEqual(limiter.hit('chat-message', 3000).allowed, false);
+
+    drain(limiter, 'chat-message', 60000);
+    assert.strictEqual(limiter.hit('chat-message', 60000).allowed, false);
+  }],
+
+  ['retryAfter is the wait for the next token, rounded up to seconds', () => {
+    const limiter = new EventRateLimiter(new Map([['chat-message', { limit: 2, windowMs: 10000 }]]), PENALTIES);
+    drain(limiter, 'chat-message', 0);
+
+    assert.strictEqual(limiter.hit('chat-message', 0).retryAfter, 5);
+    assert.strictEqual(limiter.hit('chat-message', 2500).retryAfter, 3);
+  }],
+
+  ['buckets are per event', () => {
+    const limiter = createLimiter();
+    drain(limiter, 'chat-message', 0);
+
+    assert.strictEqual(limiter.hit('chat-message', 0).allowed, false);
+    assert.strictEqual(limiter.hit('signal', 0).allowed, true);
+  }],
+
+  ['refusals strike at most once a second per event', () => {
+    const limiter = createLimiter();
+    drain(limiter, 'chat-message', 0);
+
+    assert.deepStrictEqual(limiter.hit('chat-message', 0), { allowed: false, retryAfter: 1, penalty: 'warn', strikes: 1 });
+    for (let now = 100; now < 1000; now += 100) {
+      assert.deepStrictEqual(limiter.hit('chat-message', now), { allowed: false, retryAfter: 1, penalty: null, strikes: 1 });
+    }
+
+    // Another event's first refusal in the same second still counts
+    drain(limiter, 'chat-react', 500);
+    assert.strictEqual(limiter.hit('chat-react', 500).strikes, 2);
+  }],
+
+  ['penalties escalate from warn to mute to disconnect', () => {
+    const limiter = createLimiter();
+
+    const penalties = [];
+    for (let second = 0; second < 5; second++) {
+      penalties.push(flood(limiter, 'signal', second * 1000).penalty);
+    }
+    assert.deepStrictEqual(penalties, ['warn', 'warn', 'mute', 'mute', 'disconnect']);
+  }],
+
+  ['strikes older than the strike window are forgotten', () => {
+    const limiter = createLimiter();
+    assert.strictEqual(flood(limiter, 'chat-message', 0).strikes, 1);
+    assert.strictEqual(flood(limiter, 'chat-message', 1000).strikes, 2);
+
+    // 30s after the first strike it no longer counts, the second still does
+    const later = flood(limiter, 'chat-message', 30000);
+    assert.strictEqual(later.strikes, 2);
+    assert.strictEqual(later.penalty, 'warn');
+
+    // A quiet stretch longer than the window starts over
+    assert.deepStrictEqual(flood(limiter, 'chat-message', 70000), { allowed: false, retryAfter: 1, penalty: 'warn', strikes: 1 });
+  }],
+
+  ['a mute blocks chat only, for its duration from the latest strike', () => {
+    const limiter = createLimiter();
+    flood(limiter, 'signal', 0);
+    flood(limiter, 'signal', 1000);
+    assert.strictEqual(limiter.chatMutedFor('chat-message', 1000), 0);
+
+    // Muted at 2000 by the third strike, even though it came from another event
+    assert.strictEqual(flood(limiter, 'signal', 2000).penalty, 'mute');
+    assert.strictEqual(limiter.chatMutedFor('chat-message', 2000), 10000);
+    assert.strictEqual(limiter.chatMutedFor('chat-edit', 5000), 7000);
+    assert.strictEqual(limiter.chatMutedFor('chat-react', 5000), 7000);
+    assert.strictEqual(limiter.chatMutedFor('signal', 5000), 0);
+    assert.strictEqual(limiter.chatMutedFor('chat-history', 5000), 0);
+
+    // A fourth strike extends it
+    assert.strictEqual(flood(limiter, 'signal', 3000).penalty, 'mute');
+    assert.strictEqual(limiter.chatMutedFor('chat-message', 12500), 500);
+    assert.strictEqual(limiter.chatMutedFor('chat-message', 13000), 0);
+  }],
+
+  ['EVENT_RATE_LIMITS overrides known events and skips malformed rules', () => {
+    const rates = parseRateLimits('chat-message=5/10, signal = 600/10,made-up=1/1,ping=0/10,join-room=2/0,chat-edit=abc,,');
+    assert.deepStrictEqual([...rates], [
+      ['chat-message', { limit: 5, windowMs: 10000 }],
+      ['signal', { limit: 600, windowMs: 10000 }]
+    ]);
+    assert.strictEqual(parseRateLimits(undefined).size, 0);
+  }],
+
+  ['the config falls back to the event table and default penalties', () => {
+    const defaults = createRateLimitConfig({});
+    assert.deepStrictEqual(defaults.penalties, { muteAfter: 3, disconnectAfter: 6, muteMs: 60000, strikeWindowMs: 60000 });
+    assert.deepStrictEqual(defaults.rates.get('join-room'), EVENTS['join-room'].rate);
+    assert.strictEqual(defaults.rates.size, Object.keys(EVENTS).length);
+
+    const configured = createRateLimitConfig({
+      EVENT_RATE_LIMITS: 'join-room=1/60',
+      RATE_LIMIT_MUTE_AFTER: '2',
+      RATE_LIMIT_DISCONNECT_AFTER: 'many',
+      RATE_LIMIT_MUTE_SECONDS: '5',
+      RATE_LIMIT_STRIKE_WINDOW: '-1'
+    });
+    assert.deepStrictEqual(configured.rates.get('join-room'), { limit: 1, windowMs: 60000 });
+    assert.deepStrictEqual(configured.rates.get('signal'), EVENTS.signal.rate);
+    assert.deepStrictEqual(configured.penalties, { muteAfter: 2, disconnectAfter: 6, muteMs: 5000, strikeWindowMs: 60000 });
+  }]
+];
+
+function run() {
+  console.log('🚦 Flood Protection Test');
+  console.log('========================');
+
+  let failed = 0;
+  for (const [name, test] of tests) {
+    try {
+      test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log('');
+  console.log(failed ? `❌ ${failed} of ${tests.length} failed` : `✅ All ${tests.length} passed`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+run();
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+// Recording Limits Test
+// Run with: node test-recordings.js
+//
+// Drives lib/recordings.js (RecordingManager) in a temporary directory: chunks are appended
+// until the size or duration limit refuses one, and the recording can still be finished.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RecordingManager = require('./lib/recordings');
+
+const MINUTE = 60 * 1000;
+
+// Removed once every test has run
+const dirs = [];
+
+async function createManager(limits) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'recordings-test-'));
+  dirs.push(dir);
+  const manager = new RecordingManager({ dir, ...limits });
+  await manager.init();
+  return manager;
+}
+
+const chunk = size => Buffer.alloc(size, 1);
+
+const tests = [
+  ['chunks are stored up to the size limit', async () => {
+    const manager = await createManager({ maxBytes: 100 });
+    const { id, startedAt } = await manager.start('r1', { uploaderId: 'host', startedBy: 'host', participants: [] });
+
+    assert.strictEqual(await manager.appendChunk(id, 'host', chunk(60), startedAt), null);
+    assert.strictEqual(await manager.appendChunk(id, 'host', chunk(40), startedAt), null);
+    assert.strictEqual((await fs.promises.stat(manager.filePath(id, 'webm'))).size, 100);
+  }],
+
+  ['the chunk that would cross the size limit is refused, once', async () => {
+    const manager = await createManager({ maxBytes: 100 });
+    const { id, startedAt } = await manager.start('r1', { uploaderId: 'host', startedBy: 'host', participants: [] });
+
+    assert.strictEqual(await manager.appendChunk(id, 'host', chunk(60), startedAt), null);
+    assert.strictEqual(await manager.appendChunk(id, 'host', chunk(41), startedAt), 'max-bytes');
+    // Later chunks find the recording closing, so only one caller finishes it
+    assert.strictEqual(await manager.appendChunk(id, 'host', chunk(1), startedAt), 'not-active');
+    assert.strictEqual((await fs.promises.stat(manager.filePath(id, 'webm'))).size, 60);
+  }],
+
+  ['chunks sent without waiting for acks cannot overshoot', async () => {
+    const manager = await createManager({ maxBytes: 100 });
+    const { id, startedAt } = await manager.start('r1', { uploaderId: 'host', startedBy: 'host', participants: [] });
+
+    const results = await Promise.all([1, 2, 3, 4].map(() => manager.appendChunk(id, 'host', chunk(40), startedAt)));
+    assert.deepStrictEqual(results, [null, null, 'max-bytes', 'not-active']);
+    assert.strictEqual((await fs.promises.stat(manager.filePath(id, 'webm'))).size, 80);
+  }],
+
+  ['chunks past the duration limit are refused', async () => {
+    const manager = await createManager({ maxDurationMs: 10 * MINUTE });
+    const { id, startedAt } = await manager.start('r1', { uploaderId: 'host', startedBy: 'host', participants: [] });
+
+    assert.strictEqual(await manager.appendChunk(id, 'host', chunk(10), startedAt + 10 * MINUTE), null);
+    assert.strictEqual(await manager.appendChunk(id, 'host', chunk(10), startedAt + 10 * MINUTE + 1), 'max-duration');
+  }],
+
+  ['only the uploader of an active recording can append', async () => {
+    const manager = await createManager({});
+    const { id } = await manager.start('r1', { uploaderId: 'host', startedBy: 'host', participants: [] });
+
+    assert.strictEqual(await manager.appendChunk(id, 'guest', chunk(10)), 'not-active');
+    assert.strictEqual(await manager.appendChunk('missing', 'host', chunk(10)), 'not-active');
+    assert.strictEqual(await manager.appendChunk(id, 'host', chunk(10)), null);
+  }],
+
+  ['a recording refused at its limit can still be finished', async () => {
+    const manager = await createManager({ maxBytes: 100 });
+    const { id, startedAt } = await manager.start('r1', { uploaderId: 'host', startedBy: 'host', participants: [] });
+
+    // Nothing stored, so finish() does not try to parse the (fake) WebM
+    assert.strictEqual(await manager.appendChunk(id, 'host', chunk(101), startedAt), 'max-bytes');
+
+    const sidecar = await manager.finish(id, { stoppedBy: 'limit' });
+    assert.strictEqual(sidecar.size, 0);
+    assert.strictEqual(sidecar.events.at(-1).stoppedBy, 'limit');
+    assert.strictEqual(manager.findByRoom('r1'), null);
+  }]
+];
+
+async function run() {
+  console.log('⏺️  Recording Limits Test');
+  console.log('========================');
+
+  let failed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  await Promise.all(dirs.map(dir => fs.promises.rm(dir, { recursive: true, force: true })));
+
+  console.log('');
+  console.log(failed ? `❌ ${failed} of ${tests.length} failed` : `✅ All ${tests.length} passed`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+run();
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+// Redis Store Test
+// Run with: node test-redis-store.js
+//
+// Runs lib/store/redis-store.js against ioredis-mock, an in-memory stand-in for the Redis
+// client (injected through the constructor's `client` option), so no server is needed.
+
+const assert = require('assert');
+const RedisMock = require('ioredis-mock');
+const { RedisStore } = require('./lib/store');
+
+const CHAT_LIMITS = { maxMessages: 5, retentionMs: 60000 };
+
+// One client for every test; each store gets its own key prefix
+const client = new RedisMock();
+let storeCount = 0;
+
+function createStore() {
+  return new RedisStore({ client, keyPrefix: `test${++storeCount}:` });
+}
+
+function message(id, fields = {}) {
+  return { id, socketId: 'alice', message: `message ${id}`, timestamp: Number(id.slice(1)), ...fields };
+}
+
+async function appendMessages(store, roomId, ids) {
+  for (const id of ids) {
+    await store.appendChatMessage(roomId, message(id), CHAT_LIMITS);
+  }
+}
+
+const tests = [
+  ['rooms: only the first create wins', async () => {
+    const store = createStore();
+    assert.strictEqual(await store.createRoom('r1', { host: 'alice', created: 1, maxUsers: 10 }), true);
+    assert.strictEqual(await store.createRoom('r1', { host: 'bob', created: 2, maxUsers: 10 }), false);
+
+    const room = await store.getRoom('r1');
+    assert.strictEqual(room.host, 'alice');
+    assert.strictEqual(room.id, 'r1');
+    assert.deepStrictEqual([...room.users], []);
+    assert.strictEqual(await store.getRoom('missing'), null);
+  }],
+
+  ['rooms: users, updates, listing and deletion', async () => {
+    const store = createStore();
+    await store.createRoom('r1', { host: 'alice', created: 1, maxUsers: 10 });
+    await store.createRoom('r2', { host: 'carol', created: 2, maxUsers: 10 });
+
+    assert.strictEqual(await store.addRoomUser('r1', 'alice'), 1);
+    assert.strictEqual(await store.addRoomUser('r1', 'bob'), 2);
+    assert.strictEqual(await store.removeRoomUser('r1', 'alice'), 1);
+
+    const updated = await store.updateRoom('r1', { host: 'bob', id: 'ignored', users: new Set(['x']) });
+    assert.strictEqual(updated.host, 'bob');
+    assert.strictEqual(updated.maxUsers, 10);
+    assert.deepStrictEqual([...updated.users], ['bob']);
+    assert.strictEqual(await store.updateRoom('missing', { host: 'x' }), null);
+
+    assert.strictEqual(await store.countRooms(), 2);
+    assert.deepStrictEqual((await store.listRooms()).map(room => room.id).sort(), ['r1', 'r2']);
+
+    await store.deleteRoom('r1');
+    assert.strictEqual(await store.getRoom('r1'), null);
+    assert.strictEqual(await store.countRooms(), 1);
+  }],
+
+  ['rooms: an update from another instance between read and write is kept', async () => {
+    const store = createStore();
+    const other = new RedisStore({ client, keyPrefix: store.prefix });
+    await store.createRoom('r1', { host: 'alice', created: 1, maxUsers: 10 });
+
+    // Another instance locks the room right after the host change reads it
+    const get = client.get.bind(client);
+    let raced = false;
+    client.get = async (...args) => {
+      const value = await get(...args);
+      if (!raced) {
+        raced = true;
+        await other.updateRoom('r1', { locked: true });
+      }
+      return value;
+    };
+
+    try {
+      await store.updateRoom('r1', { host: 'bob' });
+    } finally {
+      client.get = get;
+    }
+
+    const room = await store.getRoom('r1');
+    assert.strictEqual(room.host, 'bob');
+    assert.strictEqual(room.locked, true);
+  }],
+
+  ['rooms: concurrent updates of different fields both land', async () => {
+    const store = createStore();
+    await store.createRoom('r1', { host: 'alice', created: 1, maxUsers: 10 });
+
+    await Promise.all([
+      store.updateRoom('r1', { host: 'bob' }),
+      store.updateRoom('r1', { password: 'hash' }),
+      store.updateRoom('r1', { lobby: true })
+    ]);
+
+    const room = await store.getRoom('r1');
+    assert.deepStrictEqual([room.host, room.password, room.lobby], ['bob', 'hash', true]);
+  }],
+
+  ['lobby: pending users are removed exactly once', async () => {
+    const store = createStore();
+    await store.addPendingUser('r1', 'bob', { nickname: 'bob', requestedAt: 20 });
+    await store.addPendingUser('r1', 'carol', { nickname: 'carol', requestedAt: 10 });
+
+    assert.deepStrictEqual((await store.getPendingUsers('r1')).map(entry => entry.socketId), ['carol', 'bob']);
+
+    const [first, second] = await Promise.all([
+      store.removePendingUser('r1', 'bob'),
+      store.removePendingUser('r1', 'bob')
+    ]);
+    assert.deepStrictEqual([first, second].filter(Boolean), [{ socketId: 'bob', nickname: 'bob', requestedAt: 20 }]);
+    assert.deepStrictEqual((await store.getPendingUsers('r1')).map(entry => entry.socketId), ['carol']);
+  }],
+
+  ['users: set, list, count and delete with their quality report', async () => {
+    const store = createStore();
+    await store.setUser('alice', { roomId: 'r1', nickname: 'alice' });
+    await store.setUser('bob', { roomId: 'r1', nickname: 'bob' });
+    await store.setQuality('alice', { quality: 'good', rtt: 40 }, 60000);
+
+    assert.deepStrictEqual(await store.getUser('alice'), { roomId: 'r1', nickname: 'alice' });
+    assert.strictEqual(await store.countUsers(), 2);
+    assert.deepStrictEqual((await store.listUsers()).map(user => user.socketId).sort(), ['alice', 'bob']);
+    assert.deepStrictEqual(await store.getQuality('alice'), { quality: 'good', rtt: 40 });
+
+    await store.deleteUser('alice');
+    assert.strictEqual(await store.getUser('alice'), null);
+    assert.strictEqual(await store.getQuality('alice'), null);
+    assert.strictEqual(await store.countUsers(), 1);
+  }],
+
+  ['chat: history is capped and filtered', async () => {
+    const store = createStore();
+    await appendMessages(store, 'r1', ['m1', 'm2', 'm3', 'm4', 'm5', 'm6', 'm7']);
+    await store.appendChatMessage('r1', message('m8', { to: 'bob' }), CHAT_LIMITS);
+
+    const ids = messages => messages.map(m => m.id);
+    assert.deepStrictEqual(ids(await store.getChatMessages('r1', { limit: 50 })), ['m4', 'm5', 'm6', 'm7', 'm8']);
+    assert.deepStrictEqual(ids(await store.getChatMessages('r1', { limit: 2, before: 7 })), ['m5', 'm6']);
+    assert.deepStrictEqual(ids(await store.getChatMessages('r1', { limit: 50, after: 6 })), ['m6', 'm7', 'm8']);
+    assert.deepStrictEqual(ids(await store.getChatMessages('r1', { limit: 50, visibleTo: 'carol' })), ['m4', 'm5', 'm6', 'm7']);
+    assert.deepStrictEqual(ids(await store.getChatMessages('r1', { limit: 50, visibleTo: 'bob' })), ['m4', 'm5', 'm6', 'm7', 'm8']);
+
+    assert.strictEqual((await store.getChatMessage('r1', 'm6')).message, 'message m6');
+    assert.strictEqual(await store.getChatMessage('r1', 'm1'), null);
+  }],
+
+  ['chat: updates patch the message with that id', async () => {
+    const store = createStore();
+    await appendMessages(store, 'r1', ['m1', 'm2', 'm3']);
+
+    const updated = await store.updateChatMessage('r1', 'm2', { message: 'edited', editedAt: 5 });
+    assert.deepStrictEqual(updated, message('m2', { message: 'edited', editedAt: 5 }));
+    assert.deepStrictEqual(await store.getChatMessage('r1', 'm2'), updated);
+    assert.strictEqual((await store.getChatMessage('r1', 'm1')).message, 'message m1');
+    assert.strictEqual(await store.updateChatMessage('r1', 'missing', { message: 'x' }), null);
+  }],
+
+  ['chat: an append between read and write does not misplace an edit', async () => {
+    const store = createStore();
+    const other = new RedisStore({ client, keyPrefix: store.prefix });
+    await appendMessages(store, 'r1', ['m1', 'm2', 'm3', 'm4', 'm5']);
+
+    // Another instance appends (and trims the oldest message) right after the edit reads the list
+    const lrange = client.lrange.bind(client);
+    let raced = false;
+    client.lrange = async (...args) => {
+      const entries = await lrange(...args);
+      if (!raced) {
+        raced = true;
+        await other.appendChatMessage('r1', message('m6'), CHAT_LIMITS);
+      }
+      return entries;
+    };
+
+    try {
+      await store.updateChatMessage('r1', 'm3', { message: 'edited' });
+    } finally {
+      client.lrange = lrange;
+    }
+
+    const messages = await store.getChatMessages('r1', { limit: 50 });
+    assert.deepStrictEqual(messages.map(m => [m.id, m.message]), [
+      ['m2', 'message m2'],
+      ['m3', 'edited'],
+      ['m4', 'message m4'],
+      ['m5', 'message m5'],
+      ['m6', 'message m6']
+    ]);
+  }],
+
+  ['chat: concurrent edits of one message both land', async () => {
+    const store = createStore();
+    await appendMessages(store, 'r1', ['m1']);
+
+    await Promise.all([
+      store.updateChatMessage('r1', 'm1', { reactions: { '👍': ['bob'] } }),
+      store.updateChatMessage('r1', 'm1', { editedAt: 7 })
+    ]);
+
+    const stored = await store.getChatMessage('r1', 'm1');
+    assert.deepStrictEqual(stored.reactions, { '👍': ['bob'] });
+    assert.strictEqual(stored.editedAt, 7);
+  }],
+
+  ['sessions: a seat can be taken only once', async () => {
+    const store = createStore();
+    await store.setSession('token', { roomId: 'r1', nickname: 'alice' }, 60000);
+    assert.deepStrictEqual(await store.getSession('token'), { roomId: 'r1', nickname: 'alice' });
+
+    const [first, second] = await Promise.all([store.takeSession('token'), store.takeSession('token')]);
+    assert.deepStrictEqual([first, second].filter(Boolean), [{ roomId: 'r1', nickname: 'alice' }]);
+    assert.strictEqual(await store.getSession('token'), null);
+
+    await store.setSession('other', { roomId: 'r1' });
+    await store.deleteSession('other');
+    assert.strictEqual(await store.getSession('other'), null);
+  }],
+
+  ['bans: expired bans are dropped and lifting happens once', async () => {
+    const store = createStore();
+    await store.addBan('r1', { id: 'b1', nickname: 'mallory', expiresAt: null });
+    await store.addBan('r1', { id: 'b2', nickname: 'eve', expiresAt: Date.now() - 1000 });
+
+    assert.deepStrictEqual((await store.getBans('r1')).map(ban => ban.id), ['b1']);
+
+    const [first, second] = await Promise.all([store.removeBan('r1', 'b1'), store.removeBan('r1', 'b1')]);
+    assert.deepStrictEqual([first, second].filter(Boolean).map(ban => ban.id), ['b1']);
+    assert.deepStrictEqual(await store.getBans('r1'), []);
+  }],
+
+  ['connections: per-IP timestamps are listed and cleared', async () => {
+    const store = createStore();
+    await store.setConnections('10.0.0.1', [1, 2], 60000);
+    await store.setConnections('10.0.0.2', [3]);
+
+    assert.deepStrictEqual(await store.getConnections('10.0.0.1'), [1, 2]);
+    assert.deepStrictEqual(
+      (await store.listConnections()).sort((a, b) => a.ip.localeCompare(b.ip)),
+      [{ ip: '10.0.0.1', timestamps: [1, 2] }, { ip: '10.0.0.2', timestamps: [3] }]
+    );
+
+    await store.setConnections('10.0.0.1', []);
+    assert.deepStrictEqual(await store.getConnections('10.0.0.1'), []);
+  }]
+];
+
+async function run() {
+  console.log('🗄️  Redis Store Test');
+  console.log('===================');
+
+  let failed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log('');
+  console.log(failed ? `❌ ${failed} of ${tests.length} failed` : `✅ All ${tests.length} passed`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+run();
@@ -6,8 +6,8 @@
 const crypto = require('crypto');
 
 // Configuration (should match your server.js)
-const TURN_SERVER_IP = '185.117.154.193';
-const TURN_SECRET = 'my_secure_secret_key_2024';
+const TURN_SERVER_IP = process.env.TURN_SERVER_IP || '185.117.154.193';
+const TURN_SECRET = process.env.TURN_SECRET || 'my_secure_secret_key_2024';
 
 // Generate TURN credentials (same as server.js)
 function generateTurnCredentials() {